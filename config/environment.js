@@ -13,6 +13,63 @@ const config = {
     
     // Database configuration
     mongodbUri: process.env.MONGODB_URI,
+    // Database shared by all accounts for the persistent AI processing queue
+    aiQueueDatabase: process.env.AI_QUEUE_DATABASE || 'lca_ai_queue',
+    // Days completed and failed queue items are kept before they are removed
+    aiQueueRetentionDays: parseInt(process.env.AI_QUEUE_RETENTION_DAYS, 10) || 7,
+    
+    // OpenAI rate limits until the API reports the key's own limits
+    openaiRpmLimit: parseInt(process.env.OPENAI_RPM_LIMIT, 10) || 5000,
+    openaiTpmLimit: parseInt(process.env.OPENAI_TPM_LIMIT, 10) || 450000,
+    // AI requests in flight across all accounts, see utils/aiScheduler.js
+    aiMaxConcurrentRequests: parseInt(process.env.AI_MAX_CONCURRENT_REQUESTS, 10) || 5,
+    
+    // LLM provider used for accounts without LLM settings of their own.
+    // Endpoints and keys are only ever read from here.
+    llm: {
+        provider: process.env.LLM_PROVIDER || 'openai',
+        model: process.env.LLM_MODEL || 'gpt-4o',
+        temperature: parseFloat(process.env.LLM_TEMPERATURE) || 0,
+        maxTokens: parseInt(process.env.LLM_MAX_TOKENS, 10) || undefined,
+        baseURL: process.env.LLM_BASE_URL || 'http://localhost:11434/v1',
+        apiKey: process.env.LLM_API_KEY,
+        azureEndpoint: process.env.AZURE_OPENAI_ENDPOINT,
+        azureApiKey: process.env.AZURE_OPENAI_API_KEY,
+        azureApiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-10-21',
+        deployment: process.env.AZURE_OPENAI_DEPLOYMENT,
+        fixturesPath: process.env.LLM_FIXTURES_PATH || 'data/llm_fixtures.json'
+    },
+    
+    // Days an AI classification result is reused before it is requested again
+    classificationCacheTtlDays: parseInt(process.env.CLASSIFICATION_CACHE_TTL_DAYS, 10) || 90,
+    
+    // Analyst-approved examples added to classification prompts, for accounts
+    // without exemplar settings of their own
+    exemplars: {
+        enabled: process.env.CLASSIFICATION_EXEMPLARS_ENABLED !== 'false',
+        maxExamples: parseInt(process.env.CLASSIFICATION_EXEMPLARS_MAX, 10) || 3,
+        // Share of classifications also run without exemplars to measure their effect
+        comparisonRate: process.env.CLASSIFICATION_EXEMPLARS_COMPARISON_RATE !== undefined
+            ? parseFloat(process.env.CLASSIFICATION_EXEMPLARS_COMPARISON_RATE)
+            : 0.1
+    },
+    
+    // Share of the product weight by which AI BOM weights may be off and still
+    // be rescaled; larger differences are sent back to the model first
+    bomWeightRescaleLimit: process.env.BOM_WEIGHT_RESCALE_LIMIT !== undefined
+        ? parseFloat(process.env.BOM_WEIGHT_RESCALE_LIMIT)
+        : 0.1,
+    
+    // AI results below this confidence (0-1) are flagged for review
+    reviewConfidenceThreshold: process.env.REVIEW_CONFIDENCE_THRESHOLD !== undefined
+        ? parseFloat(process.env.REVIEW_CONFIDENCE_THRESHOLD)
+        : 0.6,
+    
+    // AI budgets per account (see services/aiBudget.service.js); when not
+    // enforced, spending and alerts are still recorded
+    aiBudgets: {
+        enforced: process.env.AI_BUDGETS_ENFORCED !== 'false'
+    },
     
     // CORS configuration
     corsOrigin: process.env.CORS_ORIGIN || '*',
@@ -1,6 +1,7 @@
 const logger = require('../utils/logger');
 const { HTTP_STATUS, formatResponse } = require('../utils/http');
 const accountService = require('../services/account.service');
+const { validateLLMSettings, resolveLLMSettings } = require('../utils/llmProvider');
 
 /**
  * Get account plan
@@ -215,6 +216,88 @@ const updateAITokens = async (req, res) => {
   }
 };
 
+/**
+ * Provider and model settings in effect for the account
+ */
+const describeLLMSettings = (stored) => {
+  const { provider, model, temperature, maxTokens, deployment } = resolveLLMSettings(stored);
+  return {
+    stored,
+    effective: { provider, model, temperature, maxTokens, deployment }
+  };
+};
+
+/**
+ * Get the LLM settings of the account
+ * @route GET /api/account-plan/llm-settings
+ */
+const getLLMSettings = async (req, res) => {
+  try {
+    const settings = await accountService.getAccountLLMSettings(req);
+    res.status(HTTP_STATUS.OK).json(formatResponse(true, describeLLMSettings(settings)));
+  } catch (error) {
+    logger.error('Error fetching LLM settings:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(formatResponse(
+      false,
+      null,
+      `Error fetching LLM settings: ${error.message}`
+    ));
+  }
+};
+
+/**
+ * Set the LLM provider and model settings of the account
+ * @route PUT /api/account-plan/llm-settings
+ */
+const updateLLMSettings = async (req, res) => {
+  try {
+    const validationError = validateLLMSettings(req.body);
+    if (validationError) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(formatResponse(
+        false,
+        null,
+        validationError
+      ));
+    }
+
+    const settings = await accountService.setAccountLLMSettings(req, req.body);
+    res.status(HTTP_STATUS.OK).json(formatResponse(
+      true,
+      describeLLMSettings(settings),
+      'LLM settings updated successfully'
+    ));
+  } catch (error) {
+    logger.error('Error updating LLM settings:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(formatResponse(
+      false,
+      null,
+      `Error updating LLM settings: ${error.message}`
+    ));
+  }
+};
+
+/**
+ * Return the account to the environment's LLM settings
+ * @route DELETE /api/account-plan/llm-settings
+ */
+const deleteLLMSettings = async (req, res) => {
+  try {
+    await accountService.deleteAccountLLMSettings(req);
+    res.status(HTTP_STATUS.OK).json(formatResponse(
+      true,
+      describeLLMSettings(null),
+      'LLM settings reset to the defaults'
+    ));
+  } catch (error) {
+    logger.error('Error deleting LLM settings:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(formatResponse(
+      false,
+      null,
+      `Error deleting LLM settings: ${error.message}`
+    ));
+  }
+};
+
 module.exports = {
   getAccountPlan,
   createOrUpdateAccountPlan,
@@ -222,5 +305,8 @@ module.exports = {
   updateAccountPlanById,
   deleteAccountPlanById,
   getAITokens,
-  updateAITokens
+  updateAITokens,
+  getLLMSettings,
+  updateLLMSettings,
+  deleteLLMSettings
 };
\ No newline at end of file
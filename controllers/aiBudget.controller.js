@@ -0,0 +1,194 @@
+const logger = require('../utils/logger');
+const { HTTP_STATUS, formatResponse } = require('../utils/http');
+const aiBudgetService = require('../services/aiBudget.service');
+const aiQueueService = require('../services/aiQueue.service');
+const aiProcessingQueue = require('../utils/aiProcessingQueue');
+const { getAccount } = require('../middlewares/auth.middleware');
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+/**
+ * Queue the paused AI work of the account again and start the queue
+ * @returns {Number} Number of resumed items
+ */
+const resumePausedWork = async (req) => {
+  const resumed = await aiQueueService.resumeAccountItems(getAccount(req));
+  if (resumed > 0) {
+    aiProcessingQueue.resume();
+  }
+  return resumed;
+};
+
+/**
+ * Get the AI spending and budgets of the account this month
+ * @route GET /api/ai-budget
+ */
+const getBudgetStatus = async (req, res) => {
+  try {
+    const [budget, queue] = await Promise.all([
+      aiBudgetService.getBudgetStatus(req),
+      aiQueueService.getQueueSummary(getAccount(req))
+    ]);
+    res.status(HTTP_STATUS.OK).json(formatResponse(true, {
+      ...budget,
+      pausedQueueItems: queue.counts.paused
+    }));
+  } catch (error) {
+    logger.error('Error fetching AI budget:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(formatResponse(
+      false,
+      null,
+      `Error fetching AI budget: ${error.message}`
+    ));
+  }
+};
+
+/**
+ * Get the stored and effective AI budgets of the account
+ * @route GET /api/ai-budget/settings
+ */
+const getBudgetSettings = async (req, res) => {
+  try {
+    const [stored, effective] = await Promise.all([
+      aiBudgetService.getStoredBudgetSettings(req),
+      aiBudgetService.getBudgetSettings(req)
+    ]);
+    res.status(HTTP_STATUS.OK).json(formatResponse(true, { stored, effective }));
+  } catch (error) {
+    logger.error('Error fetching AI budget settings:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(formatResponse(
+      false,
+      null,
+      `Error fetching AI budget settings: ${error.message}`
+    ));
+  }
+};
+
+/**
+ * Set the monthly and per-job AI budgets of the account. Paused work is
+ * resumed if the new monthly budget is not spent.
+ * @route PUT /api/ai-budget/settings
+ */
+const updateBudgetSettings = async (req, res) => {
+  try {
+    const validationError = aiBudgetService.validateBudgetSettings(req.body);
+    if (validationError) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(formatResponse(
+        false,
+        null,
+        validationError
+      ));
+    }
+
+    const stored = await aiBudgetService.setBudgetSettings(req, req.body);
+    const budget = await aiBudgetService.getBudgetStatus(req);
+    const resumed = budget.blocked ? 0 : await resumePausedWork(req);
+
+    res.status(HTTP_STATUS.OK).json(formatResponse(
+      true,
+      { stored, effective: await aiBudgetService.getBudgetSettings(req), budget, resumed },
+      'AI budget settings updated successfully'
+    ));
+  } catch (error) {
+    logger.error('Error updating AI budget settings:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(formatResponse(
+      false,
+      null,
+      `Error updating AI budget settings: ${error.message}`
+    ));
+  }
+};
+
+/**
+ * Estimate the AI cost of products and whether the budgets allow it
+ * @route POST /api/ai-budget/estimate
+ */
+const estimateCost = async (req, res) => {
+  try {
+    const { products } = req.body;
+    if (!Array.isArray(products) || products.length === 0) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(formatResponse(
+        false,
+        null,
+        'products must be a non-empty array of { code, name, description }'
+      ));
+    }
+
+    const check = await aiBudgetService.checkAIBudget(req, products);
+    res.status(HTTP_STATUS.OK).json(formatResponse(true, check));
+  } catch (error) {
+    logger.error('Error estimating AI cost:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(formatResponse(
+      false,
+      null,
+      `Error estimating AI cost: ${error.message}`
+    ));
+  }
+};
+
+/**
+ * Get the budget alerts of the account (?month=YYYY-MM for one month)
+ * @route GET /api/ai-budget/alerts
+ */
+const getBudgetAlerts = async (req, res) => {
+  try {
+    const { month } = req.query;
+    if (month !== undefined && !MONTH_PATTERN.test(month)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(formatResponse(
+        false,
+        null,
+        'month must be given as YYYY-MM'
+      ));
+    }
+
+    const alerts = await aiBudgetService.getBudgetAlerts(req, { month });
+    res.status(HTTP_STATUS.OK).json(formatResponse(true, alerts));
+  } catch (error) {
+    logger.error('Error fetching AI budget alerts:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(formatResponse(
+      false,
+      null,
+      `Error fetching AI budget alerts: ${error.message}`
+    ));
+  }
+};
+
+/**
+ * Resume AI work paused by the monthly budget, once the budget allows it
+ * @route POST /api/ai-budget/resume
+ */
+const resumeQueue = async (req, res) => {
+  try {
+    const budget = await aiBudgetService.getBudgetStatus(req);
+    if (budget.blocked) {
+      return res.status(HTTP_STATUS.PAYMENT_REQUIRED).json(formatResponse(
+        false,
+        null,
+        `The monthly AI budget of $${budget.monthlyBudgetUsd} is spent ($${budget.spentUsd} in ${budget.month})`
+      ));
+    }
+
+    const resumed = await resumePausedWork(req);
+    res.status(HTTP_STATUS.OK).json(formatResponse(
+      true,
+      { resumed },
+      `Resumed ${resumed} paused AI queue items`
+    ));
+  } catch (error) {
+    logger.error('Error resuming AI work:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(formatResponse(
+      false,
+      null,
+      `Error resuming AI work: ${error.message}`
+    ));
+  }
+};
+
+module.exports = {
+  getBudgetStatus,
+  getBudgetSettings,
+  updateBudgetSettings,
+  estimateCost,
+  getBudgetAlerts,
+  resumeQueue
+};
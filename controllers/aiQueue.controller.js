@@ -1,15 +1,17 @@
 const logger = require("../utils/logger");
 const { HTTP_STATUS, formatResponse } = require("../utils/http");
 const aiProcessingQueue = require("../utils/aiProcessingQueue");
+const aiScheduler = require("../utils/aiScheduler");
 const productService = require("../services/product.service");
+const { getAccount } = require("../middlewares/auth.middleware");
 
 /**
- * Get AI processing queue status
+ * Get AI processing queue status, read from the persistent queue
  * @route GET /api/products/queue-status
  */
 const getQueueStatus = async (req, res) => {
   try {
-    const queueStatus = aiProcessingQueue.getStatus();
+    const queueStatus = await aiProcessingQueue.getStatus(getAccount(req));
     const Product = await productService.getProductModel(req);
     
     // Get database statistics
@@ -85,17 +87,17 @@ const startQueue = async (req, res) => {
       true,
       { 
         addedToQueue: pendingProducts.length,
-        queueStatus: aiProcessingQueue.getStatus()
+        queueStatus: await aiProcessingQueue.getStatus(getAccount(req))
       },
       `Added ${pendingProducts.length} products to AI processing queue`
     ));
 
   } catch (error) {
     logger.error("Error starting queue:", error);
-    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(formatResponse(
+    res.status(error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR).json(formatResponse(
       false,
       null,
-      `Failed to start queue: ${error.message}`
+      error.statusCode ? error.message : `Failed to start queue: ${error.message}`
     ));
   }
 };
@@ -110,7 +112,7 @@ const stopQueue = async (req, res) => {
 
     res.status(HTTP_STATUS.OK).json(formatResponse(
       true,
-      aiProcessingQueue.getStatus(),
+      await aiProcessingQueue.getStatus(getAccount(req)),
       "AI processing queue stopped"
     ));
 
@@ -215,7 +217,7 @@ const getProcessingStats = async (req, res) => {
       last24Hours: recentStats,
       overall: overallStats,
       recentErrors: errorProducts,
-      queueStatus: aiProcessingQueue.getStatus()
+      queueStatus: await aiProcessingQueue.getStatus(getAccount(req))
     };
 
     res.status(HTTP_STATUS.OK).json(formatResponse(
@@ -242,19 +244,24 @@ const updateQueueConfig = async (req, res) => {
   try {
     const { batchSize, batchDelayMs, maxConcurrentRequests } = req.body;
 
-    const currentConfig = aiProcessingQueue.getStatus();
+    const currentConfig = {
+      batchSize: aiProcessingQueue.batchSize,
+      batchDelayMs: aiProcessingQueue.batchDelayMs,
+      maxConcurrentRequests: aiProcessingQueue.maxConcurrentRequests
+    };
 
     // Update configuration if provided
     if (batchSize && batchSize > 0 && batchSize <= 1000) {
       aiProcessingQueue.batchSize = batchSize;
     }
     
-    if (batchDelayMs && batchDelayMs >= 30000) { // Minimum 30 seconds
+    // Pacing comes from the rate limiter; this only adds a pause between batches
+    if (typeof batchDelayMs === "number" && batchDelayMs >= 0) {
       aiProcessingQueue.batchDelayMs = batchDelayMs;
     }
     
     if (maxConcurrentRequests && maxConcurrentRequests > 0 && maxConcurrentRequests <= 20) {
-      aiProcessingQueue.maxConcurrentRequests = maxConcurrentRequests;
+      aiScheduler.setMaxConcurrent(maxConcurrentRequests);
     }
 
     const newConfig = {
@@ -267,11 +274,7 @@ const updateQueueConfig = async (req, res) => {
     res.status(HTTP_STATUS.OK).json(formatResponse(
       true,
       {
-        previous: {
-          batchSize: currentConfig.batchSize,
-          batchDelayMs: aiProcessingQueue.batchDelayMs,
-          maxConcurrentRequests: aiProcessingQueue.maxConcurrentRequests
-        },
+        previous: currentConfig,
         current: newConfig
       },
       "Queue configuration updated successfully"
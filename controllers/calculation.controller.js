@@ -2,17 +2,56 @@ const logger = require("../utils/logger");
 const { HTTP_STATUS, formatResponse } = require("../utils/http");
 const { getAccountPlan } = require("../services/account.service");
 const productCategories = require("../data/productCategories.json");
-const materialsDatabase = require("../data/materials_database.json");
+const {
+  getFactorDatabase,
+  factorVersionExists,
+} = require("../utils/factorDatabase");
 const transportDatabase = require("../data/transport_database.json");
 const transportDatabaseBasic = require("../data/country_distances.json");
 const portDistances = require("../data/port_distances.json");
+const {
+  TRANSPORT_IMPACT_FACTORS,
+  ROAD_FREIGHT_IMPACT_FACTORS,
+  isValidTransportMode,
+  calculateTransportImpacts,
+} = require("../services/transport.service");
+const { getImpactUnits, getImpactCoverage } = require("../utils/impactCategories");
 const {
   classifyProduct,
   classifyBOM,
   classifyBOMBasic,
   classifyManufacturingProcess,
   classifyManufacturingProcessBasic,
+  getBOMWeightAdjustment,
 } = require("../utils/chatGPTUtils");
+const aiScheduler = require("../utils/aiScheduler");
+const { assertAIBudget } = require("../services/aiBudget.service");
+const { getAccount } = require("../middlewares/auth.middleware");
+
+/**
+ * Run the AI call of an interactive request ahead of queued bulk work, if
+ * the account's AI budgets allow one request for the product
+ * @param {Object} product - { code, name, description }
+ */
+const runInteractive = async (req, product, task) => {
+  await assertAIBudget(req, [product], { requests: 1 });
+  return aiScheduler.run(getAccount(req), task, { priority: "interactive" });
+};
+
+/**
+ * Send a failed classification, honouring error.statusCode (e.g. a spent AI
+ * budget)
+ */
+const sendClassificationError = (res, error, statusCode) =>
+  res
+    .status(error.statusCode || statusCode)
+    .json(
+      formatResponse(
+        false,
+        null,
+        error.statusCode ? error.message : "An error occurred while processing your request."
+      )
+    );
 
 /**
  * Classify product
@@ -34,18 +73,14 @@ const classifyProductController = async (req, res) => {
         );
     }
 
-    const result = await classifyProduct(
-      productCode,
-      name,
-      description,
-      imageUrl,
-      req
+    const result = await runInteractive(req, { code: productCode, name, description }, () =>
+      classifyProduct(productCode, name, description, imageUrl, req)
     );
     res.status(HTTP_STATUS.OK).json(formatResponse(true, result));
   } catch (error) {
     logger.error("Error classifying product:", error);
     res
-      .status(HTTP_STATUS.BAD_REQUEST)
+      .status(error.statusCode || HTTP_STATUS.BAD_REQUEST)
       .json(formatResponse(false, null, error.message));
   }
 };
@@ -72,40 +107,20 @@ const classifyManufacturingProcessController = async (req, res) => {
 
     const plan = await getAccountPlan(req);
 
-    let result = {};
-    if (plan.plan === "basic") {
-      result = await classifyManufacturingProcessBasic(
-        productCode,
-        name,
-        description,
-        bom,
-        req
-      );
-    } else {
-      result = await classifyManufacturingProcess(
-        productCode,
-        name,
-        description,
-        bom,
-        req
-      );
-    }
+    const classify =
+      plan.plan === "basic"
+        ? classifyManufacturingProcessBasic
+        : classifyManufacturingProcess;
+    const result = await runInteractive(req, { code: productCode, name, description }, () =>
+      classify(productCode, name, description, bom, req)
+    );
 
     res
       .status(HTTP_STATUS.OK)
       .json(formatResponse(true, { manufacturingProcess: result, plan: plan }));
   } catch (error) {
     logger.error("Error classifying manufacturing process:", error);
-    res
-      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
-      .json(
-        formatResponse(
-          false,
-          null,
-          "An error occurred while processing your request.",
-          { details: error.message }
-        )
-      );
+    sendClassificationError(res, error, HTTP_STATUS.INTERNAL_SERVER_ERROR);
   }
 };
 
@@ -115,7 +130,7 @@ const classifyManufacturingProcessController = async (req, res) => {
  */
 const classifyBOMController = async (req, res) => {
   try {
-    const { productCode, name, description, weight, imageUrl } = req.body;
+    const { productCode, name, description, weight, imageUrl, category, subCategory } = req.body;
 
     if (!productCode || !name || !description || weight === undefined) {
       return res
@@ -131,59 +146,22 @@ const classifyBOMController = async (req, res) => {
 
     const plan = await getAccountPlan(req);
 
-    let result = {};
-    if (plan.plan === "basic") {
-      result = await classifyBOMBasic(
-        productCode,
-        name,
-        description,
-        weight,
-        imageUrl,
-        req
-      );
-    } else {
-      result = await classifyBOM(
-        productCode,
-        name,
-        description,
-        weight,
-        imageUrl,
-        req
-      );
-    }
-
-    const totalWeightCalculated = result.reduce(
-      (sum, material) => sum + material.weight,
-      0
+    const classify = plan.plan === "basic" ? classifyBOMBasic : classifyBOM;
+    const result = await runInteractive(req, { code: productCode, name, description }, () =>
+      classify(productCode, name, description, weight, imageUrl, req, { category, subCategory })
     );
 
-    if (Math.abs(totalWeightCalculated - weight) > 0.01) {
-      return res
-        .status(HTTP_STATUS.BAD_REQUEST)
-        .json(
-          formatResponse(
-            false,
-            null,
-            "Total weight of materials does not match the provided weight."
-          )
-        );
-    }
-
-    res
-      .status(HTTP_STATUS.OK)
-      .json(formatResponse(true, { plan: plan.plan, bom: result }));
+    // Weights not adding up to the product weight were normalized
+    res.status(HTTP_STATUS.OK).json(
+      formatResponse(true, {
+        plan: plan.plan,
+        bom: result,
+        weightAdjustment: getBOMWeightAdjustment(result),
+      })
+    );
   } catch (error) {
     logger.error("Error classifying BOM:", error);
-    res
-      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
-      .json(
-        formatResponse(
-          false,
-          null,
-          "An error occurred while processing your request.",
-          { details: error.message }
-        )
-      );
+    sendClassificationError(res, error, HTTP_STATUS.INTERNAL_SERVER_ERROR);
   }
 };
 
@@ -311,14 +289,6 @@ const getDistance = async (req, res) => {
  * @route POST /api/calculate-transport-emission
  */
 const calculateTransportEmission = (req, res) => {
-  const EMISSION_FACTORS = {
-    SeaFreight: 0.1187026394094,
-    RailFreight: 0.056,
-    AirFreight: 0.801,
-  };
-
-  const ROAD_FREIGHT_MULTIPLIER = 0.000104;
-
   try {
     const { 
       weightKg, 
@@ -326,6 +296,9 @@ const calculateTransportEmission = (req, res) => {
       transportKm, 
       warehouseToOriginDistance, 
       destinationToWarehouseDistance,
+      // Packaging and pallet travel with the product
+      packagingWeightKg = 0,
+      palletWeightKg = 0,
       // Backward compatibility - keep roadFreightKm for existing implementations
       roadFreightKm 
     } = req.body;
@@ -343,7 +316,7 @@ const calculateTransportEmission = (req, res) => {
         );
     }
 
-    if (!EMISSION_FACTORS[transportMode]) {
+    if (!isValidTransportMode(transportMode)) {
       return res
         .status(HTTP_STATUS.BAD_REQUEST)
         .json(
@@ -351,19 +324,12 @@ const calculateTransportEmission = (req, res) => {
             false,
             null,
             `Invalid transport mode: ${transportMode}. Valid modes are: ${Object.keys(
-              EMISSION_FACTORS
+              TRANSPORT_IMPACT_FACTORS
             ).join(", ")}.`
           )
         );
     }
 
-    // Convert weight to tons
-    const weightTon = weightKg / 1000;
-
-    // Calculate base emission
-    const emissionFactor = EMISSION_FACTORS[transportMode];
-    let totalEmission = weightTon * transportKm * emissionFactor;
-
     // Calculate total road freight distance
     let totalRoadFreightKm = 0;
     
@@ -376,25 +342,36 @@ const calculateTransportEmission = (req, res) => {
       totalRoadFreightKm = roadFreightKm;
     }
 
-    // Add road freight emission if there's any road freight distance
-    let roadFreightEmission = 0;
-    if (totalRoadFreightKm > 0) {
-      roadFreightEmission = weightTon * totalRoadFreightKm * ROAD_FREIGHT_MULTIPLIER;
-      totalEmission += roadFreightEmission;
-    }
+    const shippedWeightKg = weightKg + (packagingWeightKg || 0) + (palletWeightKg || 0);
+
+    const { weightTon, baseImpacts, roadImpacts, impacts } =
+      calculateTransportImpacts({
+        weightKg: shippedWeightKg,
+        transportMode,
+        transportKm,
+        roadFreightKm: totalRoadFreightKm,
+      });
+
+    // GWP stays the headline figure for backward compatibility
+    const emissionFactor = TRANSPORT_IMPACT_FACTORS[transportMode].gwp;
+    const totalEmission = impacts.gwp;
+    const roadFreightEmission = roadImpacts.gwp;
 
     const calculationMetadata = {
       weightTon,
+      productWeightKg: weightKg,
+      packagingWeightKg: packagingWeightKg || 0,
+      palletWeightKg: palletWeightKg || 0,
       transportMode,
       transportKm,
       emissionFactor,
-      baseTransportEmission: parseFloat((weightTon * transportKm * emissionFactor).toFixed(2)),
+      baseTransportEmission: parseFloat(baseImpacts.gwp.toFixed(2)),
     };
 
     // Add road freight metadata if applicable
     if (totalRoadFreightKm > 0) {
       calculationMetadata.totalRoadFreightKm = totalRoadFreightKm;
-      calculationMetadata.roadFreightMultiplier = ROAD_FREIGHT_MULTIPLIER;
+      calculationMetadata.roadFreightMultiplier = ROAD_FREIGHT_IMPACT_FACTORS.gwp;
       calculationMetadata.roadFreightEmission = roadFreightEmission;
       
       // Include breakdown of road distances if using new implementation
@@ -415,6 +392,9 @@ const calculateTransportEmission = (req, res) => {
       formatResponse(true, {
         transportEmissions: totalEmission,
         unit: "kg CO₂eq/unit",
+        impacts,
+        impactUnits: getImpactUnits(),
+        impactCoverage: getImpactCoverage([impacts]),
         calculationMetadata,
       })
     );
@@ -539,6 +519,15 @@ const getBillOfMaterials = (req, res) => {
     // Get the category parameter from query string if it exists
     const category = req.query.category;
 
+    // Optional factor database version, defaults to the current version
+    const { factorVersion } = req.query;
+    if (factorVersion && !factorVersionExists(factorVersion)) {
+      return res
+        .status(HTTP_STATUS.NOT_FOUND)
+        .json(formatResponse(false, null, `Factor version "${factorVersion}" not found`));
+    }
+    const { materials: materialsDatabase } = getFactorDatabase(factorVersion || undefined);
+
     // Convert materials database to the expected format (grouped by materialClass)
     const materialsByClass = {};
 
@@ -1,7 +1,13 @@
 const logger = require('../utils/logger');
 const { HTTP_STATUS, formatResponse } = require('../utils/http');
 const productCategories = require('../data/productCategories.json');
-const manufacturingProcesses = require('../data/manufacturing_ef.json');
+const {
+  getFactorDatabase,
+  factorVersionExists,
+  getVersionManifest,
+  listFactorVersions,
+  getDefaultFactorVersion
+} = require('../utils/factorDatabase');
 
 /**
  * Get all categories
@@ -81,6 +87,17 @@ const getAllProductCategories = (req, res) => {
  */
 const getAllManufacturingProcesses = (req, res) => {
   try {
+    // Optional factor database version, defaults to the current version
+    const { factorVersion } = req.query;
+    if (factorVersion && !factorVersionExists(factorVersion)) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(formatResponse(
+        false,
+        null,
+        `Factor version "${factorVersion}" not found`
+      ));
+    }
+
+    const { manufacturing: manufacturingProcesses } = getFactorDatabase(factorVersion || undefined);
     res.status(HTTP_STATUS.OK).json(formatResponse(true, manufacturingProcesses));
   } catch (error) {
     logger.error(error);
@@ -92,9 +109,61 @@ const getAllManufacturingProcesses = (req, res) => {
   }
 };
 
+/**
+ * List emission factor database versions
+ * @route GET /api/factor-versions
+ */
+const getFactorVersions = (req, res) => {
+  try {
+    res.status(HTTP_STATUS.OK).json(formatResponse(true, {
+      defaultVersion: getDefaultFactorVersion(),
+      versions: listFactorVersions()
+    }));
+  } catch (error) {
+    logger.error(error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(formatResponse(
+      false,
+      null,
+      "An error occurred while retrieving factor versions."
+    ));
+  }
+};
+
+/**
+ * Get the manifest of an emission factor database version
+ * @route GET /api/factor-versions/:versionId
+ */
+const getFactorVersion = (req, res) => {
+  try {
+    const manifest = getVersionManifest(req.params.versionId);
+
+    if (!manifest) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(formatResponse(
+        false,
+        null,
+        "Factor version not found"
+      ));
+    }
+
+    res.status(HTTP_STATUS.OK).json(formatResponse(true, {
+      ...manifest,
+      isDefault: manifest.id === getDefaultFactorVersion()
+    }));
+  } catch (error) {
+    logger.error(error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(formatResponse(
+      false,
+      null,
+      "An error occurred while retrieving the factor version."
+    ));
+  }
+};
+
 module.exports = {
   getAllCategories,
   getSubcategories,
   getAllProductCategories,
-  getAllManufacturingProcesses
+  getAllManufacturingProcesses,
+  getFactorVersions,
+  getFactorVersion
 };
\ No newline at end of file
@@ -173,7 +173,9 @@ const completeChunkUploadForBulkUpload = async (req, res) => {
     }
 
     // Import and call the existing bulkUploadProducts function
-    const { bulkUploadProducts } = require('./upload.controller');
+    const { bulkUploadProducts, isPreview } = require('./upload.controller');
+    // A preview keeps the chunks so the same upload can then be imported
+    const preview = isPreview(mockReq);
     
     // Override res.json to capture the response and add cleanup
     const originalJson = res.json;
@@ -182,6 +184,10 @@ const completeChunkUploadForBulkUpload = async (req, res) => {
       setImmediate(async () => {
         try {
           await fs.unlink(assembledFile.filePath);
+          if (preview) {
+            logger.info(`🧹 Cleaned up assembled file of previewed upload: ${uploadId}`);
+            return;
+          }
           await chunkUploadManager.cleanupUpload(uploadId, account);
           logger.info(`🧹 Cleaned up assembled file and chunks for upload: ${uploadId}`);
         } catch (cleanupError) {
@@ -0,0 +1,57 @@
+const logger = require('../utils/logger');
+const { HTTP_STATUS, formatResponse } = require('../utils/http');
+const classificationCacheService = require('../services/classificationCache.service');
+
+/**
+ * Get classification cache hits, misses and entries per kind
+ * @route GET /api/classification-cache
+ */
+const getCacheStats = async (req, res) => {
+  try {
+    const stats = await classificationCacheService.getCacheStats(req);
+    res.status(HTTP_STATUS.OK).json(formatResponse(true, stats));
+  } catch (error) {
+    logger.error('Error fetching classification cache stats:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(formatResponse(
+      false,
+      null,
+      `Error fetching classification cache stats: ${error.message}`
+    ));
+  }
+};
+
+/**
+ * Clear cached classifications, all of them or one kind (?kind=)
+ * @route DELETE /api/classification-cache
+ */
+const clearCache = async (req, res) => {
+  try {
+    const { kind } = req.query;
+    if (kind && !classificationCacheService.CACHE_KINDS.includes(kind)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(formatResponse(
+        false,
+        null,
+        `kind must be one of ${classificationCacheService.CACHE_KINDS.join(', ')}`
+      ));
+    }
+
+    const deleted = await classificationCacheService.clearCache(req, kind);
+    res.status(HTTP_STATUS.OK).json(formatResponse(
+      true,
+      { deleted },
+      `Removed ${deleted} cached classifications`
+    ));
+  } catch (error) {
+    logger.error('Error clearing classification cache:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(formatResponse(
+      false,
+      null,
+      `Error clearing classification cache: ${error.message}`
+    ));
+  }
+};
+
+module.exports = {
+  getCacheStats,
+  clearCache
+};
@@ -0,0 +1,156 @@
+const logger = require('../utils/logger');
+const { HTTP_STATUS, formatResponse } = require('../utils/http');
+const emissionFactorService = require('../services/emissionFactor.service');
+
+/**
+ * Get all emission factors of the account
+ * @route GET /api/emission-factors
+ */
+const getAllEmissionFactors = async (req, res) => {
+  try {
+    const emissionFactors = await emissionFactorService.getAllEmissionFactors(req, req.query);
+    res.status(HTTP_STATUS.OK).json(formatResponse(true, emissionFactors));
+  } catch (error) {
+    logger.error('Error fetching emission factors:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(formatResponse(
+      false,
+      null,
+      `Error fetching emission factors: ${error.message}`
+    ));
+  }
+};
+
+/**
+ * Get emission factor by ID
+ * @route GET /api/emission-factors/:id
+ */
+const getEmissionFactorById = async (req, res) => {
+  try {
+    const emissionFactor = await emissionFactorService.getEmissionFactorById(req, req.params.id);
+
+    if (!emissionFactor) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(formatResponse(
+        false,
+        null,
+        'Emission factor not found'
+      ));
+    }
+
+    res.status(HTTP_STATUS.OK).json(formatResponse(true, emissionFactor));
+  } catch (error) {
+    logger.error('Error fetching emission factor:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(formatResponse(
+      false,
+      null,
+      `Error fetching emission factor: ${error.message}`
+    ));
+  }
+};
+
+/**
+ * Create an emission factor
+ * @route POST /api/emission-factors
+ */
+const createEmissionFactor = async (req, res) => {
+  try {
+    const validationError = emissionFactorService.validateEmissionFactor(req.body);
+    if (validationError) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(formatResponse(
+        false,
+        null,
+        validationError
+      ));
+    }
+
+    const emissionFactor = await emissionFactorService.createEmissionFactor(req, req.body);
+    logger.info(`Emission factor created: ${emissionFactor.materialClass}/${emissionFactor.specificMaterial}`);
+
+    res.status(HTTP_STATUS.CREATED).json(formatResponse(true, emissionFactor));
+  } catch (error) {
+    logger.error('Error creating emission factor:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(formatResponse(
+      false,
+      null,
+      `Error creating emission factor: ${error.message}`
+    ));
+  }
+};
+
+/**
+ * Update an emission factor
+ * @route PUT /api/emission-factors/:id
+ */
+const updateEmissionFactor = async (req, res) => {
+  try {
+    const existing = await emissionFactorService.getEmissionFactorById(req, req.params.id);
+
+    if (!existing) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(formatResponse(
+        false,
+        null,
+        'Emission factor not found'
+      ));
+    }
+
+    const validationError = emissionFactorService.validateEmissionFactor({
+      ...existing.toObject(),
+      ...req.body
+    });
+    if (validationError) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(formatResponse(
+        false,
+        null,
+        validationError
+      ));
+    }
+
+    const emissionFactor = await emissionFactorService.updateEmissionFactor(req, req.params.id, req.body);
+    res.status(HTTP_STATUS.OK).json(formatResponse(true, emissionFactor));
+  } catch (error) {
+    logger.error('Error updating emission factor:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(formatResponse(
+      false,
+      null,
+      `Error updating emission factor: ${error.message}`
+    ));
+  }
+};
+
+/**
+ * Delete an emission factor
+ * @route DELETE /api/emission-factors/:id
+ */
+const deleteEmissionFactor = async (req, res) => {
+  try {
+    const emissionFactor = await emissionFactorService.deleteEmissionFactor(req, req.params.id);
+
+    if (!emissionFactor) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(formatResponse(
+        false,
+        null,
+        'Emission factor not found'
+      ));
+    }
+
+    res.status(HTTP_STATUS.OK).json(formatResponse(
+      true,
+      null,
+      'Emission factor deleted successfully'
+    ));
+  } catch (error) {
+    logger.error('Error deleting emission factor:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(formatResponse(
+      false,
+      null,
+      `Error deleting emission factor: ${error.message}`
+    ));
+  }
+};
+
+module.exports = {
+  getAllEmissionFactors,
+  getEmissionFactorById,
+  createEmissionFactor,
+  updateEmissionFactor,
+  deleteEmissionFactor
+};
@@ -0,0 +1,133 @@
+const logger = require('../utils/logger');
+const { HTTP_STATUS, formatResponse } = require('../utils/http');
+const exemplarService = require('../services/exemplar.service');
+
+/**
+ * Get the exemplars of the account
+ * @route GET /api/classification-exemplars
+ */
+const getAllExemplars = async (req, res) => {
+  try {
+    const exemplars = await exemplarService.getAllExemplars(req);
+    res.status(HTTP_STATUS.OK).json(formatResponse(true, exemplars));
+  } catch (error) {
+    logger.error('Error fetching classification exemplars:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(formatResponse(
+      false,
+      null,
+      `Error fetching classification exemplars: ${error.message}`
+    ));
+  }
+};
+
+/**
+ * Delete an exemplar
+ * @route DELETE /api/classification-exemplars/:id
+ */
+const deleteExemplar = async (req, res) => {
+  try {
+    const exemplar = await exemplarService.deleteExemplar(req, req.params.id);
+    if (!exemplar) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(formatResponse(
+        false,
+        null,
+        'Exemplar not found'
+      ));
+    }
+    res.status(HTTP_STATUS.OK).json(formatResponse(true, exemplar, 'Exemplar deleted successfully'));
+  } catch (error) {
+    logger.error('Error deleting classification exemplar:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(formatResponse(
+      false,
+      null,
+      `Error deleting classification exemplar: ${error.message}`
+    ));
+  }
+};
+
+/**
+ * Get the stored and effective exemplar settings of the account
+ * @route GET /api/classification-exemplars/settings
+ */
+const getExemplarSettings = async (req, res) => {
+  try {
+    const [stored, effective] = await Promise.all([
+      exemplarService.getStoredExemplarSettings(req),
+      exemplarService.getExemplarSettings(req)
+    ]);
+    res.status(HTTP_STATUS.OK).json(formatResponse(true, { stored, effective }));
+  } catch (error) {
+    logger.error('Error fetching exemplar settings:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(formatResponse(
+      false,
+      null,
+      `Error fetching exemplar settings: ${error.message}`
+    ));
+  }
+};
+
+/**
+ * Turn exemplars on or off and set how many are used
+ * @route PUT /api/classification-exemplars/settings
+ */
+const updateExemplarSettings = async (req, res) => {
+  try {
+    const validationError = exemplarService.validateExemplarSettings(req.body);
+    if (validationError) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(formatResponse(
+        false,
+        null,
+        validationError
+      ));
+    }
+
+    const stored = await exemplarService.setExemplarSettings(req, req.body);
+    res.status(HTTP_STATUS.OK).json(formatResponse(
+      true,
+      { stored, effective: await exemplarService.getExemplarSettings(req) },
+      'Exemplar settings updated successfully'
+    ));
+  } catch (error) {
+    logger.error('Error updating exemplar settings:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(formatResponse(
+      false,
+      null,
+      `Error updating exemplar settings: ${error.message}`
+    ));
+  }
+};
+
+/**
+ * How often exemplars were used and changed the result (?days=, default 30)
+ * @route GET /api/classification-exemplars/report
+ */
+const getExemplarReport = async (req, res) => {
+  try {
+    const days = req.query.days !== undefined ? Number(req.query.days) : 30;
+    if (!Number.isInteger(days) || days < 1) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(formatResponse(
+        false,
+        null,
+        'days must be a positive integer'
+      ));
+    }
+
+    const report = await exemplarService.getExemplarReport(req, days);
+    res.status(HTTP_STATUS.OK).json(formatResponse(true, report));
+  } catch (error) {
+    logger.error('Error fetching exemplar report:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(formatResponse(
+      false,
+      null,
+      `Error fetching exemplar report: ${error.message}`
+    ));
+  }
+};
+
+module.exports = {
+  getAllExemplars,
+  deleteExemplar,
+  getExemplarSettings,
+  updateExemplarSettings,
+  getExemplarReport
+};
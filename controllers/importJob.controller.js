@@ -0,0 +1,104 @@
+const logger = require("../utils/logger");
+const { HTTP_STATUS, formatResponse } = require("../utils/http");
+const importJobService = require("../services/importJob.service");
+
+/**
+ * List the import jobs of the account, newest first, without their rows
+ * @route GET /api/products/imports
+ */
+const getImportJobs = async (req, res) => {
+  try {
+    const jobs = await importJobService.getImportJobs(req);
+    res.status(HTTP_STATUS.OK).json(formatResponse(true, jobs));
+  } catch (error) {
+    logger.error("Error fetching import jobs:", error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(formatResponse(
+      false,
+      null,
+      `Error fetching import jobs: ${error.message}`
+    ));
+  }
+};
+
+/**
+ * Get an import job with its status, counts and row outcomes. ?outcome=
+ * lists the rows of one outcome; ?page= and ?limit= (default 100) page
+ * through them.
+ * @route GET /api/products/imports/:jobId
+ */
+const getImportJob = async (req, res) => {
+  try {
+    const { outcome } = req.query;
+    if (outcome !== undefined && !importJobService.ROW_OUTCOMES.includes(outcome)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(formatResponse(
+        false,
+        null,
+        `outcome must be one of ${importJobService.ROW_OUTCOMES.join(", ")}`
+      ));
+    }
+
+    const page = req.query.page !== undefined ? Number(req.query.page) : 1;
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : 100;
+    if (!Number.isInteger(page) || page < 1 || !Number.isInteger(limit) || limit < 1) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(formatResponse(
+        false,
+        null,
+        "page and limit must be positive integers"
+      ));
+    }
+
+    const job = await importJobService.getImportJob(req, req.params.jobId, { outcome, page, limit });
+    if (!job) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(formatResponse(false, null, "Import job not found"));
+    }
+
+    res.status(HTTP_STATUS.OK).json(formatResponse(true, job));
+  } catch (error) {
+    logger.error("Error fetching import job:", error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(formatResponse(
+      false,
+      null,
+      `Error fetching import job: ${error.message}`
+    ));
+  }
+};
+
+/**
+ * Download the rejected rows of an import job (?format=csv or xlsx,
+ * default csv) to fix and upload again
+ * @route GET /api/products/imports/:jobId/error-report
+ */
+const downloadErrorReport = async (req, res) => {
+  try {
+    const format = req.query.format || "csv";
+    if (!importJobService.REPORT_FORMATS.includes(format)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(formatResponse(
+        false,
+        null,
+        `format must be one of ${importJobService.REPORT_FORMATS.join(", ")}`
+      ));
+    }
+
+    const report = await importJobService.buildErrorReport(req, req.params.jobId, format);
+    if (!report) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(formatResponse(false, null, "Import job not found"));
+    }
+
+    res.setHeader("Content-Type", report.contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="${report.filename}"`);
+    res.status(HTTP_STATUS.OK).send(report.content);
+  } catch (error) {
+    logger.error("Error building import error report:", error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(formatResponse(
+      false,
+      null,
+      `Error building import error report: ${error.message}`
+    ));
+  }
+};
+
+module.exports = {
+  getImportJobs,
+  getImportJob,
+  downloadErrorReport
+};
@@ -0,0 +1,207 @@
+const fs = require('fs-extra');
+const XLSX = require('xlsx');
+const logger = require('../utils/logger');
+const { HTTP_STATUS, formatResponse } = require('../utils/http');
+const importTemplateService = require('../services/importTemplate.service');
+
+/**
+ * Get the import templates of the account
+ * @route GET /api/import-templates
+ */
+const getAllImportTemplates = async (req, res) => {
+  try {
+    const templates = await importTemplateService.getAllImportTemplates(req);
+    res.status(HTTP_STATUS.OK).json(formatResponse(true, templates));
+  } catch (error) {
+    logger.error('Error fetching import templates:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(formatResponse(
+      false,
+      null,
+      `Error fetching import templates: ${error.message}`
+    ));
+  }
+};
+
+/**
+ * Get an import template
+ * @route GET /api/import-templates/:id
+ */
+const getImportTemplateById = async (req, res) => {
+  try {
+    const template = await importTemplateService.getImportTemplateById(req, req.params.id);
+    if (!template) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(formatResponse(
+        false,
+        null,
+        'Import template not found'
+      ));
+    }
+    res.status(HTTP_STATUS.OK).json(formatResponse(true, template));
+  } catch (error) {
+    logger.error('Error fetching import template:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(formatResponse(
+      false,
+      null,
+      `Error fetching import template: ${error.message}`
+    ));
+  }
+};
+
+/**
+ * Create an import template
+ * @route POST /api/import-templates
+ */
+const createImportTemplate = async (req, res) => {
+  try {
+    const validationError = importTemplateService.validateImportTemplate(req.body);
+    if (validationError) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(formatResponse(
+        false,
+        null,
+        validationError
+      ));
+    }
+    if (await importTemplateService.isTemplateNameTaken(req, req.body.name)) {
+      return res.status(HTTP_STATUS.CONFLICT).json(formatResponse(
+        false,
+        null,
+        `An import template named '${req.body.name.trim()}' already exists`
+      ));
+    }
+
+    const template = await importTemplateService.createImportTemplate(req, req.body);
+    logger.info(`Import template created: ${template.name}`);
+
+    res.status(HTTP_STATUS.CREATED).json(formatResponse(true, template));
+  } catch (error) {
+    logger.error('Error creating import template:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(formatResponse(
+      false,
+      null,
+      `Error creating import template: ${error.message}`
+    ));
+  }
+};
+
+/**
+ * Update an import template
+ * @route PUT /api/import-templates/:id
+ */
+const updateImportTemplate = async (req, res) => {
+  try {
+    const existing = await importTemplateService.getImportTemplateById(req, req.params.id);
+    if (!existing) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(formatResponse(
+        false,
+        null,
+        'Import template not found'
+      ));
+    }
+
+    const validationError = importTemplateService.validateImportTemplate({ ...existing, ...req.body });
+    if (validationError) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(formatResponse(
+        false,
+        null,
+        validationError
+      ));
+    }
+    if (
+      req.body.name !== undefined &&
+      await importTemplateService.isTemplateNameTaken(req, req.body.name, existing._id)
+    ) {
+      return res.status(HTTP_STATUS.CONFLICT).json(formatResponse(
+        false,
+        null,
+        `An import template named '${req.body.name.trim()}' already exists`
+      ));
+    }
+
+    const template = await importTemplateService.updateImportTemplate(req, req.params.id, req.body);
+    res.status(HTTP_STATUS.OK).json(formatResponse(true, template));
+  } catch (error) {
+    logger.error('Error updating import template:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(formatResponse(
+      false,
+      null,
+      `Error updating import template: ${error.message}`
+    ));
+  }
+};
+
+/**
+ * Delete an import template
+ * @route DELETE /api/import-templates/:id
+ */
+const deleteImportTemplate = async (req, res) => {
+  try {
+    const template = await importTemplateService.deleteImportTemplate(req, req.params.id);
+    if (!template) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(formatResponse(
+        false,
+        null,
+        'Import template not found'
+      ));
+    }
+    res.status(HTTP_STATUS.OK).json(formatResponse(
+      true,
+      null,
+      'Import template deleted successfully'
+    ));
+  } catch (error) {
+    logger.error('Error deleting import template:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(formatResponse(
+      false,
+      null,
+      `Error deleting import template: ${error.message}`
+    ));
+  }
+};
+
+/**
+ * Suggest templates for a file, from an uploaded file or its column names
+ * @route POST /api/import-templates/suggest
+ */
+const suggestImportTemplates = async (req, res) => {
+  try {
+    let headers = req.body.headers;
+    if (!req.file && (!Array.isArray(headers) || headers.length === 0)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(formatResponse(
+        false,
+        null,
+        'Upload a file or send its column names as headers'
+      ));
+    }
+
+    // An uploaded file is parsed once for all templates
+    const workbook = req.file && XLSX.readFile(req.file.path);
+    const suggestions = await importTemplateService.suggestImportTemplates(
+      req,
+      workbook ? { workbook } : { headers: headers.map(String) }
+    );
+    if (workbook) {
+      headers = importTemplateService.readWorkbookHeaders(workbook).headers;
+    }
+    res.status(HTTP_STATUS.OK).json(formatResponse(true, { headers, suggestions }));
+  } catch (error) {
+    logger.error('Error suggesting import templates:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(formatResponse(
+      false,
+      null,
+      `Error suggesting import templates: ${error.message}`
+    ));
+  } finally {
+    if (req.file) {
+      fs.remove(req.file.path).catch((error) => logger.error('Error removing uploaded file:', error));
+    }
+  }
+};
+
+module.exports = {
+  getAllImportTemplates,
+  getImportTemplateById,
+  createImportTemplate,
+  updateImportTemplate,
+  deleteImportTemplate,
+  suggestImportTemplates
+};
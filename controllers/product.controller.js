@@ -3,6 +3,9 @@ const { HTTP_STATUS, formatResponse } = require("../utils/http");
 const productService = require("../services/product.service");
 const { getAccountPlan } = require("../services/account.service");
 const accountService = require("../services/account.service");
+const uncertaintyService = require("../services/uncertainty.service");
+const { factorVersionExists } = require("../utils/factorDatabase");
+const { validateSimulationOptions } = require("../utils/monteCarlo");
 
 /**
  * Create a new product or update existing one if product code already exists
@@ -19,7 +22,7 @@ const createProduct = async (req, res) => {
   } catch (error) {
     logger.error("Error creating/updating product:", error);
     res
-      .status(500)
+      .status(error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR)
       .json(
         formatResponse(
           false,
@@ -79,31 +82,211 @@ const getProductById = async (req, res) => {
 };
 
 /**
- * Update a product
+ * Send the result of a product update with its recalculation summary
+ */
+const sendProductUpdate = (res, result) => {
+  if (!result) {
+    return res
+      .status(HTTP_STATUS.NOT_FOUND)
+      .json(formatResponse(false, null, "Product not found"));
+  }
+
+  const { product, recalculation, projects } = result;
+  res.status(HTTP_STATUS.OK).json(
+    formatResponse(true, {
+      ...product.toObject(),
+      recalculation,
+      projects,
+    })
+  );
+};
+
+/**
+ * Send a failed product update, honouring error.statusCode from the service
+ */
+const sendProductUpdateError = (res, error) => {
+  logger.error("Error updating product:", error);
+  res
+    .status(error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    .json(
+      formatResponse(false, null, `Failed to update product: ${error.message}`)
+    );
+};
+
+/**
+ * Update a product. Material and process lists are replaced; lines with an
+ * `_id` are merged into the stored line.
  * @route PUT /api/products/:id
  */
 const updateProduct = async (req, res) => {
   try {
-    const updatedProduct = await productService.updateProduct(
+    const result = await productService.updateProduct(
       req,
-      req.params.id
+      req.params.id,
+      req.body
+    );
+    sendProductUpdate(res, result);
+  } catch (error) {
+    sendProductUpdateError(res, error);
+  }
+};
+
+/**
+ * Partially update a product. Only the submitted fields and lines change.
+ * @route PATCH /api/products/:id
+ */
+const patchProduct = async (req, res) => {
+  try {
+    const result = await productService.updateProduct(
+      req,
+      req.params.id,
+      req.body,
+      { partial: true }
+    );
+    sendProductUpdate(res, result);
+  } catch (error) {
+    sendProductUpdateError(res, error);
+  }
+};
+
+/**
+ * Edit a single material line of a product
+ * @route PATCH /api/products/:id/materials/:lineId
+ */
+const updateMaterialLine = async (req, res) => {
+  try {
+    const result = await productService.updateProduct(
+      req,
+      req.params.id,
+      { materials: [{ ...req.body, _id: req.params.lineId }] },
+      { partial: true }
+    );
+    sendProductUpdate(res, result);
+  } catch (error) {
+    sendProductUpdateError(res, error);
+  }
+};
+
+/**
+ * Validate the optional factorVersion of a recalculation request
+ * @returns {boolean} - false when a response has already been sent
+ */
+const validateFactorVersion = (req, res) => {
+  const { factorVersion } = req.body || {};
+  if (factorVersion && !factorVersionExists(factorVersion)) {
+    res
+      .status(HTTP_STATUS.NOT_FOUND)
+      .json(
+        formatResponse(false, null, `Factor version "${factorVersion}" not found`)
+      );
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Recalculate a product against a factor database version
+ * @route POST /api/products/:id/recalculate
+ */
+const recalculateProduct = async (req, res) => {
+  try {
+    if (!validateFactorVersion(req, res)) return;
+
+    const { factorVersion, dryRun = false } = req.body || {};
+    const result = await productService.recalculateProduct(req, req.params.id, {
+      factorVersion,
+      dryRun,
+    });
+
+    if (!result) {
+      return res
+        .status(HTTP_STATUS.NOT_FOUND)
+        .json(formatResponse(false, null, "Product not found"));
+    }
+
+    res.status(HTTP_STATUS.OK).json(formatResponse(true, result));
+  } catch (error) {
+    logger.error("Error recalculating product:", error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        formatResponse(
+          false,
+          null,
+          `Failed to recalculate product: ${error.message}`
+        )
+      );
+  }
+};
+
+/**
+ * Recalculate all products of the account against a factor database version
+ * @route POST /api/products/recalculate
+ */
+const recalculateAllProducts = async (req, res) => {
+  try {
+    if (!validateFactorVersion(req, res)) return;
+
+    const { factorVersion, dryRun = false } = req.body || {};
+    const result = await productService.recalculateAllProducts(req, {
+      factorVersion,
+      dryRun,
+    });
+
+    logger.info(
+      `Recalculated ${result.totalProducts} products against factor version ${result.factorVersion}${dryRun ? " (dry run)" : ""}`
+    );
+    res.status(HTTP_STATUS.OK).json(formatResponse(true, result));
+  } catch (error) {
+    logger.error("Error recalculating products:", error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        formatResponse(
+          false,
+          null,
+          `Failed to recalculate products: ${error.message}`
+        )
+      );
+  }
+};
+
+/**
+ * Run a Monte Carlo simulation of a product's GWP
+ * @route POST /api/products/:id/uncertainty
+ */
+const simulateProductUncertainty = async (req, res) => {
+  try {
+    const { iterations, seed } = req.body || {};
+    const validationError = validateSimulationOptions({ iterations, seed });
+    if (validationError) {
+      return res
+        .status(HTTP_STATUS.BAD_REQUEST)
+        .json(formatResponse(false, null, validationError));
+    }
+
+    const result = await uncertaintyService.simulateProductUncertainty(
+      req,
+      req.params.id,
+      { iterations, seed }
     );
 
-    if (!updatedProduct) {
+    if (!result) {
       return res
         .status(HTTP_STATUS.NOT_FOUND)
         .json(formatResponse(false, null, "Product not found"));
     }
 
-    res.status(HTTP_STATUS.OK).json(formatResponse(true, updatedProduct));
+    res.status(HTTP_STATUS.OK).json(formatResponse(true, result));
   } catch (error) {
+    logger.error("Error simulating product uncertainty:", error);
     res
       .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
       .json(
         formatResponse(
           false,
           null,
-          `Failed to update product: ${error.message}`
+          `Failed to simulate product uncertainty: ${error.message}`
         )
       );
   }
@@ -245,6 +428,11 @@ module.exports = {
   getAllProducts,
   getProductById,
   updateProduct,
+  patchProduct,
+  updateMaterialLine,
+  recalculateProduct,
+  recalculateAllProducts,
+  simulateProductUncertainty,
   deleteProduct,
   deleteAllProducts,
   deleteProductByID,
@@ -2,6 +2,8 @@ const logger = require('../utils/logger');
 const { HTTP_STATUS, formatResponse } = require('../utils/http');
 const projectService = require('../services/project.service');
 const projectProductService = require('../services/project_product.service');
+const uncertaintyService = require('../services/uncertainty.service');
+const { validateSimulationOptions } = require('../utils/monteCarlo');
 const { getAccountPlan } = require('../services/account.service');
 
 /**
@@ -51,6 +53,10 @@ const getAllProjects = async (req, res) => {
       totalMaterialsImpact: project.totalMaterialsImpact || 0,
       totalManufacturingImpact: project.totalManufacturingImpact || 0,
       totalTransportationImpact: project.totalTransportationImpact || 0,
+      totalPackagingImpact: project.totalPackagingImpact || 0,
+      impacts: project.impacts,
+      lifeCycleModules: project.lifeCycleModules,
+      dataQuality: project.dataQuality,
       products: project.products || [],
     }));
     
@@ -191,7 +197,7 @@ const deleteAllProjects = async (req, res) => {
  */
 const getProjectImpacts = async (req, res) => {
   try {
-    const { projectId } = req.body;
+    const { projectId, approvedOnly } = req.body;
     
     if (!projectId) {
       return res.status(HTTP_STATUS.BAD_REQUEST).json(formatResponse(
@@ -202,7 +208,9 @@ const getProjectImpacts = async (req, res) => {
     }
     
     // Get project and its impacts
-    const projectImpacts = await projectService.calculateProjectImpacts(req, projectId);
+    const projectImpacts = await projectService.calculateProjectImpacts(req, projectId, {
+      approvedOnly: approvedOnly === true
+    });
     
     if (!projectImpacts) {
       return res.status(HTTP_STATUS.NOT_FOUND).json(formatResponse(
@@ -223,6 +231,43 @@ const getProjectImpacts = async (req, res) => {
   }
 };
 
+/**
+ * Run a Monte Carlo simulation of a project's GWP
+ * @route POST /api/projects/:id/uncertainty
+ */
+const simulateProjectUncertainty = async (req, res) => {
+  try {
+    const { iterations, seed } = req.body || {};
+    const validationError = validateSimulationOptions({ iterations, seed });
+    if (validationError) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(formatResponse(
+        false,
+        null,
+        validationError
+      ));
+    }
+    
+    const result = await uncertaintyService.simulateProjectUncertainty(req, req.params.id, { iterations, seed });
+    
+    if (!result) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(formatResponse(
+        false,
+        null,
+        'Project not found'
+      ));
+    }
+    
+    res.status(HTTP_STATUS.OK).json(formatResponse(true, result));
+  } catch (error) {
+    logger.error('Error simulating project uncertainty:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(formatResponse(
+      false,
+      null,
+      `Error simulating project uncertainty: ${error.message}`
+    ));
+  }
+};
+
 module.exports = {
   createProject,
   getAllProjects,
@@ -230,5 +275,6 @@ module.exports = {
   updateProject,
   deleteProject,
   deleteAllProjects,
-  getProjectImpacts
+  getProjectImpacts,
+  simulateProjectUncertainty
 };
\ No newline at end of file
@@ -1,6 +1,7 @@
 const logger = require('../utils/logger');
 const { HTTP_STATUS, formatResponse } = require('../utils/http');
 const projectProductService = require('../services/project_product.service');
+const { validatePackaging } = require('../services/packaging.service');
 const { validateRequiredFields } = require('../utils/helpers');
 
 /**
@@ -26,6 +27,10 @@ const createProjectProductMapping = async (req, res) => {
         } catch (error) {
           throw new Error(`Product at index ${index}: ${error.message}`);
         }
+        const packagingError = validatePackaging(product.packaging);
+        if (packagingError) {
+          throw new Error(`Product at index ${index}: ${packagingError}`);
+        }
       });
     } catch (error) {
       return res.status(HTTP_STATUS.BAD_REQUEST).json(formatResponse(
@@ -60,10 +65,10 @@ const createProjectProductMapping = async (req, res) => {
     }
   } catch (error) {
     logger.error('Error creating project-product mapping:', error);
-    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(formatResponse(
+    res.status(error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR).json(formatResponse(
       false,
       null,
-      `Error creating project-product mapping: ${error.message}`
+      error.statusCode ? error.message : `Error creating project-product mapping: ${error.message}`
     ));
   }
 };
@@ -210,10 +215,10 @@ const updateProjectProductMapping = async (req, res) => {
     ));
   } catch (error) {
     logger.error('Error updating project-product mapping:', error);
-    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(formatResponse(
+    res.status(error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR).json(formatResponse(
       false,
       null,
-      `Error updating project-product mapping: ${error.message}`
+      error.statusCode ? error.message : `Error updating project-product mapping: ${error.message}`
     ));
   }
 };
@@ -287,6 +292,10 @@ const addProductToProject = async (req, res) => {
     // Validate product data
     try {
       validateRequiredFields(productData, ['productID']);
+      const packagingError = validatePackaging(productData.packaging);
+      if (packagingError) {
+        throw new Error(packagingError);
+      }
     } catch (error) {
       return res.status(HTTP_STATUS.BAD_REQUEST).json(formatResponse(
         false,
@@ -321,7 +330,8 @@ const addProductToProject = async (req, res) => {
     }
     
     // Add product to mapping
-    mapping.products.push(productData);
+    const [entry] = await projectProductService.prepareEntries(req, [productData]);
+    mapping.products.push(entry);
     mapping.modifiedDate = new Date();
     const updatedMapping = await mapping.save();
     
@@ -332,10 +342,10 @@ const addProductToProject = async (req, res) => {
     ));
   } catch (error) {
     logger.error('Error adding product to project:', error);
-    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(formatResponse(
+    res.status(error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR).json(formatResponse(
       false,
       null,
-      `Error adding product to project: ${error.message}`
+      error.statusCode ? error.message : `Error adding product to project: ${error.message}`
     ));
   }
 };
@@ -394,121 +404,112 @@ const removeProductFromProject = async (req, res) => {
 };
 
 /**
- * Add a product to a project by project ID
+ * Add one product, or several as `products: [...]`, to a project by project ID.
+ * Each entry may carry a quantity and unit; adding a product the project
+ * already has adds to its quantity.
  * @route POST /api/project-product-mapping/project/:projectID/product
  */
 const addProductToProjectByProjectId = async (req, res) => {
   try {
     const { projectID } = req.params;
-    const productData = req.body;
+    const items = Array.isArray(req.body.products) ? req.body.products : [req.body];
 
-    // Validate product data
-    try {
-      validateRequiredFields(productData, ['productID']);
-    } catch (error) {
+    const validationError = projectProductService.validateProductQuantities(items);
+    if (validationError) {
       return res.status(HTTP_STATUS.BAD_REQUEST).json(formatResponse(
         false,
         null,
-        error.message
+        validationError
       ));
     }
 
-    // Get project-product mapping
-    const ProjectProductMap = await projectProductService.getProjectProductMapModel(req);
-    let mapping = await ProjectProductMap.findOne({ projectID });
-    
-    // If no mapping exists, create a new one
-    if (!mapping) {
-      mapping = new ProjectProductMap({
-        projectID,
-        products: [],
-        createdDate: new Date(),
-        modifiedDate: new Date()
-      });
-    }
-    
-    // Check if product already exists in the mapping
-    const productExists = mapping.products.some(
-      p => p.productID.toString() === productData.productID.toString()
-    );
-    
-    if (productExists) {
-      return res.status(HTTP_STATUS.CONFLICT).json(formatResponse(
-        false,
-        null,
-        'Product already exists in this project mapping'
-      ));
-    }
-    
-    // Add product to mapping
-    mapping.products.push(productData);
-    mapping.modifiedDate = new Date();
-    const updatedMapping = await mapping.save();
-    
+    const updatedMapping = await projectProductService.addProductsToProject(req, projectID, items);
+
     res.status(HTTP_STATUS.OK).json(formatResponse(
       true,
       updatedMapping,
-      'Product added to project successfully'
+      items.length > 1 ? 'Products added to project successfully' : 'Product added to project successfully'
     ));
   } catch (error) {
     logger.error('Error adding product to project by project ID:', error);
-    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(formatResponse(
+    res.status(error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR).json(formatResponse(
+      false,
+      null,
+      error.statusCode ? error.message : `Error adding product to project: ${error.message}`
+    ));
+  }
+};
+
+/**
+ * Send the result of removing products from a project
+ */
+const sendRemoveResult = async (req, res, items) => {
+  const validationError = projectProductService.validateProductQuantities(items);
+  if (validationError) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json(formatResponse(
+      false,
+      null,
+      validationError
+    ));
+  }
+
+  const updatedMapping = await projectProductService.removeProductsFromProject(
+    req,
+    req.params.projectID,
+    items
+  );
+
+  if (!updatedMapping) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json(formatResponse(
       false,
       null,
-      `Error adding product to project: ${error.message}`
+      'Project-Product mapping not found for this project'
     ));
   }
+
+  res.status(HTTP_STATUS.OK).json(formatResponse(
+    true,
+    updatedMapping,
+    items.length > 1 ? 'Products removed from project successfully' : 'Product removed from project successfully'
+  ));
 };
 
 /**
- * Remove a product from a project by project ID and product ID
+ * Remove a product from a project by project ID and product ID. With
+ * `?quantity=n` only that many units are removed.
  * @route DELETE /api/project-product-mapping/project/:projectID/product/:productID
  */
 const removeProductFromProjectByProjectId = async (req, res) => {
   try {
-    const { projectID, productID } = req.params;
-
-    // Get project-product mapping
-    const ProjectProductMap = await projectProductService.getProjectProductMapModel(req);
-    const mapping = await ProjectProductMap.findOne({ projectID });
-    
-    if (!mapping) {
-      return res.status(HTTP_STATUS.NOT_FOUND).json(formatResponse(
-        false,
-        null,
-        'Project-Product mapping not found for this project'
-      ));
-    }
-    
-    // Find product index
-    const productIndex = mapping.products.findIndex(
-      p => p.productID.toString() === productID
-    );
-    
-    if (productIndex === -1) {
-      return res.status(HTTP_STATUS.NOT_FOUND).json(formatResponse(
-        false,
-        null,
-        'Product not found in this project mapping'
-      ));
+    const item = { productID: req.params.productID };
+    if (req.query.quantity !== undefined) {
+      item.quantity = parseFloat(req.query.quantity);
     }
-    
-    // Remove product from mapping
-    mapping.products.splice(productIndex, 1);
-    mapping.modifiedDate = new Date();
-    const updatedMapping = await mapping.save();
-    
-    res.status(HTTP_STATUS.OK).json(formatResponse(
-      true,
-      updatedMapping,
-      'Product removed from project successfully'
-    ));
+
+    await sendRemoveResult(req, res, [item]);
   } catch (error) {
     logger.error('Error removing product from project by project ID:', error);
-    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(formatResponse(
+    res.status(error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR).json(formatResponse(
       false,
       null,
-      `Error removing product from project: ${error.message}`
+      error.statusCode ? error.message : `Error removing product from project: ${error.message}`
+    ));
+  }
+};
+
+/**
+ * Remove several products from a project, each optionally by quantity
+ * @route DELETE /api/project-product-mapping/project/:projectID/product
+ */
+const removeProductsFromProjectByProjectId = async (req, res) => {
+  try {
+    await sendRemoveResult(req, res, req.body.products);
+  } catch (error) {
+    logger.error('Error removing products from project by project ID:', error);
+    res.status(error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR).json(formatResponse(
+      false,
+      null,
+      error.statusCode ? error.message : `Error removing products from project: ${error.message}`
     ));
   }
 };
@@ -525,5 +526,6 @@ module.exports = {
   addProductToProject,
   removeProductFromProject,
   addProductToProjectByProjectId,
-  removeProductFromProjectByProjectId
+  removeProductFromProjectByProjectId,
+  removeProductsFromProjectByProjectId
 };
\ No newline at end of file
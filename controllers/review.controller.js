@@ -0,0 +1,104 @@
+const logger = require("../utils/logger");
+const { HTTP_STATUS, formatResponse } = require("../utils/http");
+const reviewService = require("../services/review.service");
+
+/**
+ * List products waiting for review, or in the review statuses of ?status=
+ * (comma separated). ?lowConfidence=true lists only low-confidence AI results.
+ * @route GET /api/products/reviews
+ */
+const getProductsForReview = async (req, res) => {
+  try {
+    const statuses = req.query.status
+      ? req.query.status.split(",").map((status) => status.trim())
+      : reviewService.PENDING_REVIEW_STATUSES;
+
+    const unknown = statuses.filter((status) => !reviewService.REVIEW_STATUSES.includes(status));
+    if (unknown.length > 0) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(formatResponse(
+        false,
+        null,
+        `Unknown review status: ${unknown.join(", ")}. Allowed: ${reviewService.REVIEW_STATUSES.join(", ")}`
+      ));
+    }
+
+    const lowConfidence = req.query.lowConfidence === "true";
+    const products = await reviewService.getProductsForReview(req, statuses, { lowConfidence });
+    res.status(HTTP_STATUS.OK).json(formatResponse(true, {
+      statuses,
+      lowConfidence,
+      count: products.length,
+      lowConfidenceCount: products.filter((product) => product.aiConfidence?.lowConfidence).length,
+      products
+    }));
+  } catch (error) {
+    logger.error("Error fetching products for review:", error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(formatResponse(
+      false,
+      null,
+      `Error fetching products for review: ${error.message}`
+    ));
+  }
+};
+
+/**
+ * Handle a review transition request
+ */
+const reviewProduct = async (req, res, status) => {
+  try {
+    const validationError = reviewService.validateReviewRequest(req.body);
+    if (validationError) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(formatResponse(false, null, validationError));
+    }
+
+    const { reviewer, comment, changes } = req.body;
+    const result = await reviewService.transitionReview(req, req.params.id, status, {
+      reviewer: reviewer.trim(),
+      comment,
+      changes
+    });
+
+    if (!result) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(formatResponse(false, null, "Product not found"));
+    }
+
+    const { product, recalculation, projects } = result;
+    res.status(HTTP_STATUS.OK).json(formatResponse(
+      true,
+      { ...product.toObject(), recalculation, projects },
+      `Product review is ${status}`
+    ));
+  } catch (error) {
+    logger.error(`Error moving product review to ${status}:`, error);
+    res.status(error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR).json(formatResponse(
+      false,
+      null,
+      `Failed to update product review: ${error.message}`
+    ));
+  }
+};
+
+/**
+ * Take a product into review
+ * @route POST /api/products/:id/review/start
+ */
+const startReview = (req, res) => reviewProduct(req, res, "in_review");
+
+/**
+ * Approve the AI results of a product, with optional corrections in `changes`
+ * @route POST /api/products/:id/review/approve
+ */
+const approveProduct = (req, res) => reviewProduct(req, res, "approved");
+
+/**
+ * Reject the AI results of a product, with optional corrections in `changes`
+ * @route POST /api/products/:id/review/reject
+ */
+const rejectProduct = (req, res) => reviewProduct(req, res, "rejected");
+
+module.exports = {
+  getProductsForReview,
+  startReview,
+  approveProduct,
+  rejectProduct
+};
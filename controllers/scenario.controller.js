@@ -0,0 +1,231 @@
+const logger = require('../utils/logger');
+const { HTTP_STATUS, formatResponse } = require('../utils/http');
+const scenarioService = require('../services/scenario.service');
+
+/**
+ * Send a service error, keeping the status code it carries
+ */
+const sendScenarioError = (res, error, action) => {
+  logger.error(`Error ${action}:`, error);
+  res.status(error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR).json(formatResponse(
+    false,
+    null,
+    error.statusCode ? error.message : `Error ${action}: ${error.message}`
+  ));
+};
+
+/**
+ * Create a scenario from the project's current products
+ * @route POST /api/projects/:projectId/scenarios
+ */
+const createScenario = async (req, res) => {
+  try {
+    const { name, description, overrides } = req.body;
+
+    if (!name) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(formatResponse(
+        false,
+        null,
+        'Scenario name is required'
+      ));
+    }
+
+    const validationError = scenarioService.validateOverrides(overrides);
+    if (validationError) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(formatResponse(
+        false,
+        null,
+        validationError
+      ));
+    }
+
+    const scenario = await scenarioService.createScenario(req, req.params.projectId, {
+      name,
+      description,
+      overrides
+    });
+
+    if (!scenario) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(formatResponse(
+        false,
+        null,
+        'Project not found'
+      ));
+    }
+
+    logger.info(`Scenario created: ${name} (project ${req.params.projectId})`);
+    res.status(HTTP_STATUS.CREATED).json(formatResponse(true, scenario));
+  } catch (error) {
+    sendScenarioError(res, error, 'creating scenario');
+  }
+};
+
+/**
+ * Get the scenarios of a project
+ * @route GET /api/projects/:projectId/scenarios
+ */
+const getScenarios = async (req, res) => {
+  try {
+    const scenarios = await scenarioService.getScenariosByProjectId(req, req.params.projectId);
+    res.status(HTTP_STATUS.OK).json(formatResponse(true, scenarios));
+  } catch (error) {
+    sendScenarioError(res, error, 'fetching scenarios');
+  }
+};
+
+/**
+ * Get a scenario
+ * @route GET /api/projects/:projectId/scenarios/:scenarioId
+ */
+const getScenarioById = async (req, res) => {
+  try {
+    const scenario = await scenarioService.getScenarioById(
+      req,
+      req.params.projectId,
+      req.params.scenarioId
+    );
+
+    if (!scenario) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(formatResponse(
+        false,
+        null,
+        'Scenario not found'
+      ));
+    }
+
+    res.status(HTTP_STATUS.OK).json(formatResponse(true, scenario));
+  } catch (error) {
+    sendScenarioError(res, error, 'fetching scenario');
+  }
+};
+
+/**
+ * Update a scenario and recalculate it
+ * @route PUT /api/projects/:projectId/scenarios/:scenarioId
+ */
+const updateScenario = async (req, res) => {
+  try {
+    const { name, description, overrides } = req.body;
+
+    const validationError = scenarioService.validateOverrides(overrides);
+    if (validationError) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(formatResponse(
+        false,
+        null,
+        validationError
+      ));
+    }
+
+    const scenario = await scenarioService.updateScenario(
+      req,
+      req.params.projectId,
+      req.params.scenarioId,
+      { name, description, overrides }
+    );
+
+    if (!scenario) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(formatResponse(
+        false,
+        null,
+        'Scenario not found'
+      ));
+    }
+
+    res.status(HTTP_STATUS.OK).json(formatResponse(true, scenario));
+  } catch (error) {
+    sendScenarioError(res, error, 'updating scenario');
+  }
+};
+
+/**
+ * Recalculate a scenario, e.g. after its products changed
+ * @route POST /api/projects/:projectId/scenarios/:scenarioId/calculate
+ */
+const calculateScenario = async (req, res) => {
+  try {
+    const scenario = await scenarioService.calculateScenario(
+      req,
+      req.params.projectId,
+      req.params.scenarioId
+    );
+
+    if (!scenario) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(formatResponse(
+        false,
+        null,
+        'Scenario not found'
+      ));
+    }
+
+    res.status(HTTP_STATUS.OK).json(formatResponse(true, scenario));
+  } catch (error) {
+    sendScenarioError(res, error, 'calculating scenario');
+  }
+};
+
+/**
+ * Delete a scenario
+ * @route DELETE /api/projects/:projectId/scenarios/:scenarioId
+ */
+const deleteScenario = async (req, res) => {
+  try {
+    const scenario = await scenarioService.deleteScenario(
+      req,
+      req.params.projectId,
+      req.params.scenarioId
+    );
+
+    if (!scenario) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(formatResponse(
+        false,
+        null,
+        'Scenario not found'
+      ));
+    }
+
+    res.status(HTTP_STATUS.OK).json(formatResponse(
+      true,
+      null,
+      'Scenario deleted successfully'
+    ));
+  } catch (error) {
+    sendScenarioError(res, error, 'deleting scenario');
+  }
+};
+
+/**
+ * Compare scenarios side by side with the project
+ * @route GET /api/projects/:projectId/scenarios/compare?scenarioIds=id1,id2
+ */
+const compareScenarios = async (req, res) => {
+  try {
+    const scenarioIds = (req.query.scenarioIds || '')
+      .split(',')
+      .map((id) => id.trim())
+      .filter(Boolean);
+
+    const comparison = await scenarioService.compareScenarios(req, req.params.projectId, scenarioIds);
+
+    if (!comparison) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(formatResponse(
+        false,
+        null,
+        'Project not found'
+      ));
+    }
+
+    res.status(HTTP_STATUS.OK).json(formatResponse(true, comparison));
+  } catch (error) {
+    sendScenarioError(res, error, 'comparing scenarios');
+  }
+};
+
+module.exports = {
+  createScenario,
+  getScenarios,
+  getScenarioById,
+  updateScenario,
+  calculateScenario,
+  deleteScenario,
+  compareScenarios
+};
@@ -75,7 +75,7 @@ const getProductStatus = async (req, res) => {
     const Product = await productService.getProductModel(req);
     
     const product = await Product.findOne({ code: productCode })
-      .select('code name description aiProcessingStatus category subCategory materials images createdDate modifiedDate');
+      .select('code name description aiProcessingStatus reviewStatus aiConfidence category subCategory materials images createdDate modifiedDate');
 
     if (!product) {
       return res.status(HTTP_STATUS.NOT_FOUND).json(formatResponse(
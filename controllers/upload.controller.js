@@ -9,6 +9,9 @@ const Unrar = require('node-unrar-js');
 const logger = require('../utils/logger');
 const { HTTP_STATUS, formatResponse } = require('../utils/http');
 const productService = require('../services/product.service');
+const importJobService = require('../services/importJob.service');
+const bomImportService = require('../services/bomImport.service');
+const importTemplateService = require('../services/importTemplate.service');
 const { retry, generateUUID, addQSToURL } = require('../utils/helpers');
 const { getOriginUrl, getAccount } = require('../middlewares/auth.middleware');
 const { 
@@ -35,7 +38,34 @@ const upload = multer({
   limits: { fileSize: 200 * 1024 * 1024 } // 100MB limit
 });
 /**
- * Bulk upload products from Excel/CSV
+ * Whether an upload asks for a preview (?preview=true or a preview field)
+ */
+const isPreview = (req) =>
+  [req.query?.preview, req.body?.preview].some(value => value === true || value === 'true');
+
+/**
+ * Records of parsed CSV rows, keyed by the header row. Like XLSX records,
+ * each carries its 0-based row in the file as a hidden `__rowNum__`.
+ * @param {Array} rows - Rows of cells
+ * @param {Number} headerRowOffset - Rows above the header row
+ * @returns {Array} One object per non-empty row below the header
+ */
+const csvRowsToRecords = (rows, headerRowOffset = 0) => {
+  const [headers = [], ...records] = rows.slice(headerRowOffset);
+  const columns = headers.map(header => String(header).trim());
+  return records
+    .map((row, index) => ({ row, rowNum: headerRowOffset + 1 + index }))
+    .filter(({ row }) => row.some(cell => String(cell).trim() !== ''))
+    .map(({ row, rowNum }) => Object.defineProperty(
+      Object.fromEntries(columns.map((column, index) => [column, row[index] ?? ''])),
+      '__rowNum__',
+      { value: rowNum }
+    ));
+};
+
+/**
+ * Bulk upload products from Excel/CSV. With preview, the rows are checked
+ * and compared to the stored products instead of being imported.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
@@ -49,19 +79,35 @@ const bulkUploadProducts = async (req, res) => {
         .json(formatResponse(false, null, "No file uploaded"));
     }
 
-    const Product = await productService.getProductModel(req);
+    // A saved import template supplies the settings the upload leaves out
+    let template = null;
+    if (req.body.templateId) {
+      template = await importTemplateService.getImportTemplateById(req, req.body.templateId);
+      if (!template) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json(formatResponse(
+          false,
+          null,
+          "Import template not found"
+        ));
+      }
+    }
+    const settings = importTemplateService.resolveUploadSettings(req.body, template);
+    const settingsError = importTemplateService.validateHeaderRowOffset(settings.headerRowOffset) ||
+      importTemplateService.validateUnitConversions(settings.unitConversions);
+    if (settingsError) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(formatResponse(false, null, settingsError));
+    }
+    const { headerRowOffset } = settings;
+
     const fileExtension = req.file.originalname.split('.').pop().toLowerCase();
     let products = [];
+    let workbook = null;
 
     if (fileExtension === 'csv') {
-      // Parse CSV file from disk
+      // Parse CSV file from disk into rows, so that quoted cells may span lines
       const csvContent = fs.readFileSync(req.file.path, 'utf8');
       const Papa = require('papaparse');
-      const parseResult = Papa.parse(csvContent, {
-        header: true,
-        skipEmptyLines: true,
-        transformHeader: header => header.trim()
-      });
+      const parseResult = Papa.parse(csvContent, { header: false });
       
       if (parseResult.errors && parseResult.errors.length > 0) {
         return res.status(HTTP_STATUS.BAD_REQUEST).json(formatResponse(
@@ -72,13 +118,13 @@ const bulkUploadProducts = async (req, res) => {
         ));
       }
       
-      products = parseResult.data;
+      products = csvRowsToRecords(parseResult.data, headerRowOffset);
     } else {
       // Parse Excel file from disk
-      const workbook = XLSX.readFile(req.file.path);
+      workbook = XLSX.readFile(req.file.path);
       
       // Use selected sheet if provided, otherwise use first sheet
-      const sheetName = req.body.selectedSheet || workbook.SheetNames[0];
+      const sheetName = settings.selectedSheet || workbook.SheetNames[0];
       
       if (!workbook.Sheets[sheetName]) {
         return res.status(HTTP_STATUS.BAD_REQUEST).json(formatResponse(
@@ -89,7 +135,7 @@ const bulkUploadProducts = async (req, res) => {
       }
       
       const sheet = workbook.Sheets[sheetName];
-      products = XLSX.utils.sheet_to_json(sheet);
+      products = XLSX.utils.sheet_to_json(sheet, { range: headerRowOffset });
     }
 
     if (!products || products.length === 0) {
@@ -100,28 +146,21 @@ const bulkUploadProducts = async (req, res) => {
       ));
     }
 
-    // Get field mappings from request body
-    const fieldMappings = {
-      code: req.body.codeField,
-      name: req.body.nameField,
-      description: req.body.descriptionField,
-      weight: req.body.weightField,
-      countryOfOrigin: req.body.countryOfOriginField,
-      supplierName: req.body.supplierNameField,
-      category: req.body.categoryField,
-      subCategory: req.body.subCategoryField
-    };
+    // Get field mappings from request body and template
+    const fieldMappings = importJobService.getFieldMappings(settings);
 
     // Validate required field mappings
     const requiredMappings = ['code', 'name', 'description'];
     const missingMappings = requiredMappings.filter(field => !fieldMappings[field]);
     
     if (missingMappings.length > 0) {
+      const suggestedTemplates = await importTemplateService.suggestImportTemplates(req, {
+        headers: Object.keys(products[0])
+      });
       return res.status(HTTP_STATUS.BAD_REQUEST).json(formatResponse(
         false,
-        null,
-        "Required field mappings missing",
-        { missingMappings: missingMappings.map(field => `${field}Field`) }
+        { missingMappings: missingMappings.map(field => `${field}Field`), suggestedTemplates },
+        "Required field mappings missing"
       ));
     }
 
@@ -151,109 +190,98 @@ const bulkUploadProducts = async (req, res) => {
       }
     }
 
-    // Map products using field mappings from frontend
-    const normalizedProducts = products.map(product => {
-      const normalizedProduct = {};
-      
-      // Apply field mappings
-      Object.keys(fieldMappings).forEach(schemaField => {
-        const csvField = fieldMappings[schemaField];
-        if (csvField && product.hasOwnProperty(csvField)) {
-          normalizedProduct[schemaField] = product[csvField];
-        }
-      });
-      
-      // Add creation date and modified date
-      normalizedProduct.createdDate = new Date();
-      normalizedProduct.modifiedDate = new Date();
-      
-      return normalizedProduct;
-    });
+    // BOM and process lines, from their own sheets or from columns of the
+    // product rows (long format)
+    const sheetMappings = bomImportService.getSheetMappings(settings, fieldMappings);
+    const sheets = {};
+    for (const kind of Object.keys(sheetMappings).filter(kind => sheetMappings[kind])) {
+      const sheetName = settings[`${kind}Sheet`] || null;
+      if (sheetName && (!workbook || !workbook.Sheets[sheetName])) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json(formatResponse(
+          false,
+          null,
+          `Sheet '${sheetName}' not found in Excel file`
+        ));
+      }
 
-    // Validate required fields
-    const validationErrors = {};
-    const requiredFields = ['code', 'name', 'description'];
-    
-    normalizedProducts.forEach((product, index) => {
-      requiredFields.forEach(field => {
-        if (!product[field] || String(product[field]).trim() === '') {
-          const csvField = fieldMappings[field];
-          validationErrors[`Row ${index + 2}, ${field}`] = `is required (mapped from column '${csvField}')`;
-        }
-      });
-    });
+      const records = sheetName
+        ? XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { range: headerRowOffset })
+        : products;
+      const headers = [...new Set(records.flatMap(record => Object.keys(record)))];
+      const mappingError = bomImportService.validateSheetMappings(kind, sheetMappings[kind], headers);
+      if (mappingError) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json(formatResponse(
+          false,
+          mappingError.details,
+          mappingError.message
+        ));
+      }
+      sheets[kind] = {
+        name: sheetName,
+        records,
+        mappings: sheetMappings[kind],
+        defaultUnit: settings.unitConversions[`${kind}Weight`],
+        headerRowOffset
+      };
+    }
 
-    if (Object.keys(validationErrors).length > 0) {
-      return res.status(HTTP_STATUS.BAD_REQUEST).json(formatResponse(
-        false,
-        null,
-        "Validation failed",
-        { 
-          validationErrors,
+    // Map products using field mappings from frontend; rows missing a
+    // required field or with an invalid weight are rejected
+    let rows = importJobService.buildImportRows(products, fieldMappings, { headerRowOffset });
+    importTemplateService.applyUploadSettings(rows, settings);
+    let unmatchedLines = [];
+    if (Object.keys(sheets).length > 0) {
+      if (Object.values(sheets).some(sheet => !sheet.name)) {
+        rows = bomImportService.collapseLongFormatRows(rows);
+      }
+      ({ unmatched: unmatchedLines } = bomImportService.attachSheetLines(rows, sheets));
+    }
+
+    // Preview: what the upload would do, without storing anything
+    if (isPreview(req)) {
+      const preview = await importJobService.previewImport(req, rows);
+      return res.status(HTTP_STATUS.OK).json(formatResponse(
+        true,
+        {
+          filename: req.file.originalname,
+          templateId: template?._id || null,
           fieldMappings,
-          note: "Check that the mapped columns contain valid data for all rows"
-        }
+          sheetMappings,
+          ...preview,
+          unmatchedLines
+        },
+        `Preview of ${rows.length} rows; nothing was stored`
       ));
     }
 
-    // Send response immediately after validation
+    const job = await importJobService.createImportJob(req, {
+      filename: req.file.originalname,
+      templateId: template?._id,
+      fieldMappings,
+      columns: [...new Set(products.flatMap(product => Object.keys(product)))],
+      totalRows: rows.length
+    });
+
+    // Send response immediately; rows are imported in the background and
+    // their outcomes recorded on the import job
     res
       .status(HTTP_STATUS.CREATED)
       .json(formatResponse(true, {
-        totalProducts: normalizedProducts.length,
-        message: `File processed successfully. Creating ${normalizedProducts.length} products in background.`
+        jobId: job._id,
+        totalProducts: rows.length,
+        invalidRows: rows.filter(row => row.messages.length > 0).length,
+        unmatchedLines,
+        statusUrl: `/api/products/imports/${job._id}`,
+        message: `File processed successfully. Importing ${rows.length} products in background.`
       }));
     responseSent = true;
 
-    // Process products in background after sending response
-    setImmediate(async () => {
-      try {
-        logger.info(`📦 Starting background product processing for ${normalizedProducts.length} products`);
-        
-        const processedProducts = [];
-        const updateCounts = { created: 0, updated: 0 };
-
-        for (const productData of normalizedProducts) {
-          try {
-            // Check if product with same code already exists
-            const existingProduct = await Product.findOne({ code: productData.code });
-            
-            if (existingProduct) {
-              // Update existing product
-              productData.createdDate = existingProduct.createdDate; // Preserve original creation date
-              productData.aiProcessingStatus = 'pending'; // Mark for AI processing
-              
-              const updatedProduct = await Product.findOneAndUpdate(
-                { code: productData.code },
-                productData,
-                { new: true, runValidators: true }
-              );
-              
-              processedProducts.push(updatedProduct);
-              updateCounts.updated++;
-              logger.info(`✅ Updated existing product: ${productData.code}`);
-            } else {
-              // Create new product
-              productData.aiProcessingStatus = 'pending'; // Mark for AI processing
-              const newProduct = new Product(productData);
-              const savedProduct = await newProduct.save();
-              
-              processedProducts.push(savedProduct);
-              updateCounts.created++;
-              logger.info(`✅ Created new product: ${productData.code}`);
-            }
-          } catch (productError) {
-            logger.error(`❌ Error processing product ${productData.code}: ${productError.message}`);
-            // Continue with other products
-          }
-        }
-
-        logger.info(`🎉 Background product processing completed: ${updateCounts.created} created, ${updateCounts.updated} updated`);
-        
-      } catch (backgroundError) {
-        logger.error(`❌ Error in background product processing: ${backgroundError.message}`);
-      }
-    });
+    setImmediate(() => importJobService.runImportJob(req, job._id, rows)
+      .catch(error => logger.error(`Import job ${job._id} stopped:`, error)));
+    if (template) {
+      importTemplateService.markTemplateUsed(req, template._id)
+        .catch(error => logger.error("Error recording import template use:", error));
+    }
   } catch (error) {
     logger.error("Product upload error:", error);
     if (!responseSent) {
@@ -278,7 +306,8 @@ const bulkUploadProducts = async (req, res) => {
   }
 };
 
-// AI Processing Function - to be called after images are uploaded
+// AI Processing Function - to be called after images are uploaded. Products
+// over the account's AI budget stay pending; the rejection is rethrown.
 const processProductAI = async (req) => {
   try {
     const aiProcessingQueue = require("../utils/aiProcessingQueue");
@@ -299,6 +328,9 @@ const processProductAI = async (req) => {
 
   } catch (error) {
     logger.error("Error in processProductAI:", error);
+    if (error.statusCode === HTTP_STATUS.PAYMENT_REQUIRED) {
+      throw error;
+    }
   }
 };
 
@@ -539,10 +571,10 @@ const triggerAIProcessing = async (req, res) => {
     ));
   } catch (error) {
     logger.error("Manual AI processing trigger error:", error);
-    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(formatResponse(
+    res.status(error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR).json(formatResponse(
       false,
       null,
-      `Failed to trigger AI processing: ${error.message}`
+      error.statusCode ? error.message : `Failed to trigger AI processing: ${error.message}`
     ));
   }
 };
@@ -550,6 +582,7 @@ const triggerAIProcessing = async (req, res) => {
 module.exports = {
   upload,  // Export multer middleware for routes
   bulkUploadProducts,
+  isPreview,
   bulkImageUpload,
   triggerAIProcessing
 };
\ No newline at end of file
@@ -7,6 +7,7 @@
 
 const express = require('express');
 const aiProcessingQueue = require('../utils/aiProcessingQueue');
+const aiScheduler = require('../utils/aiScheduler');
 
 // Example usage functions
 async function exampleBulkProcessing() {
@@ -48,7 +49,7 @@ async function exampleBulkProcessing() {
 
   // Mock request object (normally from Express)
   const mockReq = {
-    get: (header) => header === 'x-iviva-account' ? 'example-account' : null
+    headers: { 'x-iviva-account': 'example-account' }
   };
 
   try {
@@ -56,11 +57,11 @@ async function exampleBulkProcessing() {
     await aiProcessingQueue.addToQueue(mockProducts, mockReq);
     
     // Monitor processing
-    const initialStatus = aiProcessingQueue.getStatus();
+    const initialStatus = await aiProcessingQueue.getStatus('example-account');
     console.log('📊 Initial queue status:', initialStatus);
 
     // Wait for processing to complete (in real app, you'd poll status endpoint)
-    console.log('⏳ Processing will continue in background...');
+    console.log('⏳ Processing will continue in background, and resumes after a restart...');
     console.log('💡 In production, monitor via GET /api/products/queue-status');
     
   } catch (error) {
@@ -73,16 +74,16 @@ async function exampleQueueManagement() {
   console.log('\n🔧 Queue Management Examples:');
 
   // Check current status
-  const status = aiProcessingQueue.getStatus();
+  const status = await aiProcessingQueue.getStatus();
   console.log('📊 Current status:', status);
 
   // Update configuration for higher volume processing
   aiProcessingQueue.batchSize = 300; // Reduce batch size for better stability
-  aiProcessingQueue.batchDelayMs = 45000; // 45 second delays instead of 60
+  aiScheduler.setMaxConcurrent(8); // Shared with interactive requests
   
   console.log('✅ Updated configuration:');
   console.log('  - Batch size: 300 products');
-  console.log('  - Batch delay: 45 seconds');
+  console.log('  - Concurrent AI requests: 8');
   
   // Stop processing (graceful shutdown)
   aiProcessingQueue.stop();
@@ -95,8 +96,8 @@ function exampleErrorHandling() {
   
   console.log('📋 Common scenarios:');
   console.log('1. Rate Limiting (429 errors):');
-  console.log('   → Increase batch delays or reduce batch size');
-  console.log('   → System automatically retries with exponential backoff');
+  console.log('   → The shared rate limiter pauses all requests for the retry-after the API returns');
+  console.log('   → Limits follow the x-ratelimit-* headers; lower OPENAI_RPM_LIMIT / OPENAI_TPM_LIMIT if the key is shared');
   
   console.log('\n2. Token Limit Exceeded:');
   console.log('   → System automatically calculates optimal batch sizes');
@@ -121,19 +122,16 @@ function examplePerformanceOptimization() {
   
   console.log('\n🏭 High Volume Processing (1000+ products):');
   console.log('  - batchSize: 300');
-  console.log('  - batchDelayMs: 45000 (45 seconds)');
   console.log('  - maxConcurrentRequests: 8');
   console.log('  - Expected rate: ~400 products/hour');
   
   console.log('\n🖼️ Image-Heavy Processing (many products with images):');
   console.log('  - batchSize: 200 (more individual processing)');
-  console.log('  - batchDelayMs: 60000 (1 minute)');
   console.log('  - maxConcurrentRequests: 6');
   console.log('  - Expected rate: ~180 products/hour');
   
   console.log('\n🔄 Mixed Processing (some images, some without):');
   console.log('  - batchSize: 400 (default works well)');
-  console.log('  - batchDelayMs: 50000 (50 seconds)');
   console.log('  - maxConcurrentRequests: 10');
   console.log('  - Expected rate: ~350 products/hour');
 }
@@ -165,7 +163,7 @@ await fetch('/api/products/queue-config', {
   headers: { 'Content-Type': 'application/json' },
   body: JSON.stringify({
     batchSize: 300,
-    batchDelayMs: 45000
+    maxConcurrentRequests: 8
   })
 });
   `);
@@ -0,0 +1,12 @@
+const mongoose = require("mongoose");
+
+// AI budgets of an account in USD; anything unset falls back to the budgets
+// of the account plan, null means no limit
+const AccountAIBudgetSchema = new mongoose.Schema({
+  account_id: { type: String, required: true, index: true },
+  monthlyBudgetUsd: { type: Number, min: 0 },
+  jobBudgetUsd: { type: Number, min: 0 },
+  modifiedDate: { type: Date, default: Date.now },
+});
+
+module.exports = AccountAIBudgetSchema; // Export only the schema, NOT a model
@@ -0,0 +1,15 @@
+const mongoose = require("mongoose");
+
+// AI spending of an account in one calendar month (UTC)
+const AccountAISpendSchema = new mongoose.Schema({
+  account_id: { type: String, required: true },
+  month: { type: String, required: true }, // YYYY-MM
+  cost_usd: { type: Number, default: 0 },
+  total_tokens: { type: Number, default: 0 },
+  requests: { type: Number, default: 0 },
+  modifiedDate: { type: Date, default: Date.now },
+});
+
+AccountAISpendSchema.index({ account_id: 1, month: 1 }, { unique: true });
+
+module.exports = AccountAISpendSchema; // Export only the schema, NOT a model
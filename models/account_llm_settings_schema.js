@@ -0,0 +1,18 @@
+const mongoose = require("mongoose");
+
+// LLM provider and model settings of an account; anything unset falls back to
+// the environment defaults. Endpoints and keys are never stored here.
+const AccountLLMSettingsSchema = new mongoose.Schema({
+  account_id: { type: String, required: true, index: true },
+  provider: {
+    type: String,
+    enum: ["openai", "azure", "openai_compatible", "fixture"],
+  },
+  model: { type: String },
+  temperature: { type: Number, min: 0, max: 2 },
+  maxTokens: { type: Number, min: 1 },
+  deployment: { type: String }, // Azure OpenAI deployment name
+  modifiedDate: { type: Date, default: Date.now },
+});
+
+module.exports = AccountLLMSettingsSchema; // Export only the schema, NOT a model
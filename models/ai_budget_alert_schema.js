@@ -0,0 +1,17 @@
+const mongoose = require("mongoose");
+
+// Raised once per month when an account's AI spending reaches a share of its
+// monthly budget
+const AIBudgetAlertSchema = new mongoose.Schema({
+  account_id: { type: String, required: true },
+  month: { type: String, required: true }, // YYYY-MM
+  threshold: { type: Number, required: true }, // 0.5, 0.8 or 1
+  budgetUsd: { type: Number, required: true },
+  spentUsd: { type: Number, required: true },
+  createdDate: { type: Date, default: Date.now },
+});
+
+AIBudgetAlertSchema.index({ account_id: 1, month: 1, threshold: 1 }, { unique: true });
+AIBudgetAlertSchema.index({ createdDate: -1 });
+
+module.exports = AIBudgetAlertSchema; // Export only the schema, NOT a model
@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+
+// One product waiting for AI processing. Items live in the shared queue
+// database so any instance can resume them after a restart.
+const AIQueueItemSchema = new mongoose.Schema({
+  account: { type: String, required: true, index: true },
+  productId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  productCode: { type: String },
+  status: {
+    type: String,
+    enum: ["queued", "leased", "paused", "completed", "failed"],
+    default: "queued",
+    index: true
+  },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 5 },
+  // Paused items (over the account's AI budget) resume at this time too
+  nextRunAt: { type: Date, default: Date.now, index: true },
+  // Worker holding the item; the lease lapses if the worker dies
+  leaseOwner: { type: String, default: null },
+  leaseExpiresAt: { type: Date, default: null },
+  lastError: { type: String, default: null },
+  // Classify again instead of reusing cached classifications
+  bypassCache: { type: Boolean, default: false },
+  completedAt: { type: Date },
+  // Completed and failed items are removed by MongoDB at this time
+  expiresAt: { type: Date },
+  createdDate: { type: Date, default: Date.now },
+  modifiedDate: { type: Date, default: Date.now },
+});
+
+AIQueueItemSchema.index({ status: 1, nextRunAt: 1 });
+AIQueueItemSchema.index({ account: 1, productId: 1, status: 1 });
+AIQueueItemSchema.index({ account: 1, status: 1, nextRunAt: 1 });
+// A product waits in the queue at most once per account
+AIQueueItemSchema.index(
+  { account: 1, productId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: { $in: ["queued", "leased", "paused"] } },
+  }
+);
+AIQueueItemSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = AIQueueItemSchema; // Export only the schema, NOT a model
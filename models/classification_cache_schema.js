@@ -0,0 +1,22 @@
+const mongoose = require("mongoose");
+
+// Stored result of an AI classification, found again by the hash of everything
+// the result depends on. Entries are removed by MongoDB once they expire.
+const ClassificationCacheSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  kind: { type: String, required: true, index: true },
+  plan: { type: String },
+  model: { type: String },
+  factorVersion: { type: String },
+  promptVersion: { type: Number },
+  productName: { type: String },
+  result: { type: mongoose.Schema.Types.Mixed, required: true },
+  hits: { type: Number, default: 0 },
+  lastHitAt: { type: Date },
+  createdDate: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+});
+
+ClassificationCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = ClassificationCacheSchema; // Export only the schema, NOT a model
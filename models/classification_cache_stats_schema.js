@@ -0,0 +1,12 @@
+const mongoose = require("mongoose");
+
+// Lookup counters of the classification cache, one document per kind
+const ClassificationCacheStatsSchema = new mongoose.Schema({
+  kind: { type: String, required: true, unique: true },
+  hits: { type: Number, default: 0 },
+  misses: { type: Number, default: 0 },
+  bypassed: { type: Number, default: 0 },
+  modifiedDate: { type: Date, default: Date.now },
+});
+
+module.exports = ClassificationCacheStatsSchema; // Export only the schema, NOT a model
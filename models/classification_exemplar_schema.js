@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+
+// A product whose AI results an analyst corrected and approved, shown to the
+// model as an example when similar products are classified
+const ClassificationExemplarSchema = new mongoose.Schema({
+  productId: { type: mongoose.Schema.Types.ObjectId, required: true, unique: true },
+  productCode: { type: String },
+  name: { type: String, required: true },
+  description: { type: String, default: "" },
+  category: { type: String, index: true },
+  subCategory: { type: String, index: true },
+  weight: { type: Number, default: 0 },
+  materials: {
+    type: [{
+      materialClass: { type: String, required: true },
+      specificMaterial: { type: String },
+      weight: { type: Number, required: true },
+      _id: false
+    }],
+    default: []
+  },
+  reviewer: { type: String },
+  createdDate: { type: Date, default: Date.now },
+  modifiedDate: { type: Date, default: Date.now },
+});
+
+module.exports = ClassificationExemplarSchema; // Export only the schema, NOT a model
@@ -0,0 +1,13 @@
+const mongoose = require("mongoose");
+
+// Exemplar settings of an account; anything unset falls back to the
+// environment defaults
+const ClassificationExemplarSettingsSchema = new mongoose.Schema({
+  account_id: { type: String, required: true, index: true },
+  enabled: { type: Boolean },
+  maxExamples: { type: Number, min: 1, max: 10 },
+  comparisonRate: { type: Number, min: 0, max: 1 },
+  modifiedDate: { type: Date, default: Date.now },
+});
+
+module.exports = ClassificationExemplarSettingsSchema; // Export only the schema, NOT a model
@@ -0,0 +1,14 @@
+const mongoose = require("mongoose");
+
+// One classification that was given exemplars. A sample of them is also run
+// without exemplars to see whether the exemplars changed the result.
+const ClassificationExemplarUseSchema = new mongoose.Schema({
+  kind: { type: String, required: true, index: true },
+  productCode: { type: String },
+  exemplarIds: { type: [mongoose.Schema.Types.ObjectId], default: [] },
+  compared: { type: Boolean, default: false },
+  changed: { type: Boolean },
+  createdDate: { type: Date, default: Date.now, index: true },
+});
+
+module.exports = ClassificationExemplarUseSchema; // Export only the schema, NOT a model
@@ -0,0 +1,20 @@
+const mongoose = require("mongoose");
+
+// Data quality of one material or process line (pedigree indicators 1 = best, 5 = worst)
+const DataQualitySchema = new mongoose.Schema({
+  matchTier: { type: String },
+  matchDescription: { type: String },
+  dataOrigin: { type: String, enum: ['user', 'ai', 'supplier'] },
+  matchedCountry: { type: String },
+  reliability: { type: Number, min: 1, max: 5 },
+  completeness: { type: Number, min: 1, max: 5 },
+  temporal: { type: Number, min: 1, max: 5 },
+  geographical: { type: Number, min: 1, max: 5 },
+  technological: { type: Number, min: 1, max: 5 },
+  score: { type: Number },
+  rating: { type: String },
+  lines: { type: Number },
+  weakLines: { type: Number },
+}, { _id: false });
+
+module.exports = DataQualitySchema; // Export only the schema, NOT a model
@@ -0,0 +1,12 @@
+const mongoose = require("mongoose");
+
+// Aggregate data quality of a product or project
+const DataQualitySummarySchema = new mongoose.Schema({
+  score: { type: Number },
+  rating: { type: String, default: "unknown" },
+  lines: { type: Number, default: 0 },
+  weakLines: { type: Number, default: 0 },
+  byTier: { type: Map, of: Number, default: {} },
+}, { _id: false });
+
+module.exports = DataQualitySummarySchema; // Export only the schema, NOT a model
@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+const ImpactSchema = require("./impact_schema");
+const UncertaintySchema = require("./uncertainty_schema");
+
+// Account-specific (supplier-specific) factor that overrides the shared factor database
+const EmissionFactorSchema = new mongoose.Schema({
+  type: { type: String, enum: ['material', 'process'], default: 'material', index: true },
+  materialClass: { type: String, required: true, index: true },
+  specificMaterial: { type: String, required: true, index: true },
+  countryOfOrigin: { type: String, default: "GLO" },
+  process: { type: String, default: "" },
+  value: { type: Number, required: true, min: 0 },
+  unit: { type: String, default: "kg CO2e/kg" }, // Per functional unit, e.g. "kg CO2e/m2"
+  massPerUnit: { type: Number, min: 0 }, // kg per functional unit, to apply the factor to lines in kg
+  impacts: { type: ImpactSchema },
+  uncertainty: { type: UncertaintySchema },
+  source: { type: String, default: "Supplier-specific" },
+  supplierName: { type: String },
+  reference: { type: String },
+  validFrom: { type: Date },
+  validTo: { type: Date },
+  notes: { type: String },
+  createdDate: { type: Date, default: Date.now },
+  modifiedDate: { type: Date, default: Date.now },
+});
+
+module.exports = EmissionFactorSchema; // Export only the schema, NOT a model
@@ -0,0 +1,14 @@
+const mongoose = require("mongoose");
+const { IMPACT_CATEGORY_KEYS } = require("../utils/impactCategories");
+
+// One Number path per impact category (gwp, water, acidification, ...);
+// null for categories that were not assessed
+const ImpactSchema = new mongoose.Schema(
+  IMPACT_CATEGORY_KEYS.reduce((fields, key) => {
+    fields[key] = { type: Number, default: null };
+    return fields;
+  }, {}),
+  { _id: false }
+);
+
+module.exports = ImpactSchema; // Export only the schema, NOT a model
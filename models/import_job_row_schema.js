@@ -0,0 +1,20 @@
+const mongoose = require("mongoose");
+
+// Outcome of one row of an import job, stored apart from the job so that
+// uploads of any size fit
+const ImportJobRowSchema = new mongoose.Schema({
+  jobId: { type: mongoose.Schema.Types.ObjectId, ref: "ImportJob", required: true },
+  rowNumber: { type: Number, required: true }, // Row in the file, the first row being 1
+  code: { type: String },
+  outcome: { type: String, enum: ["created", "updated", "rejected"], required: true },
+  productId: { type: mongoose.Schema.Types.ObjectId },
+  messages: { type: [String], default: undefined }, // Why the row was rejected
+  // Values of a rejected row as uploaded, for the error report
+  source: { type: mongoose.Schema.Types.Mixed },
+});
+
+// Rows of a job, optionally of one outcome, in file order
+ImportJobRowSchema.index({ jobId: 1, outcome: 1, rowNumber: 1 });
+ImportJobRowSchema.index({ jobId: 1, rowNumber: 1 });
+
+module.exports = ImportJobRowSchema; // Export only the schema, NOT a model
@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+
+// A bulk product upload, processed after the upload request has returned.
+// The outcomes of its rows are stored per row, see import_job_row_schema.
+const ImportJobSchema = new mongoose.Schema({
+  account_id: { type: String, required: true, index: true },
+  filename: { type: String },
+  status: {
+    type: String,
+    enum: ["processing", "completed", "completed_with_errors", "failed"],
+    default: "processing",
+    index: true,
+  },
+  templateId: { type: mongoose.Schema.Types.ObjectId, default: null }, // Import template of the upload
+  fieldMappings: { type: mongoose.Schema.Types.Mixed },
+  // Column names of the file, in order, for the error report
+  columns: { type: [String], default: [] },
+  totalRows: { type: Number, default: 0 },
+  counts: {
+    processed: { type: Number, default: 0 },
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    rejected: { type: Number, default: 0 },
+  },
+  error: { type: String, default: null }, // Why a failed job stopped
+  finishedAt: { type: Date, default: null },
+  createdDate: { type: Date, default: Date.now, index: true },
+  modifiedDate: { type: Date, default: Date.now },
+});
+
+module.exports = ImportJobSchema; // Export only the schema, NOT a model
@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+// Saved settings of a bulk upload, reused for files with the same layout
+const ImportTemplateSchema = new mongoose.Schema({
+  account_id: { type: String, required: true, index: true },
+  name: { type: String, required: true, trim: true },
+  description: { type: String, default: "" },
+  // Upload field -> column, e.g. { codeField: "Item No", bomWeightField: "Qty" }
+  mappings: { type: mongoose.Schema.Types.Mixed, default: {} },
+  selectedSheet: { type: String, default: null },
+  bomSheet: { type: String, default: null },
+  processSheet: { type: String, default: null },
+  headerRowOffset: { type: Number, min: 0, default: 0 }, // Rows above the header row
+  // Weight field -> unit of the uploaded values, e.g. { weight: "g" }
+  unitConversions: { type: mongoose.Schema.Types.Mixed, default: {} },
+  // Product field -> transforms applied in order, e.g. { countryOfOrigin: ["countryName"] }
+  transforms: { type: mongoose.Schema.Types.Mixed, default: {} },
+  lastUsedAt: { type: Date, default: null },
+  createdDate: { type: Date, default: Date.now },
+  modifiedDate: { type: Date, default: Date.now },
+});
+
+ImportTemplateSchema.index({ account_id: 1, name: 1 }, { unique: true });
+
+module.exports = ImportTemplateSchema; // Export only the schema, NOT a model
@@ -0,0 +1,14 @@
+const mongoose = require("mongoose");
+const ImpactSchema = require("./impact_schema");
+const { LIFE_CYCLE_MODULE_KEYS } = require("../utils/lifeCycleStages");
+
+// One impact vector per EN 15804 module (A1_A3, A4, A5, B1 ... C4, D)
+const LifeCycleModulesSchema = new mongoose.Schema(
+  LIFE_CYCLE_MODULE_KEYS.reduce((fields, key) => {
+    fields[key] = { type: ImpactSchema };
+    return fields;
+  }, {}),
+  { _id: false }
+);
+
+module.exports = LifeCycleModulesSchema; // Export only the schema, NOT a model
@@ -1,4 +1,9 @@
 const mongoose = require("mongoose");
+const ImpactSchema = require("./impact_schema");
+const LifeCycleModulesSchema = require("./life_cycle_modules_schema");
+const DataQualitySchema = require("./data_quality_schema");
+const DataQualitySummarySchema = require("./data_quality_summary_schema");
+const UncertaintySchema = require("./uncertainty_schema");
 
 const ProductSchema = new mongoose.Schema({
   code: { type: String, required: true ,index: true},
@@ -6,6 +11,11 @@ const ProductSchema = new mongoose.Schema({
   description: { type: String ,index: true},
   images: { type: [String] , default: []},
   weight: { type: Number , default: 0},
+  // What one product is in the unit projects count it in, e.g. 2.4 m2 of cladding
+  declaredUnit: {
+    unit: { type: String },
+    amount: { type: Number, min: 0 }
+  },
   countryOfOrigin: { type: String , default: "Unknown"},
   category: { type: String  ,index: true, default: "Uncategorized"},
   subCategory: { type: String ,index: true ,default: "Uncategorized"},
@@ -16,20 +26,144 @@ const ProductSchema = new mongoose.Schema({
   co2Emission: { type: Number , default: 0},
   co2EmissionRawMaterials: { type: Number , default: 0},
   co2EmissionFromProcesses: { type: Number , default: 0},
+  impacts: {
+    rawMaterials: { type: ImpactSchema },
+    processes: { type: ImpactSchema },
+    total: { type: ImpactSchema }
+  },
+  // EN 15804 inputs beyond cradle-to-gate; omitted values contribute 0
+  lifeCycle: {
+    installation: {
+      wastePercentage: { type: Number, default: 0 },
+      energyKWh: { type: Number, default: 0 }
+    },
+    use: {
+      serviceLifeYears: { type: Number, default: 1 },
+      country: { type: String },
+      directEmissionsPerYear: { type: Number, default: 0 },
+      maintenancePerYear: { type: Number, default: 0 },
+      repairPerYear: { type: Number, default: 0 },
+      replacements: { type: Number, default: 0 },
+      refurbishmentImpact: { type: Number, default: 0 },
+      annualEnergyKWh: { type: Number, default: 0 },
+      annualWaterM3: { type: Number, default: 0 }
+    },
+    endOfLife: {
+      deconstructionEnergyKWh: { type: Number, default: 0 },
+      transportKm: { type: Number, default: 50 },
+      scenarios: {
+        type: [{
+          materialClass: { type: String, required: true },
+          recycling: { type: Number, default: 0 },
+          incineration: { type: Number, default: 0 },
+          landfill: { type: Number, default: 0 }
+        }],
+        default: []
+      }
+    }
+  },
+  lifeCycleModules: { type: LifeCycleModulesSchema },
+  // Share (0-1) of the GWP whose lines are assessed for each impact category
+  impactCoverage: { type: ImpactSchema },
+  // Emission factor database version the stored results were calculated with
+  factorVersion: { type: String, index: true },
+  dataQuality: { type: DataQualitySummarySchema },
   aiProcessingStatus: { type: String, default: "" },
+  // Analyst review of AI-generated results: ai_draft -> in_review -> approved
+  // or rejected. Products entered without AI have no review status.
+  reviewStatus: {
+    type: String,
+    enum: ["ai_draft", "in_review", "approved", "rejected"],
+    index: true
+  },
+  review: {
+    reviewer: { type: String },
+    reviewedAt: { type: Date },
+    comment: { type: String },
+    // Whether an analyst corrected the AI results since the last AI run
+    corrected: { type: Boolean, default: false },
+    history: {
+      type: [{
+        status: { type: String },
+        reviewer: { type: String },
+        comment: { type: String },
+        edited: { type: Boolean, default: false },
+        date: { type: Date, default: Date.now }
+      }],
+      default: []
+    }
+  },
+  // Confidence (0-1) of the last AI results, see review.service
+  aiConfidence: {
+    overall: { type: Number },
+    category: { type: Number },
+    bom: { type: Number },
+    manufacturing: { type: Number },
+    fallbackUsed: { type: Boolean, default: false },
+    lowConfidence: { type: Boolean, index: true },
+    // Other plausible classifications of the product
+    alternatives: {
+      type: [new mongoose.Schema({
+        category: String,
+        subcategory: String,
+        confidence: Number
+      }, { _id: false })],
+      default: undefined
+    }
+  },
   materials: {
     type: [{
       materialClass: { type: String, required: true },
       specificMaterial: { type: String },
-      weight: { type: Number, required: true },
+      weight: { type: Number, required: true }, // kg, derived for lines in other units
       unit: { type: String, required: true, default: "kg" },
+      // Lines in area, volume, energy or piece units: amount in `unit` and
+      // the mass of one unit (kg) or, for volumes, the density (kg/m³)
+      quantity: { type: Number },
+      massPerUnit: { type: Number },
+      density: { type: Number },
+      // Why the line could not be converted to the unit of its factor
+      unitError: { type: String },
       emissionFactor: { type: Number, required: true, default: 0 },
       specificMaterialEmissionFactor: { type: Number, required: true, default: 0 },
       reasoning: { type: String },
       EF_Source: {type: String },
       EF_Type: {type:String},
       countryOfOrigin :{type:String},
-      Type_Rationale: {type:String}
+      Type_Rationale: {type:String},
+      customFactorId: { type: mongoose.Schema.Types.ObjectId, ref: "EmissionFactor" },
+      impacts: { type: ImpactSchema },
+      dataOrigin: { type: String, enum: ['user', 'ai', 'supplier'], default: 'user' },
+      dataQuality: { type: DataQualitySchema },
+      // Distribution of the applied factor, when the factor entry provides one
+      factorUncertainty: { type: UncertaintySchema },
+      // Plausible weight range of AI-estimated lines (kg)
+      weightRange: {
+        type: new mongoose.Schema({ min: Number, max: Number }, { _id: false }),
+      },
+      // AI BOMs whose weights did not add up to the product weight
+      weightAdjustment: {
+        type: new mongoose.Schema({
+          declaredWeight: Number,
+          originalTotal: Number,
+          reprompted: Boolean,
+          rescaled: Boolean,
+          factor: Number,
+          originalWeight: Number
+        }, { _id: false })
+      },
+      // AI-estimated lines: confidence (0-1), other close materials and
+      // whether the material fell back to a default
+      confidence: { type: Number },
+      fallbackUsed: { type: Boolean },
+      alternatives: {
+        type: [new mongoose.Schema({
+          materialClass: String,
+          specificMaterial: String,
+          score: Number
+        }, { _id: false })],
+        default: undefined
+      }
     }],
     default: []  // Empty array default
   },
@@ -39,12 +173,42 @@ const ProductSchema = new mongoose.Schema({
       specificMaterial: { type: String, default: "" },
       weight: { type: Number, default: 0 },
       emissionFactor: { type: Number, required: true, default: 0 },
+      impacts: { type: ImpactSchema },
+      dataOrigin: { type: String, enum: ['user', 'ai', 'supplier'], default: 'user' },
+      dataQuality: { type: DataQualitySchema },
+      processEmissions: {
+        type: [{
+          process: { type: String },
+          emissionFactor: { type: Number, default: 0 },
+          weight: { type: Number, default: 0 },
+          emission: { type: Number, default: 0 },
+          impacts: { type: ImpactSchema },
+          EF_Type: { type: String },
+          customFactorId: { type: mongoose.Schema.Types.ObjectId, ref: "EmissionFactor" },
+          dataQuality: { type: DataQualitySchema },
+          factorUncertainty: { type: UncertaintySchema },
+          unitError: { type: String }
+        }],
+        default: []
+      },
       manufacturingProcesses: {
         type: [{
           category: { type: String, default: "" },
           processes: { type: [String], default: [] }
         }],
         default: []
+      },
+      // AI-estimated lines: confidence (0-1), other close processes and
+      // whether a process fell back to a default
+      confidence: { type: Number },
+      fallbackUsed: { type: Boolean },
+      alternatives: {
+        type: [new mongoose.Schema({
+          category: String,
+          process: String,
+          score: Number
+        }, { _id: false })],
+        default: undefined
       }
     }],
     default: []  // Empty array default
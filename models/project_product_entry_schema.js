@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+const ImpactSchema = require("./impact_schema");
+const { normalizeUnit } = require("../utils/units");
+
+const TransportationLegSchema = new mongoose.Schema({
+  transportMode: { type: String, required: true },
+  originCountry: { type: String, required: true },
+  destinationCountry: { type: String, required: true },
+  originGateway: { type: String, required: true },
+  destinationGateway: { type: String, required: true },
+  transportEmission: { type: Number, required: true },
+  transportDistance: { type: Number, required: true },
+  impacts: { type: ImpactSchema },
+}, { _id: true, id: false });
+
+// One packaging material of a product unit; a reused item (e.g. a pallet)
+// carries 1/reuseCount of its production emissions per trip
+const PackagingComponentSchema = new mongoose.Schema({
+  type: { type: String, required: true },
+  materialClass: { type: String },
+  specificMaterial: { type: String },
+  weight: { type: Number, required: true, min: 0 },
+  reuseCount: { type: Number, default: 1, min: 1 },
+}, { _id: true, id: false });
+
+// One product of a project-product mapping, with its transport to site.
+// The quantity is in pieces, the product's declared unit or a mass unit (see
+// utils/units toProductCount). Packaging, pallet and transport figures are
+// per product.
+const ProductMapSchema = new mongoose.Schema({
+  productID: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+  quantity: { type: Number, default: 1, min: 0 },
+  unit: {
+    type: String,
+    default: "pieces",
+    validate: { validator: (unit) => normalizeUnit(unit) !== null, message: "Unknown unit '{VALUE}'" }
+  },
+  packagingWeight: { type: Number, required: true },
+  palletWeight: { type: Number, required: true },
+  packaging: {
+    type: [PackagingComponentSchema],
+    default: []
+  },
+  // Set when the transport legs were calculated with the packaging weight included
+  transportIncludesPackaging: { type: Boolean, default: false },
+  totalTransportationEmission: { type: Number, required: true },
+  transportationImpacts: { type: ImpactSchema },
+  transportationLegs: {
+    type: [TransportationLegSchema],
+    default: []
+  }
+}, { _id: true, id: false });
+
+module.exports = ProductMapSchema; // Export only the schema, NOT a model
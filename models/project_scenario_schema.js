@@ -0,0 +1,65 @@
+const mongoose = require("mongoose");
+const ImpactSchema = require("./impact_schema");
+const LifeCycleModulesSchema = require("./life_cycle_modules_schema");
+const ProductMapSchema = require("./project_product_entry_schema");
+
+// What-if changes applied to one product of a scenario; the product itself is never modified
+const ScenarioOverridesSchema = new mongoose.Schema({
+  countryOfOrigin: { type: String },
+  quantity: { type: Number, min: 0 },
+  materialSubstitutions: {
+    type: [{
+      // Material line to substitute, or every line of fromMaterialClass/fromSpecificMaterial
+      lineId: { type: mongoose.Schema.Types.ObjectId },
+      fromMaterialClass: { type: String },
+      fromSpecificMaterial: { type: String },
+      materialClass: { type: String, required: true },
+      specificMaterial: { type: String, required: true },
+      // Share of the line's weight that is substituted (1 = whole line)
+      share: { type: Number, min: 0, max: 1, default: 1 }
+    }],
+    default: []
+  },
+  transportModes: {
+    type: [{
+      legId: { type: mongoose.Schema.Types.ObjectId, required: true },
+      transportMode: { type: String, required: true }
+    }],
+    default: []
+  }
+}, { _id: false });
+
+const ScenarioProductSchema = ProductMapSchema.clone();
+ScenarioProductSchema.add({
+  overrides: { type: ScenarioOverridesSchema, default: () => ({}) }
+});
+
+// Named copy of a project's product mapping with what-if overrides
+const ProjectScenarioSchema = new mongoose.Schema({
+  projectID: { type: mongoose.Schema.Types.ObjectId, ref: "Project", required: true, index: true },
+  name: { type: String, required: true },
+  description: { type: String, default: "" },
+  products: {
+    type: [ScenarioProductSchema],
+    default: []
+  },
+  // Results of the last calculation
+  totalProjectImpact: { type: Number, default: 0 },
+  totalMaterialsImpact: { type: Number, default: 0 },
+  totalManufacturingImpact: { type: Number, default: 0 },
+  totalTransportationImpact: { type: Number, default: 0 },
+  totalPackagingImpact: { type: Number, default: 0 },
+  impacts: {
+    materials: { type: ImpactSchema },
+    manufacturing: { type: ImpactSchema },
+    packaging: { type: ImpactSchema },
+    transportation: { type: ImpactSchema },
+    total: { type: ImpactSchema }
+  },
+  lifeCycleModules: { type: LifeCycleModulesSchema },
+  calculatedDate: { type: Date },
+  createdDate: { type: Date, default: Date.now },
+  modifiedDate: { type: Date, default: Date.now },
+});
+
+module.exports = ProjectScenarioSchema; // Export only the schema, NOT a model
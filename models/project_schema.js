@@ -1,9 +1,31 @@
 const mongoose = require("mongoose");
+const ImpactSchema = require("./impact_schema");
+const LifeCycleModulesSchema = require("./life_cycle_modules_schema");
+const DataQualitySummarySchema = require("./data_quality_summary_schema");
 
 const ProjectSchema = new mongoose.Schema({
   code: { type: String, required: true ,index: true},
   name: { type: String, required: true ,index: true},
-  
+  totalProjectImpact: { type: Number, default: 0 },
+  totalMaterialsImpact: { type: Number, default: 0 },
+  totalManufacturingImpact: { type: Number, default: 0 },
+  totalTransportationImpact: { type: Number, default: 0 },
+  totalPackagingImpact: { type: Number, default: 0 },
+  impacts: {
+    materials: { type: ImpactSchema },
+    manufacturing: { type: ImpactSchema },
+    packaging: { type: ImpactSchema },
+    transportation: { type: ImpactSchema },
+    total: { type: ImpactSchema }
+  },
+  lifeCycleModules: { type: LifeCycleModulesSchema },
+  // Factor database versions of the products in the last calculation
+  factorVersions: { type: [String], default: [] },
+  dataQuality: { type: DataQualitySummarySchema },
+  // Share (0-1) of the GWP assessed for each impact category
+  impactCoverage: { type: ImpactSchema },
+  createdDate: { type: Date, default: Date.now },
+  modifiedDate: { type: Date, default: Date.now },
 });
 
 module.exports = ProjectSchema; // Export only the schema, NOT a model
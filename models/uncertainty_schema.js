@@ -0,0 +1,14 @@
+const mongoose = require("mongoose");
+
+// Probability distribution of an emission factor. Lognormal spreads the value
+// (its median) by the geometric standard deviation; triangular and uniform
+// carry absolute bounds, with the value as the triangular mode by default.
+const UncertaintySchema = new mongoose.Schema({
+  distribution: { type: String, enum: ['lognormal', 'triangular', 'uniform'], required: true },
+  gsd: { type: Number, min: 1 },
+  min: { type: Number },
+  mode: { type: Number },
+  max: { type: Number },
+}, { _id: false });
+
+module.exports = UncertaintySchema; // Export only the schema, NOT a model
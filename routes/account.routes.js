@@ -11,6 +11,12 @@ router.route('/')
   .get(accountController.getAccountPlan)
   .post(accountController.createOrUpdateAccountPlan);
 
+// LLM provider settings (before /:id so the path is not taken for an ID)
+router.route('/llm-settings')
+  .get(accountController.getLLMSettings)
+  .put(accountController.updateLLMSettings)
+  .delete(accountController.deleteLLMSettings);
+
 router.route('/:id')
   .get(accountController.getAccountPlanById)
   .put(accountController.updateAccountPlanById)
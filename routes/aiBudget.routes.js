@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const aiBudgetController = require('../controllers/aiBudget.controller');
+const { validateAccount } = require('../middlewares/auth.middleware');
+
+// Apply account validation middleware
+router.use(validateAccount);
+
+router.get('/', aiBudgetController.getBudgetStatus);
+router.route('/settings')
+  .get(aiBudgetController.getBudgetSettings)
+  .put(aiBudgetController.updateBudgetSettings);
+router.post('/estimate', aiBudgetController.estimateCost);
+router.get('/alerts', aiBudgetController.getBudgetAlerts);
+router.post('/resume', aiBudgetController.resumeQueue);
+
+module.exports = router;
@@ -8,4 +8,8 @@ router.get('/subcategories', categoryController.getSubcategories);
 router.get('/productCategories', categoryController.getAllProductCategories);
 router.get('/manufacturingProcesses', categoryController.getAllManufacturingProcesses);
 
+// Emission factor database versions
+router.get('/factor-versions', categoryController.getFactorVersions);
+router.get('/factor-versions/:versionId', categoryController.getFactorVersion);
+
 module.exports = router;
\ No newline at end of file
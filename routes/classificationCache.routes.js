@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const classificationCacheController = require('../controllers/classificationCache.controller');
+const { validateAccount } = require('../middlewares/auth.middleware');
+
+// Apply account validation middleware
+router.use(validateAccount);
+
+router.route('/')
+  .get(classificationCacheController.getCacheStats)
+  .delete(classificationCacheController.clearCache);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const emissionFactorController = require('../controllers/emissionFactor.controller');
+const { validateAccount } = require('../middlewares/auth.middleware');
+
+// Apply account validation middleware
+router.use(validateAccount);
+
+// Account-specific emission factor routes
+router.route('/')
+  .post(emissionFactorController.createEmissionFactor)
+  .get(emissionFactorController.getAllEmissionFactors);
+
+router.route('/:id')
+  .get(emissionFactorController.getEmissionFactorById)
+  .put(emissionFactorController.updateEmissionFactor)
+  .delete(emissionFactorController.deleteEmissionFactor);
+
+module.exports = router;
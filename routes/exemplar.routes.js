@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const exemplarController = require('../controllers/exemplar.controller');
+const { validateAccount } = require('../middlewares/auth.middleware');
+
+// Apply account validation middleware
+router.use(validateAccount);
+
+router.get('/', exemplarController.getAllExemplars);
+
+// Settings and report (must come before /:id)
+router.route('/settings')
+  .get(exemplarController.getExemplarSettings)
+  .put(exemplarController.updateExemplarSettings);
+router.get('/report', exemplarController.getExemplarReport);
+
+router.delete('/:id', exemplarController.deleteExemplar);
+
+module.exports = router;
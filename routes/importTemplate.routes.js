@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const importTemplateController = require('../controllers/importTemplate.controller');
+const uploadController = require('../controllers/upload.controller');
+const { validateAccount } = require('../middlewares/auth.middleware');
+
+// Apply account validation middleware
+router.use(validateAccount);
+
+router.route('/')
+  .post(importTemplateController.createImportTemplate)
+  .get(importTemplateController.getAllImportTemplates);
+
+// Templates fitting a file (multipart "file") or its column names ({ headers })
+router.post('/suggest', uploadController.upload.single('file'), importTemplateController.suggestImportTemplates);
+
+router.route('/:id')
+  .get(importTemplateController.getImportTemplateById)
+  .put(importTemplateController.updateImportTemplate)
+  .delete(importTemplateController.deleteImportTemplate);
+
+module.exports = router;
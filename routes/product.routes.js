@@ -4,6 +4,8 @@ const productController = require('../controllers/product.controller');
 const uploadController = require('../controllers/upload.controller');
 const statusController = require('../controllers/status.controller');
 const aiQueueController = require('../controllers/aiQueue.controller');
+const reviewController = require('../controllers/review.controller');
+const importJobController = require('../controllers/importJob.controller');
 const { validateAccount } = require('../middlewares/auth.middleware');
 
 // Apply the account validation middleware to all routes
@@ -26,8 +28,16 @@ const timeoutMiddleware = (req, res, next) => {
 
 router.post('/bulk-image-upload', timeoutMiddleware, uploadController.upload.single('file'), uploadController.bulkImageUpload);
 router.post('/trigger-ai-processing', uploadController.triggerAIProcessing);
+
+// Import jobs of bulk uploads: row outcomes and error report
+router.get('/imports', importJobController.getImportJobs);
+router.get('/imports/:jobId', importJobController.getImportJob);
+router.get('/imports/:jobId/error-report', importJobController.downloadErrorReport);
 router.post('/delete-product-by-id', productController.deleteProductByID);
 
+// Recalculate against a factor database version (returns before/after diff)
+router.post('/recalculate', productController.recalculateAllProducts);
+
 // Status monitoring routes
 router.get('/processing-status', statusController.getProcessingStatus);
 router.get('/status/:productCode', statusController.getProductStatus);
@@ -40,10 +50,25 @@ router.post('/reset-failed', aiQueueController.resetFailedProducts);
 router.get('/processing-stats', aiQueueController.getProcessingStats);
 router.put('/queue-config', aiQueueController.updateQueueConfig);
 
+// Review of AI-generated results
+router.get('/reviews', reviewController.getProductsForReview);
+
 // Product routes with ID
 router.route('/:id')
   .get(productController.getProductById)
   .put(productController.updateProduct)
+  .patch(productController.patchProduct)
   .delete(productController.deleteProduct);
 
+router.patch('/:id/materials/:lineId', productController.updateMaterialLine);
+
+router.post('/:id/recalculate', productController.recalculateProduct);
+
+router.post('/:id/review/start', reviewController.startReview);
+router.post('/:id/review/approve', reviewController.approveProduct);
+router.post('/:id/review/reject', reviewController.rejectProduct);
+
+// Monte Carlo uncertainty of the product's GWP
+router.post('/:id/uncertainty', productController.simulateProductUncertainty);
+
 module.exports = router;
\ No newline at end of file
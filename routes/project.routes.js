@@ -22,4 +22,7 @@ router.route('/:id')
   .put(projectController.updateProject)
   .delete(projectController.deleteProject);
 
+// Monte Carlo uncertainty of the project's GWP
+router.post('/:id/uncertainty', projectController.simulateProjectUncertainty);
+
 module.exports = router;
\ No newline at end of file
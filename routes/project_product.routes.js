@@ -24,7 +24,8 @@ router.route('/project/:projectID')
 
 // Direct product management by project ID
 router.route('/project/:projectID/product')
-  .post(projectProductController.addProductToProjectByProjectId);
+  .post(projectProductController.addProductToProjectByProjectId)
+  .delete(projectProductController.removeProductsFromProjectByProjectId);
 
 router.route('/project/:projectID/product/:productID')
   .delete(projectProductController.removeProductFromProjectByProjectId);
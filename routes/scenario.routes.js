@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const scenarioController = require('../controllers/scenario.controller');
+const { validateAccount } = require('../middlewares/auth.middleware');
+
+// Apply account validation middleware
+router.use(validateAccount);
+
+// What-if scenarios of a project (mounted at /api/projects/:projectId/scenarios)
+router.route('/')
+  .post(scenarioController.createScenario)
+  .get(scenarioController.getScenarios);
+
+// Comparison route (must come before /:scenarioId to avoid conflicts)
+router.get('/compare', scenarioController.compareScenarios);
+
+router.route('/:scenarioId')
+  .get(scenarioController.getScenarioById)
+  .put(scenarioController.updateScenario)
+  .delete(scenarioController.deleteScenario);
+
+router.post('/:scenarioId/calculate', scenarioController.calculateScenario);
+
+module.exports = router;
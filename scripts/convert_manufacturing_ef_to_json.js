@@ -1,15 +1,45 @@
 const fs = require('fs');
 const path = require('path');
 const { normalizeCountryCode } = require('../utils/countryMappings');
+const { IMPACT_CATEGORIES } = require('../utils/impactCategories');
+const { parseUncertainty } = require('../utils/monteCarlo');
+const { publishFactorVersion, setDefaultFactorVersion } = require('../utils/factorDatabase');
+
+/**
+ * Read the target factor version from the command line:
+ *   --version <id> [--name <name>] [--source <source>] [--based-on <id>] [--set-default]
+ */
+function readVersionArgs() {
+  const args = process.argv.slice(2);
+  const valueOf = (flag) => {
+    const index = args.indexOf(flag);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+
+  const version = valueOf('--version');
+  if (!version) {
+    throw new Error('Missing --version <id>. Factor versions are immutable, so every import needs a new version id.');
+  }
+
+  return {
+    version,
+    name: valueOf('--name'),
+    source: valueOf('--source'),
+    basedOn: valueOf('--based-on'),
+    setDefault: args.includes('--set-default')
+  };
+}
 
 /**
  * Converts manufacturing_ef.csv to JSON format with columns A-D and K
+ * and publishes it as a new factor version
+ * Usage: node scripts/convert_manufacturing_ef_to_json.js --version ecoinvent-3.9-2025Q3 [--set-default]
  */
 function convertManufacturingEfToJson() {
   try {
+    const versionArgs = readVersionArgs();
     const dataDir = path.join(__dirname, '..', 'data');
     const inputFile = path.join(dataDir, 'manufacturing_ef.csv');
-    const outputFile = path.join(dataDir, 'manufacturing_ef.json');
     
     // Read the CSV file
     const csvContent = fs.readFileSync(inputFile, 'utf8');
@@ -33,6 +63,21 @@ function convertManufacturingEfToJson() {
     const targetColumns = [0, 1, 2, 3, 11]; // A=0, B=1, C=2, D=3, K=10
     const targetHeaders = ['countryOfOrigin', 'materialClass', 'specificMaterial', 'Process', 'EmissionFactor'];
     
+    // Optional non-GWP impact columns, located by header name
+    const impactColumns = Object.entries(IMPACT_CATEGORIES)
+      .filter(([key]) => key !== 'gwp')
+      .map(([key, category]) => ({ key, index: headers.indexOf(category.csvColumn) }))
+      .filter(column => column.index !== -1);
+    
+    // Optional uncertainty columns, located by header name
+    const uncertaintyColumns = {
+      distribution: headers.indexOf('Uncertainty Distribution'),
+      gsd: headers.indexOf('GSD'),
+      min: headers.indexOf('Uncertainty Min'),
+      mode: headers.indexOf('Uncertainty Mode'),
+      max: headers.indexOf('Uncertainty Max')
+    };
+    
     const jsonData = [];
     
     // Process data rows (skip header)
@@ -73,18 +118,48 @@ function convertManufacturingEfToJson() {
         record[headerName] = value;
       });
       
+      const impacts = {};
+      impactColumns.forEach(({ key, index }) => {
+        const numValue = parseFloat(columns[index]);
+        if (!isNaN(numValue)) {
+          impacts[key] = numValue;
+        }
+      });
+      if (Object.keys(impacts).length > 0) {
+        record['impacts'] = impacts;
+      }
+      
+      const uncertainty = parseUncertainty(
+        Object.fromEntries(
+          Object.entries(uncertaintyColumns)
+            .filter(([, index]) => index !== -1)
+            .map(([key, index]) => [key, columns[index]])
+        ),
+        record['EmissionFactor']
+      );
+      if (uncertainty) {
+        record['uncertainty'] = uncertainty;
+      }
+      
       // Only add records that have country, material info, and EF value
       if (record['countryOfOrigin'] && record['materialClass'] && record['EmissionFactor'] !== null) {
         jsonData.push(record);
       }
     }
     
-    // Write to JSON file
-    fs.writeFileSync(outputFile, JSON.stringify(jsonData, null, 2));
+    // Publish as a new immutable factor version
+    const manifest = publishFactorVersion(versionArgs.version, { manufacturing: jsonData }, {
+      name: versionArgs.name,
+      source: versionArgs.source || 'manufacturing_ef.csv',
+      basedOn: versionArgs.basedOn
+    });
+    if (versionArgs.setDefault) {
+      setDefaultFactorVersion(manifest.id);
+    }
     
     console.log(`Successfully converted manufacturing_ef.csv to JSON`);
     console.log(`Total records processed: ${jsonData.length}`);
-    console.log(`Output file: ${outputFile}`);
+    console.log(`Published factor version: ${manifest.id}${versionArgs.setDefault ? ' (default)' : ''}`);
     
   } catch (error) {
     console.error(`Error converting CSV to JSON: ${error.message}`);
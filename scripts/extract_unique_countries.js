@@ -1,8 +1,11 @@
 const fs = require('fs');
 const path = require('path');
 
-// Path to the JSON file
-const jsonPath = path.join(__dirname, '..', 'data', 'materials_database.json');
+const { getDefaultFactorVersion } = require('../utils/factorDatabase');
+
+// Path to the JSON file of the requested (or default) factor version
+const factorVersion = process.argv[2] || getDefaultFactorVersion();
+const jsonPath = path.join(__dirname, '..', 'data', 'factor_versions', factorVersion, 'materials_database.json');
 
 // Read and parse the JSON file
 try {
@@ -2,15 +2,88 @@ const fs = require('fs');
 const path = require('path');
 const Papa = require('papaparse');
 const { normalizeCountryCode } = require('../utils/countryMappings');
+const { IMPACT_CATEGORIES } = require('../utils/impactCategories');
+const { parseUncertainty } = require('../utils/monteCarlo');
+const { normalizeUnit } = require('../utils/units');
+const { publishFactorVersion, setDefaultFactorVersion } = require('../utils/factorDatabase');
 
 /**
- * Convert materials database CSV to JSON format similar to materials_database.json
+ * Read the optional non-GWP impact columns of a row
+ * GWP keeps coming from the 'kg CO2e' column as EmissionFactor
+ */
+function readImpactColumns(row) {
+  const impacts = {};
+  Object.entries(IMPACT_CATEGORIES).forEach(([key, category]) => {
+    if (key === 'gwp') return;
+    const value = parseFloat(row[category.csvColumn]);
+    if (!isNaN(value)) {
+      impacts[key] = value;
+    }
+  });
+  return Object.keys(impacts).length > 0 ? impacts : undefined;
+}
+
+/**
+ * Functional unit of a row's factor from its 'Per Unit' column, kg when
+ * empty or not a known unit
+ */
+function readFactorUnit(row) {
+  const unit = normalizeUnit(String(row['Per Unit'] || '').trim());
+  if (row['Per Unit'] && !unit) {
+    console.warn(`Unknown unit '${row['Per Unit']}' for ${row['Material Subtype']}, assuming kg`);
+  }
+  return unit || 'kg';
+}
+
+/**
+ * Read the optional uncertainty columns of a row
+ * ('Uncertainty Distribution' with 'GSD', or 'Uncertainty Min'/'Uncertainty Max')
+ */
+function readUncertaintyColumns(row, emissionFactor) {
+  return parseUncertainty({
+    distribution: row['Uncertainty Distribution'],
+    gsd: row['GSD'],
+    min: row['Uncertainty Min'],
+    mode: row['Uncertainty Mode'],
+    max: row['Uncertainty Max']
+  }, emissionFactor);
+}
+
+/**
+ * Read the target factor version from the command line:
+ *   --version <id> [--name <name>] [--source <source>] [--based-on <id>] [--set-default]
+ */
+function readVersionArgs() {
+  const args = process.argv.slice(2);
+  const valueOf = (flag) => {
+    const index = args.indexOf(flag);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+
+  const version = valueOf('--version');
+  if (!version) {
+    throw new Error('Missing --version <id>. Factor versions are immutable, so every import needs a new version id.');
+  }
+
+  return {
+    version,
+    name: valueOf('--name'),
+    source: valueOf('--source'),
+    basedOn: valueOf('--based-on'),
+    setDefault: args.includes('--set-default')
+  };
+}
+
+/**
+ * Convert materials database CSV to JSON and publish it as a new factor version
+ * Usage: node scripts/import_bom_db.js --version ecoinvent-3.9-2025Q3 [--set-default]
  */
 function convertFileToJson() {
+  const versionArgs = readVersionArgs();
+
   // Paths
   const dataDir = path.join(__dirname, '..', 'data');
   const csvFile = path.join(dataDir, 'materials_database.csv');
-  const outputFile = path.join(dataDir, 'materials_database.json');
 
   if (!fs.existsSync(csvFile)) {
     throw new Error('materials_database.csv not found in data directory');
@@ -55,25 +128,37 @@ function convertFileToJson() {
         const regionName = row['Country/Region'] || '';
         const countryOfOrigin = normalizeCountryCode(regionName);
         
+        const emissionFactor = parseFloat(parseFloat(row['kg CO2e']).toFixed(2)) || 0;
+        
         // Create entry in the format of materials_database.json with additional fields
         return {
           "countryOfOrigin": countryOfOrigin,
           "materialClass": row['Material Category'] || '',
           "specificMaterial": (row['Material Subtype'] || '').replace(/-/g, ' '),
-          "EmissionFactor": parseFloat(parseFloat(row['kg CO2e']).toFixed(2)) || 0,
+          "EmissionFactor": emissionFactor,
+          "unit": readFactorUnit(row),
           "EF_Source": row['EF Source'] || '',
           "Source_Dataset_Name": row['Source Dataset Name'] || '',
           "EF_Type": row['EF Type'] || '',
           "Type_Rationale": row['Type Rationale'] || '',
-          "Use_Case": row['Use Case'] || ''
+          "Use_Case": row['Use Case'] || '',
+          "impacts": readImpactColumns(row),
+          "uncertainty": readUncertaintyColumns(row, emissionFactor)
         };
       });
     
-    // Write results to JSON file
-    fs.writeFileSync(outputFile, JSON.stringify(results, null, 4));
+    // Publish as a new immutable factor version
+    const manifest = publishFactorVersion(versionArgs.version, { materials: results }, {
+      name: versionArgs.name,
+      source: versionArgs.source || 'materials_database.csv',
+      basedOn: versionArgs.basedOn
+    });
+    if (versionArgs.setDefault) {
+      setDefaultFactorVersion(manifest.id);
+    }
     
     console.log(`Conversion complete. ${results.length} materials processed.`);
-    console.log(`Output saved to: ${outputFile}`);
+    console.log(`Published factor version: ${manifest.id}${versionArgs.setDefault ? ' (default)' : ''}`);
     
     // Display summary by material class
     const summary = {};
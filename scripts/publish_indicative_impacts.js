@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+const { IMPACT_CATEGORY_KEYS } = require('../utils/impactCategories');
+const {
+  getFactorDatabase,
+  getDefaultFactorVersion,
+  publishFactorVersion,
+  setDefaultFactorVersion
+} = require('../utils/factorDatabase');
+
+/**
+ * Read the target factor version from the command line:
+ *   --version <id> [--based-on <id>] [--set-default]
+ */
+function readVersionArgs() {
+  const args = process.argv.slice(2);
+  const valueOf = (flag) => {
+    const index = args.indexOf(flag);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+
+  const version = valueOf('--version');
+  if (!version) {
+    throw new Error('Missing --version <id>. Factor versions are immutable, so every import needs a new version id.');
+  }
+
+  return {
+    version,
+    basedOn: valueOf('--based-on'),
+    setDefault: args.includes('--set-default')
+  };
+}
+
+/**
+ * Round every category of a vector to 4 significant digits
+ */
+function roundVector(impacts) {
+  return Object.fromEntries(
+    Object.entries(impacts).map(([key, value]) => [key, parseFloat(value.toPrecision(4))])
+  );
+}
+
+/**
+ * Indicative per-kg vector of a material: its own, else its class default
+ */
+function getMaterialVector(indicative, entry) {
+  const byClass = indicative.materials[entry.materialClass];
+  if (!byClass) return undefined;
+  return byClass[entry.specificMaterial] || byClass.default;
+}
+
+/**
+ * Indicative vector of a process, from its GWP per kg processed
+ */
+function getProcessVector(indicative, entry) {
+  const gwp = entry.EmissionFactor || 0;
+  return roundVector(
+    Object.fromEntries(
+      Object.entries(indicative.processIntensityPerKgCO2e).map(([key, intensity]) => [key, intensity * gwp])
+    )
+  );
+}
+
+/**
+ * Keep only known non-GWP categories; GWP stays the EmissionFactor column
+ */
+function toImpacts(vector) {
+  if (!vector) return undefined;
+  const impacts = {};
+  IMPACT_CATEGORY_KEYS.forEach((key) => {
+    if (key !== 'gwp' && typeof vector[key] === 'number') {
+      impacts[key] = vector[key];
+    }
+  });
+  return Object.keys(impacts).length > 0 ? impacts : undefined;
+}
+
+/**
+ * Publish a factor version that adds the indicative impact vectors of
+ * data/indicative_impacts.json to a base version. Entries that already carry
+ * impacts keep them; additional materials are appended when the base has no
+ * entry for them.
+ * Usage: node scripts/publish_indicative_impacts.js --version indicative-2026.1 [--based-on baseline] [--set-default]
+ */
+function publishIndicativeImpacts() {
+  const versionArgs = readVersionArgs();
+  const indicative = JSON.parse(
+    fs.readFileSync(path.join(__dirname, '..', 'data', 'indicative_impacts.json'), 'utf8')
+  );
+  const basedOn = versionArgs.basedOn || getDefaultFactorVersion();
+  const base = getFactorDatabase(basedOn);
+
+  const withImpacts = (entry, vector) =>
+    entry.impacts ? entry : { ...entry, impacts: toImpacts(vector) };
+
+  const materials = base.materials.map((entry) =>
+    withImpacts(entry, getMaterialVector(indicative, entry))
+  );
+  const manufacturing = base.manufacturing.map((entry) =>
+    withImpacts(entry, getProcessVector(indicative, entry))
+  );
+
+  const materialKey = (entry) =>
+    [entry.countryOfOrigin, entry.materialClass, entry.specificMaterial].join('|').toLowerCase();
+  const existing = new Set(materials.map(materialKey));
+  (indicative.additionalMaterials || []).forEach((entry) => {
+    if (!existing.has(materialKey(entry))) {
+      materials.push(withImpacts(entry, getMaterialVector(indicative, entry)));
+    }
+  });
+
+  const manifest = publishFactorVersion(versionArgs.version, { materials, manufacturing }, {
+    name: indicative.name,
+    description: indicative.description,
+    source: indicative.source,
+    basedOn
+  });
+  if (versionArgs.setDefault) {
+    setDefaultFactorVersion(manifest.id);
+  }
+
+  const assessed = (entries) => entries.filter((entry) => entry.impacts).length;
+  console.log(`Materials with impact vectors: ${assessed(materials)}/${materials.length}`);
+  console.log(`Processes with impact vectors: ${assessed(manufacturing)}/${manufacturing.length}`);
+  console.log(`Published factor version: ${manifest.id}${versionArgs.setDefault ? ' (default)' : ''}`);
+}
+
+// Run the script
+try {
+  publishIndicativeImpacts();
+} catch (error) {
+  console.error('Script failed:', error);
+  process.exit(1);
+}
@@ -23,9 +23,15 @@ app.use(cors({
 // Routes
 app.use('/api/products', require('./routes/product.routes'));
 app.use('/api/products/chunk-upload', require('./routes/chunkUpload.routes'));
+app.use('/api/projects/:projectId/scenarios', require('./routes/scenario.routes'));
 app.use('/api/projects', require('./routes/project.routes'));
 app.use('/api/project-product-mapping', require('./routes/project_product.routes'));
 app.use('/api/account-plan', require('./routes/account.routes'));
+app.use('/api/emission-factors', require('./routes/emissionFactor.routes'));
+app.use('/api/classification-cache', require('./routes/classificationCache.routes'));
+app.use('/api/classification-exemplars', require('./routes/exemplar.routes'));
+app.use('/api/ai-budget', require('./routes/aiBudget.routes'));
+app.use('/api/import-templates', require('./routes/importTemplate.routes'));
 app.use('/api', require('./routes/calculation.routes'));
 app.use('/api', require('./routes/home.routes'));
 app.use('/api', require('./routes/category.routes'));
@@ -43,6 +49,11 @@ const server = app.listen(PORT, () => {
   logger.info(`Server running in ${config.nodeEnv} mode on port ${PORT}`);
   logger.info(`MongoDB URI: ${config.mongodbUri ? 'SET' : 'NOT SET'}`);
   logger.info(`OpenAI API Key: ${process.env.OPENAI_API_KEY ? 'SET' : 'NOT SET'}`);
+
+  // Pick up AI processing left queued or leased by a previous run
+  if (config.mongodbUri) {
+    require('./utils/aiProcessingQueue').resume();
+  }
 });
 
 // Set server timeout for large file uploads
@@ -1,6 +1,7 @@
 const { getModel } = require('../config/database');
 const accountPlanSchema = require('../models/account_plan_schema');
 const accountAITokenSchema = require('../models/account_ai_tokens_schema');
+const accountLLMSettingsSchema = require('../models/account_llm_settings_schema');
 const { getAccount } = require('../middlewares/auth.middleware');
 const logger = require('../utils/logger');
 
@@ -19,6 +20,14 @@ const getAccountAITokenModel = async (account) => {
   return getModel(account, accountAITokenSchema, "AccountAIToken");
 };
 
+/**
+ * Get account LLM settings model
+ */
+const getAccountLLMSettingsModel = async (req) => {
+  const account = getAccount(req);
+  return getModel(account, accountLLMSettingsSchema, "AccountLLMSettings");
+};
+
 /**
  * Get account plan
  */
@@ -168,9 +177,42 @@ const resetAllAITokens = async (req) => {
   }
 };
 
+/**
+ * Get the LLM settings of an account
+ * @returns {Object|null} Stored settings, or null when the account uses the
+ *   environment defaults
+ */
+const getAccountLLMSettings = async (req) => {
+  const AccountLLMSettings = await getAccountLLMSettingsModel(req);
+  return AccountLLMSettings.findOne({ account_id: getAccount(req) }).lean();
+};
+
+/**
+ * Replace the LLM settings of an account
+ * @param {Object} settings - { provider, model, temperature, maxTokens, deployment }
+ */
+const setAccountLLMSettings = async (req, settings) => {
+  const AccountLLMSettings = await getAccountLLMSettingsModel(req);
+  const account_id = getAccount(req);
+  return AccountLLMSettings.findOneAndReplace(
+    { account_id },
+    { ...settings, account_id, modifiedDate: new Date() },
+    { upsert: true, new: true, runValidators: true }
+  ).lean();
+};
+
+/**
+ * Remove the LLM settings of an account, returning it to the environment defaults
+ */
+const deleteAccountLLMSettings = async (req) => {
+  const AccountLLMSettings = await getAccountLLMSettingsModel(req);
+  return AccountLLMSettings.findOneAndDelete({ account_id: getAccount(req) });
+};
+
 module.exports = {
   getAccountPlanModel,
   getAccountAITokenModel,
+  getAccountLLMSettingsModel,
   getAccountPlan,
   getAllAccountPlans,
   getAccountPlanById,
@@ -179,5 +221,8 @@ module.exports = {
   deleteAccountPlanById,
   updateAITokens,
   getAccountAITokens,
-  resetAllAITokens
+  resetAllAITokens,
+  getAccountLLMSettings,
+  setAccountLLMSettings,
+  deleteAccountLLMSettings
 };
\ No newline at end of file
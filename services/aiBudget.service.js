@@ -0,0 +1,365 @@
+const { getModel } = require('../config/database');
+const config = require('../config/environment');
+const accountAIBudgetSchema = require('../models/account_ai_budget_schema');
+const accountAISpendSchema = require('../models/account_ai_spend_schema');
+const aiBudgetAlertSchema = require('../models/ai_budget_alert_schema');
+const { getAccount } = require('../middlewares/auth.middleware');
+const { getAccountPlan } = require('./account.service');
+const { getLLMProvider } = require('../utils/llmProvider');
+const { estimateTokenCount } = require('../utils/batchAIProcessor');
+const { calculateOpenAICost } = require('../utils/utils');
+const logger = require('../utils/logger');
+
+/**
+ * AI budgets
+ *
+ * Every account has a monthly AI budget and a budget per job (one interactive
+ * classification, or the products sent to the processing queue at once), in
+ * USD. The account plan sets them; an account may set its own. Spending is
+ * recorded per calendar month (UTC) from the usage of every AI request.
+ *
+ * Before a job starts its cost is estimated from the products' text (see
+ * estimateTokenCount in batchAIProcessor) and the job is rejected if it would
+ * exceed either budget. Queued work of an account whose monthly budget is
+ * spent is paused until the next month or until the budget is raised.
+ * Alerts are raised when spending reaches 50, 80 and 100% of the monthly
+ * budget.
+ */
+
+const BUDGET_SETTINGS = ['monthlyBudgetUsd', 'jobBudgetUsd'];
+
+// Budgets in USD per plan, null for no limit
+const PLAN_BUDGETS = {
+  basic: { monthlyBudgetUsd: 10, jobBudgetUsd: 2 },
+  professional: { monthlyBudgetUsd: 100, jobBudgetUsd: 20 },
+  enterprise: { monthlyBudgetUsd: 1000, jobBudgetUsd: 200 }
+};
+
+// Plan of accounts without a plan entry, see account.service getAccountPlan
+const DEFAULT_PLAN = 'professional';
+
+// Shares of the monthly budget that raise an alert
+const ALERT_THRESHOLDS = [0.5, 0.8, 1];
+
+// AI requests per product: classification, BOM and manufacturing processes
+const AI_STEPS = 3;
+
+const createError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Get AI budget model
+ */
+const getBudgetModel = async (req) => {
+  const account = getAccount(req);
+  return getModel(account, accountAIBudgetSchema, 'AccountAIBudget');
+};
+
+/**
+ * Get AI spend model
+ */
+const getSpendModel = async (req) => {
+  const account = getAccount(req);
+  return getModel(account, accountAISpendSchema, 'AccountAISpend');
+};
+
+/**
+ * Get AI budget alert model
+ */
+const getAlertModel = async (req) => {
+  const account = getAccount(req);
+  return getModel(account, aiBudgetAlertSchema, 'AIBudgetAlert');
+};
+
+/**
+ * Calendar month (UTC) of a date as YYYY-MM
+ */
+const getMonth = (date = new Date()) => date.toISOString().slice(0, 7);
+
+/**
+ * Start of the month after a date, when monthly budgets start afresh
+ */
+const getNextMonthStart = (date = new Date()) =>
+  new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+
+const roundUsd = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Check account AI budgets before they are stored
+ * @param {Object} settings - { monthlyBudgetUsd, jobBudgetUsd }, null for no limit
+ * @returns {String|null} Error message, or null when valid
+ */
+const validateBudgetSettings = (settings = {}) => {
+  const unknown = Object.keys(settings).filter((key) => !BUDGET_SETTINGS.includes(key));
+  if (unknown.length > 0) {
+    return `Unsupported AI budget settings: ${unknown.join(', ')}. Allowed: ${BUDGET_SETTINGS.join(', ')}`;
+  }
+  const invalid = BUDGET_SETTINGS.find(
+    (key) =>
+      settings[key] !== undefined &&
+      settings[key] !== null &&
+      (typeof settings[key] !== 'number' || !Number.isFinite(settings[key]) || settings[key] < 0)
+  );
+  if (invalid) {
+    return `${invalid} must be a non-negative number, or null for no limit`;
+  }
+  return null;
+};
+
+/**
+ * Stored AI budgets of the account, or null
+ */
+const getStoredBudgetSettings = async (req) => {
+  const Budget = await getBudgetModel(req);
+  return Budget.findOne({ account_id: getAccount(req) }).lean();
+};
+
+/**
+ * Effective AI budgets: the budgets of the account plan with the account's
+ * own applied. A stored null removes the limit.
+ * @returns {Object} - { plan, monthlyBudgetUsd, jobBudgetUsd }
+ */
+const getBudgetSettings = async (req) => {
+  const [entry, stored] = await Promise.all([getAccountPlan(req), getStoredBudgetSettings(req)]);
+  const plan = PLAN_BUDGETS[entry?.plan] ? entry.plan : DEFAULT_PLAN;
+  const settings = { plan, ...PLAN_BUDGETS[plan] };
+  BUDGET_SETTINGS.forEach((key) => {
+    if (stored?.[key] !== undefined) {
+      settings[key] = stored[key];
+    }
+  });
+  return settings;
+};
+
+/**
+ * Replace the AI budgets of an account
+ * @param {Object} settings - { monthlyBudgetUsd, jobBudgetUsd }
+ */
+const setBudgetSettings = async (req, settings) => {
+  const Budget = await getBudgetModel(req);
+  const account_id = getAccount(req);
+  const stored = await Budget.findOneAndReplace(
+    { account_id },
+    { ...settings, account_id, modifiedDate: new Date() },
+    { upsert: true, new: true, runValidators: true }
+  ).lean();
+
+  // A lowered budget may already be reached
+  await checkBudgetAlerts(req);
+  return stored;
+};
+
+/**
+ * Spending and budgets of the account in the current month
+ * @returns {Object} - { month, plan, enforced, monthlyBudgetUsd, jobBudgetUsd,
+ *   spentUsd, totalTokens, requests, remainingUsd, usedShare, exhausted,
+ *   blocked, resetsAt } where
+ *   remainingUsd and usedShare are null without a monthly limit, and blocked
+ *   tells that new AI work is rejected and queued work paused
+ */
+const getBudgetStatus = async (req) => {
+  const month = getMonth();
+  const Spend = await getSpendModel(req);
+  const [settings, spend] = await Promise.all([
+    getBudgetSettings(req),
+    Spend.findOne({ account_id: getAccount(req), month }).lean()
+  ]);
+
+  const spentUsd = roundUsd(spend?.cost_usd || 0);
+  const limited = settings.monthlyBudgetUsd !== null;
+  const exhausted = limited && spentUsd >= settings.monthlyBudgetUsd;
+  let usedShare = null;
+  if (limited) {
+    usedShare = settings.monthlyBudgetUsd > 0
+      ? Math.round((spentUsd / settings.monthlyBudgetUsd) * 1000) / 1000
+      : (exhausted ? 1 : 0);
+  }
+
+  return {
+    month,
+    ...settings,
+    enforced: config.aiBudgets.enforced,
+    spentUsd,
+    totalTokens: spend?.total_tokens || 0,
+    requests: spend?.requests || 0,
+    remainingUsd: limited ? roundUsd(Math.max(settings.monthlyBudgetUsd - spentUsd, 0)) : null,
+    usedShare,
+    exhausted,
+    blocked: config.aiBudgets.enforced && exhausted,
+    resetsAt: getNextMonthStart()
+  };
+};
+
+/**
+ * Raise the alerts of the thresholds the month's spending has reached.
+ * Each threshold is raised once per month.
+ * @param {Object} status - Result of getBudgetStatus (optional)
+ * @returns {Array} Alerts raised now
+ */
+const checkBudgetAlerts = async (req, status) => {
+  const budget = status || await getBudgetStatus(req);
+  if (!budget.monthlyBudgetUsd) return [];
+
+  const reached = ALERT_THRESHOLDS.filter(
+    (threshold) => budget.spentUsd >= threshold * budget.monthlyBudgetUsd
+  );
+  if (reached.length === 0) return [];
+
+  const Alert = await getAlertModel(req);
+  const account_id = getAccount(req);
+  const raised = [];
+
+  for (const threshold of reached) {
+    const alert = {
+      account_id,
+      month: budget.month,
+      threshold,
+      budgetUsd: budget.monthlyBudgetUsd,
+      spentUsd: budget.spentUsd,
+      createdDate: new Date()
+    };
+    try {
+      const result = await Alert.updateOne(
+        { account_id, month: budget.month, threshold },
+        { $setOnInsert: alert },
+        { upsert: true }
+      );
+      if (result.upsertedCount > 0) {
+        raised.push(alert);
+        logger.warn(`⚠️ ${account_id} has spent $${budget.spentUsd} of its $${budget.monthlyBudgetUsd} AI budget for ${budget.month} (${threshold * 100}%)`);
+      }
+    } catch (error) {
+      // Raised at the same time by another request
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  return raised;
+};
+
+/**
+ * Add the cost of an AI request to the account's spending of the month
+ * @param {Object} req - Request with the account header
+ * @param {Number} costUsd - Cost of the request
+ * @param {Number} tokens - Tokens of the request
+ */
+const recordAISpend = async (req, costUsd, tokens = 0) => {
+  const Spend = await getSpendModel(req);
+  await Spend.updateOne(
+    { account_id: getAccount(req), month: getMonth() },
+    {
+      $inc: { cost_usd: costUsd, total_tokens: tokens, requests: 1 },
+      $set: { modifiedDate: new Date() }
+    },
+    { upsert: true }
+  );
+
+  if (costUsd > 0) {
+    await checkBudgetAlerts(req);
+  }
+};
+
+/**
+ * Alerts of the account, newest first
+ * @param {Object} options - { month } to list the alerts of one month (YYYY-MM)
+ */
+const getBudgetAlerts = async (req, options = {}) => {
+  const Alert = await getAlertModel(req);
+  const filter = options.month ? { month: options.month } : {};
+  return Alert.find(filter).sort({ createdDate: -1 }).limit(100).lean();
+};
+
+/**
+ * Estimate the cost of running AI for products
+ * @param {Object} req - Request with the account header
+ * @param {Array} products - [{ code, name, description }]
+ * @param {Number} requests - AI requests per product (default: the full
+ *   pipeline of classification, BOM and manufacturing processes)
+ * @returns {Object} - { products, requests, estimatedTokens, estimatedCostUsd,
+ *   pricingModel } at no cost for models without a price
+ */
+const estimateAICost = async (req, products, requests = AI_STEPS) => {
+  const tokens = estimateTokenCount(
+    products.map((product) => ({
+      code: product.code || '',
+      name: product.name || '',
+      description: product.description || ''
+    }))
+  );
+
+  const llm = await getLLMProvider(req);
+  const usage = {
+    prompt_tokens: (tokens.inputTokens + tokens.overhead) * requests,
+    completion_tokens: tokens.responseTokens * requests
+  };
+  const cost = llm.pricingModel ? await calculateOpenAICost(usage, llm.pricingModel) : { totalCost: 0 };
+
+  return {
+    products: products.length,
+    requests,
+    estimatedTokens: usage.prompt_tokens + usage.completion_tokens,
+    estimatedCostUsd: cost.totalCost,
+    pricingModel: llm.pricingModel
+  };
+};
+
+/**
+ * Whether the account's budgets allow an AI job
+ * @param {Object} req - Request with the account header
+ * @param {Array} products - Products of the job ({ code, name, description })
+ * @param {Object} options - { requests } AI requests per product
+ * @returns {Object} - { allowed, reason, estimate, budget }
+ */
+const checkAIBudget = async (req, products, options = {}) => {
+  const [estimate, budget] = await Promise.all([
+    estimateAICost(req, products, options.requests),
+    getBudgetStatus(req)
+  ]);
+
+  let reason = null;
+  if (budget.exhausted) {
+    reason = `The monthly AI budget of $${budget.monthlyBudgetUsd} is spent ($${budget.spentUsd} in ${budget.month})`;
+  } else if (budget.jobBudgetUsd !== null && estimate.estimatedCostUsd > budget.jobBudgetUsd) {
+    reason = `The estimated AI cost of $${estimate.estimatedCostUsd} exceeds the budget of $${budget.jobBudgetUsd} per job`;
+  } else if (budget.remainingUsd !== null && estimate.estimatedCostUsd > budget.remainingUsd) {
+    reason = `The estimated AI cost of $${estimate.estimatedCostUsd} exceeds the $${budget.remainingUsd} left of the monthly AI budget`;
+  }
+
+  return { allowed: !reason || !budget.enforced, reason, estimate, budget };
+};
+
+/**
+ * Reject an AI job the account's budgets do not allow
+ * @throws {Error} 402 with the reason
+ * @returns {Object} Result of checkAIBudget
+ */
+const assertAIBudget = async (req, products, options = {}) => {
+  const check = await checkAIBudget(req, products, options);
+  if (!check.allowed) {
+    throw createError(402, check.reason);
+  }
+  if (check.reason) {
+    logger.warn(`⚠️ ${getAccount(req)}: ${check.reason}; budgets are not enforced`);
+  }
+  return check;
+};
+
+module.exports = {
+  BUDGET_SETTINGS,
+  PLAN_BUDGETS,
+  ALERT_THRESHOLDS,
+  validateBudgetSettings,
+  getStoredBudgetSettings,
+  getBudgetSettings,
+  setBudgetSettings,
+  getBudgetStatus,
+  checkBudgetAlerts,
+  recordAISpend,
+  getBudgetAlerts,
+  estimateAICost,
+  checkAIBudget,
+  assertAIBudget
+};
@@ -0,0 +1,327 @@
+const { getModel } = require('../config/database');
+const config = require('../config/environment');
+const aiQueueItemSchema = require('../models/ai_queue_item_schema');
+const { pickWeighted } = require('../utils/aiScheduler');
+
+const STATUSES = ['queued', 'leased', 'paused', 'completed', 'failed'];
+
+// Statuses of items still waiting to be processed
+const WAITING_STATUSES = ['queued', 'leased', 'paused'];
+
+/**
+ * Get the queue item model. Items of all accounts share one database so a
+ * starting instance can find every account's pending work.
+ */
+const getQueueItemModel = async () =>
+  getModel(config.aiQueueDatabase, aiQueueItemSchema, 'AIQueueItem');
+
+/**
+ * Items a worker may take: queued and due, paused until a time that has
+ * passed, or leased by a worker whose lease has lapsed (e.g. the instance was
+ * stopped mid-batch)
+ */
+const claimableFilter = (now = new Date()) => ({
+  $or: [
+    { status: { $in: ['queued', 'paused'] }, nextRunAt: { $lte: now } },
+    { status: 'leased', leaseExpiresAt: { $lte: now } }
+  ]
+});
+
+/**
+ * Queue products of an account. Products already waiting are not queued twice:
+ * a unique index allows one waiting item per product, so an upsert that loses
+ * a race with another instance fails with a duplicate key and is run again to
+ * update the item the other instance queued.
+ * @param {String} account - Account the products belong to
+ * @param {Array} products - Product documents ({ _id, code })
+ * @param {Object} options - { maxAttempts, bypassCache } where bypassCache
+ *   also applies to products already waiting
+ * @returns {Number} Number of newly queued products
+ */
+const enqueueProducts = async (account, products, options = {}) => {
+  if (products.length === 0) return 0;
+
+  const QueueItem = await getQueueItemModel();
+  const now = new Date();
+  const operations = products.map((product) => ({
+    updateOne: {
+      filter: { account, productId: product._id, status: { $in: WAITING_STATUSES } },
+      update: {
+        $setOnInsert: {
+          account,
+          productId: product._id,
+          productCode: product.code,
+          status: 'queued',
+          attempts: 0,
+          maxAttempts: options.maxAttempts || 5,
+          nextRunAt: now,
+          createdDate: now,
+          modifiedDate: now
+        },
+        ...(options.bypassCache && { $set: { bypassCache: true } })
+      },
+      upsert: true
+    }
+  }));
+
+  try {
+    const result = await QueueItem.bulkWrite(operations, { ordered: false });
+    return result.upsertedCount || 0;
+  } catch (error) {
+    const duplicates = (error.writeErrors || []).filter((writeError) => writeError.code === 11000);
+    if (duplicates.length === 0 || duplicates.length !== error.writeErrors.length) throw error;
+
+    // Queued meanwhile by another instance: the retry matches the waiting item
+    await QueueItem.bulkWrite(
+      duplicates.map((writeError) => operations[writeError.index]),
+      { ordered: false }
+    );
+    return error.upsertedCount || 0;
+  }
+};
+
+/**
+ * Lease the oldest due item of an account
+ */
+const claimAccountItem = async (QueueItem, workerId, account, leaseMs) => {
+  const now = new Date();
+  return QueueItem.findOneAndUpdate(
+    { ...claimableFilter(now), account },
+    {
+      $set: {
+        status: 'leased',
+        leaseOwner: workerId,
+        leaseExpiresAt: new Date(now.getTime() + leaseMs),
+        modifiedDate: now
+      },
+      $inc: { attempts: 1 }
+    },
+    { sort: { nextRunAt: 1 }, new: true }
+  ).lean();
+};
+
+/**
+ * Lease up to `limit` due items for a worker. Every account with due items is
+ * a sub-queue; the batch is filled from them by weighted round-robin, oldest
+ * items of each account first. Each lease counts as an attempt so an item that
+ * keeps crashing its worker is eventually failed.
+ * @param {String} workerId - Lease owner
+ * @param {Number} limit - Maximum number of items
+ * @param {Number} leaseMs - Lease duration
+ * @param {Function} getWeight - async (account) => scheduling weight (optional)
+ * @returns {Array} Leased items
+ */
+const claimItems = async (workerId, limit, leaseMs, getWeight = async () => 1) => {
+  const QueueItem = await getQueueItemModel();
+  const accounts = await QueueItem.distinct('account', claimableFilter());
+  const candidates = await Promise.all(
+    accounts.map(async (account) => ({ key: account, weight: await getWeight(account) }))
+  );
+  const credits = new Map();
+  const items = [];
+
+  while (items.length < limit && candidates.length > 0) {
+    const candidate = pickWeighted(candidates, credits);
+    const item = await claimAccountItem(QueueItem, workerId, candidate.key, leaseMs);
+
+    if (item) {
+      items.push(item);
+    } else {
+      candidates.splice(candidates.indexOf(candidate), 1);
+      credits.delete(candidate.key);
+    }
+  }
+
+  return items;
+};
+
+/**
+ * Extend the leases a worker still holds
+ */
+const renewLeases = async (workerId, itemIds, leaseMs) => {
+  if (itemIds.length === 0) return;
+  const QueueItem = await getQueueItemModel();
+  await QueueItem.updateMany(
+    { _id: { $in: itemIds }, status: 'leased', leaseOwner: workerId },
+    { $set: { leaseExpiresAt: new Date(Date.now() + leaseMs) } }
+  );
+};
+
+// Time at which a completed or failed item is removed
+const retentionExpiry = () =>
+  new Date(Date.now() + config.aiQueueRetentionDays * 24 * 60 * 60 * 1000);
+
+const finishItem = async (item, update) => {
+  const QueueItem = await getQueueItemModel();
+  await QueueItem.updateOne(
+    { _id: item._id },
+    { $set: { ...update, leaseOwner: null, leaseExpiresAt: null, modifiedDate: new Date() } }
+  );
+};
+
+/**
+ * Mark an item as processed
+ */
+const completeItem = (item) =>
+  finishItem(item, {
+    status: 'completed',
+    completedAt: new Date(),
+    expiresAt: retentionExpiry(),
+    lastError: null
+  });
+
+/**
+ * Put an item back in the queue after a failed attempt
+ * @param {Object} item - Queue item
+ * @param {Error} error - Failure of the attempt
+ * @param {Number} delayMs - Delay before the next attempt
+ */
+const rescheduleItem = (item, error, delayMs) =>
+  finishItem(item, {
+    status: 'queued',
+    nextRunAt: new Date(Date.now() + delayMs),
+    lastError: error?.message || 'Unknown error'
+  });
+
+/**
+ * Give up on an item
+ */
+const failItem = (item, error) =>
+  finishItem(item, {
+    status: 'failed',
+    expiresAt: retentionExpiry(),
+    lastError: error?.message || 'Unknown error'
+  });
+
+/**
+ * Pause the waiting work of an account, e.g. when its AI budget is spent.
+ * Leased items given back this way do not count as an attempt.
+ * @param {String} account - Account to pause
+ * @param {Array} items - Items of the account leased by the caller
+ * @param {Date} until - Time at which the items are resumed by themselves
+ * @param {String} reason - Stored as the items' last error
+ * @returns {Number} Number of paused items
+ */
+const pauseAccountItems = async (account, items, until, reason) => {
+  const QueueItem = await getQueueItemModel();
+  const update = {
+    status: 'paused',
+    nextRunAt: until,
+    leaseOwner: null,
+    leaseExpiresAt: null,
+    lastError: reason,
+    modifiedDate: new Date()
+  };
+
+  const [leased, queued] = await Promise.all([
+    items.length > 0
+      ? QueueItem.updateMany(
+        { _id: { $in: items.map((item) => item._id) }, status: 'leased' },
+        { $set: update, $inc: { attempts: -1 } }
+      )
+      : { modifiedCount: 0 },
+    QueueItem.updateMany({ account, status: 'queued' }, { $set: update })
+  ]);
+
+  return (leased.modifiedCount || 0) + (queued.modifiedCount || 0);
+};
+
+/**
+ * Queue the paused items of an account again
+ * @returns {Number} Number of resumed items
+ */
+const resumeAccountItems = async (account) => {
+  const QueueItem = await getQueueItemModel();
+  const now = new Date();
+  const result = await QueueItem.updateMany(
+    { account, status: 'paused' },
+    { $set: { status: 'queued', nextRunAt: now, lastError: null, modifiedDate: now } }
+  );
+  return result.modifiedCount || 0;
+};
+
+/**
+ * Time at which the next item becomes claimable, if any
+ * @returns {Date|null}
+ */
+const getNextRunAt = async () => {
+  const QueueItem = await getQueueItemModel();
+  const [queued, leased] = await Promise.all([
+    QueueItem.findOne({ status: { $in: ['queued', 'paused'] } }).sort({ nextRunAt: 1 }).select('nextRunAt').lean(),
+    QueueItem.findOne({ status: 'leased' }).sort({ leaseExpiresAt: 1 }).select('leaseExpiresAt').lean()
+  ]);
+
+  const times = [queued?.nextRunAt, leased?.leaseExpiresAt].filter(Boolean);
+  return times.length > 0 ? new Date(Math.min(...times.map((time) => new Date(time).getTime()))) : null;
+};
+
+/**
+ * Summary of the stored queue, for one account or all of them
+ * @param {String} account - Account to summarize (optional)
+ * @returns {Object} Counts per status, due and retrying items, active leases
+ *   and the most recent failures
+ */
+const getQueueSummary = async (account) => {
+  const QueueItem = await getQueueItemModel();
+  const match = account ? { account } : {};
+  const now = new Date();
+
+  const [statusCounts, due, retrying, leases, recentFailures] = await Promise.all([
+    QueueItem.aggregate([
+      { $match: match },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]),
+    QueueItem.countDocuments({ ...match, ...claimableFilter(now) }),
+    QueueItem.countDocuments({ ...match, status: 'queued', attempts: { $gt: 0 } }),
+    QueueItem.aggregate([
+      { $match: { ...match, status: 'leased' } },
+      {
+        $group: {
+          _id: '$leaseOwner',
+          items: { $sum: 1 },
+          leaseExpiresAt: { $min: '$leaseExpiresAt' }
+        }
+      }
+    ]),
+    QueueItem.find({ ...match, status: 'failed' })
+      .sort({ modifiedDate: -1 })
+      .limit(10)
+      .select('account productId productCode attempts lastError modifiedDate')
+      .lean()
+  ]);
+
+  const counts = STATUSES.reduce((result, status) => ({ ...result, [status]: 0 }), {});
+  statusCounts.forEach((stat) => {
+    if (Object.prototype.hasOwnProperty.call(counts, stat._id)) {
+      counts[stat._id] = stat.count;
+    }
+  });
+
+  return {
+    counts,
+    pending: counts.queued + counts.leased,
+    due,
+    retrying,
+    leases: leases.map((lease) => ({
+      owner: lease._id,
+      items: lease.items,
+      leaseExpiresAt: lease.leaseExpiresAt,
+      expired: new Date(lease.leaseExpiresAt) <= now
+    })),
+    recentFailures
+  };
+};
+
+module.exports = {
+  getQueueItemModel,
+  enqueueProducts,
+  claimItems,
+  renewLeases,
+  pauseAccountItems,
+  resumeAccountItems,
+  completeItem,
+  rescheduleItem,
+  failItem,
+  getNextRunAt,
+  getQueueSummary
+};
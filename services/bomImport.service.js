@@ -0,0 +1,382 @@
+const { getFactorDatabase } = require('../utils/factorDatabase');
+const { getSourceRowNumber } = require('../utils/helpers');
+const {
+  MASS_UNIT,
+  normalizeUnit,
+  isMassUnit,
+  listUnits,
+  normalizeLineUnit,
+  toFunctionalQuantity
+} = require('../utils/units');
+
+/**
+ * Bills of materials and manufacturing processes imported with products
+ *
+ * A bulk upload can bring the BOM and the processes of its products instead
+ * of leaving them to AI. They are read from a BOM sheet and a process sheet of
+ * the uploaded workbook, or, for CSV files and workbooks without such sheets,
+ * from extra columns of the product rows themselves (long format: one row per
+ * line, the product fields repeated on every row of a code). Lines are joined
+ * to products by their code and checked against the materials and
+ * manufacturing databases.
+ *
+ * BOM amounts are in the line's unit: masses are stored in kg, other units
+ * (m2, l, pieces…) as quantities with an optional mass per unit or density,
+ * and must match the unit of the material's factor. Process weights are
+ * masses.
+ *
+ * Imported lines are kept as supplier data. AI processing uses them instead
+ * of classifying the BOM or the processes of such products; the other
+ * products of the upload are classified as usual.
+ */
+
+const SHEET_KINDS = ['bom', 'process'];
+
+// Request fields mapping the columns of each sheet, by line field
+const SHEET_MAPPING_FIELDS = {
+  bom: {
+    code: 'bomCodeField',
+    materialClass: 'bomMaterialClassField',
+    specificMaterial: 'bomSpecificMaterialField',
+    weight: 'bomWeightField',
+    unit: 'bomUnitField',
+    massPerUnit: 'bomMassPerUnitField',
+    density: 'bomDensityField'
+  },
+  process: {
+    code: 'processCodeField',
+    materialClass: 'processMaterialClassField',
+    specificMaterial: 'processSpecificMaterialField',
+    process: 'processNameField',
+    weight: 'processWeightField'
+  }
+};
+
+const REQUIRED_LINE_FIELDS = {
+  bom: ['code', 'materialClass', 'specificMaterial', 'weight'],
+  process: ['code', 'materialClass', 'specificMaterial', 'process']
+};
+
+// Field telling whether a long-format row holds a line of the sheet
+const LINE_KEY_FIELDS = { bom: 'materialClass', process: 'process' };
+
+const SHEET_LABELS = { bom: 'BOM', process: 'Process' };
+
+const normalize = (value) => String(value ?? '').trim().toLowerCase();
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * Column mappings of the BOM and process sheets of an upload. A sheet is
+ * mapped once its material class column is; its code column defaults to the
+ * product code column.
+ * @param {Object} body - Upload request body
+ * @param {Object} fieldMappings - Product field mappings of the upload
+ * @returns {Object} - { bom, process }, each a field -> column map or null
+ */
+const getSheetMappings = (body = {}, fieldMappings = {}) =>
+  SHEET_KINDS.reduce((result, kind) => {
+    const fields = SHEET_MAPPING_FIELDS[kind];
+    if (!body[fields.materialClass]) {
+      return { ...result, [kind]: null };
+    }
+    const mappings = Object.keys(fields).reduce(
+      (mapped, field) => (body[fields[field]] ? { ...mapped, [field]: body[fields[field]] } : mapped),
+      {}
+    );
+    return { ...result, [kind]: { code: fieldMappings.code, ...mappings } };
+  }, {});
+
+/**
+ * Check the mappings of a sheet against its columns
+ * @param {String} kind - bom or process
+ * @param {Object} mappings - Result of getSheetMappings for the sheet
+ * @param {Array} headers - Columns of the sheet
+ * @returns {Object|null} - { message, details } or null when valid
+ */
+const validateSheetMappings = (kind, mappings, headers) => {
+  const fields = SHEET_MAPPING_FIELDS[kind];
+  const missingMappings = REQUIRED_LINE_FIELDS[kind].filter((field) => !mappings[field]);
+  if (missingMappings.length > 0) {
+    return {
+      message: `Required ${SHEET_LABELS[kind]} field mappings missing`,
+      details: { missingMappings: missingMappings.map((field) => fields[field]) }
+    };
+  }
+
+  const missingFields = Object.values(mappings).filter((column) => !headers.includes(column));
+  if (missingFields.length > 0) {
+    return {
+      message: `Mapped ${SHEET_LABELS[kind]} fields not found in uploaded file`,
+      details: { missingFields, availableFields: headers, fieldMappings: mappings }
+    };
+  }
+  return null;
+};
+
+/**
+ * Materials and processes of the factor database, by normalized name
+ */
+const buildCatalog = (factorDatabase) => {
+  const materials = new Map();
+  factorDatabase.materials.forEach((entry) => {
+    materials.set(`${normalize(entry.materialClass)}|${normalize(entry.specificMaterial)}`, entry);
+  });
+  const processes = new Map();
+  factorDatabase.manufacturing.forEach((entry) => {
+    processes.set(`${normalize(entry.materialClass)}|${normalize(entry.Process)}`, entry);
+  });
+  return { materials, processes };
+};
+
+/**
+ * Read an optional positive number of a line, or a problem with it
+ */
+const readPositive = (values, mappings, field, messages) => {
+  if (isBlank(values[field])) return undefined;
+  const value = Number(values[field]);
+  if (!Number.isFinite(value) || value <= 0) {
+    messages.push(`${field} must be a positive number (mapped from column '${mappings[field]}')`);
+    return undefined;
+  }
+  return value;
+};
+
+/**
+ * Read one sheet line: its code, its material as named in the materials
+ * database, its amount in stored units and the problems found
+ */
+const readLine = (kind, record, mappings, catalog, defaultUnit = MASS_UNIT) => {
+  const values = Object.keys(mappings).reduce(
+    (result, field) => ({ ...result, [field]: record[mappings[field]] }),
+    {}
+  );
+  const messages = REQUIRED_LINE_FIELDS[kind]
+    .filter((field) => isBlank(values[field]))
+    .map((field) => `${field} is required (mapped from column '${mappings[field]}')`);
+
+  const material = catalog.materials.get(`${normalize(values.materialClass)}|${normalize(values.specificMaterial)}`);
+  if (!isBlank(values.materialClass) && !isBlank(values.specificMaterial) && !material) {
+    messages.push(`unknown material '${values.materialClass} / ${values.specificMaterial}'`);
+  }
+
+  const line = {
+    code: isBlank(values.code) ? undefined : String(values.code).trim(),
+    materialClass: material ? material.materialClass : values.materialClass,
+    specificMaterial: material ? material.specificMaterial : values.specificMaterial
+  };
+
+  if (!isBlank(values.weight)) {
+    const amount = Number(values.weight);
+    const enteredUnit = isBlank(values.unit) ? defaultUnit : values.unit;
+    const unit = normalizeUnit(enteredUnit);
+    const massPerUnit = readPositive(values, mappings, 'massPerUnit', messages);
+    const density = readPositive(values, mappings, 'density', messages);
+    if (!Number.isFinite(amount) || amount < 0) {
+      messages.push(`weight must be a non-negative number (mapped from column '${mappings.weight}')`);
+    } else if (!unit) {
+      messages.push(`unsupported unit '${enteredUnit}'; use one of ${listUnits().join(', ')}`);
+    } else if (kind === 'process' && !isMassUnit(unit)) {
+      messages.push(`process weights must be a mass; use one of ${listUnits('mass').join(', ')}`);
+    } else {
+      Object.assign(line, normalizeLineUnit({ weight: amount, quantity: amount, unit, massPerUnit, density }));
+      // The factor of the material has to apply to the amount
+      const converted = kind === 'bom' && material ? toFunctionalQuantity(line, material) : {};
+      if (converted.error) messages.push(converted.error);
+    }
+  }
+
+  if (kind === 'process' && !isBlank(values.process)) {
+    const process = catalog.processes.get(`${normalize(values.materialClass)}|${normalize(values.process)}`);
+    if (process) {
+      line.process = process.Process;
+    } else {
+      line.process = String(values.process).trim();
+      if (material) messages.push(`unknown process '${line.process}' for ${material.materialClass}`);
+    }
+  }
+
+  return { line, messages };
+};
+
+/**
+ * Manufacturing process lines of a product: one line per material, its
+ * processes grouped under the material class. Lines without a weight of
+ * their own take the weight of the material in the product's BOM; a line
+ * with neither is returned as { missingWeight }.
+ */
+const buildProcessLines = (entries, materials = []) => {
+  const lines = new Map();
+  entries.forEach(({ line }) => {
+    const key = `${normalize(line.materialClass)}|${normalize(line.specificMaterial)}`;
+    if (!lines.has(key)) {
+      lines.set(key, {
+        materialClass: line.materialClass,
+        specificMaterial: line.specificMaterial,
+        weight: undefined,
+        processes: []
+      });
+    }
+    const processLine = lines.get(key);
+    // Rows of the same material repeat its weight for each process
+    if (processLine.weight === undefined) processLine.weight = line.weight;
+    if (!processLine.processes.includes(line.process)) processLine.processes.push(line.process);
+  });
+
+  return [...lines.entries()].map(([key, line]) => {
+    const bomLines = materials.filter(
+      (material) => `${normalize(material.materialClass)}|${normalize(material.specificMaterial)}` === key
+    );
+    // BOM lines in other units only have a weight with their mass per unit
+    const bomWeightKnown = bomLines.length > 0 &&
+      bomLines.every((material) => material.unit === MASS_UNIT || material.weight > 0);
+    if (line.weight === undefined && !bomWeightKnown) {
+      return { missingWeight: `${line.materialClass} / ${line.specificMaterial}` };
+    }
+    const weight = line.weight !== undefined
+      ? line.weight
+      : bomLines.reduce((sum, material) => sum + (material.weight || 0), 0);
+    return {
+      materialClass: line.materialClass,
+      specificMaterial: line.specificMaterial,
+      weight,
+      manufacturingProcesses: [{ category: line.materialClass, processes: line.processes }],
+      dataOrigin: 'supplier'
+    };
+  });
+};
+
+/**
+ * Keep one import row per product code when the product rows also hold
+ * lines (long format): the first row of a code holds the product fields
+ * @param {Array} rows - Result of buildImportRows
+ */
+const collapseLongFormatRows = (rows) => {
+  const seen = new Set();
+  return rows.filter((row) => {
+    if (isBlank(row.product.code)) return true;
+    const code = String(row.product.code).trim();
+    if (seen.has(code)) return false;
+    seen.add(code);
+    return true;
+  });
+};
+
+/**
+ * Join the lines of the BOM and process sheets to the import rows of their
+ * products. A product with an invalid line is rejected with the line's
+ * problems; lines of codes not in the upload are returned as unmatched.
+ * @param {Array} rows - Import rows (see importJob.service buildImportRows),
+ *   whose products receive `materials` and `productManufacturingProcess`
+ * @param {Object} sheets - { bom, process }, each { name, records, mappings,
+ *   defaultUnit, headerRowOffset } where name is the sheet name, or null for
+ *   columns of the product rows, and defaultUnit the unit of amounts
+ *   without a unit (kg)
+ * @param {Object} options - { factorDatabase }
+ * @returns {Object} - { unmatched: [{ sheet, rowNumber, code }] }
+ */
+const attachSheetLines = (rows, sheets, options = {}) => {
+  const catalog = buildCatalog(options.factorDatabase || getFactorDatabase());
+  const rowsByCode = new Map(
+    rows.filter((row) => !isBlank(row.product.code)).map((row) => [String(row.product.code).trim(), row])
+  );
+  const unmatched = [];
+  const linesByCode = { bom: new Map(), process: new Map() };
+
+  // Long-format rows holding both sheets repeat a BOM line for each of its
+  // processes; processes of a BOM line already read are not another line
+  const processColumn = sheets.process && !sheets.process.name ? sheets.process.mappings.process : null;
+  const bomLineProcesses = new Map();
+  const isRepeatedBOMLine = (record, mappings) => {
+    if (!processColumn) return false;
+    const key = ['code', 'materialClass', 'specificMaterial', 'weight', 'unit']
+      .map((field) => normalize(record[mappings[field]]))
+      .join('|');
+    const process = normalize(record[processColumn]);
+    const processes = bomLineProcesses.get(key);
+    if (!processes) {
+      bomLineProcesses.set(key, new Set([process]));
+      return false;
+    }
+    const repeated = !processes.has(process);
+    processes.add(process);
+    return repeated;
+  };
+
+  SHEET_KINDS.filter((kind) => sheets[kind]).forEach((kind) => {
+    const { name, records, mappings, defaultUnit, headerRowOffset = 0 } = sheets[kind];
+    const label = name ? `${SHEET_LABELS[kind]} sheet '${name}'` : SHEET_LABELS[kind];
+
+    records.forEach((record, index) => {
+      const rowNumber = getSourceRowNumber(record, index, headerRowOffset);
+      // Long-format rows without a line of this sheet only hold product fields
+      if (!name && isBlank(record[mappings[LINE_KEY_FIELDS[kind]]])) return;
+      if (kind === 'bom' && !name && isRepeatedBOMLine(record, mappings)) return;
+
+      const { line, messages } = readLine(kind, record, mappings, catalog, defaultUnit);
+      const row = rowsByCode.get(line.code);
+      if (!row) {
+        unmatched.push({ sheet: name || SHEET_LABELS[kind], rowNumber, code: line.code || null });
+        return;
+      }
+      messages.forEach((message) => row.messages.push(`${label} row ${rowNumber}: ${message}`));
+      if (!linesByCode[kind].has(line.code)) linesByCode[kind].set(line.code, []);
+      linesByCode[kind].get(line.code).push({ line, messages });
+    });
+  });
+
+  rowsByCode.forEach((row, code) => {
+    const bom = linesByCode.bom.get(code);
+    const processes = linesByCode.process.get(code);
+    if (bom) {
+      row.product.materials = bom.map(({ line }) => ({
+        materialClass: line.materialClass,
+        specificMaterial: line.specificMaterial,
+        weight: line.weight,
+        unit: line.unit,
+        quantity: line.quantity,
+        massPerUnit: line.massPerUnit,
+        density: line.density,
+        dataOrigin: 'supplier'
+      }));
+      // Processes of a replaced BOM are classified again unless imported too
+      row.product.productManufacturingProcess = [];
+    }
+    if (processes) {
+      const lines = buildProcessLines(processes, row.product.materials);
+      lines.filter((line) => line.missingWeight).forEach((line) => {
+        row.messages.push(`process lines of '${line.missingWeight}' need a weight: map ${SHEET_MAPPING_FIELDS.process.weight} or add the material to the BOM with its mass`);
+      });
+      row.product.productManufacturingProcess = lines.filter((line) => !line.missingWeight);
+    }
+  });
+
+  return { unmatched };
+};
+
+/**
+ * Imported lines of a product that AI processing keeps instead of
+ * classifying them again
+ * @param {Object} product - Stored product
+ * @returns {Object} - { materials, processes }, each the plain lines or null
+ *   when they are to be classified
+ */
+const getSuppliedLines = (product) => {
+  const supplied = (lines = []) =>
+    lines.length > 0 && lines.every((line) => line.dataOrigin === 'supplier')
+      ? lines.map((line) => (typeof line.toObject === 'function' ? line.toObject() : { ...line }))
+      : null;
+  return {
+    materials: supplied(product.materials),
+    processes: supplied(product.productManufacturingProcess)
+  };
+};
+
+module.exports = {
+  SHEET_MAPPING_FIELDS,
+  getSheetMappings,
+  validateSheetMappings,
+  collapseLongFormatRows,
+  attachSheetLines,
+  getSuppliedLines
+};
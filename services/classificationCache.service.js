@@ -0,0 +1,384 @@
+const crypto = require('crypto');
+const { getModel } = require('../config/database');
+const config = require('../config/environment');
+const classificationCacheSchema = require('../models/classification_cache_schema');
+const classificationCacheStatsSchema = require('../models/classification_cache_stats_schema');
+const { getAccount } = require('../middlewares/auth.middleware');
+const { getFactorDatabase } = require('../utils/factorDatabase');
+const { getLLMProvider } = require('../utils/llmProvider');
+const logger = require('../utils/logger');
+
+/**
+ * Classification cache
+ *
+ * AI classification results are stored per account, keyed by a hash of
+ * everything the result depends on: the product content (name, description,
+ * weight, image URL, BOM), the plan tier of the prompt, the model, the
+ * emission factor database version and the prompt version. Changing any of
+ * them misses the cache; bumping a prompt version retires its old entries.
+ * Entries expire after CLASSIFICATION_CACHE_TTL_DAYS.
+ */
+
+const CACHE_KINDS = [
+  'product',
+  'bom',
+  'bomBasic',
+  'manufacturing',
+  'manufacturingBasic',
+  'batchProduct',
+  'batchBom',
+  'batchManufacturing'
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get classification cache model
+ */
+const getClassificationCacheModel = async (req) => {
+  const account = getAccount(req);
+  return getModel(account, classificationCacheSchema, 'ClassificationCache');
+};
+
+/**
+ * Get classification cache stats model
+ */
+const getClassificationCacheStatsModel = async (req) => {
+  const account = getAccount(req);
+  return getModel(account, classificationCacheStatsSchema, 'ClassificationCacheStats');
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * JSON with object keys sorted, so equal inputs always hash the same
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+/**
+ * Cache key of a classification
+ * @param {Object} parts - { kind, plan, model, factorVersion, promptVersion, inputs }
+ * @returns {String} Hex SHA-256 hash
+ */
+const buildCacheKey = (parts) => sha256(stableStringify(parts));
+
+/**
+ * Identity of an image in cache keys: its normalized URL. Images are not
+ * downloaded for this; the URL is only passed on to the provider.
+ * @param {String} imageUrl - Absolute URL, or a path relative to BASE_URL
+ * @returns {String|null}
+ */
+const getImageKey = (imageUrl) => {
+  if (!imageUrl) return null;
+  const text = String(imageUrl).trim();
+  try {
+    const url = new URL(text);
+    url.hash = '';
+    return url.href;
+  } catch (error) {
+    // Relative paths are kept as they are
+    return text;
+  }
+};
+
+/**
+ * Whether a request asks for fresh classifications: set by the queue for
+ * items queued with bypassCache, or by a caller with `bypassCache: true` in
+ * the body or `?bypassCache=true`
+ */
+const shouldBypassCache = (req) =>
+  req?.bypassClassificationCache === true ||
+  req?.body?.bypassCache === true ||
+  req?.query?.bypassCache === 'true';
+
+const countLookups = async (req, kind, counts) => {
+  try {
+    const Stats = await getClassificationCacheStatsModel(req);
+    await Stats.updateOne(
+      { kind },
+      { $inc: counts, $set: { modifiedDate: new Date() } },
+      { upsert: true }
+    );
+  } catch (error) {
+    logger.error('❌ Error updating classification cache stats:', error);
+  }
+};
+
+/**
+ * Cache keys of a kind of classification for the current model and factor
+ * database
+ * @param {Object} req - Request with the account header
+ * @param {Object} options - { kind, plan, promptVersion }
+ * @param {Array} inputsList - Product content of each classification
+ * @returns {Object} - { keys, meta } where meta is stored with every entry
+ */
+const buildCacheKeys = async (req, { kind, plan = 'full', promptVersion }, inputsList) => {
+  const llm = await getLLMProvider(req);
+  const meta = {
+    kind,
+    plan,
+    model: llm.model,
+    factorVersion: getFactorDatabase().version,
+    promptVersion
+  };
+  return { keys: inputsList.map((inputs) => buildCacheKey({ ...meta, inputs })), meta };
+};
+
+/**
+ * Stored results for cache keys, counting each found entry as a hit
+ * @returns {Map} key -> result
+ */
+const readEntries = async (req, keys) => {
+  const Cache = await getClassificationCacheModel(req);
+  const now = new Date();
+  const entries = await Cache.find({ key: { $in: keys }, expiresAt: { $gt: now } })
+    .select('key result')
+    .lean();
+
+  if (entries.length > 0) {
+    await Cache.updateMany(
+      { key: { $in: entries.map((entry) => entry.key) } },
+      { $inc: { hits: 1 }, $set: { lastHitAt: now } }
+    );
+  }
+
+  return new Map(entries.map((entry) => [entry.key, entry.result]));
+};
+
+/**
+ * Store results, replacing entries with the same key
+ * @param {Array} entries - [{ key, productName, result }]
+ */
+const writeEntries = async (req, meta, entries) => {
+  if (entries.length === 0) return;
+
+  const Cache = await getClassificationCacheModel(req);
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + config.classificationCacheTtlDays * DAY_MS);
+
+  await Cache.bulkWrite(
+    entries.map(({ key, productName, result }) => ({
+      updateOne: {
+        filter: { key },
+        update: {
+          $set: { ...meta, key, productName, result, expiresAt, createdDate: now },
+          $setOnInsert: { hits: 0 }
+        },
+        upsert: true
+      }
+    })),
+    { ordered: false }
+  );
+};
+
+/**
+ * Classify with the cache: return the stored result for the same inputs, or
+ * compute and store it. Cache failures are logged and never fail the
+ * classification; errors of `compute` are passed on and nothing is stored.
+ * @param {Object} req - Request with the account header
+ * @param {Object} options - { kind, plan, promptVersion, productName }
+ * @param {Object} inputs - Product content the result depends on
+ * @param {Function} compute - async () => result
+ * @returns {Promise} Classification result
+ */
+const withClassificationCache = async (req, options, inputs, compute) => {
+  const { kind, productName } = options;
+
+  if (shouldBypassCache(req)) {
+    await countLookups(req, kind, { bypassed: 1 });
+    const result = await compute();
+    try {
+      const { keys, meta } = await buildCacheKeys(req, options, [inputs]);
+      await writeEntries(req, meta, [{ key: keys[0], productName, result }]);
+    } catch (error) {
+      logger.error(`❌ Error storing ${kind} classification in cache:`, error);
+    }
+    return result;
+  }
+
+  let cacheKey = null;
+  let cacheMeta = null;
+  try {
+    const { keys, meta } = await buildCacheKeys(req, options, [inputs]);
+    [cacheKey] = keys;
+    cacheMeta = meta;
+
+    const stored = await readEntries(req, keys);
+    if (stored.has(cacheKey)) {
+      logger.info(`💾 Using cached ${kind} classification for ${productName}`);
+      await countLookups(req, kind, { hits: 1 });
+      return stored.get(cacheKey);
+    }
+    await countLookups(req, kind, { misses: 1 });
+  } catch (error) {
+    logger.error(`❌ Error reading ${kind} classification cache:`, error);
+  }
+
+  const result = await compute();
+
+  if (cacheKey) {
+    try {
+      await writeEntries(req, cacheMeta, [{ key: cacheKey, productName, result }]);
+    } catch (error) {
+      logger.error(`❌ Error storing ${kind} classification in cache:`, error);
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Batch variant of withClassificationCache: only the products without a
+ * stored result are sent to `compute`, and its results are stored per
+ * product.
+ * @param {Object} req - Request with the account header
+ * @param {Object} options - { kind, plan, promptVersion }
+ * @param {Array} products - Products of the batch ({ code, name })
+ * @param {Function} getInputs - (product) => product content of its result
+ * @param {Function} compute - async (products) => { success, results, ... }
+ *   with one result per product, identified by `productCode`
+ * @returns {Promise} Result of `compute` with the cached results added
+ */
+const withBatchClassificationCache = async (req, options, products, getInputs, compute) => {
+  const { kind } = options;
+  const bypass = shouldBypassCache(req);
+
+  let keys = null;
+  let meta = null;
+  let stored = new Map();
+  try {
+    ({ keys, meta } = await buildCacheKeys(req, options, products.map(getInputs)));
+    if (!bypass) {
+      stored = await readEntries(req, keys);
+    }
+  } catch (error) {
+    logger.error(`❌ Error reading ${kind} classification cache:`, error);
+  }
+
+  const cached = [];
+  const missing = [];
+  products.forEach((product, index) => {
+    if (keys && stored.has(keys[index])) {
+      cached.push({ ...stored.get(keys[index]), productCode: product.code });
+    } else {
+      missing.push(product);
+    }
+  });
+
+  await countLookups(
+    req,
+    kind,
+    bypass ? { bypassed: products.length } : { hits: cached.length, misses: missing.length }
+  );
+
+  if (missing.length === 0) {
+    logger.info(`💾 Using cached ${kind} classifications for all ${products.length} products`);
+    return { success: true, results: cached, usage: null };
+  }
+  if (cached.length > 0) {
+    logger.info(`💾 Using cached ${kind} classifications for ${cached.length} of ${products.length} products`);
+  }
+
+  const computed = await compute(missing);
+  if (!computed.success) {
+    return computed;
+  }
+
+  if (keys) {
+    try {
+      const entries = [];
+      computed.results.forEach(({ productCode, ...result }) => {
+        const index = products.findIndex((product) => product.code === productCode);
+        if (index !== -1) {
+          entries.push({ key: keys[index], productName: products[index].name, result });
+        }
+      });
+      await writeEntries(req, meta, entries);
+    } catch (error) {
+      logger.error(`❌ Error storing ${kind} classifications in cache:`, error);
+    }
+  }
+
+  return { ...computed, results: [...cached, ...computed.results] };
+};
+
+/**
+ * Lookup counters and stored entries per kind
+ * @param {Object} req - Request with the account header
+ */
+const getCacheStats = async (req) => {
+  const Cache = await getClassificationCacheModel(req);
+  const Stats = await getClassificationCacheStatsModel(req);
+
+  const [counters, entries] = await Promise.all([
+    Stats.find().lean(),
+    Cache.aggregate([
+      { $match: { expiresAt: { $gt: new Date() } } },
+      { $group: { _id: '$kind', entries: { $sum: 1 }, hits: { $sum: '$hits' } } }
+    ])
+  ]);
+
+  const kinds = {};
+  counters.forEach(({ kind, hits, misses, bypassed, modifiedDate }) => {
+    const lookups = hits + misses;
+    kinds[kind] = {
+      hits,
+      misses,
+      bypassed,
+      hitRate: lookups > 0 ? Math.round((hits / lookups) * 1000) / 1000 : null,
+      entries: 0,
+      lastLookupAt: modifiedDate
+    };
+  });
+  entries.forEach((entry) => {
+    kinds[entry._id] = { ...(kinds[entry._id] || { hits: 0, misses: 0, bypassed: 0, hitRate: null }), entries: entry.entries };
+  });
+
+  const totals = Object.values(kinds).reduce(
+    (sum, kind) => ({
+      hits: sum.hits + kind.hits,
+      misses: sum.misses + kind.misses,
+      bypassed: sum.bypassed + kind.bypassed,
+      entries: sum.entries + kind.entries
+    }),
+    { hits: 0, misses: 0, bypassed: 0, entries: 0 }
+  );
+
+  return { ttlDays: config.classificationCacheTtlDays, totals, kinds };
+};
+
+/**
+ * Remove stored results, of one kind or all of them
+ * @param {Object} req - Request with the account header
+ * @param {String} kind - Kind of classification (optional)
+ * @returns {Number} Number of removed entries
+ */
+const clearCache = async (req, kind) => {
+  const Cache = await getClassificationCacheModel(req);
+  const result = await Cache.deleteMany(kind ? { kind } : {});
+  return result.deletedCount || 0;
+};
+
+module.exports = {
+  CACHE_KINDS,
+  getClassificationCacheModel,
+  buildCacheKey,
+  getImageKey,
+  shouldBypassCache,
+  withClassificationCache,
+  withBatchClassificationCache,
+  getCacheStats,
+  clearCache
+};
@@ -0,0 +1,165 @@
+const { getModel } = require('../config/database');
+const emissionFactorSchema = require('../models/emission_factor_schema');
+const { getAccount } = require('../middlewares/auth.middleware');
+const { validateUncertainty } = require('../utils/monteCarlo');
+const { getFunctionalUnit, getUnitDimension, listUnits } = require('../utils/units');
+
+const EDITABLE_FIELDS = [
+  'type',
+  'materialClass',
+  'specificMaterial',
+  'countryOfOrigin',
+  'process',
+  'value',
+  'unit',
+  'massPerUnit',
+  'impacts',
+  'uncertainty',
+  'source',
+  'supplierName',
+  'reference',
+  'validFrom',
+  'validTo',
+  'notes'
+];
+
+/**
+ * Get emission factor model for the current account
+ */
+const getEmissionFactorModel = async (req) => {
+  const account = getAccount(req);
+  return getModel(account, emissionFactorSchema, "EmissionFactor");
+};
+
+/**
+ * Keep only the fields a client may set
+ */
+const pickEditableFields = (body = {}) =>
+  EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) {
+      fields[key] = body[key];
+    }
+    return fields;
+  }, {});
+
+/**
+ * Validate a factor before it is stored
+ * @returns {string|null} - Error message, or null when valid
+ */
+const validateEmissionFactor = (factor) => {
+  if (!factor.materialClass || !factor.specificMaterial) {
+    return 'materialClass and specificMaterial are required';
+  }
+  if (typeof factor.value !== 'number' || isNaN(factor.value) || factor.value < 0) {
+    return 'value must be a non-negative number';
+  }
+  if (factor.type === 'process' && !factor.process) {
+    return 'process is required for process emission factors';
+  }
+  if (factor.unit !== undefined && !getFunctionalUnit(factor.unit)) {
+    return `unit must be per one of: ${listUnits().join(', ')} (e.g. "kg CO2e/m2")`;
+  }
+  if (
+    factor.massPerUnit !== undefined && factor.massPerUnit !== null &&
+    (typeof factor.massPerUnit !== 'number' || isNaN(factor.massPerUnit) || factor.massPerUnit <= 0)
+  ) {
+    return 'massPerUnit must be a positive number (kg per functional unit)';
+  }
+  if (factor.type === 'process' && getUnitDimension(getFunctionalUnit(factor.unit)) !== 'mass' && !factor.massPerUnit) {
+    return 'process factors apply to the processed mass; give massPerUnit for factors not per unit of mass';
+  }
+  if (factor.validFrom && factor.validTo && new Date(factor.validTo) < new Date(factor.validFrom)) {
+    return 'validTo must not be before validFrom';
+  }
+  return validateUncertainty(factor.uncertainty, factor.value);
+};
+
+/**
+ * Query matching factors that are valid at a given date
+ */
+const activeAt = (date) => ({
+  $and: [
+    { $or: [{ validFrom: null }, { validFrom: { $lte: date } }] },
+    { $or: [{ validTo: null }, { validTo: { $gte: date } }] }
+  ]
+});
+
+/**
+ * Get all emission factors, optionally filtered
+ * @param {Object} filters - { type, materialClass, specificMaterial, active }
+ */
+const getAllEmissionFactors = async (req, filters = {}) => {
+  const EmissionFactor = await getEmissionFactorModel(req);
+  const query = {};
+
+  if (filters.type) query.type = filters.type;
+  if (filters.materialClass) query.materialClass = filters.materialClass;
+  if (filters.specificMaterial) query.specificMaterial = filters.specificMaterial;
+  if (filters.active === 'true' || filters.active === true) {
+    Object.assign(query, activeAt(new Date()));
+  }
+
+  return await EmissionFactor.find(query).sort({ materialClass: 1, specificMaterial: 1 }).lean();
+};
+
+/**
+ * Get the factors the calculators should prefer over the shared database
+ * @param {Object} req - Request object
+ * @param {Date} date - Date the factors must be valid at
+ */
+const getActiveEmissionFactors = async (req, date = new Date()) => {
+  const EmissionFactor = await getEmissionFactorModel(req);
+  return await EmissionFactor.find(activeAt(date)).lean();
+};
+
+/**
+ * Get emission factor by ID
+ */
+const getEmissionFactorById = async (req, id) => {
+  const EmissionFactor = await getEmissionFactorModel(req);
+  return await EmissionFactor.findById(id);
+};
+
+/**
+ * Create an emission factor
+ */
+const createEmissionFactor = async (req, body) => {
+  const EmissionFactor = await getEmissionFactorModel(req);
+  const emissionFactor = new EmissionFactor({
+    ...pickEditableFields(body),
+    createdDate: new Date(),
+    modifiedDate: new Date()
+  });
+  return await emissionFactor.save();
+};
+
+/**
+ * Update an emission factor
+ */
+const updateEmissionFactor = async (req, id, body) => {
+  const EmissionFactor = await getEmissionFactorModel(req);
+  return await EmissionFactor.findByIdAndUpdate(
+    id,
+    { ...pickEditableFields(body), modifiedDate: new Date() },
+    { new: true, runValidators: true }
+  );
+};
+
+/**
+ * Delete an emission factor
+ */
+const deleteEmissionFactor = async (req, id) => {
+  const EmissionFactor = await getEmissionFactorModel(req);
+  return await EmissionFactor.findByIdAndDelete(id);
+};
+
+module.exports = {
+  getEmissionFactorModel,
+  validateEmissionFactor,
+  getAllEmissionFactors,
+  getActiveEmissionFactors,
+  getEmissionFactorById,
+  createEmissionFactor,
+  updateEmissionFactor,
+  deleteEmissionFactor
+};
@@ -0,0 +1,383 @@
+const Fuse = require('fuse.js');
+const { getModel } = require('../config/database');
+const config = require('../config/environment');
+const exemplarSchema = require('../models/classification_exemplar_schema');
+const exemplarSettingsSchema = require('../models/classification_exemplar_settings_schema');
+const exemplarUseSchema = require('../models/classification_exemplar_use_schema');
+const { getAccount } = require('../middlewares/auth.middleware');
+const logger = require('../utils/logger');
+
+/**
+ * Classification exemplars
+ *
+ * Products whose AI results an analyst corrected and then approved are kept
+ * as exemplars of their account. When a product is classified, the most
+ * similar exemplars (text similarity of name and description, favouring the
+ * same category and subcategory when known) are added to the prompt.
+ * A share of these classifications is run a second time without exemplars
+ * to report how often the exemplars changed the result.
+ */
+
+const EXEMPLAR_SETTINGS = ['enabled', 'maxExamples', 'comparisonRate'];
+
+// Most recent exemplars searched per classification
+const MAX_CANDIDATES = 500;
+// Similarity (0-1) an exemplar needs to be shown
+const MIN_SIMILARITY = 0.3;
+const CATEGORY_BONUS = 0.1;
+const SUBCATEGORY_BONUS = 0.2;
+
+/**
+ * Get classification exemplar model
+ */
+const getExemplarModel = async (req) => {
+  const account = getAccount(req);
+  return getModel(account, exemplarSchema, 'ClassificationExemplar');
+};
+
+/**
+ * Get classification exemplar settings model
+ */
+const getExemplarSettingsModel = async (req) => {
+  const account = getAccount(req);
+  return getModel(account, exemplarSettingsSchema, 'ClassificationExemplarSettings');
+};
+
+/**
+ * Get classification exemplar use model
+ */
+const getExemplarUseModel = async (req) => {
+  const account = getAccount(req);
+  return getModel(account, exemplarUseSchema, 'ClassificationExemplarUse');
+};
+
+/**
+ * Check account exemplar settings before they are stored
+ * @param {Object} settings - { enabled, maxExamples, comparisonRate }
+ * @returns {String|null} Error message, or null when valid
+ */
+const validateExemplarSettings = (settings = {}) => {
+  const unknown = Object.keys(settings).filter((key) => !EXEMPLAR_SETTINGS.includes(key));
+  if (unknown.length > 0) {
+    return `Unsupported exemplar settings: ${unknown.join(', ')}. Allowed: ${EXEMPLAR_SETTINGS.join(', ')}`;
+  }
+  if (settings.enabled !== undefined && typeof settings.enabled !== 'boolean') {
+    return 'enabled must be a boolean';
+  }
+  if (
+    settings.maxExamples !== undefined &&
+    (!Number.isInteger(settings.maxExamples) || settings.maxExamples < 1 || settings.maxExamples > 10)
+  ) {
+    return 'maxExamples must be an integer between 1 and 10';
+  }
+  if (
+    settings.comparisonRate !== undefined &&
+    (typeof settings.comparisonRate !== 'number' || settings.comparisonRate < 0 || settings.comparisonRate > 1)
+  ) {
+    return 'comparisonRate must be a number between 0 and 1';
+  }
+  return null;
+};
+
+/**
+ * Stored exemplar settings of the account, or null
+ */
+const getStoredExemplarSettings = async (req) => {
+  const Settings = await getExemplarSettingsModel(req);
+  return Settings.findOne({ account_id: getAccount(req) }).lean();
+};
+
+/**
+ * Effective exemplar settings: the environment defaults with the account's
+ * settings applied
+ */
+const getExemplarSettings = async (req) => {
+  const stored = await getStoredExemplarSettings(req);
+  const settings = { ...config.exemplars };
+  EXEMPLAR_SETTINGS.forEach((key) => {
+    if (stored?.[key] !== undefined && stored[key] !== null) {
+      settings[key] = stored[key];
+    }
+  });
+  return settings;
+};
+
+/**
+ * Replace the exemplar settings of an account
+ * @param {Object} settings - { enabled, maxExamples, comparisonRate }
+ */
+const setExemplarSettings = async (req, settings) => {
+  const Settings = await getExemplarSettingsModel(req);
+  const account_id = getAccount(req);
+  return Settings.findOneAndReplace(
+    { account_id },
+    { ...settings, account_id, modifiedDate: new Date() },
+    { upsert: true, new: true, runValidators: true }
+  ).lean();
+};
+
+/**
+ * Keep the corrected results of an approved product as an exemplar
+ * @param {Object} product - Approved product
+ * @param {String} reviewer - Analyst who approved it
+ */
+const saveExemplarFromProduct = async (req, product, reviewer) => {
+  const Exemplar = await getExemplarModel(req);
+  const now = new Date();
+  return Exemplar.findOneAndUpdate(
+    { productId: product._id },
+    {
+      $set: {
+        productCode: product.code,
+        name: product.name,
+        description: product.description || '',
+        category: product.category,
+        subCategory: product.subCategory,
+        weight: product.weight || 0,
+        materials: (product.materials || []).map((line) => ({
+          materialClass: line.materialClass,
+          specificMaterial: line.specificMaterial,
+          weight: line.weight
+        })),
+        reviewer,
+        modifiedDate: now
+      },
+      $setOnInsert: { createdDate: now }
+    },
+    { upsert: true, new: true }
+  ).lean();
+};
+
+/**
+ * Remove the exemplars of products that are no longer approved
+ * @param {Array} productIds - Product IDs
+ */
+const removeExemplarsOfProducts = async (req, productIds) => {
+  if (productIds.length === 0) return 0;
+  const Exemplar = await getExemplarModel(req);
+  const result = await Exemplar.deleteMany({ productId: { $in: productIds } });
+  return result.deletedCount || 0;
+};
+
+/**
+ * All exemplars of the account, newest first
+ */
+const getAllExemplars = async (req) => {
+  const Exemplar = await getExemplarModel(req);
+  return Exemplar.find().sort({ modifiedDate: -1 }).lean();
+};
+
+/**
+ * Delete an exemplar
+ */
+const deleteExemplar = async (req, id) => {
+  const Exemplar = await getExemplarModel(req);
+  return Exemplar.findByIdAndDelete(id);
+};
+
+/**
+ * Words of a text worth searching for
+ */
+const getSearchTerms = (text) => [
+  ...new Set(
+    (text || '')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter((term) => term.length >= 3)
+  )
+].slice(0, 20);
+
+/**
+ * Rank exemplars by similarity to a product. Each word of the product's name
+ * and description is searched on its own; an exemplar's similarity is its
+ * average match over all words, plus a bonus for the same category and
+ * subcategory.
+ * @param {Array} exemplars - Candidate exemplars
+ * @param {Object} product - { name, description, category, subCategory }
+ * @param {Number} limit - Maximum number of exemplars
+ * @returns {Array} Exemplars with `similarity`, most similar first
+ */
+const rankExemplars = (exemplars, product, limit) => {
+  const terms = getSearchTerms(`${product.name} ${product.description || ''}`);
+  if (exemplars.length === 0 || terms.length === 0) return [];
+
+  const fuse = new Fuse(exemplars, {
+    includeScore: true,
+    threshold: 0.3,
+    ignoreLocation: true,
+    minMatchCharLength: 3,
+    keys: [
+      { name: 'name', weight: 2 },
+      { name: 'description', weight: 1 }
+    ]
+  });
+
+  const similarity = new Map();
+  terms.forEach((term) => {
+    fuse.search(term).forEach(({ refIndex, score }) => {
+      similarity.set(refIndex, (similarity.get(refIndex) || 0) + (1 - score) / terms.length);
+    });
+  });
+
+  return [...similarity.entries()]
+    .map(([index, textSimilarity]) => {
+      const exemplar = exemplars[index];
+      let bonus = 0;
+      if (product.category && exemplar.category === product.category) {
+        bonus += CATEGORY_BONUS;
+        if (product.subCategory && exemplar.subCategory === product.subCategory) {
+          bonus += SUBCATEGORY_BONUS;
+        }
+      }
+      return { ...exemplar, similarity: Math.min(1, textSimilarity + bonus) };
+    })
+    .filter((exemplar) => exemplar.similarity >= MIN_SIMILARITY)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit);
+};
+
+/**
+ * Exemplars to add to the prompt of a product's classification. Failures
+ * are logged and classify without exemplars.
+ * @param {Object} req - Request with the account header
+ * @param {Object} product - { name, description, category, subCategory }
+ * @returns {Object} - { settings, exemplars }
+ */
+const getExemplarsForPrompt = async (req, product) => {
+  let settings = { ...config.exemplars };
+  try {
+    settings = await getExemplarSettings(req);
+    if (!settings.enabled) {
+      return { settings, exemplars: [] };
+    }
+
+    const Exemplar = await getExemplarModel(req);
+    const candidates = await Exemplar.find()
+      .sort({ modifiedDate: -1 })
+      .limit(MAX_CANDIDATES)
+      .lean();
+
+    return { settings, exemplars: rankExemplars(candidates, product, settings.maxExamples) };
+  } catch (error) {
+    logger.error('❌ Error loading classification exemplars:', error);
+    return { settings, exemplars: [] };
+  }
+};
+
+/**
+ * Identity of the exemplars of a classification, part of its cache key
+ */
+const getExemplarKeys = (exemplars) =>
+  exemplars.map((exemplar) => `${exemplar._id}:${new Date(exemplar.modifiedDate).getTime()}`);
+
+/**
+ * Run a classification with exemplars and record their use. A share of the
+ * classifications (settings.comparisonRate) is repeated without exemplars to
+ * tell whether they changed the result.
+ * @param {Object} req - Request with the account header
+ * @param {Object} options - { kind, productCode, settings, exemplars }
+ * @param {Function} classify - async (exemplars) => result
+ * @param {Function} hasChanged - (result, baseline) => Boolean
+ * @returns {Promise} Result of the classification with exemplars
+ */
+const classifyWithExemplars = async (req, options, classify, hasChanged) => {
+  const { kind, productCode, settings, exemplars } = options;
+  const result = await classify(exemplars);
+  if (exemplars.length === 0) return result;
+
+  const use = {
+    kind,
+    productCode,
+    exemplarIds: exemplars.map((exemplar) => exemplar._id),
+    compared: false
+  };
+
+  if (Math.random() < settings.comparisonRate) {
+    try {
+      const baseline = await classify([]);
+      use.compared = true;
+      use.changed = hasChanged(result, baseline);
+    } catch (error) {
+      logger.error(`❌ Error classifying ${productCode} without exemplars for comparison:`, error);
+    }
+  }
+
+  try {
+    const ExemplarUse = await getExemplarUseModel(req);
+    await ExemplarUse.create(use);
+  } catch (error) {
+    logger.error('❌ Error recording classification exemplar use:', error);
+  }
+
+  return result;
+};
+
+/**
+ * How often exemplars were used and changed the result
+ * @param {Object} req - Request with the account header
+ * @param {Number} days - Period of the report
+ * @returns {Object} Totals and figures per kind of classification
+ */
+const getExemplarReport = async (req, days = 30) => {
+  const Exemplar = await getExemplarModel(req);
+  const ExemplarUse = await getExemplarUseModel(req);
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  const [exemplarCount, settings, kinds] = await Promise.all([
+    Exemplar.countDocuments(),
+    getExemplarSettings(req),
+    ExemplarUse.aggregate([
+      { $match: { createdDate: { $gte: since } } },
+      {
+        $group: {
+          _id: '$kind',
+          classifications: { $sum: 1 },
+          compared: { $sum: { $cond: ['$compared', 1, 0] } },
+          changed: { $sum: { $cond: [{ $eq: ['$changed', true] }, 1, 0] } }
+        }
+      }
+    ])
+  ]);
+
+  const summarize = ({ classifications, compared, changed }) => ({
+    classifications,
+    compared,
+    changed,
+    changeRate: compared > 0 ? Math.round((changed / compared) * 1000) / 1000 : null
+  });
+
+  const totals = kinds.reduce(
+    (sum, kind) => ({
+      classifications: sum.classifications + kind.classifications,
+      compared: sum.compared + kind.compared,
+      changed: sum.changed + kind.changed
+    }),
+    { classifications: 0, compared: 0, changed: 0 }
+  );
+
+  return {
+    since,
+    days,
+    exemplars: exemplarCount,
+    settings,
+    totals: summarize(totals),
+    kinds: kinds.reduce((result, kind) => ({ ...result, [kind._id]: summarize(kind) }), {})
+  };
+};
+
+module.exports = {
+  EXEMPLAR_SETTINGS,
+  validateExemplarSettings,
+  getStoredExemplarSettings,
+  getExemplarSettings,
+  setExemplarSettings,
+  saveExemplarFromProduct,
+  removeExemplarsOfProducts,
+  getAllExemplars,
+  deleteExemplar,
+  rankExemplars,
+  getExemplarsForPrompt,
+  getExemplarKeys,
+  classifyWithExemplars,
+  getExemplarReport
+};
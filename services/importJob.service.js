@@ -0,0 +1,520 @@
+const mongoose = require('mongoose');
+const path = require('path');
+const XLSX = require('xlsx');
+const { getModel } = require('../config/database');
+const importJobSchema = require('../models/import_job_schema');
+const importJobRowSchema = require('../models/import_job_row_schema');
+const {
+  getProductModel,
+  calculateProductImpacts,
+  getCalculationOptions,
+  getUnitErrors
+} = require('./product.service');
+const { getAccount } = require('../middlewares/auth.middleware');
+const { checkAIBudget } = require('./aiBudget.service');
+const productCategories = require('../data/productCategories.json');
+const gridElectricityFactors = require('../data/grid_electricity_factors.json');
+const countryDistances = require('../data/country_distances.json');
+const logger = require('../utils/logger');
+const { getSourceRowNumber } = require('../utils/helpers');
+
+/**
+ * Import jobs of bulk product uploads
+ *
+ * An upload is answered as soon as the file is parsed; its rows are then
+ * stored in the background as an import job. The job records its counts and,
+ * in a collection of their own, the outcome of every row (created, updated or
+ * rejected with the reasons),
+ * and the rejected rows can be downloaded as a CSV or XLSX error report with
+ * the uploaded columns, to be fixed and uploaded again.
+ *
+ * An upload can also be previewed: its rows are checked and compared to the
+ * stored products without anything being written.
+ */
+
+const ROW_OUTCOMES = ['created', 'updated', 'rejected'];
+
+// Request fields mapping the uploaded columns, by product field
+const PRODUCT_MAPPING_FIELDS = {
+  code: 'codeField',
+  name: 'nameField',
+  description: 'descriptionField',
+  weight: 'weightField',
+  countryOfOrigin: 'countryOfOriginField',
+  supplierName: 'supplierNameField',
+  category: 'categoryField',
+  subCategory: 'subCategoryField'
+};
+
+// Mapped fields a row must have
+const REQUIRED_FIELDS = ['code', 'name', 'description'];
+
+// Mapped fields compared to the stored product in a preview
+const PREVIEW_FIELDS = ['name', 'description', 'weight', 'countryOfOrigin', 'supplierName', 'category', 'subCategory'];
+const REPORT_FORMATS = ['csv', 'xlsx'];
+
+// Row outcomes stored at once while a job runs
+const FLUSH_ROWS = 100;
+
+// Columns the error report adds to the uploaded ones
+const REPORT_ERROR_COLUMN = 'Import errors';
+const REPORT_ROW_COLUMN = 'Row';
+
+const REPORT_CONTENT_TYPES = {
+  csv: 'text/csv',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+/**
+ * Get import job model
+ */
+const getImportJobModel = async (req) => {
+  const account = getAccount(req);
+  return getModel(account, importJobSchema, 'ImportJob');
+};
+
+/**
+ * Get the model of the row outcomes of import jobs
+ */
+const getImportJobRowModel = async (req) => {
+  const account = getAccount(req);
+  return getModel(account, importJobRowSchema, 'ImportJobRow');
+};
+
+/**
+ * Start an import job for an uploaded file
+ * @param {Object} req - Request with the account header
+ * @param {Object} job - { filename, templateId, fieldMappings, columns, totalRows }
+ */
+const createImportJob = async (req, job) => {
+  const ImportJob = await getImportJobModel(req);
+  return ImportJob.create({ ...job, account_id: getAccount(req) });
+};
+
+/**
+ * Store one product row: the product with the same code is updated, or a
+ * new one created. Either way it is marked for AI processing. Rows with
+ * imported BOM or process lines are calculated right away; lines that do
+ * not match the unit of their factor reject the row.
+ * @returns {Object} - { outcome, product }
+ */
+const importProductRow = async (Product, productData, calculationOptions) => {
+  const existingProduct = await Product.findOne({ code: productData.code });
+
+  if (productData.materials || productData.productManufacturingProcess) {
+    const materials = productData.materials || existingProduct?.materials?.map((line) => line.toObject()) || [];
+    const processes = productData.productManufacturingProcess ||
+      existingProduct?.productManufacturingProcess?.map((line) => line.toObject()) || [];
+    const {
+      co2Emission,
+      co2EmissionRawMaterials,
+      co2EmissionFromProcesses,
+      impacts,
+      lifeCycleModules,
+      factorVersion,
+      dataQuality,
+      impactCoverage
+    } = calculateProductImpacts(
+      materials,
+      processes,
+      productData.countryOfOrigin || existingProduct?.countryOfOrigin || 'GLO',
+      existingProduct?.lifeCycle || {},
+      await calculationOptions()
+    );
+    const unitErrors = getUnitErrors(materials, processes);
+    if (unitErrors.length > 0) {
+      throw new Error(unitErrors.join('; '));
+    }
+    Object.assign(productData, {
+      materials,
+      productManufacturingProcess: processes,
+      co2Emission,
+      co2EmissionRawMaterials,
+      co2EmissionFromProcesses,
+      impacts,
+      lifeCycleModules,
+      factorVersion,
+      dataQuality,
+      impactCoverage
+    });
+  }
+
+  if (existingProduct) {
+    const product = await Product.findOneAndUpdate(
+      { code: productData.code },
+      {
+        ...productData,
+        createdDate: existingProduct.createdDate, // Preserve original creation date
+        aiProcessingStatus: 'pending'
+      },
+      { new: true, runValidators: true }
+    );
+    return { outcome: 'updated', product };
+  }
+
+  const product = await new Product({ ...productData, aiProcessingStatus: 'pending' }).save();
+  return { outcome: 'created', product };
+};
+
+/**
+ * Product field mappings of an upload
+ * @param {Object} body - Upload request body
+ * @returns {Object} Product field -> uploaded column
+ */
+const getFieldMappings = (body = {}) =>
+  Object.keys(PRODUCT_MAPPING_FIELDS).reduce(
+    (mappings, field) => ({ ...mappings, [field]: body[PRODUCT_MAPPING_FIELDS[field]] }),
+    {}
+  );
+
+/**
+ * Map uploaded rows to product fields and check them. Rows missing a required
+ * field or with an invalid weight carry the reasons in `messages`.
+ * @param {Array} products - Uploaded rows keyed by column
+ * @param {Object} fieldMappings - Product field -> uploaded column
+ * @param {Object} options - { headerRowOffset } rows above the header row
+ * @returns {Array} - [{ rowNumber, source, product, messages }] numbered as
+ *   in the file
+ */
+const buildImportRows = (products, fieldMappings, options = {}) =>
+  products.map((source, index) => {
+    const product = {};
+    Object.keys(fieldMappings).forEach((field) => {
+      const column = fieldMappings[field];
+      if (column && Object.prototype.hasOwnProperty.call(source, column)) {
+        product[field] = source[column];
+      }
+    });
+    product.createdDate = new Date();
+    product.modifiedDate = new Date();
+
+    const messages = REQUIRED_FIELDS
+      .filter((field) => !product[field] || String(product[field]).trim() === '')
+      .map((field) => `${field} is required (mapped from column '${fieldMappings[field]}')`);
+
+    const weight = product.weight;
+    if (weight !== undefined && weight !== null && String(weight).trim() !== '') {
+      const value = Number(weight);
+      if (!Number.isFinite(value) || value < 0) {
+        messages.push(`weight must be a non-negative number (mapped from column '${fieldMappings.weight}')`);
+      }
+    }
+
+    return { rowNumber: getSourceRowNumber(source, index, options.headerRowOffset), source, product, messages };
+  });
+
+/**
+ * Store the rows of an import job and record their outcomes. Rows found
+ * invalid while parsing are rejected without being stored. Outcomes and
+ * counts are saved in batches so the job can be followed while it runs.
+ * @param {Object} req - Request with the account header
+ * @param {String} jobId - Import job
+ * @param {Array} rows - [{ rowNumber, source, product, messages }] where
+ *   source holds the uploaded values and product the mapped fields
+ * @returns {Object} Counts of the job
+ */
+const runImportJob = async (req, jobId, rows) => {
+  let ImportJob = null;
+  let ImportJobRow = null;
+  const counts = { processed: 0, created: 0, updated: 0, rejected: 0 };
+  let pending = [];
+
+  const flush = async () => {
+    if (!ImportJob || !ImportJobRow || pending.length === 0) return;
+    const inc = pending.reduce(
+      (result, row) => ({ ...result, [`counts.${row.outcome}`]: (result[`counts.${row.outcome}`] || 0) + 1 }),
+      { 'counts.processed': pending.length }
+    );
+    const batch = pending;
+    pending = [];
+    await ImportJobRow.insertMany(batch.map((row) => ({ ...row, jobId })), { ordered: false });
+    await ImportJob.updateOne(
+      { _id: jobId },
+      { $inc: inc, $set: { modifiedDate: new Date() } }
+    );
+  };
+
+  try {
+    ImportJob = await getImportJobModel(req);
+    ImportJobRow = await getImportJobRowModel(req);
+    const Product = await getProductModel(req);
+    let calculationOptions;
+    const getOptions = async () => {
+      calculationOptions = calculationOptions || (await getCalculationOptions(req));
+      return calculationOptions;
+    };
+    logger.info(`📦 Starting import job ${jobId} with ${rows.length} rows`);
+
+    for (const row of rows) {
+      const code = row.product.code !== undefined ? String(row.product.code) : undefined;
+      let result;
+
+      if (row.messages.length > 0) {
+        result = { rowNumber: row.rowNumber, code, outcome: 'rejected', messages: row.messages, source: row.source };
+      } else {
+        try {
+          const { outcome, product } = await importProductRow(Product, row.product, getOptions);
+          result = { rowNumber: row.rowNumber, code, outcome, productId: product._id };
+        } catch (error) {
+          logger.error(`❌ Error importing row ${row.rowNumber} (${code}): ${error.message}`);
+          result = { rowNumber: row.rowNumber, code, outcome: 'rejected', messages: [error.message], source: row.source };
+        }
+      }
+
+      counts.processed++;
+      counts[result.outcome]++;
+      pending.push(result);
+      if (pending.length >= FLUSH_ROWS) await flush();
+    }
+    await flush();
+
+    const status = counts.rejected > 0 ? 'completed_with_errors' : 'completed';
+    await ImportJob.updateOne(
+      { _id: jobId },
+      { $set: { status, finishedAt: new Date(), modifiedDate: new Date() } }
+    );
+    logger.info(`🎉 Import job ${jobId} ${status}: ${counts.created} created, ${counts.updated} updated, ${counts.rejected} rejected`);
+  } catch (error) {
+    logger.error(`❌ Import job ${jobId} failed:`, error);
+    try {
+      await flush();
+    } catch (flushError) {
+      logger.error(`❌ Error saving the last rows of import job ${jobId}:`, flushError);
+    }
+    try {
+      ImportJob = ImportJob || (await getImportJobModel(req));
+      await ImportJob.updateOne(
+        { _id: jobId },
+        { $set: { status: 'failed', error: error.message, finishedAt: new Date(), modifiedDate: new Date() } }
+      );
+    } catch (updateError) {
+      logger.error(`❌ Error marking import job ${jobId} as failed:`, updateError);
+    }
+  }
+
+  return counts;
+};
+
+const normalizeName = (value) => String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const KNOWN_COUNTRIES = new Set([
+  ...gridElectricityFactors.flatMap((factor) => [factor.countryOfOrigin, factor.countryName]),
+  ...Object.keys(countryDistances)
+].filter(Boolean).map(normalizeName));
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * Country, category and subcategory of a row that are not known to the
+ * emission data or the product categories. Such rows can be imported, but
+ * fall back to defaults when calculated or classified.
+ * @returns {Array} Warning messages
+ */
+const getRowWarnings = (product) => {
+  const warnings = [];
+  if (!isBlank(product.countryOfOrigin) && !KNOWN_COUNTRIES.has(normalizeName(product.countryOfOrigin))) {
+    warnings.push(`Unknown country '${product.countryOfOrigin}'`);
+  }
+
+  const category = isBlank(product.category) ? null : String(product.category).trim();
+  const categoryKnown = category !== null && Object.prototype.hasOwnProperty.call(productCategories, category);
+  if (category !== null && !categoryKnown) {
+    warnings.push(`Unknown category '${category}'`);
+  }
+  if (!isBlank(product.subCategory)) {
+    const subCategory = String(product.subCategory).trim();
+    const subCategories = categoryKnown
+      ? Object.keys(productCategories[category])
+      : Object.values(productCategories).flatMap((subcategories) => Object.keys(subcategories));
+    if (!subCategories.includes(subCategory)) {
+      warnings.push(categoryKnown
+        ? `Unknown subcategory '${subCategory}' for category '${category}'`
+        : `Unknown subcategory '${subCategory}'`);
+    }
+  }
+  return warnings;
+};
+
+/**
+ * Fields an uploaded row would change on the stored product
+ * @returns {Array} - [{ field, current, uploaded }]
+ */
+const getFieldChanges = (stored, product) =>
+  PREVIEW_FIELDS
+    .filter((field) => product[field] !== undefined)
+    .filter((field) => {
+      if (field === 'weight') {
+        return isBlank(product.weight) ? false : Number(product.weight) !== Number(stored.weight || 0);
+      }
+      return String(product[field] ?? '').trim() !== String(stored[field] ?? '').trim();
+    })
+    .map((field) => ({ field, current: stored[field] ?? null, uploaded: product[field] }));
+
+/**
+ * What importing rows would do, without writing anything: which rows create
+ * or update a product (with the fields an update changes), which are
+ * rejected, warnings about unknown countries, categories and codes repeated
+ * in the file, and the estimated cost of running AI for the imported rows
+ * @param {Object} req - Request with the account header
+ * @param {Array} rows - Result of buildImportRows
+ * @returns {Object} - { summary, rows, ai } where ai is the result of
+ *   checkAIBudget for the rows that would be imported
+ */
+const previewImport = async (req, rows) => {
+  const Product = await getProductModel(req);
+  const codes = [...new Set(
+    rows.filter((row) => !isBlank(row.product.code)).map((row) => String(row.product.code))
+  )];
+  const stored = await Product.find({ code: { $in: codes } })
+    .select(`code ${PREVIEW_FIELDS.join(' ')}`)
+    .lean();
+  const storedByCode = new Map(stored.map((product) => [String(product.code), product]));
+
+  const occurrences = rows.reduce((counts, row) => {
+    const code = isBlank(row.product.code) ? null : String(row.product.code);
+    if (code !== null) counts.set(code, (counts.get(code) || 0) + 1);
+    return counts;
+  }, new Map());
+
+  const summary = { rows: rows.length, create: 0, update: 0, reject: 0, unchanged: 0, warnings: 0 };
+  const previewRows = rows.map((row) => {
+    const code = isBlank(row.product.code) ? undefined : String(row.product.code);
+    const warnings = getRowWarnings(row.product);
+    if (code !== undefined && occurrences.get(code) > 1) {
+      warnings.push(`Code '${code}' appears ${occurrences.get(code)} times in the file; the last row wins`);
+    }
+
+    let result;
+    if (row.messages.length > 0) {
+      result = { rowNumber: row.rowNumber, code, action: 'reject', problems: row.messages };
+    } else if (storedByCode.has(code)) {
+      const changes = getFieldChanges(storedByCode.get(code), row.product);
+      if (changes.length === 0) summary.unchanged++;
+      result = { rowNumber: row.rowNumber, code, action: 'update', productId: storedByCode.get(code)._id, changes };
+    } else {
+      result = { rowNumber: row.rowNumber, code, action: 'create' };
+    }
+    // A later row with the same code updates the product of this one
+    if (result.action !== 'reject') {
+      storedByCode.set(code, { ...storedByCode.get(code), ...row.product });
+    }
+
+    if (row.product.materials || row.product.productManufacturingProcess) {
+      result.lines = {
+        materials: (row.product.materials || []).length,
+        processes: (row.product.productManufacturingProcess || []).length
+      };
+    }
+
+    summary[result.action]++;
+    if (warnings.length > 0) summary.warnings++;
+    return { ...result, warnings };
+  });
+
+  const importable = rows.filter((row) => row.messages.length === 0).map((row) => row.product);
+  const ai = await checkAIBudget(req, importable);
+
+  return { summary, rows: previewRows, ai };
+};
+
+/**
+ * Import jobs of the account without their rows, newest first
+ * @param {Number} limit - Maximum number of jobs
+ */
+const getImportJobs = async (req, limit = 50) => {
+  const ImportJob = await getImportJobModel(req);
+  return ImportJob.find().sort({ createdDate: -1 }).limit(limit).lean();
+};
+
+/**
+ * An import job with a page of its rows
+ * @param {Object} req - Request with the account header
+ * @param {String} id - Import job ID
+ * @param {Object} options - { outcome, page, limit } to list the rows of one
+ *   outcome and page through them
+ * @returns {Object|null} The job with `rows` and `rowCount` (rows matching
+ *   the outcome), or null if not found
+ */
+const getImportJob = async (req, id, options = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+
+  const ImportJob = await getImportJobModel(req);
+  const job = await ImportJob.findById(id).lean();
+  if (!job) return null;
+
+  const { outcome, page = 1, limit = 100 } = options;
+  const ImportJobRow = await getImportJobRowModel(req);
+  const filter = outcome ? { jobId: job._id, outcome } : { jobId: job._id };
+  const [rowCount, rows] = await Promise.all([
+    ImportJobRow.countDocuments(filter),
+    ImportJobRow.find(filter)
+      .select('-_id -jobId -__v')
+      .sort({ rowNumber: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean()
+  ]);
+  return { ...job, rowCount, page, limit, rows };
+};
+
+/**
+ * Error report of an import job: its rejected rows with the uploaded
+ * columns, the reasons and the row number in the uploaded file
+ * @param {Object} req - Request with the account header
+ * @param {String} id - Import job ID
+ * @param {String} format - csv or xlsx
+ * @returns {Object|null} - { filename, contentType, content, rows }, or null
+ *   if the job is not found
+ */
+const buildErrorReport = async (req, id, format = 'csv') => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+
+  const ImportJob = await getImportJobModel(req);
+  const job = await ImportJob.findById(id).select('filename columns').lean();
+  if (!job) return null;
+
+  const ImportJobRow = await getImportJobRowModel(req);
+  const rejected = await ImportJobRow.find({ jobId: job._id, outcome: 'rejected' })
+    .select('rowNumber messages source')
+    .sort({ rowNumber: 1 })
+    .lean();
+  const data = rejected.map((row) => ({
+    ...row.source,
+    [REPORT_ERROR_COLUMN]: (row.messages || []).join('; '),
+    [REPORT_ROW_COLUMN]: row.rowNumber
+  }));
+
+  const sheet = XLSX.utils.json_to_sheet(data, {
+    header: [...(job.columns || []), REPORT_ERROR_COLUMN, REPORT_ROW_COLUMN]
+  });
+  let content;
+  if (format === 'xlsx') {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, sheet, 'Errors');
+    content = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+  } else {
+    content = XLSX.utils.sheet_to_csv(sheet);
+  }
+
+  const name = path.parse(job.filename || 'import').name;
+  return {
+    filename: `${name}-errors.${format}`,
+    contentType: REPORT_CONTENT_TYPES[format],
+    content,
+    rows: rejected.length
+  };
+};
+
+module.exports = {
+  ROW_OUTCOMES,
+  REPORT_FORMATS,
+  PRODUCT_MAPPING_FIELDS,
+  getFieldMappings,
+  buildImportRows,
+  createImportJob,
+  runImportJob,
+  previewImport,
+  getImportJobs,
+  getImportJob,
+  buildErrorReport
+};
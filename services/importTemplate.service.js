@@ -0,0 +1,402 @@
+const mongoose = require('mongoose');
+const XLSX = require('xlsx');
+const { getModel } = require('../config/database');
+const importTemplateSchema = require('../models/import_template_schema');
+const { getAccount } = require('../middlewares/auth.middleware');
+const { PRODUCT_MAPPING_FIELDS } = require('./importJob.service');
+const { SHEET_MAPPING_FIELDS } = require('./bomImport.service');
+const { MASS_UNIT, normalizeUnit, isMassUnit, listUnits, convertUnit } = require('../utils/units');
+const gridElectricityFactors = require('../data/grid_electricity_factors.json');
+
+/**
+ * Import templates: saved settings of bulk uploads
+ *
+ * A template stores everything an upload of a given file layout needs: the
+ * column mappings, the sheets to read, how many rows sit above the header,
+ * the units of the uploaded weights and transforms of the uploaded values.
+ * An upload names a template by `templateId`; fields sent with the upload
+ * take precedence over the template's. Templates are suggested for a file by
+ * how many of their mapped columns it has.
+ */
+
+const UPLOAD_MAPPING_FIELDS = [
+  ...Object.values(PRODUCT_MAPPING_FIELDS),
+  ...Object.values(SHEET_MAPPING_FIELDS.bom),
+  ...Object.values(SHEET_MAPPING_FIELDS.process)
+];
+
+const SHEET_FIELDS = ['selectedSheet', 'bomSheet', 'processSheet'];
+
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'mappings',
+  ...SHEET_FIELDS,
+  'headerRowOffset',
+  'unitConversions',
+  'transforms'
+];
+
+// Amounts whose uploaded unit a template can set, with the upload field
+// overriding it. Product and process weights are masses, converted to kg;
+// BOM amounts may be in any unit, see bomImport.service.
+const CONVERTIBLE_FIELDS = {
+  weight: 'weightUnit',
+  bomWeight: 'bomWeightUnit',
+  processWeight: 'processWeightUnit'
+};
+const MASS_ONLY_FIELDS = ['weight', 'processWeight'];
+
+// Product fields whose uploaded values a template can transform; codes are
+// left alone so that BOM and process lines still find their products
+const TRANSFORMABLE_FIELDS = ['name', 'description', 'countryOfOrigin', 'supplierName', 'category', 'subCategory'];
+
+const normalizeCountry = (value) => String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const countryEntries = new Map();
+gridElectricityFactors.forEach((entry) => {
+  [entry.countryOfOrigin, entry.countryName].filter(Boolean).forEach((name) => {
+    countryEntries.set(normalizeCountry(name), entry);
+  });
+});
+
+// Transforms of uploaded values; unknown countries are kept as uploaded
+const TRANSFORMS = {
+  trim: (value) => String(value).trim(),
+  uppercase: (value) => String(value).toUpperCase(),
+  lowercase: (value) => String(value).toLowerCase(),
+  countryName: (value) => countryEntries.get(normalizeCountry(value))?.countryName || value,
+  countryCode: (value) => countryEntries.get(normalizeCountry(value))?.countryOfOrigin || value
+};
+
+// Share of a template's product columns a file needs for it to be suggested
+const MIN_SUGGESTION_SCORE = 0.5;
+const MAX_SUGGESTIONS = 5;
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Get import template model
+ */
+const getImportTemplateModel = async (req) => {
+  const account = getAccount(req);
+  return getModel(account, importTemplateSchema, 'ImportTemplate');
+};
+
+/**
+ * Keep only the fields a client may set
+ */
+const pickEditableFields = (body = {}) =>
+  EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) {
+      fields[key] = body[key];
+    }
+    return fields;
+  }, {});
+
+/**
+ * Check the units of uploaded amounts
+ * @param {Object} unitConversions - Field -> unit, e.g. { weight: "g" }
+ * @returns {String|null} Error message, or null when valid
+ */
+const validateUnitConversions = (unitConversions = {}) => {
+  for (const [field, unit] of Object.entries(unitConversions)) {
+    if (!CONVERTIBLE_FIELDS[field]) {
+      return `Unsupported unit conversion for ${field}. Allowed: ${Object.keys(CONVERTIBLE_FIELDS).join(', ')}`;
+    }
+    const massOnly = MASS_ONLY_FIELDS.includes(field);
+    if (!normalizeUnit(unit) || (massOnly && !isMassUnit(unit))) {
+      return `Unsupported unit '${unit}' for ${field}. Allowed: ${listUnits(massOnly ? 'mass' : undefined).join(', ')}`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Validate a template before it is stored
+ * @returns {String|null} Error message, or null when valid
+ */
+const validateImportTemplate = (template = {}) => {
+  if (typeof template.name !== 'string' || !template.name.trim()) {
+    return 'name is required';
+  }
+  if (template.mappings !== undefined) {
+    if (!isPlainObject(template.mappings)) {
+      return 'mappings must be an object';
+    }
+    const unknown = Object.keys(template.mappings).filter((field) => !UPLOAD_MAPPING_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      return `Unsupported mappings: ${unknown.join(', ')}. Allowed: ${UPLOAD_MAPPING_FIELDS.join(', ')}`;
+    }
+    const invalid = Object.keys(template.mappings).filter((field) => typeof template.mappings[field] !== 'string');
+    if (invalid.length > 0) {
+      return `Mapped columns must be strings: ${invalid.join(', ')}`;
+    }
+  }
+  const sheet = SHEET_FIELDS.find((field) => ![undefined, null].includes(template[field]) && typeof template[field] !== 'string');
+  if (sheet) {
+    return `${sheet} must be a string`;
+  }
+  if (
+    template.headerRowOffset !== undefined &&
+    (!Number.isInteger(template.headerRowOffset) || template.headerRowOffset < 0)
+  ) {
+    return 'headerRowOffset must be a non-negative integer';
+  }
+  if (template.unitConversions !== undefined) {
+    if (!isPlainObject(template.unitConversions)) {
+      return 'unitConversions must be an object';
+    }
+    const unitError = validateUnitConversions(template.unitConversions);
+    if (unitError) {
+      return unitError;
+    }
+  }
+  if (template.transforms !== undefined) {
+    if (!isPlainObject(template.transforms)) {
+      return 'transforms must be an object';
+    }
+    for (const [field, transforms] of Object.entries(template.transforms)) {
+      if (!TRANSFORMABLE_FIELDS.includes(field)) {
+        return `Unsupported transforms for ${field}. Allowed: ${TRANSFORMABLE_FIELDS.join(', ')}`;
+      }
+      if (!Array.isArray(transforms) || transforms.some((name) => !TRANSFORMS[name])) {
+        return `transforms of ${field} must be a list of: ${Object.keys(TRANSFORMS).join(', ')}`;
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Import templates of the account, by name
+ */
+const getAllImportTemplates = async (req) => {
+  const ImportTemplate = await getImportTemplateModel(req);
+  return ImportTemplate.find().sort({ name: 1 }).lean();
+};
+
+/**
+ * Get an import template by ID
+ * @returns {Object|null} null for unknown or invalid IDs
+ */
+const getImportTemplateById = async (req, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  const ImportTemplate = await getImportTemplateModel(req);
+  return ImportTemplate.findById(id).lean();
+};
+
+/**
+ * Whether another template of the account has the name
+ */
+const isTemplateNameTaken = async (req, name, exceptId = null) => {
+  const ImportTemplate = await getImportTemplateModel(req);
+  const filter = { name: name.trim() };
+  if (exceptId) filter._id = { $ne: exceptId };
+  return !!(await ImportTemplate.exists(filter));
+};
+
+/**
+ * Create an import template
+ */
+const createImportTemplate = async (req, body) => {
+  const ImportTemplate = await getImportTemplateModel(req);
+  const template = new ImportTemplate({
+    ...pickEditableFields(body),
+    account_id: getAccount(req),
+    createdDate: new Date(),
+    modifiedDate: new Date()
+  });
+  return template.save();
+};
+
+/**
+ * Update an import template
+ */
+const updateImportTemplate = async (req, id, body) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  const ImportTemplate = await getImportTemplateModel(req);
+  return ImportTemplate.findByIdAndUpdate(
+    id,
+    { ...pickEditableFields(body), modifiedDate: new Date() },
+    { new: true, runValidators: true }
+  );
+};
+
+/**
+ * Delete an import template
+ */
+const deleteImportTemplate = async (req, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  const ImportTemplate = await getImportTemplateModel(req);
+  return ImportTemplate.findByIdAndDelete(id);
+};
+
+/**
+ * Record that an upload used a template
+ */
+const markTemplateUsed = async (req, id) => {
+  const ImportTemplate = await getImportTemplateModel(req);
+  await ImportTemplate.updateOne({ _id: id }, { $set: { lastUsedAt: new Date() } });
+};
+
+/**
+ * Settings of an upload: the template's, overridden by the fields sent with
+ * the upload
+ * @param {Object} body - Upload request body
+ * @param {Object|null} template - Import template named by the upload
+ * @returns {Object} Upload fields (mappings, sheets, headerRowOffset,
+ *   unitConversions) with the template's transforms
+ */
+const resolveUploadSettings = (body = {}, template = null) => {
+  const settings = {
+    ...(template?.mappings || {}),
+    ...SHEET_FIELDS.reduce(
+      (sheets, field) => (template?.[field] ? { ...sheets, [field]: template[field] } : sheets),
+      {}
+    ),
+    headerRowOffset: template?.headerRowOffset || 0,
+    unitConversions: { ...(template?.unitConversions || {}) },
+    transforms: template?.transforms || {}
+  };
+
+  [...UPLOAD_MAPPING_FIELDS, ...SHEET_FIELDS].forEach((field) => {
+    if (body[field]) settings[field] = body[field];
+  });
+  if (body.headerRowOffset !== undefined && body.headerRowOffset !== '') {
+    settings.headerRowOffset = Number(body.headerRowOffset);
+  }
+  Object.entries(CONVERTIBLE_FIELDS).forEach(([field, unitField]) => {
+    if (body[unitField]) settings.unitConversions[field] = body[unitField];
+  });
+  return settings;
+};
+
+/**
+ * Check the header row offset sent with an upload
+ * @returns {String|null} Error message, or null when valid
+ */
+const validateHeaderRowOffset = (offset) =>
+  Number.isInteger(offset) && offset >= 0 ? null : 'headerRowOffset must be a non-negative integer';
+
+/**
+ * Apply an upload's unit conversion and value transforms to its import rows.
+ * Uploaded values kept for the error report are left as they were.
+ * @param {Array} rows - Import rows (see importJob.service buildImportRows)
+ * @param {Object} settings - Result of resolveUploadSettings
+ */
+const applyUploadSettings = (rows, settings) => {
+  const weightUnit = settings.unitConversions?.weight || MASS_UNIT;
+  const transforms = settings.transforms || {};
+
+  rows.forEach(({ product }) => {
+    if (normalizeUnit(weightUnit) !== MASS_UNIT && product.weight !== undefined && product.weight !== null && String(product.weight).trim() !== '') {
+      const weight = Number(product.weight);
+      if (Number.isFinite(weight)) product.weight = convertUnit(weight, weightUnit, MASS_UNIT);
+    }
+    Object.entries(transforms).forEach(([field, names]) => {
+      if (product[field] === undefined || product[field] === null) return;
+      product[field] = names.reduce((value, name) => TRANSFORMS[name](value), product[field]);
+    });
+  });
+  return rows;
+};
+
+/**
+ * Column names of a sheet of a parsed workbook
+ * @param {Object} workbook - Workbook read by XLSX, with at least the header
+ *   row of the sheet
+ * @param {Object} options - { sheetName, headerRowOffset }; the first sheet
+ *   when the sheet name is not given or not found
+ * @returns {Object} - { sheetName, headers }
+ */
+const readWorkbookHeaders = (workbook, options = {}) => {
+  const sheetName = workbook.Sheets[options.sheetName] ? options.sheetName : workbook.SheetNames[0];
+  const [headers = []] = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], {
+    header: 1,
+    range: options.headerRowOffset || 0,
+    defval: null
+  });
+  return {
+    sheetName,
+    headers: headers.filter((header) => header !== null && header !== '').map((header) => String(header).trim())
+  };
+};
+
+/**
+ * How well a template fits a file: the share of its mapped product columns
+ * found among the file's columns
+ * @param {Object} template - Import template
+ * @param {Array} headers - Columns of the file
+ * @returns {Object} - { score, complete, matchedColumns, missingColumns }
+ *   where complete tells whether the required columns were all found
+ */
+const scoreTemplate = (template, headers) => {
+  const available = new Set(headers.map((header) => String(header).trim().toLowerCase()));
+  const columns = Object.values(PRODUCT_MAPPING_FIELDS)
+    .map((field) => template.mappings?.[field])
+    .filter(Boolean);
+  const matchedColumns = columns.filter((column) => available.has(column.trim().toLowerCase()));
+  const required = ['codeField', 'nameField', 'descriptionField'].map((field) => template.mappings?.[field]);
+
+  return {
+    score: columns.length > 0 ? Math.round((matchedColumns.length / columns.length) * 100) / 100 : 0,
+    complete: required.every((column) => column && matchedColumns.includes(column)),
+    matchedColumns,
+    missingColumns: columns.filter((column) => !matchedColumns.includes(column))
+  };
+};
+
+/**
+ * Templates of the account that fit a file, best first
+ * @param {Object} req - Request with the account header
+ * @param {Object} file - { headers } columns of the file, or the parsed
+ *   { workbook } of an uploaded file whose columns are read as each template
+ *   reads them
+ * @returns {Array} - [{ template, score, complete, matchedColumns,
+ *   missingColumns }]
+ */
+const suggestImportTemplates = async (req, file) => {
+  const templates = await getAllImportTemplates(req);
+
+  // Templates reading the same sheet at the same offset share its headers
+  const headersByLayout = new Map();
+  const getHeaders = (template) => {
+    if (!file.workbook) return file.headers;
+    const options = { sheetName: template.selectedSheet, headerRowOffset: template.headerRowOffset || 0 };
+    const key = JSON.stringify([options.sheetName, options.headerRowOffset]);
+    if (!headersByLayout.has(key)) {
+      headersByLayout.set(key, readWorkbookHeaders(file.workbook, options).headers);
+    }
+    return headersByLayout.get(key);
+  };
+
+  return templates
+    .map((template) => {
+      const headers = getHeaders(template);
+      return {
+        template: { _id: template._id, name: template.name, description: template.description },
+        ...scoreTemplate(template, headers)
+      };
+    })
+    .filter((suggestion) => suggestion.score >= MIN_SUGGESTION_SCORE)
+    .sort((a, b) => Number(b.complete) - Number(a.complete) || b.score - a.score)
+    .slice(0, MAX_SUGGESTIONS);
+};
+
+module.exports = {
+  validateImportTemplate,
+  getAllImportTemplates,
+  getImportTemplateById,
+  isTemplateNameTaken,
+  createImportTemplate,
+  updateImportTemplate,
+  deleteImportTemplate,
+  markTemplateUsed,
+  resolveUploadSettings,
+  validateHeaderRowOffset,
+  validateUnitConversions,
+  applyUploadSettings,
+  readWorkbookHeaders,
+  suggestImportTemplates
+};
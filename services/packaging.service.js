@@ -0,0 +1,155 @@
+const { calculateRawMaterialEmissions } = require('./product.service');
+const { getMappingTransportImpacts } = require('./transport.service');
+const { getFactorDatabase } = require('../utils/factorDatabase');
+const {
+  emptyImpacts,
+  scaleImpacts,
+  addImpacts,
+  impactsOrGwp
+} = require('../utils/impactCategories');
+
+/**
+ * Packaging types and the materials database entry each one is calculated
+ * with. The baseline database has no paper entries; cardboard resolves from
+ * factor version indicative-2026.2 on, or from an account-specific factor.
+ */
+const PACKAGING_MATERIALS = {
+  cardboard: { materialClass: 'Paper', specificMaterial: 'Corrugated Cardboard' },
+  pe_film: { materialClass: 'Plastic', specificMaterial: 'Low Density Polyethylene (LDPE)' },
+  eps: { materialClass: 'Plastic', specificMaterial: 'Expanded Polystyrene (EPS)' },
+  wooden_pallet: { materialClass: 'Wood', specificMaterial: 'Pine', pallet: true },
+  other: {}
+};
+
+/**
+ * Check the packaging composition of a mapping entry before it is stored
+ * @param {Array} packaging - [{ type, materialClass, specificMaterial, weight, reuseCount }]
+ * @returns {String|null} Error message, or null when valid
+ */
+const validatePackaging = (packaging) => {
+  if (packaging === undefined || packaging === null) return null;
+  if (!Array.isArray(packaging)) return 'packaging must be an array';
+
+  for (const [index, component] of packaging.entries()) {
+    const label = `packaging[${index}]`;
+    if (!component || !Object.prototype.hasOwnProperty.call(PACKAGING_MATERIALS, component.type)) {
+      return `${label}: type must be one of ${Object.keys(PACKAGING_MATERIALS).join(', ')}`;
+    }
+    if (component.type === 'other' && (!component.materialClass || !component.specificMaterial)) {
+      return `${label}: materialClass and specificMaterial are required for type other`;
+    }
+    if (typeof component.weight !== 'number' || component.weight < 0) {
+      return `${label}: weight must be a non-negative number`;
+    }
+    if (component.reuseCount !== undefined && (!Number.isInteger(component.reuseCount) || component.reuseCount < 1)) {
+      return `${label}: reuseCount must be an integer of at least 1`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Packaging components of an entry. Entries stored before packaging was
+ * described count packagingWeight as cardboard and palletWeight as a single-use
+ * wooden pallet.
+ */
+const getPackagingComponents = (productEntry) => {
+  if (productEntry.packaging?.length > 0) return productEntry.packaging;
+
+  return [
+    { type: 'cardboard', weight: productEntry.packagingWeight || 0 },
+    { type: 'wooden_pallet', weight: productEntry.palletWeight || 0 }
+  ].filter((component) => component.weight > 0);
+};
+
+/**
+ * Packaging and pallet weights implied by a composition, for the entry's
+ * packagingWeight and palletWeight fields
+ */
+const summarizePackagingWeights = (packaging = []) =>
+  packaging.reduce(
+    (weights, component) => {
+      const key = PACKAGING_MATERIALS[component.type]?.pallet ? 'palletWeight' : 'packagingWeight';
+      weights[key] += component.weight || 0;
+      return weights;
+    },
+    { packagingWeight: 0, palletWeight: 0 }
+  );
+
+/**
+ * Calculate the production impacts of the packaging of one unit of a product.
+ * A component reused n times carries 1/n of its production impacts.
+ * @param {Object} productEntry - Entry of ProjectProductMap.products
+ * @param {String} countryOfOrigin - Country the packaging is sourced from
+ * @param {Object} options - { factorDatabase, customFactors }
+ * @returns {Object} - { components, impacts, weight, missingFactors,
+ *   factorVersion } where weight is the shipped packaging mass in kg and
+ *   missingFactors lists the components counted as zero for lack of a factor
+ */
+const calculatePackagingImpacts = (productEntry, countryOfOrigin = 'GLO', options = {}) => {
+  const factorDatabase = options.factorDatabase || getFactorDatabase();
+  const components = getPackagingComponents(productEntry).map((component) => {
+    const preset = PACKAGING_MATERIALS[component.type] || {};
+    return {
+      type: component.type,
+      materialClass: component.materialClass || preset.materialClass,
+      specificMaterial: component.specificMaterial || preset.specificMaterial,
+      weight: component.weight || 0,
+      reuseCount: component.reuseCount || 1
+    };
+  });
+
+  // Factors are looked up for the share of each component this unit uses up
+  const lines = components.map((component) => ({
+    materialClass: component.materialClass,
+    specificMaterial: component.specificMaterial,
+    weight: component.weight / component.reuseCount
+  }));
+  calculateRawMaterialEmissions(lines, countryOfOrigin || 'GLO', { ...options, factorDatabase });
+
+  const results = components.map((component, index) => ({
+    ...component,
+    emissionFactor: lines[index].specificMaterialEmissionFactor,
+    emission: lines[index].emissionFactor,
+    factorUncertainty: lines[index].factorUncertainty,
+    impacts: impactsOrGwp(lines[index].impacts, lines[index].emissionFactor),
+    dataQuality: lines[index].dataQuality,
+    unitError: lines[index].unitError
+  }));
+
+  return {
+    components: results,
+    impacts: results.reduce((sum, component) => addImpacts(sum, component.impacts), emptyImpacts()),
+    weight: components.reduce((sum, component) => sum + component.weight, 0),
+    missingFactors: results
+      .filter((component) => component.weight > 0 && component.dataQuality?.matchTier === 'notFound')
+      .map(({ type, materialClass, specificMaterial }) => ({ type, materialClass, specificMaterial })),
+    factorVersion: factorDatabase.version
+  };
+};
+
+/**
+ * Transport impacts of shipping the packaging with one unit of a product.
+ * Stored legs are calculated for the product weight, and transport impacts
+ * are proportional to the shipped weight, so the packaging share is the leg
+ * impacts scaled by packaging weight / product weight. Entries whose legs were
+ * calculated with the packaging already included add nothing.
+ * @param {Object} productEntry - Entry of ProjectProductMap.products
+ * @param {Number} productWeight - Weight of one unit of the product in kg
+ * @param {Number} packagingWeight - Shipped packaging mass in kg
+ */
+const getPackagingTransportImpacts = (productEntry, productWeight, packagingWeight) => {
+  if (productEntry.transportIncludesPackaging || !(productWeight > 0) || !(packagingWeight > 0)) {
+    return emptyImpacts();
+  }
+  return scaleImpacts(getMappingTransportImpacts(productEntry), packagingWeight / productWeight);
+};
+
+module.exports = {
+  PACKAGING_MATERIALS,
+  validatePackaging,
+  getPackagingComponents,
+  summarizePackagingWeights,
+  calculatePackagingImpacts,
+  getPackagingTransportImpacts
+};
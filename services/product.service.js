@@ -2,8 +2,39 @@ const logger = require("../utils/logger");
 const { getModel } = require("../config/database");
 const productSchema = require("../models/product_schema");
 const { getAccount } = require("../middlewares/auth.middleware");
-const emissionData = require("../data/materials_database.json");
-const manufacturingProcesses = require("../data/manufacturing_ef.json");
+const {
+  getFactorDatabase,
+  factorVersionExists,
+} = require("../utils/factorDatabase");
+const { getActiveEmissionFactors } = require("./emissionFactor.service");
+const {
+  emptyImpacts,
+  getFactorImpacts,
+  scaleImpacts,
+  addImpacts,
+  subtractImpacts,
+  sumImpacts,
+  roundImpacts,
+  impactsOrGwp,
+  getImpactCoverage,
+} = require("../utils/impactCategories");
+const {
+  calculateLifeCycleModules,
+  roundLifeCycleModules,
+} = require("../utils/lifeCycleStages");
+const {
+  buildDataQuality,
+  summarizeProcessLineDataQuality,
+  aggregateProductDataQuality,
+} = require("../utils/dataQuality");
+const {
+  normalizeUnit,
+  getUnitDimension,
+  listUnits,
+  toKg,
+  normalizeLineUnit,
+  toFunctionalQuantity,
+} = require("../utils/units");
 
 /**
  * Get product model for the current account
@@ -119,10 +150,80 @@ const isoToCountry = {
   // Add other mappings as needed
 };
 
+/**
+ * Store countries of origin by name: ISO codes are converted when known
+ */
+const normalizeCountryOfOrigin = (countryOfOrigin) =>
+  typeof countryOfOrigin === "string" && countryOfOrigin.length == 2
+    ? isoToCountry[countryOfOrigin] || countryOfOrigin
+    : countryOfOrigin;
+
 const normalize = (str) => str?.trim().toLowerCase();
 
-const calculateRawMaterialEmissions = (materials, countryOfOrigin) => {
-  console.log("executing RawMaterialEmissions", materials, countryOfOrigin);
+/**
+ * Build a lookup map of account-specific factors of one type
+ * @param {Array} customFactors - Active factors from the emission factor service
+ * @param {String} type - "material" or "process"
+ */
+const buildCustomFactorMap = (customFactors = [], type) =>
+  new Map(
+    customFactors
+      .filter((factor) => (factor.type || "material") === type)
+      .map((factor) => {
+        const key = [
+          normalize(factor.countryOfOrigin || "GLO"),
+          normalize(factor.materialClass),
+          normalize(factor.specificMaterial),
+          ...(type === "process" ? [normalize(factor.process)] : []),
+        ].join("-");
+        return [key, factor];
+      })
+  );
+
+/**
+ * Present an account-specific factor like a factor database entry
+ */
+const toSupplierSpecificEntry = (factor) => ({
+  EmissionFactor: factor.value,
+  EF_Source: "Supplier-specific",
+  EF_Type: "Supplier-specific",
+  Type_Rationale: [
+    "Account-specific factor",
+    factor.supplierName && `from ${factor.supplierName}`,
+    factor.source && factor.source !== "Supplier-specific" && `(${factor.source})`,
+    factor.reference && `ref. ${factor.reference}`,
+  ]
+    .filter(Boolean)
+    .join(" "),
+  countryOfOrigin: factor.countryOfOrigin || "GLO",
+  impacts: factor.impacts,
+  uncertainty: factor.uncertainty,
+  customFactorId: factor._id,
+  unit: factor.unit,
+  massPerUnit: factor.massPerUnit,
+});
+
+/**
+ * Calculate emissions from raw materials
+ * Factors apply to the line's amount in their functional unit (kg unless the
+ * entry has a unit); lines that cannot be converted get a unitError and no
+ * emissions.
+ * @param {Array} materials - Bill of materials (mutated with per-line results)
+ * @param {String} countryOfOrigin - The country of origin of the product
+ * @param {Object} options - { factorDatabase, customFactors } where customFactors
+ *   are account-specific factors preferred over the shared database
+ */
+const calculateRawMaterialEmissions = (
+  materials,
+  countryOfOrigin,
+  options = {}
+) => {
+  logger.debug(
+    `Calculating raw material emissions for ${materials.length} lines, country: ${countryOfOrigin}`
+  );
+  const { materials: emissionData } =
+    options.factorDatabase || getFactorDatabase();
+  const customFactorMap = buildCustomFactorMap(options.customFactors, "material");
 
   let fullCountry = countryOfOrigin;
   if (fullCountry.length > 2) {
@@ -148,10 +249,29 @@ const calculateRawMaterialEmissions = (materials, countryOfOrigin) => {
     const globalKey = `glo-${materialClass}-${specificMaterial}`;
     const rowKey = `row-${materialClass}-${specificMaterial}`;
 
-    let emissionDataEntry =
-      emissionMap.get(specificKey) ||
-      emissionMap.get(globalKey) ||
-      emissionMap.get(rowKey);
+    // Supplier-specific factors win over the shared database
+    const customFactor =
+      customFactorMap.get(specificKey) ||
+      customFactorMap.get(`${normalize(countryOfOrigin)}-${materialClass}-${specificMaterial}`) ||
+      customFactorMap.get(globalKey);
+
+    // Record which fallback tier produced the factor for data quality scoring
+    let emissionDataEntry;
+    let matchTier;
+    if (customFactor) {
+      emissionDataEntry = toSupplierSpecificEntry(customFactor);
+      matchTier = "supplierSpecific";
+    } else if (emissionMap.get(specificKey)) {
+      emissionDataEntry = emissionMap.get(specificKey);
+      matchTier =
+        origin === "glo" ? "global" : origin === "row" ? "restOfWorld" : "exactCountry";
+    } else if (emissionMap.get(globalKey)) {
+      emissionDataEntry = emissionMap.get(globalKey);
+      matchTier = "global";
+    } else if (emissionMap.get(rowKey)) {
+      emissionDataEntry = emissionMap.get(rowKey);
+      matchTier = "restOfWorld";
+    }
 
     if (!emissionDataEntry) {
       // Fallback: find first matching material class + specific material
@@ -163,6 +283,7 @@ const calculateRawMaterialEmissions = (materials, countryOfOrigin) => {
 
       if (materialEntries.length > 0) {
         emissionDataEntry = materialEntries[0];
+        matchTier = "alternativeRegion";
         logger?.debug?.(
           `Using alternative region ${materialEntries[0].countryOfOrigin} for ${material.materialClass}-${material.specificMaterial}`
         );
@@ -174,19 +295,41 @@ const calculateRawMaterialEmissions = (materials, countryOfOrigin) => {
           Type_Rationale: "Unknown",
           countryOfOrigin: "Unknown",
         };
+        matchTier = "notFound";
       }
     }
 
+    // Amount of the line in the unit the factor is declared per
+    let quantity = material.weight;
+    material.unitError = undefined;
+    if (matchTier !== "notFound") {
+      const converted = toFunctionalQuantity(material, emissionDataEntry);
+      material.unitError = converted.error;
+      quantity = converted.error ? 0 : converted.quantity;
+    }
+
     // Assign results back to the material
     material.specificMaterialEmissionFactor = emissionDataEntry.EmissionFactor;
-    material.emissionFactor =
-      emissionDataEntry.EmissionFactor * material.weight;
+    material.emissionFactor = emissionDataEntry.EmissionFactor * quantity;
     material.EF_Source = emissionDataEntry.EF_Source;
     material.EF_Type = emissionDataEntry.EF_Type;
     material.Type_Rationale = emissionDataEntry.Type_Rationale;
     material.countryOfOrigin = emissionDataEntry.countryOfOrigin;
+    material.customFactorId = emissionDataEntry.customFactorId;
+    material.factorUncertainty = emissionDataEntry.uncertainty;
+    material.dataOrigin = material.dataOrigin || options.dataOrigin || "user";
+    material.dataQuality = buildDataQuality({
+      tier: matchTier,
+      entry: emissionDataEntry,
+      dataOrigin: material.dataOrigin,
+    });
+    material.impacts = scaleImpacts(
+      getFactorImpacts(emissionDataEntry),
+      quantity
+    );
 
     if (
+      !customFactor &&
       !emissionMap.get(specificKey) &&
       (emissionMap.get(globalKey) || emissionMap.get(rowKey))
     ) {
@@ -205,11 +348,18 @@ const calculateRawMaterialEmissions = (materials, countryOfOrigin) => {
  * Calculate emissions from manufacturing processes
  * @param {Array} productManufacturingProcess - The manufacturing processes for the product
  * @param {String} countryOfOrigin - The country of origin of the product (e.g., 'CN', 'VN', 'GLO')
+ * @param {Object} options - { factorDatabase, customFactors } where customFactors
+ *   are account-specific factors preferred over the shared database
  */
 const calculateProcessEmissions = (
   productManufacturingProcess,
-  countryOfOrigin = "GLO"
+  countryOfOrigin = "GLO",
+  options = {}
 ) => {
+  const { manufacturing: manufacturingProcesses } =
+    options.factorDatabase || getFactorDatabase();
+  const customFactorMap = buildCustomFactorMap(options.customFactors, "process");
+
   // Create a normalized lookup map for manufacturing processes
   const processMap = new Map();
 
@@ -217,9 +367,15 @@ const calculateProcessEmissions = (
     const key = `${normalize(item["materialClass"])}-${normalize(
       item["specificMaterial"]
     )}-${normalize(item["Process"])}-${normalize(item["countryOfOrigin"])}`;
-    processMap.set(key, item["EmissionFactor"]);
+    processMap.set(key, item);
   });
 
+  // Only entries with a non-zero factor count as a match
+  const lookupProcess = (key) => {
+    const entry = processMap.get(key);
+    return entry && entry["EmissionFactor"] ? entry : undefined;
+  };
+
   let fullCountry = countryOfOrigin;
   if (fullCountry.length > 2) {
     fullCountry = countryToIso[fullCountry] || fullCountry; // fallback to original if not found
@@ -228,12 +384,18 @@ const calculateProcessEmissions = (
   logger.debug(`Calculating process emissions for country: ${fullCountry}`);
 
   return productManufacturingProcess.reduce((total, materialProcess) => {
+    // Start from a clean breakdown so recalculations don't accumulate
+    materialProcess.processEmissions = [];
+    materialProcess.impacts = emptyImpacts();
+    materialProcess.dataOrigin =
+      materialProcess.dataOrigin || options.dataOrigin || "user";
+
     const processTotal = materialProcess.manufacturingProcesses.reduce(
       (sum, processGroup) => {
         const groupTotal = processGroup.processes.reduce(
           (innerSum, processName) => {
-            // Try to find the emission factor in the new structure
-            let emissionFactor = 0; // Direct emission factor in kg CO2/kg
+            // Try to find the emission factor entry in the new structure
+            let processEntry;
 
             // Try different lookup strategies
             const materialClass = normalize(materialProcess.materialClass);
@@ -252,44 +414,89 @@ const calculateProcessEmissions = (
             // Try RoW fallback
             const rowKey = `${materialClass}-${specificMaterial}-${process}-row`;
 
-            emissionFactor =
-              processMap.get(specificKey) || processMap.get(globalKey) || processMap.get(rowKey) || 0;
+            // Supplier-specific factors win over the shared database
+            const customFactor =
+              customFactorMap.get(`${country}-${materialClass}-${specificMaterial}-${process}`) ||
+              customFactorMap.get(`${normalize(countryOfOrigin)}-${materialClass}-${specificMaterial}-${process}`) ||
+              customFactorMap.get(`glo-${materialClass}-${specificMaterial}-${process}`);
+
+            // Record which fallback tier produced the factor for data quality scoring
+            let matchTier;
+            if (customFactor) {
+              processEntry = toSupplierSpecificEntry(customFactor);
+              matchTier = "supplierSpecific";
+            } else if (lookupProcess(specificKey)) {
+              processEntry = lookupProcess(specificKey);
+              matchTier =
+                country === "glo" ? "global" : country === "row" ? "restOfWorld" : "exactCountry";
+            } else if (lookupProcess(globalKey)) {
+              processEntry = lookupProcess(globalKey);
+              matchTier = "global";
+            } else if (lookupProcess(rowKey)) {
+              processEntry = lookupProcess(rowKey);
+              matchTier = "restOfWorld";
+            }
 
             // If still not found, try to find any matching process for this material class
-            if (emissionFactor === 0) {
+            if (!processEntry) {
+              matchTier = "notFound";
               for (const [key, value] of processMap.entries()) {
-                if (key.includes(materialClass) && key.includes(process)) {
-                  emissionFactor = value;
+                if (key.includes(materialClass) && key.includes(process) && value["EmissionFactor"]) {
+                  processEntry = value;
+                  matchTier = "partialMatch";
                   logger.debug(
-                    `Using fallback emission factor for ${materialClass}-${process}: ${emissionFactor}`
+                    `Using fallback emission factor for ${materialClass}-${process}: ${value["EmissionFactor"]}`
                   );
                   break;
                 }
               }
             }
 
+            // Direct emission factor in kg CO2/kg
+            const emissionFactor = processEntry ? processEntry["EmissionFactor"] : 0;
+
             if (emissionFactor === 0) {
               logger.debug(
                 `No emission factor found for ${materialClass}-${specificMaterial}-${process}. Using 0.`
               );
             }
 
-            // Calculate emissions: emission factor (kg CO2/kg) * weight (kg)
-            const calculatedEmission = emissionFactor * materialProcess.weight;
+            // Processed mass (kg) in the unit the factor is declared per
+            const converted = processEntry
+              ? toFunctionalQuantity({ weight: materialProcess.weight, unit: "kg" }, processEntry)
+              : { quantity: materialProcess.weight };
+            const quantity = converted.error ? 0 : converted.quantity;
+
+            // Calculate emissions: emission factor (kg CO2/unit) * quantity
+            const calculatedEmission = emissionFactor * quantity;
+            const calculatedImpacts = scaleImpacts(
+              getFactorImpacts(processEntry),
+              quantity
+            );
 
             // Store the emission factor for reference
-            if (!materialProcess.processEmissions) {
-              materialProcess.processEmissions = [];
-            }
-
             materialProcess.processEmissions.push({
               process: processName,
               emissionFactor: emissionFactor,
               weight: materialProcess.weight,
               emission: calculatedEmission,
+              impacts: calculatedImpacts,
+              EF_Type: processEntry?.EF_Type,
+              customFactorId: processEntry?.customFactorId,
+              factorUncertainty: processEntry?.uncertainty,
+              unitError: converted.error,
+              dataQuality: buildDataQuality({
+                tier: matchTier,
+                entry: processEntry,
+                dataOrigin: materialProcess.dataOrigin,
+              }),
             });
 
             materialProcess.emissionFactor = calculatedEmission;
+            materialProcess.impacts = addImpacts(
+              materialProcess.impacts,
+              calculatedImpacts
+            );
 
             return innerSum + calculatedEmission;
           },
@@ -299,16 +506,94 @@ const calculateProcessEmissions = (
       },
       0
     );
+    materialProcess.dataQuality = summarizeProcessLineDataQuality(
+      materialProcess.processEmissions
+    );
     return total + processTotal;
   }, 0);
 };
 
+/**
+ * Calculate all product emissions in one pass
+ * @param {Array} materials - Bill of materials (mutated with per-line results)
+ * @param {Array} productManufacturingProcess - Manufacturing processes (mutated with per-line results)
+ * @param {String} countryOfOrigin - The country of origin of the product
+ * @param {Object} lifeCycle - Installation, use and end-of-life configuration
+ * @param {Object} options - { factorDatabase, customFactors }, see calculateRawMaterialEmissions
+ * @returns {Object} - GWP totals, per-category impacts and their coverage,
+ *   life-cycle modules and factor version
+ */
+const calculateProductImpacts = (
+  materials = [],
+  productManufacturingProcess = [],
+  countryOfOrigin = "GLO",
+  lifeCycle = {},
+  options = {}
+) => {
+  const factorDatabase = options.factorDatabase || getFactorDatabase();
+  const co2EmissionRawMaterials = calculateRawMaterialEmissions(
+    materials,
+    countryOfOrigin,
+    { ...options, factorDatabase }
+  );
+  const co2EmissionFromProcesses = calculateProcessEmissions(
+    productManufacturingProcess,
+    countryOfOrigin,
+    { ...options, factorDatabase }
+  );
+
+  const rawMaterials = sumImpacts(materials.map((material) => material.impacts));
+  const processes = sumImpacts(
+    productManufacturingProcess.map((process) => process.impacts)
+  );
+
+  const total = addImpacts(rawMaterials, processes);
+
+  return {
+    co2Emission: co2EmissionRawMaterials + co2EmissionFromProcesses,
+    co2EmissionRawMaterials,
+    co2EmissionFromProcesses,
+    factorVersion: factorDatabase.version,
+    impacts: {
+      rawMaterials,
+      processes,
+      total,
+    },
+    lifeCycleModules: calculateLifeCycleModules({
+      productionImpacts: total,
+      materials,
+      lifeCycle,
+      countryOfOrigin,
+    }),
+    dataQuality: aggregateProductDataQuality(
+      materials,
+      productManufacturingProcess
+    ),
+    impactCoverage: getImpactCoverage([
+      ...materials.map((material) => material.impacts),
+      ...productManufacturingProcess.map((process) => process.impacts),
+    ]),
+  };
+};
+
+/**
+ * Load the account data the calculators need alongside the factor database
+ * @param {Object} req - Request object
+ * @param {Object} options - Options to extend, e.g. { factorDatabase }
+ * @returns {Object} - Options with the account's active supplier-specific factors
+ */
+const getCalculationOptions = async (req, options = {}) => ({
+  ...options,
+  customFactors: options.customFactors || (await getActiveEmissionFactors(req)),
+});
+
 /**
  * Create or update product with AI processing
  * @param {Object} req - Request object
  * @param {Object} productData - Product data
  * @param {boolean} runAI - Whether to run AI classification
  * @returns {Object} - Created or updated product
+ * @throws {Error} 402 when the AI cost exceeds the account's AI budgets
  */
 const createOrUpdateProductWithAI = async (req, productData, runAI = false) => {
   const {
@@ -316,10 +601,17 @@ const createOrUpdateProductWithAI = async (req, productData, runAI = false) => {
     classifyBOM,
     classifyManufacturingProcess,
   } = require("../utils/chatGPTUtils");
+  const { summarizeAIConfidence, markAIDraft } = require("./review.service");
+  const { assertAIBudget } = require("./aiBudget.service");
 
   const Product = await getProductModel(req);
   const { code, name, description, weight, images } = productData;
 
+  // Rejected with a 402 before anything is stored when over the AI budgets
+  if (runAI) {
+    await assertAIBudget(req, [productData]);
+  }
+
   // Check if product with same code already exists
   const existingProduct = await Product.findOne({ code });
 
@@ -345,7 +637,11 @@ const createOrUpdateProductWithAI = async (req, productData, runAI = false) => {
         description,
         weight,
         images?.[0],
-        req
+        req,
+        {
+          category: classifyResult.category,
+          subCategory: classifyResult.subcategory,
+        }
       );
       const classifyManufacturingProcessResult =
         await classifyManufacturingProcess(
@@ -357,13 +653,12 @@ const createOrUpdateProductWithAI = async (req, productData, runAI = false) => {
         );
 
       // Calculate emissions
-      const co2EmissionRawMaterials = calculateRawMaterialEmissions(
+      const emissions = calculateProductImpacts(
         classifyBOMResult,
-        productData.countryOfOrigin
-      );
-      const co2EmissionFromProcesses = calculateProcessEmissions(
         classifyManufacturingProcessResult,
-        productData.countryOfOrigin
+        productData.countryOfOrigin,
+        productData.lifeCycle,
+        await getCalculationOptions(req, { dataOrigin: "ai" })
       );
 
       // Update product data with AI results
@@ -372,10 +667,19 @@ const createOrUpdateProductWithAI = async (req, productData, runAI = false) => {
       productData.materials = classifyBOMResult;
       productData.productManufacturingProcess =
         classifyManufacturingProcessResult;
-      productData.co2Emission =
-        co2EmissionRawMaterials + co2EmissionFromProcesses;
-      productData.co2EmissionRawMaterials = co2EmissionRawMaterials;
-      productData.co2EmissionFromProcesses = co2EmissionFromProcesses;
+      productData.co2Emission = emissions.co2Emission;
+      productData.co2EmissionRawMaterials = emissions.co2EmissionRawMaterials;
+      productData.co2EmissionFromProcesses = emissions.co2EmissionFromProcesses;
+      productData.impacts = emissions.impacts;
+      productData.lifeCycleModules = emissions.lifeCycleModules;
+      productData.factorVersion = emissions.factorVersion;
+      productData.dataQuality = emissions.dataQuality;
+      productData.impactCoverage = emissions.impactCoverage;
+      productData.aiConfidence = summarizeAIConfidence(
+        classifyResult,
+        classifyBOMResult,
+        classifyManufacturingProcessResult
+      );
       productData.aiProcessingStatus = "completed";
     } catch (error) {
       logger?.error?.(
@@ -406,11 +710,97 @@ const createOrUpdateProductWithAI = async (req, productData, runAI = false) => {
     result.product = await newProduct.save();
   }
 
+  if (productData.aiProcessingStatus === "completed") {
+    await markAIDraft(req, [result.product._id]);
+    result.product = await Product.findById(result.product._id);
+  }
+
   return result;
 };
 
+/**
+ * Bring entered amounts to the units products are stored in: the product
+ * weight (in `weightUnit`, kg by default) and mass lines to kg, lines in other
+ * units keep their quantity, see utils/units
+ * @param {Object} fields - Product fields (mutated)
+ * @throws {Error} 400 for unknown units, a product weight not in a mass unit
+ *   or a declared unit without a positive amount
+ */
+const normalizeProductUnits = (fields) => {
+  if (fields.weightUnit !== undefined && typeof fields.weight === "number") {
+    fields.weight = toKg(fields.weight, fields.weightUnit);
+  }
+  delete fields.weightUnit;
+
+  if (fields.declaredUnit) {
+    const unit = normalizeUnit(fields.declaredUnit.unit);
+    const { amount } = fields.declaredUnit;
+    if (!unit || getUnitDimension(unit) === "count") {
+      const error = new Error(
+        `Declared unit must be one of: ${listUnits().filter((name) => getUnitDimension(name) !== "count").join(", ")}`
+      );
+      error.statusCode = 400;
+      throw error;
+    }
+    if (typeof amount !== "number" || isNaN(amount) || amount <= 0) {
+      const error = new Error("Declared unit amount must be a positive number");
+      error.statusCode = 400;
+      throw error;
+    }
+    fields.declaredUnit = { unit, amount };
+  }
+
+  if (Array.isArray(fields.materials)) {
+    fields.materials = fields.materials.map((line) =>
+      normalizeLineUnit(line, `Material line ${line.materialClass} - ${line.specificMaterial}`)
+    );
+  }
+  if (Array.isArray(fields.productManufacturingProcess)) {
+    // Processes apply to a mass, stored in kg without a unit
+    fields.productManufacturingProcess = fields.productManufacturingProcess.map(
+      ({ unit, ...line }) =>
+        unit !== undefined && typeof line.weight === "number"
+          ? { ...line, weight: toKg(line.weight, unit) }
+          : line
+    );
+  }
+  return fields;
+};
+
+/**
+ * Lines whose amount could not be converted to the unit of their factor
+ * @returns {Array} - Error messages, empty when every line converted
+ */
+const getUnitErrors = (materials = [], productManufacturingProcess = []) => [
+  ...materials
+    .filter((line) => line.unitError)
+    .map((line) => `${line.materialClass} - ${line.specificMaterial}: ${line.unitError}`),
+  ...productManufacturingProcess.flatMap((line) =>
+    (line.processEmissions || [])
+      .filter((entry) => entry.unitError)
+      .map(
+        (entry) =>
+          `${line.materialClass} - ${line.specificMaterial} (${entry.process}): ${entry.unitError}`
+      )
+  ),
+];
+
+/**
+ * Refuse calculated lines with unit mismatches
+ * @throws {Error} 400 listing the mismatches
+ */
+const assertNoUnitErrors = (materials, productManufacturingProcess) => {
+  const unitErrors = getUnitErrors(materials, productManufacturingProcess);
+  if (unitErrors.length > 0) {
+    const error = new Error(unitErrors.join("; "));
+    error.statusCode = 400;
+    throw error;
+  }
+};
+
 /**
  * Create a new product or update existing one if product code already exists
+ * @throws {Error} 400 for unknown units or lines that do not match the unit of their factor
  */
 const createProduct = async (req) => {
   const Product = await getProductModel(req);
@@ -427,33 +817,40 @@ const createProduct = async (req) => {
     materials = [],
     images = [],
     productManufacturingProcess = [],
-  } = req.body;
+    lifeCycle = {},
+    declaredUnit,
+  } = normalizeProductUnits({ ...req.body });
 
   // Check if product with same code already exists
   const existingProduct = await Product.findOne({ code });
 
-  if(countryOfOrigin.length == 2){
-    countryOfOrigin = isoToCountry[countryOfOrigin];
-  }
+  countryOfOrigin = normalizeCountryOfOrigin(countryOfOrigin);
 
   // Calculate emissions separately
-  const co2EmissionRawMaterials = calculateRawMaterialEmissions(
+  const {
+    co2Emission,
+    co2EmissionRawMaterials,
+    co2EmissionFromProcesses,
+    impacts,
+    lifeCycleModules,
+    factorVersion,
+    dataQuality,
+    impactCoverage,
+  } = calculateProductImpacts(
     materials,
-    countryOfOrigin
-  );
-
-  const co2EmissionFromProcesses = calculateProcessEmissions(
     productManufacturingProcess,
-    countryOfOrigin
+    countryOfOrigin,
+    lifeCycle,
+    await getCalculationOptions(req)
   );
-
-  const co2Emission = co2EmissionRawMaterials + co2EmissionFromProcesses;
+  assertNoUnitErrors(materials, productManufacturingProcess);
 
   const productData = {
     code,
     name,
     description,
     weight,
+    declaredUnit,
     countryOfOrigin,
     category,
     subCategory,
@@ -464,6 +861,12 @@ const createProduct = async (req) => {
     co2Emission,
     co2EmissionRawMaterials,
     co2EmissionFromProcesses,
+    impacts,
+    lifeCycle,
+    lifeCycleModules,
+    factorVersion,
+    dataQuality,
+    impactCoverage,
     productManufacturingProcess,
   };
 
@@ -514,6 +917,16 @@ const getAllProducts = async (req) => {
     co2EmissionFromProcesses: product.co2EmissionFromProcesses
       ? parseFloat(product.co2EmissionFromProcesses.toFixed(2))
       : product.co2EmissionFromProcesses,
+    impacts: product.impacts?.total
+      ? {
+          rawMaterials: roundImpacts(product.impacts.rawMaterials),
+          processes: roundImpacts(product.impacts.processes),
+          total: roundImpacts(product.impacts.total),
+        }
+      : product.impacts,
+    lifeCycleModules: product.lifeCycleModules
+      ? roundLifeCycleModules(product.lifeCycleModules)
+      : product.lifeCycleModules,
   }));
 
   return products;
@@ -528,15 +941,442 @@ const getProductById = async (req, id) => {
 };
 
 /**
- * Update a product
+ * Summarise the stored results of a product for before/after comparisons
+ */
+const summarizeProductResults = (product) => ({
+  factorVersion: product.factorVersion || null,
+  co2Emission: product.co2Emission || 0,
+  co2EmissionRawMaterials: product.co2EmissionRawMaterials || 0,
+  co2EmissionFromProcesses: product.co2EmissionFromProcesses || 0,
+  impacts: impactsOrGwp(product.impacts?.total, product.co2Emission),
+});
+
+/**
+ * Difference between two product result summaries (after - before)
+ */
+const diffProductResults = (before, after) => ({
+  co2Emission: after.co2Emission - before.co2Emission,
+  co2EmissionRawMaterials:
+    after.co2EmissionRawMaterials - before.co2EmissionRawMaterials,
+  co2EmissionFromProcesses:
+    after.co2EmissionFromProcesses - before.co2EmissionFromProcesses,
+  impacts: subtractImpacts(after.impacts, before.impacts),
+});
+
+/**
+ * Round every number of a result summary or diff for API responses
+ */
+const roundProductResults = (results) => ({
+  ...results,
+  co2Emission: parseFloat(results.co2Emission.toFixed(4)),
+  co2EmissionRawMaterials: parseFloat(results.co2EmissionRawMaterials.toFixed(4)),
+  co2EmissionFromProcesses: parseFloat(
+    results.co2EmissionFromProcesses.toFixed(4)
+  ),
+  impacts: roundImpacts(results.impacts, 4),
+});
+
+/**
+ * Recalculate a stored product against a factor database version.
+ * Works on copies so nothing is persisted.
+ * @param {Object} product - Stored product (document or lean object)
+ * @param {Object} options - { factorDatabase, customFactors }
+ * @returns {Object} - Recalculated fields, material factor changes and summaries
+ */
+const buildProductRecalculation = (product, options) => {
+  const stored = product.toObject ? product.toObject() : product;
+  const materials = JSON.parse(JSON.stringify(stored.materials || []));
+  const productManufacturingProcess = JSON.parse(
+    JSON.stringify(stored.productManufacturingProcess || [])
+  );
+
+  const results = calculateProductImpacts(
+    materials,
+    productManufacturingProcess,
+    stored.countryOfOrigin || "GLO",
+    stored.lifeCycle,
+    options
+  );
+
+  // Lines whose per-kg factor changed between versions
+  const materialChanges = materials
+    .map((material, index) => ({
+      materialClass: material.materialClass,
+      specificMaterial: material.specificMaterial,
+      before: stored.materials[index]?.specificMaterialEmissionFactor || 0,
+      after: material.specificMaterialEmissionFactor || 0,
+    }))
+    .filter((change) => change.before !== change.after);
+
+  const before = summarizeProductResults(stored);
+  const after = summarizeProductResults(results);
+
+  return {
+    update: {
+      materials,
+      productManufacturingProcess,
+      co2Emission: results.co2Emission,
+      co2EmissionRawMaterials: results.co2EmissionRawMaterials,
+      co2EmissionFromProcesses: results.co2EmissionFromProcesses,
+      impacts: results.impacts,
+      lifeCycleModules: results.lifeCycleModules,
+      factorVersion: results.factorVersion,
+      dataQuality: results.dataQuality,
+      impactCoverage: results.impactCoverage,
+    },
+    comparison: {
+      productId: stored._id,
+      code: stored.code,
+      name: stored.name,
+      before: roundProductResults(before),
+      after: roundProductResults(after),
+      delta: roundProductResults(diffProductResults(before, after)),
+      materialChanges,
+    },
+  };
+};
+
+/**
+ * Recalculate one product against a factor database version
+ * @param {Object} req - Request object
+ * @param {string} id - Product ID
+ * @param {Object} options - { factorVersion, dryRun }
+ * @returns {Object|null} - Before/after comparison, or null if not found
+ */
+const recalculateProduct = async (req, id, options = {}) => {
+  const Product = await getProductModel(req);
+  const calculationOptions = await getCalculationOptions(req, {
+    factorDatabase: getFactorDatabase(options.factorVersion || undefined),
+  });
+
+  const product = await Product.findById(id).lean();
+  if (!product) {
+    return null;
+  }
+
+  const { update, comparison } = buildProductRecalculation(
+    product,
+    calculationOptions
+  );
+
+  if (!options.dryRun) {
+    await Product.updateOne(
+      { _id: product._id },
+      { $set: { ...update, modifiedDate: new Date() } }
+    );
+  }
+
+  return { ...comparison, saved: !options.dryRun };
+};
+
+/**
+ * Recalculate every product of the account against a factor database version
+ * @param {Object} req - Request object
+ * @param {Object} options - { factorVersion, dryRun }
+ * @returns {Object} - Account totals before/after and per-product comparisons
+ */
+const recalculateAllProducts = async (req, options = {}) => {
+  const Product = await getProductModel(req);
+  const factorDatabase = getFactorDatabase(options.factorVersion || undefined);
+  const calculationOptions = await getCalculationOptions(req, { factorDatabase });
+
+  const products = await Product.find().lean();
+  const comparisons = [];
+  const failed = [];
+  let totalBefore = summarizeProductResults({});
+  let totalAfter = summarizeProductResults({});
+
+  const addSummaries = (a, b) => ({
+    co2Emission: a.co2Emission + b.co2Emission,
+    co2EmissionRawMaterials:
+      a.co2EmissionRawMaterials + b.co2EmissionRawMaterials,
+    co2EmissionFromProcesses:
+      a.co2EmissionFromProcesses + b.co2EmissionFromProcesses,
+    impacts: addImpacts(a.impacts, b.impacts),
+  });
+
+  for (const product of products) {
+    try {
+      const { update, comparison } = buildProductRecalculation(
+        product,
+        calculationOptions
+      );
+
+      if (!options.dryRun) {
+        await Product.updateOne(
+          { _id: product._id },
+          { $set: { ...update, modifiedDate: new Date() } }
+        );
+      }
+
+      const before = summarizeProductResults(product);
+      totalBefore = addSummaries(totalBefore, before);
+      totalAfter = addSummaries(
+        totalAfter,
+        summarizeProductResults(update)
+      );
+      comparisons.push(comparison);
+    } catch (error) {
+      logger.error(
+        `Failed to recalculate product ${product.code}: ${error.message}`
+      );
+      failed.push({ productId: product._id, code: product.code, error: error.message });
+    }
+  }
+
+  const changed = comparisons.filter(
+    (comparison) =>
+      comparison.delta.co2Emission !== 0 || comparison.materialChanges.length > 0
+  );
+
+  return {
+    factorVersion: factorDatabase.version,
+    dryRun: !!options.dryRun,
+    totalProducts: products.length,
+    changedProducts: changed.length,
+    failedProducts: failed.length,
+    before: roundProductResults(totalBefore),
+    after: roundProductResults(totalAfter),
+    delta: roundProductResults(diffProductResults(totalBefore, totalAfter)),
+    products: changed,
+    failed,
+  };
+};
+
+// Fields that are derived by the calculators and never taken from a request
+const CALCULATED_FIELDS = [
+  "_id",
+  "co2Emission",
+  "co2EmissionRawMaterials",
+  "co2EmissionFromProcesses",
+  "impacts",
+  "lifeCycleModules",
+  "factorVersion",
+  "dataQuality",
+  "impactCoverage",
+  "createdDate",
+  "modifiedDate",
+];
+
+// Fields whose change requires the emissions to be recalculated
+const CALCULATION_INPUT_FIELDS = [
+  "materials",
+  "productManufacturingProcess",
+  "countryOfOrigin",
+  "weight",
+  "lifeCycle",
+];
+
+/**
+ * Merge line edits into the stored lines of a product.
+ * Lines with a known `_id` are merged field by field, lines without `_id` are added.
+ * @param {Array} storedLines - Current lines
+ * @param {Array} edits - Submitted lines
+ * @param {Object} options - { partial, remove, label }; a full update replaces the
+ *   list with the submitted lines, a partial update keeps lines not mentioned
+ */
+const mergeLines = (storedLines = [], edits = [], options = {}) => {
+  const { partial = false, remove = [], label = "line" } = options;
+  const storedById = new Map(storedLines.map((line) => [String(line._id), line]));
+
+  const merged = edits.map((edit) => {
+    if (!edit._id) return { ...edit };
+
+    const stored = storedById.get(String(edit._id));
+    if (!stored) {
+      const error = new Error(`${label} ${edit._id} not found on this product`);
+      error.statusCode = 404;
+      throw error;
+    }
+    // Edited lines count as user-entered unless told otherwise; an AI weight
+    // range no longer applies once the weight itself is entered
+    const line = { ...stored, dataOrigin: "user", ...edit };
+    if (edit.weight !== undefined && edit.weightRange === undefined) {
+      delete line.weightRange;
+    }
+    return line;
+  });
+
+  if (!partial) return merged;
+
+  const removedIds = new Set(remove.map(String));
+  const mergedById = new Map(
+    merged.filter((line) => line._id).map((line) => [String(line._id), line])
+  );
+
+  return storedLines
+    .filter((line) => !removedIds.has(String(line._id)))
+    .map((line) => mergedById.get(String(line._id)) || line)
+    .concat(merged.filter((line) => !line._id));
+};
+
+/**
+ * Recalculate the impacts of every project that contains a product
+ * @returns {Array} - Project totals before and after
  */
-const updateProduct = async (req, id) => {
+const cascadeProductToProjects = async (req, productId) => {
+  const projectService = require("./project.service");
+  const {
+    getProjectProductMappingsByProductId,
+  } = require("./project_product.service");
+
+  const mappings = await getProjectProductMappingsByProductId(req, productId);
+  const projectIds = [...new Set(mappings.map((mapping) => String(mapping.projectID)))];
+
+  const projects = [];
+  for (const projectId of projectIds) {
+    try {
+      const project = await projectService.getProjectById(req, projectId);
+      if (!project) continue;
+
+      const before = project.totalProjectImpact || 0;
+      const result = await projectService.calculateProjectImpacts(req, projectId);
+
+      projects.push({
+        projectId,
+        projectCode: project.code,
+        projectName: project.name,
+        before: { totalProjectImpact: before },
+        after: { totalProjectImpact: result.totalProjectImpact },
+        delta: {
+          totalProjectImpact: parseFloat(
+            (result.totalProjectImpact - before).toFixed(2)
+          ),
+        },
+      });
+    } catch (error) {
+      logger.error(
+        `Failed to recalculate project ${projectId} after product update: ${error.message}`
+      );
+      projects.push({ projectId, error: error.message });
+    }
+  }
+
+  return projects;
+};
+
+/**
+ * Update a product and recalculate its emissions when calculation inputs change
+ * @param {Object} req - Request object
+ * @param {string} id - Product ID
+ * @param {Object} changes - Submitted fields. `materials` and
+ *   `productManufacturingProcess` lines are matched by `_id`; partial updates
+ *   also accept `removeMaterials` / `removeProductManufacturingProcess` id lists.
+ * @param {Object} options - { partial } for PATCH-style updates
+ * @returns {Object|null} - { product, recalculation, projects }, or null if not found
+ * @throws {Error} 400 for unknown units or lines that do not match the unit of their factor
+ */
+const updateProduct = async (req, id, changes = req.body, options = {}) => {
   const Product = await getProductModel(req);
-  return await Product.findByIdAndUpdate(
+  const stored = await Product.findById(id).lean();
+  if (!stored) {
+    return null;
+  }
+
+  const {
+    removeMaterials = [],
+    removeProductManufacturingProcess = [],
+    ...fields
+  } = changes || {};
+  const update = { ...fields };
+  CALCULATED_FIELDS.forEach((field) => delete update[field]);
+  // The review state only changes through the review endpoints
+  delete update.reviewStatus;
+  delete update.review;
+
+  if (Array.isArray(fields.materials) || removeMaterials.length > 0) {
+    update.materials = mergeLines(stored.materials, fields.materials || [], {
+      partial: options.partial,
+      remove: removeMaterials,
+      label: "Material line",
+    });
+  }
+  if (
+    Array.isArray(fields.productManufacturingProcess) ||
+    removeProductManufacturingProcess.length > 0
+  ) {
+    update.productManufacturingProcess = mergeLines(
+      stored.productManufacturingProcess,
+      fields.productManufacturingProcess || [],
+      {
+        partial: options.partial,
+        remove: removeProductManufacturingProcess,
+        label: "Manufacturing process line",
+      }
+    );
+  }
+  if (options.partial && fields.lifeCycle) {
+    update.lifeCycle = { ...stored.lifeCycle, ...fields.lifeCycle };
+  }
+  if (update.countryOfOrigin !== undefined) {
+    update.countryOfOrigin = normalizeCountryOfOrigin(update.countryOfOrigin);
+  }
+  normalizeProductUnits(update);
+
+  // A new product weight rescales the lines that were not edited explicitly
+  const weightChanged =
+    typeof update.weight === "number" && update.weight !== stored.weight;
+  if (weightChanged && stored.weight > 0) {
+    const ratio = update.weight / stored.weight;
+    if (!update.materials) {
+      update.materials = (stored.materials || []).map((line) => ({
+        ...line,
+        weight: line.weight * ratio,
+        ...(typeof line.quantity === "number" && { quantity: line.quantity * ratio }),
+        weightRange: line.weightRange && {
+          min: line.weightRange.min * ratio,
+          max: line.weightRange.max * ratio,
+        },
+      }));
+    }
+    if (!update.productManufacturingProcess) {
+      update.productManufacturingProcess = (
+        stored.productManufacturingProcess || []
+      ).map((line) => ({ ...line, weight: line.weight * ratio }));
+    }
+  }
+
+  const needsRecalculation = CALCULATION_INPUT_FIELDS.some(
+    (field) => update[field] !== undefined
+  );
+
+  let recalculation = null;
+  if (needsRecalculation) {
+    // Keep the factor version the product was calculated with so the delta
+    // only reflects the edit; use /recalculate to move to another version
+    const factorDatabase = getFactorDatabase(
+      factorVersionExists(stored.factorVersion) ? stored.factorVersion : undefined
+    );
+    const { update: calculated, comparison } = buildProductRecalculation(
+      { ...stored, ...update },
+      await getCalculationOptions(req, { factorDatabase })
+    );
+    assertNoUnitErrors(calculated.materials, calculated.productManufacturingProcess);
+
+    Object.assign(update, calculated);
+    recalculation = {
+      before: roundProductResults(summarizeProductResults(stored)),
+      after: comparison.after,
+      delta: roundProductResults(
+        diffProductResults(
+          summarizeProductResults(stored),
+          summarizeProductResults(calculated)
+        )
+      ),
+    };
+  }
+
+  const product = await Product.findByIdAndUpdate(
     id,
-    { ...req.body, modifiedDate: new Date() },
+    { $set: { ...update, modifiedDate: new Date() } },
     { new: true, runValidators: true }
   );
+
+  const projects = recalculation
+    ? await cascadeProductToProjects(req, product._id)
+    : [];
+
+  return { product, recalculation, projects };
 };
 
 /**
@@ -583,11 +1423,17 @@ module.exports = {
   getProductModel,
   calculateRawMaterialEmissions,
   calculateProcessEmissions,
+  calculateProductImpacts,
+  getCalculationOptions,
+  buildProductRecalculation,
+  getUnitErrors,
   createProduct,
   createOrUpdateProductWithAI,
   getAllProducts,
   getProductById,
   updateProduct,
+  recalculateProduct,
+  recalculateAllProducts,
   deleteProduct,
   deleteAllProducts,
   deleteProductByID,
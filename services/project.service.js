@@ -4,6 +4,33 @@ const projectSchema = require('../models/project_schema');
 const productSchema = require('../models/product_schema');
 const projectProductMapSchema = require('../models/project_product_map_schema');
 const { getAccount } = require('../middlewares/auth.middleware');
+const { getCalculationOptions } = require('./product.service');
+const { getMappingTransportImpacts } = require('./transport.service');
+const {
+  calculatePackagingImpacts,
+  getPackagingTransportImpacts
+} = require('./packaging.service');
+const {
+  emptyImpacts,
+  scaleImpacts,
+  addImpacts,
+  sumImpacts,
+  roundImpacts,
+  impactsOrGwp,
+  getImpactCoverage
+} = require('../utils/impactCategories');
+const {
+  emptyLifeCycleModules,
+  addLifeCycleModules,
+  scaleLifeCycleModules,
+  roundLifeCycleModules,
+  lifeCycleModulesOrDefault,
+  summarizeLifeCycleStages,
+  roundLifeCycleStages
+} = require('../utils/lifeCycleStages');
+const { aggregateProjectDataQuality } = require('../utils/dataQuality');
+const { toProductCount } = require('../utils/units');
+const { getReviewStatus, isApprovedForReports } = require('./review.service');
 
 /**
  * Get project model for the current account
@@ -86,10 +113,333 @@ const deleteAllProjects = async (req) => {
   return await Project.deleteMany({});
 };
 
+/**
+ * Empty result of a project without products
+ */
+const emptyProjectImpacts = () => ({
+  totalProjectImpact: 0,
+  totalMaterialsImpact: 0,
+  totalManufacturingImpact: 0,
+  totalTransportationImpact: 0,
+  totalPackagingImpact: 0,
+  impacts: {
+    materials: emptyImpacts(),
+    manufacturing: emptyImpacts(),
+    packaging: emptyImpacts(),
+    transportation: emptyImpacts(),
+    total: emptyImpacts()
+  },
+  lifeCycleModules: emptyLifeCycleModules(),
+  lifeCycleStages: summarizeLifeCycleStages(emptyLifeCycleModules()),
+  factorVersions: [],
+  dataQuality: aggregateProjectDataQuality([]),
+  impactCoverage: getImpactCoverage([]),
+  products: []
+});
+
+/**
+ * Aggregate project products into project totals. This is the calculation
+ * pipeline shared by calculateProjectImpacts and project scenarios.
+ * @param {Array} entries - [{ productEntry, productDetails }] where productEntry
+ *   is a project-product mapping entry and productDetails the product, or null
+ *   when the product no longer exists
+ * @param {Object} options - { factorDatabase, customFactors } used for packaging
+ * @returns {Object} - Totals, impact vectors and their coverage, life-cycle
+ *   modules and stages, factor versions, data quality and per-product details
+ */
+const aggregateProjectImpacts = (entries = [], options = {}) => {
+  if (entries.length === 0) {
+    return emptyProjectImpacts();
+  }
+  
+  // Initialize totals
+  let totalMaterialsImpact = 0;
+  let totalManufacturingImpact = 0;
+  let totalTransportationImpact = 0;
+  let totalPackagingImpact = 0;
+  let materialsImpacts = emptyImpacts();
+  let manufacturingImpacts = emptyImpacts();
+  let packagingImpacts = emptyImpacts();
+  let transportationImpacts = emptyImpacts();
+  let lifeCycleModules = emptyLifeCycleModules();
+  const factorVersions = new Set();
+  const dataQualityItems = [];
+  // Inputs of the totals with the coverage of product results, see getImpactCoverage
+  const coverageVectors = [];
+  const coverageInputs = [];
+  
+  // Create a flattened array of all products from all mappings
+  let allProductDetails = [];
+  
+  for (const { productEntry, productDetails } of entries) {
+    // Check if product details exist
+    if (!productDetails) {
+      allProductDetails.push({
+        _id: null,
+        productName: 'Unknown',
+        productCode: 'Unknown',
+        description: null,
+        weight: 0,
+        countryOfOrigin: "Unknown",
+        category: "Uncategorized",
+        subCategory: "Uncategorized",
+        supplierName: "Unknown",
+        modifiedDate: null,
+        createdDate: null,
+        co2Emission: 0,
+        materials: [],
+        productManufacturingProcess: [],
+        co2EmissionRawMaterials: 0,
+        co2EmissionFromProcesses: 0,
+        transportationEmission: 0,
+        transportationLegs: productEntry.transportationLegs || [],
+        packagingWeight: productEntry.packagingWeight || 0,
+        palletWeight: productEntry.palletWeight || 0,
+        packaging: [],
+        images: [],
+        impacts: {
+          materialsImpact: 0,
+          manufacturingImpact: 0,
+          packagingImpact: 0,
+          transportationImpact: 0,
+          totalImpact: 0
+        },
+        impactsByCategory: {
+          materials: emptyImpacts(),
+          manufacturing: emptyImpacts(),
+          packaging: emptyImpacts(),
+          transportation: emptyImpacts(),
+          total: emptyImpacts()
+        },
+        lifeCycleModules: emptyLifeCycleModules(),
+        lifeCycleStages: summarizeLifeCycleStages(emptyLifeCycleModules())
+      });
+      continue;
+    }
+    
+    // An entry stands for `quantity` of the product in `unit`, i.e. productCount
+    // products, each shipped as described
+    const quantity = productEntry.quantity ?? 1;
+    const { count: productCount = 0, error: quantityError } = toProductCount(
+      quantity,
+      productEntry.unit,
+      productDetails
+    );
+
+    const packaging = calculatePackagingImpacts(productEntry, productDetails.countryOfOrigin, options);
+    const entryPackagingImpacts = scaleImpacts(packaging.impacts, productCount);
+
+    // Packaging travels with the product, so its weight adds to the transport legs
+    const entryTransportImpacts = scaleImpacts(
+      addImpacts(
+        getMappingTransportImpacts(productEntry),
+        getPackagingTransportImpacts(productEntry, productDetails.weight, packaging.weight)
+      ),
+      productCount
+    );
+    const packagingImpact = entryPackagingImpacts.gwp;
+    const transportationImpact = entryTransportImpacts.gwp;
+
+    if (productDetails.factorVersion) {
+      factorVersions.add(productDetails.factorVersion);
+    }
+    factorVersions.add(packaging.factorVersion);
+    
+    // Calculate impacts
+    const materialsImpact = (productDetails.co2EmissionRawMaterials || 0) * productCount;
+    const manufacturingImpact = (productDetails.co2EmissionFromProcesses || 0) * productCount;
+    
+    // Per-category breakdown (GWP-only for products calculated before impacts were stored)
+    const unitMaterialsImpacts = impactsOrGwp(productDetails.impacts?.rawMaterials, productDetails.co2EmissionRawMaterials);
+    const unitManufacturingImpacts = impactsOrGwp(productDetails.impacts?.processes, productDetails.co2EmissionFromProcesses);
+    const productMaterialsImpacts = scaleImpacts(unitMaterialsImpacts, productCount);
+    const productManufacturingImpacts = scaleImpacts(unitManufacturingImpacts, productCount);
+    
+    // Add to running totals
+    totalMaterialsImpact += materialsImpact;
+    totalManufacturingImpact += manufacturingImpact;
+    totalTransportationImpact += transportationImpact;
+    totalPackagingImpact += packagingImpact;
+    materialsImpacts = addImpacts(materialsImpacts, productMaterialsImpacts);
+    manufacturingImpacts = addImpacts(manufacturingImpacts, productManufacturingImpacts);
+    packagingImpacts = addImpacts(packagingImpacts, entryPackagingImpacts);
+    transportationImpacts = addImpacts(transportationImpacts, entryTransportImpacts);
+    
+    // EN 15804 modules: packaging belongs to the product stage and A4 comes
+    // from this project's transport legs
+    const unitLifeCycleModules = scaleLifeCycleModules(
+      lifeCycleModulesOrDefault(
+        productDetails.lifeCycleModules,
+        addImpacts(unitMaterialsImpacts, unitManufacturingImpacts)
+      ),
+      productCount
+    );
+    const productLifeCycleModules = {
+      ...unitLifeCycleModules,
+      A1_A3: addImpacts(unitLifeCycleModules.A1_A3, entryPackagingImpacts),
+      A4: entryTransportImpacts
+    };
+    lifeCycleModules = addLifeCycleModules(lifeCycleModules, productLifeCycleModules);
+    
+    const productCoverageVectors = [
+      productMaterialsImpacts,
+      productManufacturingImpacts,
+      entryPackagingImpacts,
+      entryTransportImpacts
+    ];
+    const productCoverageInputs = [productDetails.impactCoverage, productDetails.impactCoverage];
+    coverageVectors.push(...productCoverageVectors);
+    coverageInputs.push(...productCoverageInputs, undefined, undefined);
+
+    // Products weigh into the project rating by their share of GWP
+    dataQualityItems.push({
+      dataQuality: productDetails.dataQuality,
+      weight: materialsImpact + manufacturingImpact
+    });
+    
+    // Add product details to the result array
+    allProductDetails.push({
+      _id: productDetails._id,
+      productName: productDetails.name,
+      productCode: productDetails.code,
+      description: productDetails.description,
+      weight: productDetails.weight || 0,
+      quantity,
+      unit: productEntry.unit || 'pieces',
+      productCount: parseFloat(productCount.toFixed(4)),
+      ...(quantityError && { quantityError }),
+      countryOfOrigin: productDetails.countryOfOrigin || "Unknown",
+      category: productDetails.category || "Uncategorized",
+      subCategory: productDetails.subCategory || "Uncategorized",
+      supplierName: productDetails.supplierName || "Unknown",
+      modifiedDate: productDetails.modifiedDate,
+      createdDate: productDetails.createdDate,
+      co2Emission: productDetails.co2Emission || 0,
+      materials: productDetails.materials || [],
+      productManufacturingProcess: productDetails.productManufacturingProcess || [],
+      co2EmissionRawMaterials: materialsImpact,
+      co2EmissionFromProcesses: manufacturingImpact,
+      transportationEmission: transportationImpact,
+      transportationLegs: productEntry.transportationLegs || [],
+      packagingWeight: productEntry.packagingWeight || 0,
+      palletWeight: productEntry.palletWeight || 0,
+      packaging: packaging.components,
+      ...(packaging.missingFactors.length > 0 && {
+        packagingWarning: `No emission factor for ${packaging.missingFactors
+          .map(({ materialClass, specificMaterial }) => `${materialClass} / ${specificMaterial}`)
+          .join(', ')}; counted as zero in packagingImpact`,
+        packagingMissingFactors: packaging.missingFactors
+      }),
+      images: productDetails.images || [],
+      impacts: {
+        materialsImpact,
+        manufacturingImpact,
+        packagingImpact,
+        transportationImpact,
+        totalImpact: materialsImpact + manufacturingImpact + packagingImpact + transportationImpact
+      },
+      impactsByCategory: {
+        materials: roundImpacts(productMaterialsImpacts),
+        manufacturing: roundImpacts(productManufacturingImpacts),
+        packaging: roundImpacts(entryPackagingImpacts),
+        transportation: roundImpacts(entryTransportImpacts),
+        total: roundImpacts(sumImpacts([
+          productMaterialsImpacts,
+          productManufacturingImpacts,
+          entryPackagingImpacts,
+          entryTransportImpacts
+        ]))
+      },
+      factorVersion: productDetails.factorVersion || null,
+      dataQuality: productDetails.dataQuality || null,
+      impactCoverage: getImpactCoverage(productCoverageVectors, productCoverageInputs),
+      lifeCycleModules: roundLifeCycleModules(productLifeCycleModules),
+      lifeCycleStages: roundLifeCycleStages(summarizeLifeCycleStages(productLifeCycleModules))
+    });
+  }
+  
+  // Calculate total project impact
+  const totalProjectImpact = parseFloat(
+    (totalMaterialsImpact + totalManufacturingImpact + totalPackagingImpact + totalTransportationImpact).toFixed(2)
+  );
+  
+  const impacts = {
+    materials: roundImpacts(materialsImpacts),
+    manufacturing: roundImpacts(manufacturingImpacts),
+    packaging: roundImpacts(packagingImpacts),
+    transportation: roundImpacts(transportationImpacts),
+    total: roundImpacts(sumImpacts([materialsImpacts, manufacturingImpacts, packagingImpacts, transportationImpacts]))
+  };
+  
+  return {
+    totalProjectImpact,
+    // Format all values to 2 decimal places
+    totalMaterialsImpact: parseFloat(totalMaterialsImpact.toFixed(2)),
+    totalManufacturingImpact: parseFloat(totalManufacturingImpact.toFixed(2)),
+    totalTransportationImpact: parseFloat(totalTransportationImpact.toFixed(2)),
+    totalPackagingImpact: parseFloat(totalPackagingImpact.toFixed(2)),
+    impacts,
+    lifeCycleModules: roundLifeCycleModules(lifeCycleModules),
+    lifeCycleStages: roundLifeCycleStages(summarizeLifeCycleStages(lifeCycleModules)),
+    factorVersions: [...factorVersions],
+    dataQuality: aggregateProjectDataQuality(dataQualityItems),
+    impactCoverage: getImpactCoverage(coverageVectors, coverageInputs),
+    products: allProductDetails
+  };
+};
+
+/**
+ * Fetch the full product details of each entry of each mapping
+ * @returns {Array} - [{ productEntry, productDetails }]
+ */
+const loadMappingEntries = async (ProductModel, projectMappings) => {
+  const entries = [];
+  for (const mapping of projectMappings) {
+    for (const productEntry of mapping.products) {
+      const productDetails = await ProductModel.findById(productEntry.productID);
+      entries.push({ productEntry, productDetails });
+    }
+  }
+  return entries;
+};
+
+/**
+ * Get the product entries of a project without recalculating or storing anything
+ * @returns {Array} - [{ productEntry, productDetails }]
+ */
+const getProjectEntries = async (req, projectId) => {
+  const ProductModel = await getProductModel(req);
+  const ProjectProductMapModel = await getProjectProductMapModel(req);
+  const projectMappings = await ProjectProductMapModel.find({ projectID: projectId });
+  return loadMappingEntries(ProductModel, projectMappings);
+};
+
+/**
+ * Split entries into those whose product may appear in an approved-only
+ * report and those left out
+ * @returns {Object} - { entries, excludedProducts }
+ */
+const filterApprovedEntries = (entries) => {
+  const excludedProducts = [];
+  const approved = entries.filter(({ productDetails }) => {
+    if (!productDetails || isApprovedForReports(productDetails)) return true;
+    excludedProducts.push({
+      _id: productDetails._id,
+      productCode: productDetails.code,
+      productName: productDetails.name,
+      reviewStatus: getReviewStatus(productDetails)
+    });
+    return false;
+  });
+  return { entries: approved, excludedProducts };
+};
+
 /**
  * Calculate project impacts
+ * @param {Object} options - { approvedOnly } to leave out products whose AI
+ *   results are not approved; such a report is not stored on the project
  */
-const calculateProjectImpacts = async (req, projectId) => {
+const calculateProjectImpacts = async (req, projectId, options = {}) => {
   const Project = await getProjectModel(req);
   const ProductModel = await getProductModel(req);
   const ProjectProductMapModel = await getProjectProductMapModel(req);
@@ -110,145 +460,57 @@ const calculateProjectImpacts = async (req, projectId) => {
       _id : project._id,
       projectCode: project.code,
       projectName: project.name,
-      totalProjectImpact: 0,
-      totalMaterialsImpact: 0,
-      totalManufacturingImpact: 0,
-      totalTransportationImpact: 0,
-      products: []
+      ...emptyProjectImpacts()
     };
   }
   
-  // Initialize totals
-  let totalMaterialsImpact = 0;
-  let totalManufacturingImpact = 0;
-  let totalTransportationImpact = 0;
-  
-  // Create a flattened array of all products from all mappings
-  let allProductDetails = [];
-  
-  // Process each mapping
-  for (const mapping of projectMappings) {
-    // Process each product in the mapping
-    for (const productEntry of mapping.products) {
-      // Fetch the full product details
-      const productDetails = await ProductModel.findById(productEntry.productID);
-      
-      // Check if product details exist
-      if (!productDetails) {
-        allProductDetails.push({
-          _id: null,
-          productName: 'Unknown',
-          productCode: 'Unknown',
-          description: null,
-          weight: 0,
-          countryOfOrigin: "Unknown",
-          category: "Uncategorized",
-          subCategory: "Uncategorized",
-          supplierName: "Unknown",
-          modifiedDate: null,
-          createdDate: null,
-          co2Emission: 0,
-          materials: [],
-          productManufacturingProcess: [],
-          co2EmissionRawMaterials: 0,
-          co2EmissionFromProcesses: 0,
-          transportationEmission: 0,
-          transportationLegs: productEntry.transportationLegs || [],
-          packagingWeight: productEntry.packagingWeight || 0,
-          palletWeight: productEntry.palletWeight || 0,
-          images: [],
-          impacts: {
-            materialsImpact: 0,
-            manufacturingImpact: 0,
-            transportationImpact: 0,
-            totalImpact: 0
-          }
-        });
-        continue;
-      }
-      
-      // Calculate impacts
-      const materialsImpact = productDetails.co2EmissionRawMaterials || 0;
-      const manufacturingImpact = productDetails.co2EmissionFromProcesses || 0;
-      const transportationImpact = productEntry.totalTransportationEmission || 0;
-      
-      // Add to running totals
-      totalMaterialsImpact += materialsImpact;
-      totalManufacturingImpact += manufacturingImpact;
-      totalTransportationImpact += transportationImpact;
-      
-      // Add product details to the result array
-      allProductDetails.push({
-        _id: productDetails._id,
-        productName: productDetails.name,
-        productCode: productDetails.code,
-        description: productDetails.description,
-        weight: productDetails.weight || 0,
-        countryOfOrigin: productDetails.countryOfOrigin || "Unknown",
-        category: productDetails.category || "Uncategorized",
-        subCategory: productDetails.subCategory || "Uncategorized",
-        supplierName: productDetails.supplierName || "Unknown",
-        modifiedDate: productDetails.modifiedDate,
-        createdDate: productDetails.createdDate,
-        co2Emission: productDetails.co2Emission || 0,
-        materials: productDetails.materials || [],
-        productManufacturingProcess: productDetails.productManufacturingProcess || [],
-        co2EmissionRawMaterials: materialsImpact,
-        co2EmissionFromProcesses: manufacturingImpact,
-        transportationEmission: transportationImpact,
-        transportationLegs: productEntry.transportationLegs || [],
-        packagingWeight: productEntry.packagingWeight || 0,
-        palletWeight: productEntry.palletWeight || 0,
-        images: productDetails.images || [],
-        impacts: {
-          materialsImpact,
-          manufacturingImpact,
-          transportationImpact,
-          totalImpact: materialsImpact + manufacturingImpact + transportationImpact
-        }
-      });
-    }
+  const entries = await loadMappingEntries(ProductModel, projectMappings);
+
+  if (options.approvedOnly) {
+    const approved = filterApprovedEntries(entries);
+    return {
+      projectCode: project.code,
+      projectName: project.name,
+      approvedOnly: true,
+      excludedProducts: approved.excludedProducts,
+      ...aggregateProjectImpacts(approved.entries, await getCalculationOptions(req))
+    };
   }
-  
-  const products = allProductDetails;
-  
-  // Calculate total project impact
-  const totalProjectImpact = parseFloat(
-    (totalMaterialsImpact + totalManufacturingImpact + totalTransportationImpact).toFixed(2)
-  );
-  
-  // Format all values to 2 decimal places
-  totalMaterialsImpact = parseFloat(totalMaterialsImpact.toFixed(2));
-  totalManufacturingImpact = parseFloat(totalManufacturingImpact.toFixed(2));
-  totalTransportationImpact = parseFloat(totalTransportationImpact.toFixed(2));
+
+  const result = aggregateProjectImpacts(entries, await getCalculationOptions(req));
   
   // Update project with impact information
   await Project.findByIdAndUpdate(projectId, {
-    totalProjectImpact,
-    totalMaterialsImpact,
-    totalManufacturingImpact,
-    totalTransportationImpact,
+    totalProjectImpact: result.totalProjectImpact,
+    totalMaterialsImpact: result.totalMaterialsImpact,
+    totalManufacturingImpact: result.totalManufacturingImpact,
+    totalTransportationImpact: result.totalTransportationImpact,
+    totalPackagingImpact: result.totalPackagingImpact,
+    impacts: result.impacts,
+    lifeCycleModules: result.lifeCycleModules,
+    factorVersions: result.factorVersions,
+    dataQuality: result.dataQuality,
+    impactCoverage: result.impactCoverage,
     modifiedDate: new Date()
   });
   
   return {
     projectCode: project.code,
     projectName: project.name,
-    totalProjectImpact,
-    totalMaterialsImpact,
-    totalManufacturingImpact,
-    totalTransportationImpact,
-    products
+    ...result
   };
 };
 
 module.exports = {
   getProjectModel,
+  getProjectProductMapModel,
   getAllProjects,
   getProjectById,
   createProject,
   updateProject,
   deleteProject,
   deleteAllProjects,
+  getProjectEntries,
+  aggregateProjectImpacts,
   calculateProjectImpacts
 };
\ No newline at end of file
@@ -1,7 +1,10 @@
 const logger = require('../utils/logger');
 const { getModel } = require('../config/database');
 const projectProductMapSchema = require('../models/project_product_map_schema');
+const productSchema = require('../models/product_schema');
+const { validatePackaging, summarizePackagingWeights } = require('./packaging.service');
 const { getAccount } = require('../middlewares/auth.middleware');
+const { normalizeUnit, listUnits, toProductCount } = require('../utils/units');
 
 /**
  * Get project-product mapping model for the current account
@@ -13,11 +16,79 @@ const getProjectProductMapModel = async (req) => {
   return getModel(account, projectProductMapSchema, "ProjectProductMap");
 };
 
+/**
+ * Derive packagingWeight and palletWeight of an entry from its packaging
+ * composition, when one is given
+ * @param {Object} productData - Mapping entry
+ * @returns {Object} Entry with consistent weights
+ */
+const withPackagingWeights = (productData) =>
+  productData?.packaging?.length > 0
+    ? { ...productData, ...summarizePackagingWeights(productData.packaging) }
+    : productData;
+
+/**
+ * Build an error carrying the HTTP status the controller should return
+ */
+const createError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Canonical unit of an entry quantity; counts keep the stored spelling "pieces"
+ * @returns {String|null} null for unknown units
+ */
+const getEntryUnit = (unit) => {
+  const canonical = normalizeUnit(unit ?? 'pieces');
+  return canonical === 'piece' ? 'pieces' : canonical;
+};
+
+/**
+ * Check that each entry's quantity can be counted in products of its product
+ * (pieces, the product's declared unit or mass) and bring the entries to the
+ * stored form
+ * @param {Object} req - Express request object
+ * @param {Array} entries - Mapping entries
+ * @returns {Array} Entries with canonical units and consistent packaging weights
+ * @throws {Error} 400 for units that do not match the product, 404 for unknown products
+ */
+const prepareEntries = async (req, entries = []) => {
+  const Product = await getModel(getAccount(req), productSchema, 'Product');
+  const products = new Map();
+
+  const prepared = [];
+  for (const entry of entries) {
+    const unit = getEntryUnit(entry.unit);
+    if (!unit) {
+      throw createError(400, `Product ${entry.productID}: unknown unit '${entry.unit}'. Known units: ${listUnits().join(', ')}`);
+    }
+
+    const productId = String(entry.productID);
+    if (!products.has(productId)) {
+      products.set(productId, await Product.findById(productId, 'weight declaredUnit').lean());
+    }
+    const product = products.get(productId);
+    if (!product) {
+      throw createError(404, `Product ${productId} not found`);
+    }
+    const { error } = toProductCount(entry.quantity ?? 1, unit, product);
+    if (error) {
+      throw createError(400, `Product ${productId}: ${error}`);
+    }
+
+    prepared.push(withPackagingWeights({ ...entry, unit }));
+  }
+  return prepared;
+};
+
 /**
  * Create a new project-product mapping
  * @param {Object} req - Express request object
  * @param {Object} mappingData - Mapping data (projectID, productID, etc.)
  * @returns {Object} Created mapping
+ * @throws {Error} 400 for quantities in units that do not match their product
  */
 const createProjectProductMapping = async (req, mappingData) => {
   const ProjectProductMap = await getProjectProductMapModel(req);
@@ -25,6 +96,7 @@ const createProjectProductMapping = async (req, mappingData) => {
   // Create new mapping
   const projectProductMapping = new ProjectProductMap({
     ...mappingData,
+    products: await prepareEntries(req, mappingData.products),
     createdAt: new Date(),
     updatedAt: new Date()
   });
@@ -82,6 +154,7 @@ const getProjectProductMappingsByProductId = async (req, productID) => {
  * @param {String} id - Mapping ID
  * @param {Object} updateData - Data to update
  * @returns {Object} Updated mapping
+ * @throws {Error} 400 for quantities in units that do not match their product
  */
 const updateProjectProductMapping = async (req, id, updateData) => {
   const ProjectProductMap = await getProjectProductMapModel(req);
@@ -89,6 +162,9 @@ const updateProjectProductMapping = async (req, id, updateData) => {
   // Don't allow changing project ID to prevent inconsistency
   const sanitizedData = { ...updateData };
   delete sanitizedData.projectID;
+  if (Array.isArray(sanitizedData.products)) {
+    sanitizedData.products = await prepareEntries(req, sanitizedData.products);
+  }
   sanitizedData.modifiedDate = new Date();
   
   return await ProjectProductMap.findByIdAndUpdate(
@@ -120,8 +196,162 @@ const deleteProjectProductMappingsByProjectId = async (req, projectID) => {
   return await ProjectProductMap.deleteMany({ projectID });
 };
 
+/**
+ * Validate the products of a bulk add or remove request
+ * @param {Array} items - [{ productID, quantity, unit }]
+ * @returns {String|null} Error message, or null when valid
+ */
+const validateProductQuantities = (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    return 'products must be a non-empty array';
+  }
+
+  for (const [index, item] of items.entries()) {
+    const label = `products[${index}]`;
+    if (!item || !item.productID) {
+      return `${label}: productID is required`;
+    }
+    if (item.quantity !== undefined && (typeof item.quantity !== 'number' || !(item.quantity > 0))) {
+      return `${label}: quantity must be a positive number`;
+    }
+    if (item.unit !== undefined && !getEntryUnit(item.unit)) {
+      return `${label}: unit must be one of ${listUnits().join(', ')}`;
+    }
+    const packagingError = validatePackaging(item.packaging);
+    if (packagingError) {
+      return `${label}: ${packagingError}`;
+    }
+  }
+  return null;
+};
+
+const findEntry = (mapping, productID) =>
+  mapping.products.find((entry) => entry.productID.toString() === productID.toString());
+
+// Per-product figures of an entry, compared by these fields
+const PER_PRODUCT_FIELDS = {
+  packagingWeight: null,
+  palletWeight: null,
+  totalTransportationEmission: null,
+  packaging: ['type', 'materialClass', 'specificMaterial', 'weight', 'reuseCount'],
+  transportationLegs: [
+    'transportMode',
+    'originCountry',
+    'destinationCountry',
+    'originGateway',
+    'destinationGateway',
+    'transportEmission',
+    'transportDistance'
+  ]
+};
+
+/**
+ * Per-product packaging and transport fields of an item that differ from the
+ * existing entry; fields the item does not give are not compared
+ * @returns {Array} Field names
+ */
+const getConflictingFields = (existing, item) =>
+  Object.entries(PER_PRODUCT_FIELDS)
+    .filter(([field]) => item[field] !== undefined)
+    .filter(([field, keys]) => {
+      if (!keys) return item[field] !== existing[field];
+      const pick = (list) => JSON.stringify((list || []).map((row) => keys.map((key) => row[key] ?? null)));
+      const defaults = field === 'packaging' ? { reuseCount: 1 } : {};
+      return pick(item[field].map((row) => ({ ...defaults, ...row }))) !== pick(existing[field]);
+    })
+    .map(([field]) => field);
+
+/**
+ * Add products to a project's mapping, creating the mapping if needed. A product
+ * already in the project has the new quantity added to its entry; its packaging
+ * and transport stay as they are, so different per-product values are refused.
+ * @param {Object} req - Express request object
+ * @param {String} projectID - Project ID
+ * @param {Array} items - Product entries, each with an optional quantity and unit
+ * @returns {Object} Updated mapping
+ * @throws {Error} 400 for units that do not match the product, 409 for a unit
+ *   or packaging and transport figures other than those of the existing entry
+ */
+const addProductsToProject = async (req, projectID, items) => {
+  const ProjectProductMap = await getProjectProductMapModel(req);
+  let mapping = await ProjectProductMap.findOne({ projectID });
+
+  if (!mapping) {
+    mapping = new ProjectProductMap({
+      projectID,
+      products: [],
+      createdDate: new Date(),
+      modifiedDate: new Date()
+    });
+  }
+
+  // Without a unit, a quantity is in the unit the project already counts the product in
+  const entries = items.map((item) => {
+    const existing = findEntry(mapping, item.productID);
+    return item.unit === undefined && existing ? { ...item, unit: existing.unit } : item;
+  });
+  for (const item of await prepareEntries(req, entries)) {
+    const existing = findEntry(mapping, item.productID);
+    if (!existing) {
+      mapping.products.push(item);
+      continue;
+    }
+
+    if (item.unit !== getEntryUnit(existing.unit)) {
+      throw createError(
+        409,
+        `Product ${item.productID} is counted in ${existing.unit} in this project, not ${item.unit}`
+      );
+    }
+    const conflicts = getConflictingFields(existing, item);
+    if (conflicts.length > 0) {
+      throw createError(
+        409,
+        `Product ${item.productID} is already in this project with other ${conflicts.join(', ')}; update its entry to change them`
+      );
+    }
+    existing.quantity = (existing.quantity ?? 1) + (item.quantity ?? 1);
+  }
+
+  mapping.modifiedDate = new Date();
+  return await mapping.save();
+};
+
+/**
+ * Remove products from a project's mapping. A quantity removes that many units
+ * and drops the entry once none are left; without one the entry is removed.
+ * @param {Object} req - Express request object
+ * @param {String} projectID - Project ID
+ * @param {Array} items - [{ productID, quantity }]
+ * @returns {Object} Updated mapping, or null if the project has no mapping
+ */
+const removeProductsFromProject = async (req, projectID, items) => {
+  const ProjectProductMap = await getProjectProductMapModel(req);
+  const mapping = await ProjectProductMap.findOne({ projectID });
+  if (!mapping) return null;
+
+  for (const item of items) {
+    const existing = findEntry(mapping, item.productID);
+    if (!existing) {
+      throw createError(404, `Product ${item.productID} not found in this project mapping`);
+    }
+
+    const remaining = (existing.quantity ?? 1) - (item.quantity ?? Infinity);
+    if (remaining > 0) {
+      existing.quantity = remaining;
+    } else {
+      mapping.products.pull(existing._id);
+    }
+  }
+
+  mapping.modifiedDate = new Date();
+  return await mapping.save();
+};
+
 module.exports = {
   getProjectProductMapModel,
+  withPackagingWeights,
+  prepareEntries,
   createProjectProductMapping,
   getAllProjectProductMappings,
   getProjectProductMappingById,
@@ -129,5 +359,8 @@ module.exports = {
   getProjectProductMappingsByProductId,
   updateProjectProductMapping,
   deleteProjectProductMapping,
-  deleteProjectProductMappingsByProjectId
+  deleteProjectProductMappingsByProjectId,
+  validateProductQuantities,
+  addProductsToProject,
+  removeProductsFromProject
 };
\ No newline at end of file
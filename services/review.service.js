@@ -0,0 +1,294 @@
+const { getProductModel, updateProduct } = require('./product.service');
+const { saveExemplarFromProduct, removeExemplarsOfProducts } = require('./exemplar.service');
+const config = require('../config/environment');
+const logger = require('../utils/logger');
+
+/**
+ * Review of AI-generated product results
+ *
+ * AI classification stores its BOM and manufacturing processes as a draft
+ * (ai_draft). An analyst takes the product into review (in_review) and
+ * approves or rejects it, optionally correcting the results; both decisions
+ * can be reopened. Every transition is kept in the product's review history.
+ * Products classified before reviews existed count as drafts.
+ *
+ * An approved product whose AI results were corrected becomes an exemplar
+ * for classifying similar products (see exemplar.service), until it leaves
+ * the approved state.
+ *
+ * AI results below the review confidence threshold, or that fell back to a
+ * default, are flagged as low confidence and listed first for review.
+ */
+
+const REVIEW_STATUSES = ['ai_draft', 'in_review', 'approved', 'rejected'];
+
+// Statuses of products waiting for an analyst
+const PENDING_REVIEW_STATUSES = ['ai_draft', 'in_review'];
+
+const REVIEW_TRANSITIONS = {
+  ai_draft: ['in_review'],
+  in_review: ['approved', 'rejected'],
+  approved: ['in_review'],
+  rejected: ['in_review']
+};
+
+// Fields a review decision may correct; everything else is changed through
+// the product endpoints
+const REVIEW_EDIT_FIELDS = [
+  'category',
+  'subCategory',
+  'weight',
+  'materials',
+  'productManufacturingProcess',
+  'removeMaterials',
+  'removeProductManufacturingProcess'
+];
+
+const createError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Review status of a product, counting AI results stored before reviews
+ * existed as drafts
+ * @returns {String|null} null for products entered without AI
+ */
+const getReviewStatus = (product) =>
+  product.reviewStatus || (product.aiProcessingStatus === 'completed' ? 'ai_draft' : null);
+
+/**
+ * Query for products in the given review statuses
+ * @param {Array} statuses - Review statuses
+ */
+const reviewStatusFilter = (statuses) => {
+  const filter = { reviewStatus: { $in: statuses } };
+  if (!statuses.includes('ai_draft')) return filter;
+
+  return {
+    $or: [filter, { reviewStatus: null, aiProcessingStatus: 'completed' }]
+  };
+};
+
+/**
+ * Whether a product may appear in an approved-only report. Products entered
+ * without AI need no review.
+ */
+const isApprovedForReports = (product) => {
+  const status = getReviewStatus(product);
+  return status === null || status === 'approved';
+};
+
+/**
+ * Confidence of weighted BOM or manufacturing lines, or null without any
+ */
+const getLinesConfidence = (lines = []) => {
+  const scored = lines.filter((line) => typeof line.confidence === 'number');
+  if (scored.length === 0) return null;
+
+  const totalWeight = scored.reduce((sum, line) => sum + (line.weight || 0), 0);
+  const confidence = totalWeight > 0
+    ? scored.reduce((sum, line) => sum + line.confidence * (line.weight || 0), 0) / totalWeight
+    : scored.reduce((sum, line) => sum + line.confidence, 0) / scored.length;
+  return Math.round(confidence * 100) / 100;
+};
+
+/**
+ * Confidence of a product's AI results, stored as the product's aiConfidence
+ * @param {Object} classification - Result of classifyProduct
+ * @param {Array} bom - Result of classifyBOM
+ * @param {Array} processes - Result of classifyManufacturingProcess
+ * @returns {Object} - { overall, category, bom, manufacturing, fallbackUsed,
+ *   lowConfidence, alternatives } where overall is the lowest of the three
+ */
+const summarizeAIConfidence = (classification = {}, bom = [], processes = []) => {
+  const parts = {
+    category: typeof classification.confidence === 'number' ? classification.confidence : null,
+    bom: getLinesConfidence(bom),
+    manufacturing: getLinesConfidence(processes)
+  };
+  const known = Object.values(parts).filter((value) => value !== null);
+  const overall = known.length > 0 ? Math.min(...known) : null;
+  const fallbackUsed = !!classification.fallbackUsed ||
+    [...bom, ...processes].some((line) => line.fallbackUsed);
+
+  return {
+    overall,
+    ...parts,
+    fallbackUsed,
+    lowConfidence: fallbackUsed || (overall !== null && overall < config.reviewConfidenceThreshold),
+    alternatives: classification.alternatives || []
+  };
+};
+
+/**
+ * Check a review request
+ * @param {Object} body - { reviewer, comment, changes }
+ * @returns {String|null} Error message, or null when valid
+ */
+const validateReviewRequest = (body = {}) => {
+  if (typeof body.reviewer !== 'string' || !body.reviewer.trim()) {
+    return 'reviewer is required';
+  }
+  if (body.comment !== undefined && typeof body.comment !== 'string') {
+    return 'comment must be a string';
+  }
+  if (body.changes !== undefined) {
+    if (!body.changes || typeof body.changes !== 'object' || Array.isArray(body.changes)) {
+      return 'changes must be an object';
+    }
+    const unsupported = Object.keys(body.changes).filter((field) => !REVIEW_EDIT_FIELDS.includes(field));
+    if (unsupported.length > 0) {
+      return `Unsupported changes: ${unsupported.join(', ')}. Allowed: ${REVIEW_EDIT_FIELDS.join(', ')}`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Store AI results of products as drafts awaiting review
+ * @param {Object} req - Request with the account header
+ * @param {Array} productIds - Products whose AI results were just stored
+ */
+const markAIDraft = async (req, productIds) => {
+  if (productIds.length === 0) return;
+
+  const Product = await getProductModel(req);
+  const now = new Date();
+  await Product.updateMany(
+    { _id: { $in: productIds } },
+    {
+      $set: {
+        reviewStatus: 'ai_draft',
+        'review.reviewer': null,
+        'review.reviewedAt': null,
+        'review.comment': null,
+        'review.corrected': false
+      },
+      $push: { 'review.history': { status: 'ai_draft', comment: 'AI classification', date: now } }
+    }
+  );
+  await removeExemplarsOfProducts(req, productIds);
+};
+
+/**
+ * Products in the given review statuses, low-confidence AI results first,
+ * then oldest first
+ * @param {Object} req - Request with the account header
+ * @param {Array} statuses - Review statuses (default: ai_draft and in_review)
+ * @param {Object} options - { lowConfidence } to list only low-confidence
+ *   AI results
+ */
+const getProductsForReview = async (req, statuses = PENDING_REVIEW_STATUSES, options = {}) => {
+  const Product = await getProductModel(req);
+  const filter = reviewStatusFilter(statuses);
+  if (options.lowConfidence) {
+    filter['aiConfidence.lowConfidence'] = true;
+  }
+
+  const products = await Product.find(filter)
+    .select('code name description category subCategory weight aiProcessingStatus reviewStatus review aiConfidence co2Emission dataQuality modifiedDate')
+    .sort({ 'aiConfidence.lowConfidence': -1, modifiedDate: 1 })
+    .lean();
+
+  return products.map((product) => ({ ...product, reviewStatus: getReviewStatus(product) }));
+};
+
+/**
+ * Move a product through the review workflow
+ * @param {Object} req - Request with the account header
+ * @param {String} id - Product ID
+ * @param {String} status - Target review status
+ * @param {Object} decision - { reviewer, comment, changes } where changes
+ *   correct the AI results before the product is approved or rejected
+ * @returns {Object|null} - { product, recalculation, projects }, or null if
+ *   the product is not found
+ */
+const transitionReview = async (req, id, status, decision = {}) => {
+  const Product = await getProductModel(req);
+  const stored = await Product.findById(id).lean();
+  if (!stored) {
+    return null;
+  }
+
+  const current = getReviewStatus(stored);
+  if (!current) {
+    throw createError(409, 'Product has no AI results to review');
+  }
+
+  // A draft is taken into review on the way to a decision
+  const path = current === 'ai_draft' && status !== 'in_review' ? ['in_review', status] : [status];
+  let from = current;
+  for (const to of path) {
+    if (!REVIEW_TRANSITIONS[from].includes(to)) {
+      throw createError(409, `Cannot move a product from ${from} to ${to}`);
+    }
+    from = to;
+  }
+
+  const { reviewer, comment, changes } = decision;
+  const edited = !!changes && Object.keys(changes).length > 0;
+  if (edited && !['approved', 'rejected'].includes(status)) {
+    throw createError(400, 'Changes can only be made when approving or rejecting');
+  }
+
+  let result = { product: null, recalculation: null, projects: [] };
+  if (edited) {
+    result = await updateProduct(req, id, changes, { partial: true });
+    if (!result) return null;
+  }
+
+  const corrected = edited || !!stored.review?.corrected;
+  const now = new Date();
+  result.product = await Product.findByIdAndUpdate(
+    id,
+    {
+      $set: {
+        reviewStatus: status,
+        'review.reviewer': reviewer,
+        'review.reviewedAt': now,
+        'review.comment': comment || null,
+        'review.corrected': corrected
+      },
+      $push: {
+        'review.history': {
+          $each: path.map((to) => ({
+            status: to,
+            reviewer,
+            comment: to === status ? comment : undefined,
+            edited: to === status && edited,
+            date: now
+          }))
+        }
+      }
+    },
+    { new: true }
+  );
+
+  try {
+    if (status === 'approved' && corrected) {
+      await saveExemplarFromProduct(req, result.product, reviewer);
+    } else if (current === 'approved') {
+      await removeExemplarsOfProducts(req, [stored._id]);
+    }
+  } catch (error) {
+    logger.error(`❌ Error updating the classification exemplar of product ${id}:`, error);
+  }
+
+  return result;
+};
+
+module.exports = {
+  REVIEW_STATUSES,
+  PENDING_REVIEW_STATUSES,
+  REVIEW_EDIT_FIELDS,
+  getReviewStatus,
+  reviewStatusFilter,
+  isApprovedForReports,
+  validateReviewRequest,
+  summarizeAIConfidence,
+  markAIDraft,
+  getProductsForReview,
+  transitionReview
+};
@@ -0,0 +1,469 @@
+const { getModel } = require('../config/database');
+const projectScenarioSchema = require('../models/project_scenario_schema');
+const { getAccount } = require('../middlewares/auth.middleware');
+const {
+  getProjectModel,
+  getProjectEntries,
+  aggregateProjectImpacts
+} = require('./project.service');
+const { getProjectProductMappingsByProjectId } = require('./project_product.service');
+const {
+  getProductModel,
+  getCalculationOptions,
+  buildProductRecalculation
+} = require('./product.service');
+const {
+  isValidTransportMode,
+  changeLegTransportMode
+} = require('./transport.service');
+const { getFactorDatabase, factorVersionExists } = require('../utils/factorDatabase');
+const {
+  subtractImpacts,
+  sumImpacts,
+  roundImpacts,
+  impactsOrGwp
+} = require('../utils/impactCategories');
+
+const normalize = (str) => str?.toString().trim().toLowerCase();
+
+const round = (value) => parseFloat((value || 0).toFixed(2));
+
+const createError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Get project scenario model for the current account
+ */
+const getScenarioModel = async (req) => {
+  const account = getAccount(req);
+  return getModel(account, projectScenarioSchema, "ProjectScenario");
+};
+
+/**
+ * Validate scenario overrides before they are applied
+ * @param {Array} overrides - [{ productID | entryId, countryOfOrigin, quantity,
+ *   materialSubstitutions, transportModes }]
+ * @returns {string|null} - Error message, or null when valid
+ */
+const validateOverrides = (overrides) => {
+  if (overrides === undefined) return null;
+  if (!Array.isArray(overrides)) return 'overrides must be an array';
+
+  for (const [index, override] of overrides.entries()) {
+    const label = `overrides[${index}]`;
+    if (!override.productID && !override.entryId) {
+      return `${label}: productID or entryId is required`;
+    }
+    if (override.quantity !== undefined && (typeof override.quantity !== 'number' || override.quantity < 0)) {
+      return `${label}: quantity must be a non-negative number`;
+    }
+    for (const substitution of override.materialSubstitutions || []) {
+      if (!substitution.materialClass || !substitution.specificMaterial) {
+        return `${label}: every material substitution needs materialClass and specificMaterial`;
+      }
+      if (!substitution.lineId && !(substitution.fromMaterialClass && substitution.fromSpecificMaterial)) {
+        return `${label}: every material substitution needs lineId or fromMaterialClass and fromSpecificMaterial`;
+      }
+      if (substitution.share !== undefined && !(substitution.share > 0 && substitution.share <= 1)) {
+        return `${label}: share must be greater than 0 and at most 1`;
+      }
+    }
+    for (const leg of override.transportModes || []) {
+      if (!leg.legId || !isValidTransportMode(leg.transportMode)) {
+        return `${label}: every transport mode override needs legId and a valid transportMode`;
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Attach overrides to the matching scenario products. Products without an
+ * override are reset to the project's values.
+ * @param {Array} products - Scenario products (plain objects, mutated)
+ * @param {Array} overrides - Validated overrides
+ */
+const applyOverrides = (products, overrides = []) => {
+  products.forEach((product) => {
+    product.overrides = {};
+  });
+
+  overrides.forEach((override) => {
+    const targets = products.filter((product) =>
+      override.entryId
+        ? String(product._id) === String(override.entryId)
+        : String(product.productID) === String(override.productID)
+    );
+    if (targets.length === 0) {
+      throw createError(404, `Product ${override.entryId || override.productID} is not part of this project`);
+    }
+
+    targets.forEach((product) => {
+      const legIds = (product.transportationLegs || []).map((leg) => String(leg._id));
+      const unknownLeg = (override.transportModes || []).find(
+        (leg) => !legIds.includes(String(leg.legId))
+      );
+      if (unknownLeg) {
+        throw createError(404, `Transportation leg ${unknownLeg.legId} not found on product ${product.productID}`);
+      }
+
+      product.overrides = {
+        countryOfOrigin: override.countryOfOrigin,
+        quantity: override.quantity,
+        materialSubstitutions: override.materialSubstitutions || [],
+        transportModes: override.transportModes || []
+      };
+    });
+  });
+
+  return products;
+};
+
+/**
+ * Scale the weight of a line, its quantity when it is not in kg and its AI
+ * weight range when it has one
+ */
+const scaleLine = (line, factor) => ({
+  ...line,
+  weight: (line.weight || 0) * factor,
+  ...(typeof line.quantity === 'number' && { quantity: line.quantity * factor }),
+  ...(line.weightRange && {
+    weightRange: { min: line.weightRange.min * factor, max: line.weightRange.max * factor }
+  })
+});
+
+/**
+ * Replace the matching lines by the substitute material. A share below 1
+ * splits each line into the remaining original and the substitute.
+ */
+const substituteLines = (lines, matches, substitution) => {
+  const share = substitution.share ?? 1;
+  return lines.flatMap((line) => {
+    if (!matches(line)) return [line];
+
+    const { _id, ...substituted } = scaleLine(line, share);
+    substituted.materialClass = substitution.materialClass;
+    substituted.specificMaterial = substitution.specificMaterial;
+    substituted.dataOrigin = 'user';
+
+    return share >= 1
+      ? [{ ...substituted, _id }]
+      : [scaleLine(line, 1 - share), substituted];
+  });
+};
+
+/**
+ * Apply material substitutions to the material lines and to the manufacturing
+ * process lines of the same material
+ * @returns {Object} - { materials, productManufacturingProcess }
+ */
+const substituteMaterials = (product, substitutions = []) => {
+  let materials = product.materials || [];
+  let productManufacturingProcess = product.productManufacturingProcess || [];
+
+  substitutions.forEach((substitution) => {
+    // A line id identifies the material; its process lines match by material
+    const source = substitution.lineId
+      ? materials.find((line) => String(line._id) === String(substitution.lineId))
+      : { materialClass: substitution.fromMaterialClass, specificMaterial: substitution.fromSpecificMaterial };
+    if (!source) {
+      throw createError(404, `Material line ${substitution.lineId} not found on product ${product.code}`);
+    }
+
+    const sameMaterial = (line) =>
+      normalize(line.materialClass) === normalize(source.materialClass) &&
+      normalize(line.specificMaterial) === normalize(source.specificMaterial);
+
+    materials = substituteLines(
+      materials,
+      substitution.lineId ? (line) => String(line._id) === String(substitution.lineId) : sameMaterial,
+      substitution
+    );
+    productManufacturingProcess = substituteLines(productManufacturingProcess, sameMaterial, substitution);
+  });
+
+  return { materials, productManufacturingProcess };
+};
+
+/**
+ * Recalculate a product in memory with the scenario's country and materials,
+ * against the factor version the product was calculated with
+ */
+const recalculateScenarioProduct = (product, overrides, customFactors) => {
+  const changed = {
+    ...product,
+    countryOfOrigin: overrides.countryOfOrigin || product.countryOfOrigin,
+    ...substituteMaterials(product, overrides.materialSubstitutions)
+  };
+  const factorDatabase = getFactorDatabase(
+    factorVersionExists(product.factorVersion) ? product.factorVersion : undefined
+  );
+  const { update } = buildProductRecalculation(changed, { factorDatabase, customFactors });
+
+  return { ...changed, ...update };
+};
+
+/**
+ * Apply transport mode and quantity overrides to a mapping entry
+ */
+const applyEntryOverrides = (productEntry, overrides) => {
+  let entry = { ...productEntry };
+  const transportModes = overrides.transportModes || [];
+
+  if (transportModes.length > 0) {
+    const transportationLegs = (entry.transportationLegs || []).map((leg) => {
+      const override = transportModes.find((mode) => String(mode.legId) === String(leg._id));
+      return override ? changeLegTransportMode(leg, override.transportMode) : leg;
+    });
+    entry = {
+      ...entry,
+      transportationLegs,
+      totalTransportationEmission: transportationLegs.reduce(
+        (sum, leg) => sum + (leg.transportEmission || 0),
+        0
+      ),
+      transportationImpacts: sumImpacts(
+        transportationLegs.map((leg) => impactsOrGwp(leg.impacts, leg.transportEmission))
+      )
+    };
+  }
+
+  if (overrides.quantity !== undefined && overrides.quantity !== null) {
+    entry.quantity = overrides.quantity;
+  }
+  return entry;
+};
+
+/**
+ * Build the entries of a scenario for the project calculation pipeline
+ * @returns {Array} - [{ productEntry, productDetails }]
+ */
+const buildScenarioEntries = async (req, scenario) => {
+  const Product = await getProductModel(req);
+  const { customFactors } = await getCalculationOptions(req);
+  const stored = scenario.toObject ? scenario.toObject() : scenario;
+
+  const entries = [];
+  for (const productEntry of stored.products || []) {
+    const overrides = productEntry.overrides || {};
+    let productDetails = await Product.findById(productEntry.productID).lean();
+
+    if (productDetails && (overrides.countryOfOrigin || overrides.materialSubstitutions?.length > 0)) {
+      productDetails = recalculateScenarioProduct(productDetails, overrides, customFactors);
+    }
+
+    entries.push({
+      productEntry: applyEntryOverrides(productEntry, overrides),
+      productDetails
+    });
+  }
+  return entries;
+};
+
+/**
+ * Project-level figures compared between the project and its scenarios
+ */
+const summarizeForComparison = (result) => ({
+  totalProjectImpact: result.totalProjectImpact,
+  totalMaterialsImpact: result.totalMaterialsImpact,
+  totalManufacturingImpact: result.totalManufacturingImpact,
+  totalTransportationImpact: result.totalTransportationImpact,
+  totalPackagingImpact: result.totalPackagingImpact,
+  impacts: result.impacts.total,
+  lifeCycleStages: result.lifeCycleStages
+});
+
+/**
+ * Difference of a scenario to the project (scenario - project)
+ */
+const diffComparison = (baseline, scenario) => ({
+  totalProjectImpact: round(scenario.totalProjectImpact - baseline.totalProjectImpact),
+  totalMaterialsImpact: round(scenario.totalMaterialsImpact - baseline.totalMaterialsImpact),
+  totalManufacturingImpact: round(scenario.totalManufacturingImpact - baseline.totalManufacturingImpact),
+  totalTransportationImpact: round(scenario.totalTransportationImpact - baseline.totalTransportationImpact),
+  totalPackagingImpact: round(scenario.totalPackagingImpact - baseline.totalPackagingImpact),
+  percentChange: baseline.totalProjectImpact
+    ? round(((scenario.totalProjectImpact - baseline.totalProjectImpact) / baseline.totalProjectImpact) * 100)
+    : null,
+  impacts: roundImpacts(subtractImpacts(scenario.impacts, baseline.impacts)),
+  lifeCycleStages: Object.keys(scenario.lifeCycleStages).reduce((stages, stage) => {
+    stages[stage] = roundImpacts(
+      subtractImpacts(scenario.lifeCycleStages[stage], baseline.lifeCycleStages[stage])
+    );
+    return stages;
+  }, {})
+});
+
+/**
+ * Calculate a scenario and store its totals
+ * @returns {Object|null} - Full project-style result, or null when not found
+ */
+const calculateScenario = async (req, projectId, scenarioId) => {
+  const Scenario = await getScenarioModel(req);
+  const scenario = await Scenario.findOne({ _id: scenarioId, projectID: projectId });
+  if (!scenario) return null;
+
+  const result = aggregateProjectImpacts(
+    await buildScenarioEntries(req, scenario),
+    await getCalculationOptions(req)
+  );
+
+  await Scenario.findByIdAndUpdate(scenario._id, {
+    totalProjectImpact: result.totalProjectImpact,
+    totalMaterialsImpact: result.totalMaterialsImpact,
+    totalManufacturingImpact: result.totalManufacturingImpact,
+    totalTransportationImpact: result.totalTransportationImpact,
+    totalPackagingImpact: result.totalPackagingImpact,
+    impacts: result.impacts,
+    lifeCycleModules: result.lifeCycleModules,
+    calculatedDate: new Date()
+  });
+
+  return {
+    scenarioId: scenario._id,
+    scenarioName: scenario.name,
+    projectID: scenario.projectID,
+    ...result
+  };
+};
+
+/**
+ * Create a scenario from the project's current product mapping
+ * @param {Object} data - { name, description, overrides }
+ * @returns {Object|null} - Calculated scenario, or null when the project does not exist
+ */
+const createScenario = async (req, projectId, data) => {
+  const Project = await getProjectModel(req);
+  const project = await Project.findById(projectId);
+  if (!project) return null;
+
+  const mappings = await getProjectProductMappingsByProjectId(req, projectId);
+  const products = mappings.flatMap((mapping) =>
+    mapping.products.map((product) => product.toObject())
+  );
+  applyOverrides(products, data.overrides);
+
+  const Scenario = await getScenarioModel(req);
+  const scenario = await new Scenario({
+    projectID: projectId,
+    name: data.name,
+    description: data.description || '',
+    products,
+    createdDate: new Date(),
+    modifiedDate: new Date()
+  }).save();
+
+  return calculateScenario(req, projectId, scenario._id);
+};
+
+/**
+ * Get the scenarios of a project
+ */
+const getScenariosByProjectId = async (req, projectId) => {
+  const Scenario = await getScenarioModel(req);
+  return await Scenario.find({ projectID: projectId }).sort({ createdDate: -1 }).lean();
+};
+
+/**
+ * Get a scenario of a project
+ */
+const getScenarioById = async (req, projectId, scenarioId) => {
+  const Scenario = await getScenarioModel(req);
+  return await Scenario.findOne({ _id: scenarioId, projectID: projectId }).lean();
+};
+
+/**
+ * Update the name, description or overrides of a scenario and recalculate it.
+ * Overrides replace the previous set.
+ * @returns {Object|null} - Calculated scenario, or null when not found
+ */
+const updateScenario = async (req, projectId, scenarioId, data) => {
+  const Scenario = await getScenarioModel(req);
+  const scenario = await Scenario.findOne({ _id: scenarioId, projectID: projectId });
+  if (!scenario) return null;
+
+  const update = { modifiedDate: new Date() };
+  if (data.name !== undefined) update.name = data.name;
+  if (data.description !== undefined) update.description = data.description;
+  if (data.overrides !== undefined) {
+    update.products = applyOverrides(scenario.toObject().products, data.overrides);
+  }
+
+  await Scenario.findByIdAndUpdate(scenario._id, update, { runValidators: true });
+  return calculateScenario(req, projectId, scenarioId);
+};
+
+/**
+ * Delete a scenario
+ */
+const deleteScenario = async (req, projectId, scenarioId) => {
+  const Scenario = await getScenarioModel(req);
+  return await Scenario.findOneAndDelete({ _id: scenarioId, projectID: projectId });
+};
+
+/**
+ * Compare scenarios side by side with the project as it is
+ * @param {Array} scenarioIds - Scenarios to compare; all scenarios when empty
+ * @returns {Object|null} - Project figures, and per scenario its figures and
+ *   deltas to the project, or null when the project does not exist
+ */
+const compareScenarios = async (req, projectId, scenarioIds = []) => {
+  const Project = await getProjectModel(req);
+  const project = await Project.findById(projectId);
+  if (!project) return null;
+
+  const Scenario = await getScenarioModel(req);
+  const scenarios = await Scenario.find({
+    projectID: projectId,
+    ...(scenarioIds.length > 0 && { _id: { $in: scenarioIds } })
+  }).sort({ createdDate: 1 });
+
+  const missing = scenarioIds.filter(
+    (id) => !scenarios.some((scenario) => String(scenario._id) === String(id))
+  );
+  if (missing.length > 0) {
+    throw createError(404, `Scenario(s) not found: ${missing.join(', ')}`);
+  }
+
+  const options = await getCalculationOptions(req);
+  const baseline = summarizeForComparison(
+    aggregateProjectImpacts(await getProjectEntries(req, projectId), options)
+  );
+
+  const compared = [];
+  for (const scenario of scenarios) {
+    const result = summarizeForComparison(
+      aggregateProjectImpacts(await buildScenarioEntries(req, scenario), options)
+    );
+    compared.push({
+      scenarioId: scenario._id,
+      name: scenario.name,
+      description: scenario.description,
+      ...result,
+      delta: diffComparison(baseline, result)
+    });
+  }
+
+  return {
+    projectId: project._id,
+    projectCode: project.code,
+    projectName: project.name,
+    baseline,
+    scenarios: compared
+  };
+};
+
+module.exports = {
+  getScenarioModel,
+  validateOverrides,
+  createScenario,
+  getScenariosByProjectId,
+  getScenarioById,
+  updateScenario,
+  deleteScenario,
+  calculateScenario,
+  compareScenarios
+};
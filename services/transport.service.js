@@ -0,0 +1,130 @@
+const {
+  emptyImpacts,
+  gwpOnlyImpacts,
+  scaleImpacts,
+  addImpacts,
+  sumImpacts,
+  impactsOrGwp,
+} = require("../utils/impactCategories");
+
+/**
+ * Transport impact factors per tonne-km, keyed by transport mode.
+ * Only GWP is assessed today; the other categories are null until factors are added.
+ */
+const TRANSPORT_IMPACT_FACTORS = {
+  SeaFreight: gwpOnlyImpacts(0.1187026394094),
+  RailFreight: gwpOnlyImpacts(0.056),
+  AirFreight: gwpOnlyImpacts(0.801),
+};
+
+// Road freight between warehouses and gateways, per tonne-km
+const ROAD_FREIGHT_IMPACT_FACTORS = gwpOnlyImpacts(0.000104);
+
+/**
+ * Check whether a transport mode is supported
+ */
+const isValidTransportMode = (transportMode) =>
+  Object.prototype.hasOwnProperty.call(TRANSPORT_IMPACT_FACTORS, transportMode);
+
+/**
+ * Calculate transport impacts for a shipment
+ * @param {Object} params
+ * @param {number} params.weightKg - Shipped weight in kg
+ * @param {string} params.transportMode - One of TRANSPORT_IMPACT_FACTORS
+ * @param {number} params.transportKm - Main leg distance in km
+ * @param {number} params.roadFreightKm - Total road freight distance in km
+ * @returns {Object} - Base, road and total impact vectors
+ */
+const calculateTransportImpacts = ({
+  weightKg,
+  transportMode,
+  transportKm,
+  roadFreightKm = 0,
+}) => {
+  if (!isValidTransportMode(transportMode)) {
+    throw new Error(
+      `Invalid transport mode: ${transportMode}. Valid modes are: ${Object.keys(
+        TRANSPORT_IMPACT_FACTORS
+      ).join(", ")}.`
+    );
+  }
+
+  const weightTon = weightKg / 1000;
+  const baseImpacts = scaleImpacts(
+    TRANSPORT_IMPACT_FACTORS[transportMode],
+    weightTon * transportKm
+  );
+  const roadImpacts =
+    roadFreightKm > 0
+      ? scaleImpacts(ROAD_FREIGHT_IMPACT_FACTORS, weightTon * roadFreightKm)
+      : emptyImpacts();
+
+  return {
+    weightTon,
+    baseImpacts,
+    roadImpacts,
+    impacts: addImpacts(baseImpacts, roadImpacts),
+  };
+};
+
+/**
+ * Resolve the transport impact vector of a project-product mapping entry.
+ * Prefers stored vectors and falls back to the stored GWP total.
+ * @param {Object} productEntry - Entry of ProjectProductMap.products
+ */
+const getMappingTransportImpacts = (productEntry) => {
+  if (productEntry.transportationImpacts?.gwp !== undefined) {
+    return impactsOrGwp(productEntry.transportationImpacts);
+  }
+
+  const legs = productEntry.transportationLegs || [];
+  if (legs.length > 0 && legs.every((leg) => leg.impacts?.gwp !== undefined)) {
+    return sumImpacts(legs.map((leg) => leg.impacts));
+  }
+
+  return impactsOrGwp(null, productEntry.totalTransportationEmission);
+};
+
+/**
+ * Re-estimate a stored transportation leg for another transport mode. The
+ * tonne-km are derived from the leg's GWP under its current mode, so the
+ * shipped weight and distance carry over (road freight to and from the
+ * gateways is a small share and is rescaled with it).
+ * @param {Object} leg - Stored transportation leg
+ * @param {string} transportMode - New mode, one of TRANSPORT_IMPACT_FACTORS
+ * @returns {Object} - Copy of the leg with the new mode, emission and impacts
+ */
+const changeLegTransportMode = (leg, transportMode) => {
+  if (!isValidTransportMode(transportMode)) {
+    throw new Error(
+      `Invalid transport mode: ${transportMode}. Valid modes are: ${Object.keys(
+        TRANSPORT_IMPACT_FACTORS
+      ).join(", ")}.`
+    );
+  }
+  if (!isValidTransportMode(leg.transportMode)) {
+    throw new Error(
+      `Transportation leg ${leg._id} uses unknown transport mode ${leg.transportMode}`
+    );
+  }
+
+  const tonneKm =
+    (leg.transportEmission || 0) / TRANSPORT_IMPACT_FACTORS[leg.transportMode].gwp;
+  const impacts = scaleImpacts(TRANSPORT_IMPACT_FACTORS[transportMode], tonneKm);
+
+  return {
+    ...leg,
+    transportMode,
+    transportEmission: impacts.gwp,
+    impacts,
+  };
+};
+
+module.exports = {
+  TRANSPORT_IMPACT_FACTORS,
+  ROAD_FREIGHT_IMPACT_FACTORS,
+  isValidTransportMode,
+  calculateTransportImpacts,
+  getMappingTransportImpacts,
+  changeLegTransportMode,
+};
@@ -0,0 +1,326 @@
+const { getProductModel, getCalculationOptions } = require('./product.service');
+const { getProjectModel, getProjectProductMapModel } = require('./project.service');
+const {
+  calculatePackagingImpacts,
+  getPackagingTransportImpacts
+} = require('./packaging.service');
+const { getPedigreeUncertainty } = require('../utils/dataQuality');
+const { toProductCount } = require('../utils/units');
+const {
+  DEFAULT_ITERATIONS,
+  sampleValue,
+  runMonteCarlo
+} = require('../utils/monteCarlo');
+
+// Results are simulated for GWP, the indicator of the co2Emission totals
+const UNIT = 'kg CO2e';
+
+const normalize = (str) => str?.toString().trim().toLowerCase();
+
+const round = (value) => parseFloat((value || 0).toFixed(4));
+
+const materialKey = (line) =>
+  `${normalize(line.materialClass)}|${normalize(line.specificMaterial)}`;
+
+// Draws are kept per line; lines without an id (e.g. scenario substitutes)
+// are told apart by their position
+const lineKey = (type, line, index) => (line._id ? String(line._id) : `${type}:${index}`);
+
+/**
+ * Uncertainty of a factor: its own distribution, else the pedigree default
+ */
+const factorUncertainty = (line) =>
+  line.factorUncertainty?.distribution
+    ? line.factorUncertainty
+    : getPedigreeUncertainty(line.dataQuality);
+
+/**
+ * Where the factor uncertainty of a contributor comes from: 'factor' when all
+ * its factors carry a distribution, 'pedigree' when none do, else 'mixed'
+ */
+const uncertaintySource = (lines) => {
+  const own = lines.filter((line) => line.factorUncertainty?.distribution).length;
+  return own === 0 ? 'pedigree' : own === lines.length ? 'factor' : 'mixed';
+};
+
+/**
+ * Uncertainty of a line weight: AI estimates carry a range, entered weights are fixed
+ */
+const weightUncertainty = (line) =>
+  line.weightRange && typeof line.weightRange.min === 'number' && typeof line.weightRange.max === 'number'
+    ? { distribution: 'triangular', min: line.weightRange.min, max: line.weightRange.max }
+    : null;
+
+/**
+ * Amount a calculated factor was applied to, in the factor's functional unit
+ * (the weight for factors per kg)
+ */
+const factorQuantity = (weight, emission, factor) =>
+  factor && typeof emission === 'number' ? emission / factor : weight || 0;
+
+/**
+ * Process factors of a line. Lines calculated before per-process results were
+ * stored fall back to one factor for the whole line.
+ */
+const processEntries = (line) => {
+  if (line.processEmissions?.length > 0) return line.processEmissions;
+  if (!line.weight || !line.emissionFactor) return [];
+  return [{
+    process: (line.manufacturingProcesses || []).flatMap((group) => group.processes || []).join(', '),
+    emissionFactor: line.emissionFactor / line.weight,
+    weight: line.weight,
+    dataQuality: line.dataQuality
+  }];
+};
+
+/**
+ * Build the uncertain inputs of one product. `draw` samples every weight and
+ * factor once per iteration so products and lines that share them stay
+ * consistent; `contributors` reads the current draws.
+ */
+const createProductModel = (product) => {
+  const materials = product.materials || [];
+  const processes = product.productManufacturingProcess || [];
+  const materialKeys = materials.map((line, index) => lineKey('material', line, index));
+  const processKeys = processes.map((line, index) => lineKey('process', line, index));
+  const weights = new Map();
+  const factors = new Map();
+
+  // A process line processes the material lines of its material: its weight
+  // follows their drawn weights together
+  const processMaterials = processes.map((line) =>
+    materials
+      .map((material, index) => ({ material, key: materialKeys[index] }))
+      .filter(({ material }) => materialKey(material) === materialKey(line))
+  );
+  const processWeightRatio = (index) => {
+    const matched = processMaterials[index];
+    const stored = matched.reduce((sum, { material }) => sum + (material.weight || 0), 0);
+    if (stored <= 0) return 1;
+    return matched.reduce((sum, { key }) => sum + weights.get(key), 0) / stored;
+  };
+
+  const draw = (random) => {
+    materials.forEach((line, index) => {
+      const weight = line.weight || 0;
+      weights.set(
+        materialKeys[index],
+        weight > 0 ? sampleValue(random, weight, weightUncertainty(line)) : 0
+      );
+      factors.set(
+        materialKeys[index],
+        sampleValue(random, line.specificMaterialEmissionFactor || 0, factorUncertainty(line))
+      );
+    });
+    processes.forEach((line, lineIndex) => {
+      processEntries(line).forEach((entry, index) => {
+        factors.set(
+          `${processKeys[lineIndex]}:${index}`,
+          sampleValue(random, entry.emissionFactor || 0, factorUncertainty(entry))
+        );
+      });
+    });
+  };
+
+  /**
+   * @param {number} scale - Multiplier of the product results (e.g. quantity)
+   * @param {Object} labels - Extra labels added to each contributor
+   */
+  const contributors = (scale = 1, labels = {}) => [
+    ...materials.map((line, index) => ({
+      ...labels,
+      type: 'material',
+      lineId: line._id,
+      materialClass: line.materialClass,
+      specificMaterial: line.specificMaterial,
+      uncertaintySource: uncertaintySource([line]),
+      deterministic: round((line.emissionFactor || 0) * scale),
+      sample: () => {
+        const weight = line.weight || 0;
+        const ratio = weight > 0 ? weights.get(materialKeys[index]) / weight : 1;
+        return (
+          factorQuantity(line.weight, line.emissionFactor, line.specificMaterialEmissionFactor) *
+          ratio *
+          factors.get(materialKeys[index]) *
+          scale
+        );
+      }
+    })),
+    ...processes.map((line, lineIndex) => {
+      const entries = processEntries(line);
+      return {
+        ...labels,
+        type: 'process',
+        lineId: line._id,
+        materialClass: line.materialClass,
+        specificMaterial: line.specificMaterial,
+        processes: entries.map((entry) => entry.process),
+        uncertaintySource: uncertaintySource(entries),
+        deterministic: round((line.emissionFactor || 0) * scale),
+        sample: () => {
+          const ratio = processWeightRatio(lineIndex);
+          return entries.reduce(
+            (sum, entry, index) =>
+              sum +
+              factorQuantity(entry.weight, entry.emission, entry.emissionFactor) *
+                ratio *
+                factors.get(`${processKeys[lineIndex]}:${index}`) *
+                scale,
+            0
+          );
+        }
+      };
+    })
+  ];
+
+  return { draw, contributors };
+};
+
+/**
+ * Add the unit and deterministic result next to the simulated statistics, and
+ * count the contributors whose factors had no distribution of their own
+ */
+const formatResult = (result, deterministic) => {
+  const uncertaintySources = { factor: 0, mixed: 0, pedigree: 0 };
+  result.contributions.forEach((contribution) => {
+    uncertaintySources[contribution.uncertaintySource] += 1;
+  });
+
+  return {
+    unit: UNIT,
+    deterministic: round(deterministic),
+    uncertaintySources,
+    ...(uncertaintySources.pedigree + uncertaintySources.mixed > 0 && {
+      uncertaintyNote: `${uncertaintySources.pedigree + uncertaintySources.mixed} of ${result.contributions.length} contributors have factors without a distribution and use the default pedigree uncertainty`
+    }),
+    ...result
+  };
+};
+
+/**
+ * Propagate factor and weight uncertainty to the GWP of a product
+ * @param {Object} options - { iterations, seed }
+ * @returns {Object|null} - Statistics and contribution to variance per
+ *   material and process line, or null when the product does not exist
+ */
+const simulateProductUncertainty = async (req, productId, options = {}) => {
+  const Product = await getProductModel(req);
+  const product = await Product.findById(productId).lean();
+  if (!product) return null;
+
+  const model = createProductModel(product);
+  const result = runMonteCarlo({
+    contributors: model.contributors(),
+    iterations: options.iterations || DEFAULT_ITERATIONS,
+    seed: options.seed,
+    beforeIteration: model.draw
+  });
+
+  return {
+    productId: product._id,
+    code: product.code,
+    name: product.name,
+    factorVersion: product.factorVersion || null,
+    ...formatResult(result, product.co2Emission)
+  };
+};
+
+/**
+ * Propagate uncertainty to the GWP of a project. Each product is sampled once
+ * per iteration even when the project lists it several times; packaging
+ * factors are sampled per entry and transport uses the pedigree default.
+ * @param {Object} options - { iterations, seed }
+ * @returns {Object|null} - Statistics and contributions, or null when the
+ *   project does not exist
+ */
+const simulateProjectUncertainty = async (req, projectId, options = {}) => {
+  const Project = await getProjectModel(req);
+  const Product = await getProductModel(req);
+  const ProjectProductMap = await getProjectProductMapModel(req);
+
+  const project = await Project.findById(projectId);
+  if (!project) return null;
+
+  const mappings = await ProjectProductMap.find({ projectID: projectId }).lean();
+  const calculationOptions = await getCalculationOptions(req);
+  const productModels = new Map();
+  const contributors = [];
+  let deterministic = 0;
+
+  for (const mapping of mappings) {
+    for (const entry of mapping.products || []) {
+      const productId = String(entry.productID);
+      if (!productModels.has(productId)) {
+        const product = await Product.findById(productId).lean();
+        productModels.set(productId, product && { product, model: createProductModel(product) });
+      }
+      const loaded = productModels.get(productId);
+      if (!loaded) continue;
+
+      // Number of products in the entry's quantity, converted from its unit
+      const { count: productCount = 0 } = toProductCount(entry.quantity ?? 1, entry.unit, loaded.product);
+      const labels = { productId, productCode: loaded.product.code };
+      contributors.push(...loaded.model.contributors(productCount, labels));
+      deterministic += (loaded.product.co2Emission || 0) * productCount;
+
+      const packaging = calculatePackagingImpacts(entry, loaded.product.countryOfOrigin, calculationOptions);
+      packaging.components.forEach((component) => {
+        const uncertainty = factorUncertainty(component);
+        contributors.push({
+          ...labels,
+          type: 'packaging',
+          packagingType: component.type,
+          materialClass: component.materialClass,
+          specificMaterial: component.specificMaterial,
+          uncertaintySource: uncertaintySource([component]),
+          deterministic: round((component.emission || 0) * productCount),
+          sample: (random) =>
+            factorQuantity(
+              component.weight / component.reuseCount,
+              component.emission,
+              component.emissionFactor
+            ) *
+            sampleValue(random, component.emissionFactor || 0, uncertainty) *
+            productCount
+        });
+        deterministic += (component.emission || 0) * productCount;
+      });
+
+      const transport =
+        ((entry.totalTransportationEmission || 0) +
+          getPackagingTransportImpacts(entry, loaded.product.weight, packaging.weight).gwp) *
+        productCount;
+      if (transport > 0) {
+        const uncertainty = getPedigreeUncertainty();
+        contributors.push({
+          ...labels,
+          type: 'transportation',
+          uncertaintySource: 'pedigree',
+          deterministic: round(transport),
+          sample: (random) => sampleValue(random, transport, uncertainty)
+        });
+        deterministic += transport;
+      }
+    }
+  }
+
+  const result = runMonteCarlo({
+    contributors,
+    iterations: options.iterations || DEFAULT_ITERATIONS,
+    seed: options.seed,
+    beforeIteration: (random) =>
+      productModels.forEach((loaded) => loaded && loaded.model.draw(random))
+  });
+
+  return {
+    projectId: project._id,
+    projectCode: project.code,
+    projectName: project.name,
+    ...formatResult(result, deterministic)
+  };
+};
+
+module.exports = {
+  simulateProductUncertainty,
+  simulateProjectUncertainty
+};
@@ -1,3 +1,4 @@
+const os = require("os");
 const logger = require("./logger");
 const { classifyProduct, classifyBOM, classifyManufacturingProcess, makeOpenAIRequestWithRetry } = require("./chatGPTUtils");
 const productService = require("../services/product.service");
@@ -8,58 +9,101 @@ const {
   calculateOptimalBatchSize 
 } = require("./batchAIProcessor");
 const productCategories = require("../data/productCategories.json");
-const materialsDatabaseEnhanced = require("../data/materials_database.json");
-const manufacturingProcesses = require("../data/manufacturing_ef.json");
+const { getFactorDatabase } = require("./factorDatabase");
+const aiQueueService = require("../services/aiQueue.service");
+const { markAIDraft, summarizeAIConfidence } = require("../services/review.service");
+const { shouldBypassCache } = require("../services/classificationCache.service");
+const { assertAIBudget, getBudgetStatus } = require("../services/aiBudget.service");
+const { getSuppliedLines } = require("../services/bomImport.service");
+const aiScheduler = require("./aiScheduler");
+const { getLLMSettings, getRateLimiter, getRateLimiterStatus } = require("./llmProvider");
+const { getAccount } = require("../middlewares/auth.middleware");
 
 /**
  * AI Processing Queue with Rate Limiting and Batch Processing
  * 
  * OpenAI Rate Limits:
- * - 5,000 RPM (requests per minute)
- * - 450,000 TPM (tokens per minute)
+ * - Requests and tokens per minute are tracked by the rate limiter of each
+ *   provider (utils/openAIRateLimiter.js), which follows the limits the API reports
  * 
  * Our Strategy:
- * - Batch size: 500 requests max per minute (safety margin)
- * - Process products in batches with delay between batches
+ * - Process products in batches; every AI request waits for rate limit budget,
+ *   so batches follow each other as fast as the limits allow
  * - Support both single and multi-product processing
  * - Handle image analysis appropriately
+ *
+ * Queue items are stored in MongoDB (services/aiQueue.service.js) rather than
+ * in memory. A worker leases the items of a batch and renews the leases while
+ * it works; items of a worker that stops mid-batch become available again
+ * once their lease expires, and queued items are resumed when the service
+ * starts. Failed attempts are retried with exponential backoff.
+ *
+ * Accounts are served fairly (utils/aiScheduler.js): a batch is filled from
+ * the accounts with due items by weighted round-robin, and its AI requests run
+ * through the scheduler as bulk work, behind interactive classify requests and
+ * within each account's concurrency cap.
+ *
+ * Products are only queued if their estimated AI cost fits the account's AI
+ * budgets (services/aiBudget.service.js). Work of an account whose monthly
+ * budget is spent is paused until the budget resets or is raised.
+ *
+ * BOM and process lines imported with a product (services/bomImport.service.js)
+ * are kept; only what was not imported is classified.
  */
 
 class AIProcessingQueue {
   constructor() {
-    this.queue = [];
+    this.workerId = `${os.hostname()}-${process.pid}-${Date.now().toString(36)}`;
     this.processing = false;
+    this.stopped = false;
     this.batchSize = 50; // Safety margin under 50 RPM limit
-    this.batchDelayMs = 60000; // 1 minute delay between batches
-    this.maxConcurrentRequests = 5; // Concurrent requests within a batch
+    this.batchDelayMs = 0; // Optional extra pause between batches
+    this.leaseMs = 10 * 60000; // Renewed while the batch is being processed
+    this.retryDelayMs = 60000; // Doubled on every further attempt
+    this.maxIdleMs = 15 * 60000; // Longest sleep while waiting for retries
+    this.wakeTimer = null;
     this.processedCount = 0;
     this.failedCount = 0;
     this.currentBatchStartTime = null;
   }
 
+  // Concurrency is enforced by the scheduler across all AI requests and
+  // changed there (aiScheduler.setMaxConcurrent)
+  get maxConcurrentRequests() {
+    return aiScheduler.maxConcurrent;
+  }
+
   /**
    * Add products to the processing queue
    * @param {Array} products - Array of product objects to process
    * @param {Object} req - Request object for account context
+   * @throws {Error} 402 when the estimated AI cost exceeds the account's budgets
    */
   async addToQueue(products, req) {
-    const queueItems = products.map(product => ({
-      product,
-      req,
-      attempts: 0,
-      maxAttempts: 5,
-      addedAt: new Date()
-    }));
+    const account = getAccount(req);
+    await assertAIBudget(req, products);
 
-    this.queue.push(...queueItems);
-    logger.info(`📝 Added ${products.length} products to AI processing queue. Queue size: ${this.queue.length}`);
+    const added = await aiQueueService.enqueueProducts(account, products, {
+      bypassCache: shouldBypassCache(req)
+    });
+    logger.info(`📝 Added ${added} of ${products.length} products of ${account} to AI processing queue (others were already queued)`);
 
     // Start processing if not already running
+    this.stopped = false;
     if (!this.processing) {
       this.startProcessing();
     }
   }
 
+  /**
+   * Resume stored work, e.g. when the service starts
+   */
+  async resume() {
+    logger.info(`🔁 Resuming AI processing queue as worker ${this.workerId}`);
+    this.stopped = false;
+    await this.startProcessing();
+  }
+
   /**
    * Start processing the queue
    */
@@ -72,16 +116,26 @@ class AIProcessingQueue {
     this.processing = true;
     this.processedCount = 0;
     this.failedCount = 0;
+    this.clearWakeUp();
 
-    logger.info(`🚀 Starting AI processing queue. Total items: ${this.queue.length}`);
+    logger.info(`🚀 Starting AI processing queue (worker ${this.workerId})`);
 
     try {
-      while (this.queue.length > 0) {
-        await this.processBatch();
+      while (this.processing) {
+        const queueItems = await aiQueueService.claimItems(
+          this.workerId,
+          this.batchSize,
+          this.leaseMs,
+          async (account) => (await aiScheduler.getAccountLimits(account)).weight
+        );
+        if (queueItems.length === 0) break;
+
+        await this.processBatch(queueItems);
         
-        // Wait before next batch if there are more items
-        if (this.queue.length > 0) {
-          logger.info(`⏳ Waiting ${this.batchDelayMs / 1000}s before next batch to respect rate limits`);
+        // Pause before next batch if configured and there are more items due
+        const nextRunAt = await aiQueueService.getNextRunAt();
+        if (this.processing && this.batchDelayMs > 0 && nextRunAt && nextRunAt <= new Date()) {
+          logger.info(`⏳ Waiting ${this.batchDelayMs / 1000}s before next batch`);
           await this.sleep(this.batchDelayMs);
         }
       }
@@ -92,15 +146,111 @@ class AIProcessingQueue {
     } finally {
       this.processing = false;
     }
+
+    if (!this.stopped) {
+      await this.scheduleWakeUp();
+    }
   }
 
   /**
-   * Process a batch of products
+   * Sleep until the next retry or lapsed lease is due
    */
-  async processBatch() {
-    const batchItems = this.queue.splice(0, this.batchSize);
+  async scheduleWakeUp() {
+    try {
+      const nextRunAt = await aiQueueService.getNextRunAt();
+      if (!nextRunAt) return;
+
+      const delay = Math.min(Math.max(nextRunAt - Date.now(), 1000), this.maxIdleMs);
+      this.clearWakeUp();
+      this.wakeTimer = setTimeout(() => {
+        this.wakeTimer = null;
+        this.startProcessing();
+      }, delay);
+      // Waiting for retries must not keep the process alive
+      this.wakeTimer.unref();
+      logger.info(`⏰ Next AI queue run in ${Math.round(delay / 1000)}s`);
+    } catch (error) {
+      logger.error("❌ Error scheduling AI processing queue:", error);
+    }
+  }
+
+  clearWakeUp() {
+    if (this.wakeTimer) {
+      clearTimeout(this.wakeTimer);
+      this.wakeTimer = null;
+    }
+  }
+
+  /**
+   * Load the products of leased queue items with a request context for their
+   * account, which also tells whether cached classifications may be used.
+   * Items whose product was deleted are failed.
+   * @returns {Array} - [{ queueItem, product, req }]
+   */
+  async loadBatchItems(queueItems) {
+    const byAccount = this.groupByAccount(queueItems, (queueItem) => queueItem.account);
+    const items = [];
+
+    for (const [account, accountItems] of byAccount) {
+      const req = { headers: { "x-iviva-account": account } };
+      const bypassCacheReq = { ...req, bypassClassificationCache: true };
+      const Product = await productService.getProductModel(req);
+      const products = await Product.find({
+        _id: { $in: accountItems.map((queueItem) => queueItem.productId) }
+      });
+
+      for (const queueItem of accountItems) {
+        const product = products.find((p) => String(p._id) === String(queueItem.productId));
+        if (product) {
+          items.push({ queueItem, product, req: queueItem.bypassCache ? bypassCacheReq : req });
+        } else {
+          await aiQueueService.failItem(queueItem, new Error("Product no longer exists"));
+        }
+      }
+    }
+
+    return items;
+  }
+
+  /**
+   * Group items by account, keeping their order
+   * @returns {Map} - account -> items
+   */
+  groupByAccount(items, accountOf = (item) => item.queueItem.account) {
+    return items.reduce((groups, item) => {
+      const account = accountOf(item);
+      if (!groups.has(account)) groups.set(account, []);
+      groups.get(account).push(item);
+      return groups;
+    }, new Map());
+  }
+
+  /**
+   * Process a batch of leased queue items
+   */
+  async processBatch(queueItems) {
     this.currentBatchStartTime = new Date();
 
+    // Keep the leases alive while the batch runs
+    const leaseIds = queueItems.map((queueItem) => queueItem._id);
+    const heartbeat = setInterval(() => {
+      aiQueueService
+        .renewLeases(this.workerId, leaseIds, this.leaseMs)
+        .catch((error) => logger.error("❌ Error renewing AI queue leases:", error));
+    }, this.leaseMs / 3);
+
+    try {
+      const batchItems = await this.loadBatchItems(queueItems);
+      await this.processBatchItems(batchItems);
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  /**
+   * Process loaded batch items
+   */
+  async processBatchItems(batchItems) {
     logger.info(`🔄 Processing batch of ${batchItems.length} products`);
 
     // Group products by whether they have images or not
@@ -147,20 +297,23 @@ class AIProcessingQueue {
     const optimalBatchSize = calculateOptimalBatchSize(products, 40000); // Conservative token limit
     logger.info(`📊 Using optimal batch size of ${optimalBatchSize} products per batch`);
 
-    // Split into optimally sized groups
+    // Split into optimally sized groups; a group is sent with one request context
     const groups = [];
-    for (let i = 0; i < items.length; i += optimalBatchSize) {
-      groups.push(items.slice(i, i + optimalBatchSize));
+    for (const accountItems of this.groupByAccount(items, (item) => item.req).values()) {
+      for (let i = 0; i < accountItems.length; i += optimalBatchSize) {
+        groups.push(accountItems.slice(i, i + optimalBatchSize));
+      }
     }
 
     logger.info(`📦 Split ${items.length} products into ${groups.length} optimized batches`);
 
-    // Process groups concurrently but limited
-    const promises = groups.map((group, index) => 
-      this.processProductGroup(group, index)
-    );
-
-    await this.processConcurrently(promises, this.maxConcurrentRequests);
+    // Groups take turns with other accounts' work in the scheduler
+    await Promise.allSettled(groups.map((group, index) =>
+      this.runAsBulk(group[0].queueItem.account, async () => {
+        if (await this.pauseIfOverBudget(group)) return;
+        await this.processProductGroup(group, index);
+      })
+    ));
   }
 
   /**
@@ -169,11 +322,12 @@ class AIProcessingQueue {
   async processSingleProductBatch(items) {
     logger.info(`🔄 Processing ${items.length} products with images individually`);
 
-    const promises = items.map((item, index) => 
-      this.processSingleProduct(item, index)
-    );
-
-    await this.processConcurrently(promises, this.maxConcurrentRequests);
+    await Promise.allSettled(items.map((item, index) =>
+      this.runAsBulk(item.queueItem.account, async () => {
+        if (await this.pauseIfOverBudget([item])) return;
+        await this.processSingleProduct(item, index);
+      })
+    ));
   }
 
   /**
@@ -208,8 +362,15 @@ class AIProcessingQueue {
         throw new Error(`Batch classification failed: ${classificationResult.error}`);
       }
 
-      // Step 2: Batch classify BOM
-      const bomResult = await batchClassifyBOM(batchData, materialsDatabaseEnhanced, groupItems[0].req);
+      // Imported BOM and process lines are used instead of classifying them
+      const suppliedLines = new Map(groupItems.map(item => [item.product.code, getSuppliedLines(item.product)]));
+
+      // Step 2: Batch classify BOM against the version the results will be calculated with
+      const factorDatabase = getFactorDatabase();
+      const bomData = batchData.filter(product => !suppliedLines.get(product.code).materials);
+      const bomResult = bomData.length > 0
+        ? await batchClassifyBOM(bomData, factorDatabase.materials, groupItems[0].req)
+        : { success: true, results: [] };
       
       if (!bomResult.success) {
         throw new Error(`Batch BOM classification failed: ${bomResult.error}`);
@@ -220,15 +381,18 @@ class AIProcessingQueue {
         const bomData = bomResult.results.find(r => r.productCode === product.code);
         return {
           ...product,
-          bom: bomData ? bomData.bom : []
+          bom: suppliedLines.get(product.code).materials || (bomData ? bomData.bom : [])
         };
       });
 
-      const manufacturingResult = await batchClassifyManufacturingProcesses(
-        productsWithBOM, 
-        manufacturingProcesses, 
-        groupItems[0].req
-      );
+      const manufacturingData = productsWithBOM.filter(product => !suppliedLines.get(product.code).processes);
+      const manufacturingResult = manufacturingData.length > 0
+        ? await batchClassifyManufacturingProcesses(
+          manufacturingData, 
+          factorDatabase.manufacturing, 
+          groupItems[0].req
+        )
+        : { success: true, results: [] };
       
       if (!manufacturingResult.success) {
         throw new Error(`Batch manufacturing classification failed: ${manufacturingResult.error}`);
@@ -241,26 +405,37 @@ class AIProcessingQueue {
 
         try {
           // Find results for this product
+          const supplied = suppliedLines.get(productCode);
           const classification = classificationResult.results.find(r => r.productCode === productCode);
-          const bom = bomResult.results.find(r => r.productCode === productCode);
-          const manufacturing = manufacturingResult.results.find(r => r.productCode === productCode);
+          const bom = supplied.materials
+            ? { bom: supplied.materials }
+            : bomResult.results.find(r => r.productCode === productCode);
+          const manufacturing = supplied.processes
+            ? { processes: supplied.processes }
+            : manufacturingResult.results.find(r => r.productCode === productCode);
 
           if (!classification || !bom || !manufacturing) {
             throw new Error(`Missing results for product ${productCode}`);
           }
 
           // Calculate emissions
-          const co2EmissionRawMaterials = productService.calculateRawMaterialEmissions(
+          const {
+            co2Emission,
+            co2EmissionRawMaterials,
+            co2EmissionFromProcesses,
+            impacts,
+            lifeCycleModules,
+            factorVersion,
+            dataQuality,
+            impactCoverage
+          } = productService.calculateProductImpacts(
             bom.bom,
-            item.product.countryOfOrigin
-          );
-          const co2EmissionFromProcesses = productService.calculateProcessEmissions(
             manufacturing.processes,
-            item.product.countryOfOrigin
+            item.product.countryOfOrigin,
+            item.product.lifeCycle,
+            await productService.getCalculationOptions(item.req, { factorDatabase, dataOrigin: 'ai' })
           );
 
-          const co2Emission = co2EmissionRawMaterials + co2EmissionFromProcesses;
-
           // Update product in database
           await Product.updateOne(
             { _id: item.product._id },
@@ -273,14 +448,22 @@ class AIProcessingQueue {
                 co2Emission,
                 co2EmissionRawMaterials,
                 co2EmissionFromProcesses,
+                impacts,
+                lifeCycleModules,
+                factorVersion,
+                dataQuality,
+                impactCoverage,
+                aiConfidence: summarizeAIConfidence(classification, bom.bom, manufacturing.processes),
                 aiProcessingStatus: 'completed',
                 modifiedDate: Date.now(),
                 lastProcessed: new Date()
               }
             }
           );
+          await markAIDraft(item.req, [item.product._id]);
 
           this.processedCount++;
+          await aiQueueService.completeItem(item.queueItem);
           logger.info(`✅ Successfully batch processed product ${productCode}`);
 
         } catch (productError) {
@@ -332,16 +515,20 @@ class AIProcessingQueue {
         item.req
       );
 
-      const classifyBOMResult = await classifyBOM(
+      // Imported BOM and process lines are used instead of classifying them
+      const supplied = getSuppliedLines(item.product);
+
+      const classifyBOMResult = supplied.materials || await classifyBOM(
         item.product.code,
         item.product.name,
         item.product.description,
         item.product.weight,
         item.product.images[0],
-        item.req
+        item.req,
+        { category: classifyResult.category, subCategory: classifyResult.subcategory }
       );
 
-      const classifyManufacturingProcessResult = await classifyManufacturingProcess(
+      const classifyManufacturingProcessResult = supplied.processes || await classifyManufacturingProcess(
         item.product.code,
         item.product.name,
         item.product.description,
@@ -350,17 +537,23 @@ class AIProcessingQueue {
       );
 
       // Calculate emissions
-      const co2EmissionRawMaterials = productService.calculateRawMaterialEmissions(
+      const {
+        co2Emission,
+        co2EmissionRawMaterials,
+        co2EmissionFromProcesses,
+        impacts,
+        lifeCycleModules,
+        factorVersion,
+        dataQuality,
+        impactCoverage
+      } = productService.calculateProductImpacts(
         classifyBOMResult,
-        item.product.countryOfOrigin
-      );
-      const co2EmissionFromProcesses = productService.calculateProcessEmissions(
         classifyManufacturingProcessResult,
-        item.product.countryOfOrigin
+        item.product.countryOfOrigin,
+        item.product.lifeCycle,
+        await productService.getCalculationOptions(item.req, { dataOrigin: 'ai' })
       );
 
-      const co2Emission = co2EmissionRawMaterials + co2EmissionFromProcesses;
-
       // Update product with results
       await Product.updateOne(
         { _id: item.product._id },
@@ -373,13 +566,25 @@ class AIProcessingQueue {
             co2Emission,
             co2EmissionRawMaterials,
             co2EmissionFromProcesses,
+            impacts,
+            lifeCycleModules,
+            factorVersion,
+            dataQuality,
+            impactCoverage,
+            aiConfidence: summarizeAIConfidence(
+              classifyResult,
+              classifyBOMResult,
+              classifyManufacturingProcessResult
+            ),
             aiProcessingStatus: 'completed',
             lastProcessed: new Date()
           }
         }
       );
+      await markAIDraft(item.req, [item.product._id]);
 
       this.processedCount++;
+      await aiQueueService.completeItem(item.queueItem);
       logger.info(`✅ Successfully processed product with image: ${item.product.code}`);
 
     } catch (error) {
@@ -389,16 +594,54 @@ class AIProcessingQueue {
   }
 
 
+  /**
+   * Pause the work of an account whose monthly AI budget is spent: the given
+   * items and everything else it has queued wait until the budget resets.
+   * Budgets that cannot be loaded do not hold up the work.
+   * @param {Array} items - Leased items of one account
+   * @returns {Boolean} Whether the items were paused
+   */
+  async pauseIfOverBudget(items) {
+    const { account } = items[0].queueItem;
+    try {
+      const budget = await getBudgetStatus(items[0].req);
+      if (!budget.blocked) return false;
+
+      const reason = `Monthly AI budget of $${budget.monthlyBudgetUsd} spent`;
+      const paused = await aiQueueService.pauseAccountItems(
+        account,
+        items.map((item) => item.queueItem),
+        budget.resetsAt,
+        reason
+      );
+      logger.warn(`⏸️ Paused ${paused} AI queue items of ${account} until ${budget.resetsAt.toISOString()}: ${reason}`);
+      return true;
+    } catch (error) {
+      logger.error(`❌ Error checking the AI budget of ${account}:`, error);
+      return false;
+    }
+  }
+
   /**
    * Handle product processing failure
    */
   async handleProductFailure(item, error) {
-    item.attempts++;
+    const { queueItem } = item;
     
-    if (item.attempts < item.maxAttempts) {
-      // Retry: add back to queue
-      this.queue.unshift(item);
-      logger.warn(`⚠️ Retrying product ${item.product.code} (attempt ${item.attempts}/${item.maxAttempts})`);
+    if (queueItem.attempts < queueItem.maxAttempts) {
+      // Retry: back to the stored queue after an increasing delay
+      const delayMs = this.retryDelayMs * 2 ** (queueItem.attempts - 1);
+      try {
+        await aiQueueService.rescheduleItem(queueItem, error, delayMs);
+        const Product = await productService.getProductModel(item.req);
+        await Product.updateOne(
+          { _id: item.product._id },
+          { $set: { aiProcessingStatus: 'pending' } }
+        );
+        logger.warn(`⚠️ Retrying product ${item.product.code} in ${delayMs / 1000}s (attempt ${queueItem.attempts}/${queueItem.maxAttempts})`);
+      } catch (updateError) {
+        logger.error(`❌ Failed to reschedule product ${item.product.code}:`, updateError);
+      }
     } else {
       // Mark as failed
       try {
@@ -413,9 +656,10 @@ class AIProcessingQueue {
             }
           }
         );
+        await aiQueueService.failItem(queueItem, error);
         
         this.failedCount++;
-        logger.error(`❌ Product ${item.product.code} failed after ${item.maxAttempts} attempts: ${error.message}`);
+        logger.error(`❌ Product ${item.product.code} failed after ${queueItem.maxAttempts} attempts: ${error.message}`);
       } catch (updateError) {
         logger.error(`❌ Failed to update product status for ${item.product.code}:`, updateError);
       }
@@ -423,36 +667,36 @@ class AIProcessingQueue {
   }
 
   /**
-   * Process promises concurrently with limit
+   * Run AI work of an account as bulk work in the scheduler, once the rate
+   * limiter of the account's provider no longer asks to back off
    */
-  async processConcurrently(promises, concurrencyLimit) {
-    const results = [];
-    
-    for (let i = 0; i < promises.length; i += concurrencyLimit) {
-      const batch = promises.slice(i, i + concurrencyLimit);
-      const batchResults = await Promise.allSettled(batch);
-      results.push(...batchResults);
-      
-      // Small delay between concurrent batches
-      if (i + concurrencyLimit < promises.length) {
-        await this.sleep(2000); // 2 second delay
-      }
-    }
-    
-    return results;
+  runAsBulk(account, task) {
+    return aiScheduler.run(account, async () => {
+      const { provider } = await getLLMSettings({ headers: { "x-iviva-account": account } });
+      await getRateLimiter(provider)?.waitUntilAvailable();
+      return task();
+    }, { priority: "bulk" });
   }
 
   /**
-   * Get queue status
+   * Get queue status: this worker's state and the stored queue
+   * @param {String} account - Limit the stored queue to one account (optional)
    */
-  getStatus() {
+  async getStatus(account) {
+    const store = await aiQueueService.getQueueSummary(account);
     return {
-      queueLength: this.queue.length,
+      workerId: this.workerId,
+      queueLength: store.pending,
       processing: this.processing,
       processedCount: this.processedCount,
       failedCount: this.failedCount,
       batchSize: this.batchSize,
-      currentBatchStartTime: this.currentBatchStartTime
+      batchDelayMs: this.batchDelayMs,
+      maxConcurrentRequests: this.maxConcurrentRequests,
+      currentBatchStartTime: this.currentBatchStartTime,
+      scheduler: aiScheduler.getStatus(account),
+      rateLimiters: getRateLimiterStatus(),
+      store
     };
   }
 
@@ -467,8 +711,10 @@ class AIProcessingQueue {
    * Stop processing (graceful shutdown)
    */
   stop() {
-    logger.info("🛑 Stopping AI processing queue");
+    logger.info("🛑 Stopping AI processing queue; stored items stay queued");
+    this.stopped = true;
     this.processing = false;
+    this.clearWakeUp();
   }
 }
 
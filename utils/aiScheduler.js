@@ -0,0 +1,218 @@
+const logger = require("./logger");
+const config = require("../config/environment");
+const { getAccountPlan } = require("../services/account.service");
+
+/**
+ * Fair scheduling of AI requests across accounts
+ *
+ * AI requests of the processing queue and of the interactive classify
+ * endpoints all run through one scheduler, which holds a sub-queue per account
+ * and priority:
+ * - interactive requests start before any waiting bulk work, and bulk work
+ *   never takes the slots reserved for them
+ * - accounts with waiting work take turns by weighted round-robin, so one
+ *   account uploading a large catalogue cannot hold back the others
+ * - an account runs at most `maxConcurrent` requests of each priority at once
+ * Weights and caps come from the account plan.
+ */
+
+const PRIORITIES = ["interactive", "bulk"];
+
+const PLAN_LIMITS = {
+  basic: { weight: 1, maxConcurrent: 1 },
+  professional: { weight: 2, maxConcurrent: 3 },
+  enterprise: { weight: 4, maxConcurrent: 5 },
+};
+
+// Plan of accounts without a plan entry, see account.service getAccountPlan
+const DEFAULT_PLAN = "professional";
+
+const getPlanLimits = (plan) => PLAN_LIMITS[plan] || PLAN_LIMITS[DEFAULT_PLAN];
+
+/**
+ * Smooth weighted round-robin: every candidate earns its weight in credit, the
+ * one with the most credit is picked and pays the total weight. Over a round
+ * each candidate is picked in proportion to its weight, interleaved with the
+ * others rather than in runs.
+ * @param {Array} candidates - [{ key, weight }]
+ * @param {Map} credits - key -> credit, kept between picks
+ * @returns {Object|null} The picked candidate
+ */
+const pickWeighted = (candidates, credits) => {
+  let chosen = null;
+  let totalWeight = 0;
+
+  for (const candidate of candidates) {
+    const credit = (credits.get(candidate.key) || 0) + candidate.weight;
+    credits.set(candidate.key, credit);
+    totalWeight += candidate.weight;
+    if (!chosen || credit > credits.get(chosen.key)) chosen = candidate;
+  }
+
+  if (chosen) credits.set(chosen.key, credits.get(chosen.key) - totalWeight);
+  return chosen;
+};
+
+class AIScheduler {
+  constructor() {
+    this.maxConcurrent = config.aiMaxConcurrentRequests; // Across all accounts
+    this.reservedInteractiveSlots = 1; // Kept free of bulk work
+    this.planCacheMs = 5 * 60000;
+    this.running = 0;
+    this.accounts = new Map();
+    this.credits = { interactive: new Map(), bulk: new Map() };
+  }
+
+  /**
+   * Scheduling state of an account, with its plan limits refreshed when stale
+   */
+  async getAccountState(account) {
+    let state = this.accounts.get(account);
+    if (!state) {
+      state = {
+        account,
+        plan: DEFAULT_PLAN,
+        limits: getPlanLimits(DEFAULT_PLAN),
+        loadedAt: 0,
+        waiting: { interactive: [], bulk: [] },
+        running: { interactive: 0, bulk: 0 },
+      };
+      this.accounts.set(account, state);
+    }
+
+    if (Date.now() - state.loadedAt > this.planCacheMs) {
+      try {
+        const entry = await getAccountPlan({ headers: { "x-iviva-account": account } });
+        state.plan = entry.plan;
+      } catch (error) {
+        logger.error(`❌ Error loading plan of ${account}, using ${DEFAULT_PLAN} limits:`, error);
+        state.plan = DEFAULT_PLAN;
+      }
+      state.limits = getPlanLimits(state.plan);
+      state.loadedAt = Date.now();
+    }
+
+    return state;
+  }
+
+  /**
+   * Scheduling weight and concurrency cap of an account
+   * @returns {Object} - { weight, maxConcurrent }
+   */
+  async getAccountLimits(account) {
+    return (await this.getAccountState(account)).limits;
+  }
+
+  /**
+   * Run an AI task once the account gets its turn
+   * @param {String} account - Account the task is run for
+   * @param {Function} task - Async function doing the AI work
+   * @param {Object} options - { priority: "interactive" | "bulk" }
+   * @returns {Promise} Result of the task
+   */
+  async run(account, task, options = {}) {
+    const priority = PRIORITIES.includes(options.priority) ? options.priority : "bulk";
+    const state = await this.getAccountState(account);
+
+    return new Promise((resolve, reject) => {
+      state.waiting[priority].push({ task, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Start waiting tasks while slots are free
+   */
+  dispatch() {
+    const bulkSlots = Math.max(this.maxConcurrent - this.reservedInteractiveSlots, 1);
+
+    while (this.running < this.maxConcurrent) {
+      let priority = "interactive";
+      let state = this.pickAccount(priority);
+      if (!state && this.running < bulkSlots) {
+        priority = "bulk";
+        state = this.pickAccount(priority);
+      }
+      if (!state) return;
+
+      this.start(state, priority, state.waiting[priority].shift());
+    }
+  }
+
+  /**
+   * Next account to start a task of a priority, among accounts with waiting
+   * tasks below their cap
+   */
+  pickAccount(priority) {
+    const candidates = [];
+    for (const state of this.accounts.values()) {
+      if (state.waiting[priority].length === 0) {
+        // An account that ran out of work starts its next round afresh
+        this.credits[priority].delete(state.account);
+      } else if (state.running[priority] < state.limits.maxConcurrent) {
+        candidates.push({ key: state.account, weight: state.limits.weight, state });
+      }
+    }
+
+    const chosen = pickWeighted(candidates, this.credits[priority]);
+    return chosen ? chosen.state : null;
+  }
+
+  start(state, priority, job) {
+    this.running++;
+    state.running[priority]++;
+
+    Promise.resolve()
+      .then(job.task)
+      .then(job.resolve, job.reject)
+      .finally(() => {
+        this.running--;
+        state.running[priority]--;
+        this.dispatch();
+      });
+  }
+
+  /**
+   * Change the number of AI requests in flight across all accounts at runtime
+   * @param {Number} value - Positive integer
+   */
+  setMaxConcurrent(value) {
+    this.maxConcurrent = value;
+    this.dispatch();
+  }
+
+  /**
+   * Running and waiting tasks per account
+   * @param {String} account - Limit the accounts to one (optional)
+   */
+  getStatus(account) {
+    const accounts = [...this.accounts.values()]
+      .filter((state) => !account || state.account === account)
+      .map((state) => ({
+        account: state.account,
+        plan: state.plan,
+        weight: state.limits.weight,
+        maxConcurrent: state.limits.maxConcurrent,
+        running: { ...state.running },
+        waiting: {
+          interactive: state.waiting.interactive.length,
+          bulk: state.waiting.bulk.length,
+        },
+      }));
+
+    return {
+      maxConcurrent: this.maxConcurrent,
+      reservedInteractiveSlots: this.reservedInteractiveSlots,
+      running: this.running,
+      accounts,
+    };
+  }
+}
+
+// Create singleton instance
+const aiScheduler = new AIScheduler();
+
+module.exports = aiScheduler;
+module.exports.PRIORITIES = PRIORITIES;
+module.exports.PLAN_LIMITS = PLAN_LIMITS;
+module.exports.pickWeighted = pickWeighted;
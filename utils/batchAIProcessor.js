@@ -1,12 +1,17 @@
 const logger = require("./logger");
-const { makeOpenAIRequestWithRetry } = require("./chatGPTUtils");
+const {
+  makeOpenAIRequestWithRetry,
+  resolveProductClassification,
+  matchBOMLines,
+  matchManufacturingLines,
+  groupProcessesByMaterialClass,
+  normalizeBOMWeights
+} = require("./chatGPTUtils");
 const { z } = require("zod");
 const { zodResponseFormat } = require("openai/helpers/zod");
-const OpenAI = require("openai");
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+const { getLLMProvider } = require("./llmProvider");
+const { updateAITokens } = require("./utils");
+const { withBatchClassificationCache } = require("../services/classificationCache.service");
 
 /**
  * Batch AI Processor for Multiple Products
@@ -16,12 +21,25 @@ const openai = new OpenAI({
  * while staying within OpenAI's rate limits and token limits.
  */
 
+// Version of each batch prompt, see PROMPT_VERSIONS in chatGPTUtils
+const BATCH_PROMPT_VERSIONS = {
+  batchProduct: 2,
+  batchBom: 3,
+  batchManufacturing: 2
+};
+
 // Define schemas for batch processing
 const BatchProductClassificationSchema = z.object({
   products: z.array(z.object({
     productCode: z.string(),
     category: z.string(),
-    subcategory: z.string()
+    subcategory: z.string(),
+    confidence: z.number(),
+    alternatives: z.array(z.object({
+      category: z.string(),
+      subcategory: z.string(),
+      confidence: z.number()
+    }))
   }))
 });
 
@@ -29,6 +47,11 @@ const BatchBOMItemSchema = z.object({
   materialClass: z.string(),
   specificMaterial: z.string(),
   weight: z.number(),
+  weightRange: z.object({
+    min: z.number(),
+    max: z.number()
+  }),
+  confidence: z.number(),
   reasoning: z.string()
 });
 
@@ -46,7 +69,8 @@ const BatchManufacturingProcessSchema = z.object({
   manufacturingProcesses: z.array(z.object({
     category: z.string(),
     processes: z.array(z.string())
-  }))
+  })),
+  confidence: z.number()
 });
 
 const BatchManufacturingSchema = z.object({
@@ -59,7 +83,7 @@ const BatchManufacturingSchema = z.object({
 /**
  * Process batch product classification
  */
-async function batchClassifyProducts(products, productCategories, req) {
+async function requestBatchProductClassification(products, productCategories, req) {
   logger.info(`🔄 Batch classifying ${products.length} products`);
 
   const systemPrompt = `You are an expert product classification specialist. Your task is to classify multiple products simultaneously into appropriate categories and subcategories.
@@ -70,6 +94,7 @@ CLASSIFICATION PRINCIPLES:
 3. Each subcategory MUST belong to its selected category.
 4. DO NOT invent, modify, or generalize any category or subcategory values.
 5. Process all products in the batch and return results for each one.
+6. Give your confidence in each classification from 0 to 1, and up to 3 other plausible classifications in "alternatives" with their confidence (empty when there are none).
 
 RESPONSE FORMAT:
 {
@@ -77,7 +102,11 @@ RESPONSE FORMAT:
     {
       "productCode": "<code>",
       "category": "<category>",
-      "subcategory": "<subcategory>"
+      "subcategory": "<subcategory>",
+      "confidence": <0-1>,
+      "alternatives": [
+        { "category": "<category>", "subcategory": "<subcategory>", "confidence": <0-1> }
+      ]
     }
   ]
 }`;
@@ -95,24 +124,30 @@ ${productsData}
 Return results for ALL products in the specified JSON format.`;
 
   try {
-    const completion = await makeOpenAIRequestWithRetry(async () => {
-      return await openai.chat.completions.create({
-        model: "gpt-4o",
+    const llm = await getLLMProvider(req);
+    const completion = await makeOpenAIRequestWithRetry(() =>
+      llm.client.chat.completions.create({
+        ...llm.completionOptions,
         messages: [
           { role: "system", content: systemPrompt },
           { role: "user", content: userPrompt }
         ],
         response_format: zodResponseFormat(BatchProductClassificationSchema, "products"),
-        temperature: 0,
-      });
-    });
+      }),
+      3,
+      { estimatedTokens: estimateTokenCount(products).estimated, rateLimiter: llm.rateLimiter }
+    );
 
     const result = JSON.parse(completion.choices[0].message.content);
+    updateAITokens(req, completion.usage, llm.pricingModel);
     logger.info(`✅ Successfully batch classified ${result.products.length} products`);
     
     return {
       success: true,
-      results: result.products,
+      results: result.products.map(product => ({
+        productCode: product.productCode,
+        ...resolveProductClassification(product.productCode, product)
+      })),
       usage: completion.usage
     };
 
@@ -129,7 +164,7 @@ Return results for ALL products in the specified JSON format.`;
 /**
  * Process batch BOM classification
  */
-async function batchClassifyBOM(products, materialsDatabase, req) {
+async function requestBatchBOMClassification(products, materialsDatabase, req, correction = "") {
   logger.info(`🔄 Batch BOM classification for ${products.length} products`);
 
   // Format materials database
@@ -145,6 +180,8 @@ CLASSIFICATION PRINCIPLES:
 2. Distribute each product's total weight proportionally across materials.
 3. Ensure each product's total weight equals exactly what was specified.
 4. Process all products in the batch and return BOM for each one.
+5. For each material, give the plausible range of its weight in "weightRange" (min <= weight <= max): narrow when the weight follows from the description, wide when it is an assumption.
+6. For each material, give your confidence from 0 to 1 in "confidence" that the product contains it: high when the description names it, low when it is an assumption.
 
 RESPONSE FORMAT:
 {
@@ -156,6 +193,8 @@ RESPONSE FORMAT:
           "materialClass": "<class>",
           "specificMaterial": "<material>",
           "weight": <weight>,
+          "weightRange": { "min": <lowest plausible weight>, "max": <highest plausible weight> },
+          "confidence": <0-1>,
           "reasoning": "<brief explanation>"
         }
       ]
@@ -174,27 +213,33 @@ Total Weight: ${product.weight} kg`
 
 ${productsData}
 
-Return BOM results for ALL products in the specified JSON format.`;
+Return BOM results for ALL products in the specified JSON format.${correction}`;
 
   try {
-    const completion = await makeOpenAIRequestWithRetry(async () => {
-      return await openai.chat.completions.create({
-        model: "gpt-4o",
+    const llm = await getLLMProvider(req);
+    const completion = await makeOpenAIRequestWithRetry(() =>
+      llm.client.chat.completions.create({
+        ...llm.completionOptions,
         messages: [
           { role: "system", content: systemPrompt },
           { role: "user", content: userPrompt }
         ],
         response_format: zodResponseFormat(BatchBOMSchema, "products"),
-        temperature: 0,
-      });
-    });
+      }),
+      3,
+      { estimatedTokens: estimateTokenCount(products).estimated, rateLimiter: llm.rateLimiter }
+    );
 
     const result = JSON.parse(completion.choices[0].message.content);
+    updateAITokens(req, completion.usage, llm.pricingModel);
     logger.info(`✅ Successfully batch processed BOM for ${result.products.length} products`);
     
     return {
       success: true,
-      results: result.products,
+      results: result.products.map(product => ({
+        ...product,
+        bom: matchBOMLines(product.bom, materialsDatabase)
+      })),
       usage: completion.usage
     };
 
@@ -211,7 +256,7 @@ Return BOM results for ALL products in the specified JSON format.`;
 /**
  * Process batch manufacturing processes
  */
-async function batchClassifyManufacturingProcesses(productsWithBOM, manufacturingProcesses, req) {
+async function requestBatchManufacturingClassification(productsWithBOM, manufacturingProcesses, req) {
   logger.info(`🔄 Batch manufacturing process classification for ${productsWithBOM.length} products`);
 
   // Format manufacturing processes data
@@ -227,6 +272,7 @@ CLASSIFICATION PRINCIPLES:
 2. You MUST ONLY use manufacturing categories and processes from the list above.
 3. Manufacturing processes must be relevant to the material class.
 4. Process all products in the batch and return results for each one.
+5. For each material, give your confidence from 0 to 1 in "confidence" that these are the processes it went through.
 
 RESPONSE FORMAT:
 {
@@ -243,7 +289,8 @@ RESPONSE FORMAT:
               "category": "<category>",
               "processes": ["<process1>", "<process2>"]
             }
-          ]
+          ],
+          "confidence": <0-1>
         }
       ]
     }
@@ -269,24 +316,36 @@ ${productsData}
 Return manufacturing process results for ALL products in the specified JSON format.`;
 
   try {
-    const completion = await makeOpenAIRequestWithRetry(async () => {
-      return await openai.chat.completions.create({
-        model: "gpt-4o",
+    const llm = await getLLMProvider(req);
+    const completion = await makeOpenAIRequestWithRetry(() =>
+      llm.client.chat.completions.create({
+        ...llm.completionOptions,
         messages: [
           { role: "system", content: systemPrompt },
           { role: "user", content: userPrompt }
         ],
         response_format: zodResponseFormat(BatchManufacturingSchema, "products"),
-        temperature: 0,
-      });
-    });
+      }),
+      3,
+      { estimatedTokens: estimateTokenCount(productsWithBOM).estimated, rateLimiter: llm.rateLimiter }
+    );
 
     const result = JSON.parse(completion.choices[0].message.content);
+    updateAITokens(req, completion.usage, llm.pricingModel);
     logger.info(`✅ Successfully batch processed manufacturing for ${result.products.length} products`);
     
     return {
       success: true,
-      results: result.products,
+      results: result.products.map(product => {
+        const bom = productsWithBOM.find(item => item.code === product.productCode)?.bom;
+        return {
+          ...product,
+          processes: matchManufacturingLines(
+            product.processes,
+            groupProcessesByMaterialClass(manufacturingProcesses, bom)
+          )
+        };
+      }),
       usage: completion.usage
     };
 
@@ -300,6 +359,88 @@ Return manufacturing process results for ALL products in the specified JSON form
   }
 }
 
+/**
+ * Batch classify products, sending only products without a cached result
+ * @param {Array} products - [{ code, name, description }]
+ */
+async function batchClassifyProducts(products, productCategories, req) {
+  return withBatchClassificationCache(
+    req,
+    { kind: "batchProduct", promptVersion: BATCH_PROMPT_VERSIONS.batchProduct },
+    products,
+    (product) => ({ name: product.name, description: product.description }),
+    (missing) => requestBatchProductClassification(missing, productCategories, req)
+  );
+}
+
+/**
+ * Batch classify BOMs, sending only products without a cached result. BOM
+ * weights that do not add up to the product weight are normalized; a product
+ * whose BOM is far off is asked for again on its own.
+ * @param {Array} products - [{ code, name, description, weight }]
+ */
+async function batchClassifyBOM(products, materialsDatabase, req) {
+  return withBatchClassificationCache(
+    req,
+    { kind: "batchBom", promptVersion: BATCH_PROMPT_VERSIONS.batchBom },
+    products,
+    (product) => ({ name: product.name, description: product.description, weight: product.weight }),
+    async (missing) => {
+      const result = await requestBatchBOMClassification(missing, materialsDatabase, req);
+      if (!result.success) return result;
+
+      const results = [];
+      for (const productResult of result.results) {
+        const product = missing.find(item => item.code === productResult.productCode);
+        if (!product) {
+          results.push(productResult);
+          continue;
+        }
+
+        try {
+          const bom = await normalizeBOMWeights(productResult.bom, product.weight, async (correction) => {
+            const retry = await requestBatchBOMClassification([product], materialsDatabase, req, correction);
+            const retried = retry.results.find(item => item.productCode === product.code);
+            if (!retry.success || !retried) {
+              throw new Error(retry.error || `No BOM returned for ${product.code}`);
+            }
+            return retried.bom;
+          });
+          results.push({ ...productResult, bom });
+        } catch (error) {
+          // Left out, so the product fails with missing results
+          logger.error(`❌ BOM weights of ${product.code} could not be normalized: ${error.message}`);
+        }
+      }
+
+      return { ...result, results };
+    }
+  );
+}
+
+/**
+ * Batch classify manufacturing processes, sending only products without a
+ * cached result for their BOM
+ * @param {Array} productsWithBOM - [{ code, name, description, bom }]
+ */
+async function batchClassifyManufacturingProcesses(productsWithBOM, manufacturingProcesses, req) {
+  return withBatchClassificationCache(
+    req,
+    { kind: "batchManufacturing", promptVersion: BATCH_PROMPT_VERSIONS.batchManufacturing },
+    productsWithBOM,
+    (product) => ({
+      name: product.name,
+      description: product.description,
+      bom: product.bom.map(item => ({
+        materialClass: item.materialClass,
+        specificMaterial: item.specificMaterial,
+        weight: item.weight
+      }))
+    }),
+    (missing) => requestBatchManufacturingClassification(missing, manufacturingProcesses, req)
+  );
+}
+
 /**
  * Format materials database for prompt
  */
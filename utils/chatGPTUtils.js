@@ -2,37 +2,65 @@ const axios = require("axios");
 require("dotenv").config();
 
 const productCategories = require("../data/productCategories.json");
-const materialsDatabaseEnhanced = require("../data/materials_database.json");
-const manufacturingProcesses = require("../data/manufacturing_ef.json");
+const { getFactorDatabase } = require("./factorDatabase");
+// AI taxonomies follow the default factor version loaded at boot
+const {
+  materials: materialsDatabaseEnhanced,
+  manufacturing: manufacturingProcesses,
+} = getFactorDatabase();
 const materialsDatabaseBasic = require("../data/materials_database_basic.json");
 const manufacturingProcessesBasic = require("../data/manufacturingProcesses_basic.json");
 
 const { updateAITokens } = require("../utils/utils");
+const config = require("../config/environment");
 const logger = require("./logger");
+const openAIRateLimiter = require("./openAIRateLimiter");
+const { getLLMProvider } = require("./llmProvider");
+const {
+  withClassificationCache,
+  getImageKey,
+} = require("../services/classificationCache.service");
+const {
+  getExemplarsForPrompt,
+  getExemplarKeys,
+  classifyWithExemplars,
+} = require("../services/exemplar.service");
 
-const OpenAI = require("openai");
 const { zodResponseFormat } = require("openai/helpers/zod");
 const { z } = require("zod");
 const Fuse = require("fuse.js");
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
-// Utility function to make OpenAI requests with retry logic for rate limits
-async function makeOpenAIRequestWithRetry(requestFn, maxRetries = 3) {
+/**
+ * Make an OpenAI-style request through the rate limiter of its provider,
+ * retrying on 429. `requestFn` must return the client's API promise (not
+ * awaited) so the response headers can be read.
+ * @param {Function} requestFn - () => llm.client.chat.completions.create(...)
+ * @param {Number} maxRetries - Retries after rate limit errors
+ * @param {Object} options - { estimatedTokens } expected for the request and
+ *   { rateLimiter } of the provider (llm.rateLimiter), the OpenAI one when not
+ *   given; with null the request is sent at once and not retried
+ */
+async function makeOpenAIRequestWithRetry(requestFn, maxRetries = 3, options = {}) {
+  const rateLimiter = options.rateLimiter === undefined ? openAIRateLimiter : options.rateLimiter;
   let retries = 0;
   while (true) {
+    const reservation = rateLimiter && (await rateLimiter.acquire(options.estimatedTokens));
     try {
-      return await requestFn();
+      const { data, response } = await requestFn().withResponse();
+      if (rateLimiter) {
+        rateLimiter.updateFromHeaders(response.headers);
+        rateLimiter.settle(reservation, data.usage);
+      }
+      return data;
     } catch (error) {
-      if (error.status === 429 && retries < maxRetries) {
-        const waitTime = error.message.match(/try again in (\d+)ms/)
-          ? parseInt(error.message.match(/try again in (\d+)ms/)[1])
-          : Math.pow(2, retries) * 1000;
+      rateLimiter?.settle(reservation, { total_tokens: 0 });
+      if (error.status === 429 && rateLimiter && retries < maxRetries) {
+        const waitTime = rateLimiter.handleRateLimitError(
+          error,
+          Math.pow(2, retries) * 1000
+        );
 
         logger.info(`Rate limited, retrying in ${waitTime}ms...`);
-        await new Promise((resolve) => setTimeout(resolve, waitTime));
         retries++;
       } else {
         throw error;
@@ -41,17 +69,60 @@ async function makeOpenAIRequestWithRetry(requestFn, maxRetries = 3) {
   }
 }
 
+// Version of each classification prompt. Bump a version when its prompt or
+// post-processing changes so that cached results of the old one are not reused.
+const PROMPT_VERSIONS = {
+  product: 2,
+  bom: 3,
+  bomBasic: 3,
+  manufacturing: 2,
+  manufacturingBasic: 2,
+};
+
+// Other candidates returned with each classification
+const MAX_ALTERNATIVES = 3;
+
+// Confidence assumed when the model does not report a valid one
+const UNREPORTED_CONFIDENCE = 0.5;
+
+const roundConfidence = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Confidence (0-1) of a classified value: the model's own confidence, scaled
+ * by the score of every value that had to be matched to the allowed options.
+ * A value that fell back to a default option scores 0.
+ * @param {Number} reported - Confidence reported by the model
+ * @param {Array} matches - findClosestMatch details of the corrected values
+ */
+const scoreConfidence = (reported, matches = []) => {
+  const base =
+    typeof reported === "number" && reported >= 0 && reported <= 1
+      ? reported
+      : UNREPORTED_CONFIDENCE;
+  return roundConfidence(
+    matches.reduce((confidence, match) => confidence * (match.score || 0), base)
+  );
+};
+
 // Define the Zod schema for structured output validation
 const ClassificationSchema = z.object({
   category: z.string(),
   subcategory: z.string(),
 });
 
+// Plausible range of an estimated weight, used for uncertainty analysis
+const WeightRangeSchema = z.object({
+  min: z.number(),
+  max: z.number(),
+});
+
 // Define the Zod schema for BOM classification output
 const BOMItemSchema = z.object({
   materialClass: z.string(),
   specificMaterial: z.string(),
   weight: z.number(),
+  weightRange: WeightRangeSchema,
+  confidence: z.number(),
   reasoning: z.string(),
 });
 
@@ -59,6 +130,8 @@ const BOMItemSchema = z.object({
 const BOMItemSchemaBasic = z.object({
   materialClass: z.string(),
   weight: z.number(),
+  weightRange: WeightRangeSchema,
+  confidence: z.number(),
 });
 
 const BOMSchema = z.object({
@@ -79,6 +152,7 @@ const ManufacturingProcessSchema = z.object({
       processes: z.array(z.string()),
     })
   ),
+  confidence: z.number(),
 });
 
 const ManufacturingSchema = z.object({
@@ -95,12 +169,29 @@ const ManufacturingProcessSchemaBasic = z.object({
       processes: z.array(z.string()),
     })
   ),
+  confidence: z.number(),
 });
 
 const ManufacturingSchemaBasic = z.object({
   processes: z.array(ManufacturingProcessSchemaBasic), // Wrap in an object key
 });
 
+// Add the weight ranges of two BOM items that are merged into one
+const combineWeightRanges = (a, b) =>
+  a.weightRange && b.weightRange
+    ? {
+        min: a.weightRange.min + b.weightRange.min,
+        max: a.weightRange.max + b.weightRange.max,
+      }
+    : undefined;
+
+// Weighted confidence of two BOM items that are merged into one
+const combineConfidence = (a, b) =>
+  roundConfidence(
+    (a.confidence * a.weight + b.confidence * b.weight) /
+      (a.weight + b.weight || 1)
+  );
+
 // Format filtered manufacturing processes based on BOM materials
 const formatFilteredManufacturingProcesses = (bomMaterials) => {
   const materialGroups = {};
@@ -173,7 +264,9 @@ const formatManufacturingProcessesBasic = () => {
  * @param {boolean} options.ignoreCase - Whether to ignore case in string comparison
  * @param {boolean} options.normalizeInput - Whether to normalize input (remove special chars)
  * @param {boolean} options.useWeights - Whether to use weights in scoring (if validOptions contains weighted objects)
+ * @param {number} options.maxAlternatives - Number of other close options listed in the match details (default 3)
  * @returns {string|Object} - The closest matching string or match details object with information about the match type
+ *                            and `alternatives`, the other closest options as [{value, score}]
  *
  * @example
  * // Simple matching
@@ -184,9 +277,56 @@ const formatManufacturingProcessesBasic = () => {
  *
  * // With details
  * findClosestMatch("Solid Oak", ["Pine", "Oak", "Maple"], {returnDetails: true})
- * // Returns {match: "Oak", score: 0.95, isExact: false, matchType: "keyTerm", ...}
+ * // Returns {match: "Oak", score: 0.95, isExact: false, matchType: "keyTerm", alternatives: [...], ...}
  */
 function findClosestMatch(input, validOptions, options = {}) {
+  const details = matchClosestOption(input, validOptions, {
+    ...options,
+    returnDetails: true,
+  });
+  if (!options.returnDetails) return details.match;
+
+  return {
+    ...details,
+    alternatives: rankMatchAlternatives(input, validOptions, details.match, options),
+  };
+}
+
+/**
+ * Options closest to an input other than its match, most similar first
+ * @returns {Object[]} - [{ value, score }] with scores from 0 to 1
+ */
+function rankMatchAlternatives(input, validOptions, match, options = {}) {
+  const { maxAlternatives = MAX_ALTERNATIVES, useWeights = false } = options;
+  if (!input || typeof input !== "string" || !Array.isArray(validOptions)) {
+    return [];
+  }
+
+  const values = [
+    ...new Set(
+      validOptions.map((option) =>
+        useWeights && option && typeof option === "object" ? option.value : option
+      )
+    ),
+  ].filter((value) => typeof value === "string" && value !== match);
+
+  const fuse = new Fuse(values, {
+    includeScore: true,
+    threshold: 0.6,
+    ignoreLocation: true,
+    ignoreFieldNorm: true,
+  });
+
+  return fuse
+    .search(input.replace(/[^\w\s]/gi, " ").trim())
+    .slice(0, maxAlternatives)
+    .map(({ item, score }) => ({ value: item, score: roundConfidence(1 - score) }));
+}
+
+/**
+ * Best match of an input with its details, see findClosestMatch
+ */
+function matchClosestOption(input, validOptions, options = {}) {
   // Default options
   const {
     threshold = 0.4,
@@ -810,14 +950,186 @@ const formatEnhancedBOMList = () => {
     .join("\n");
 };
 
-async function classifyProduct(productCode, name, description, imageUrl, req) {
-  logger.info(`🚀 Starting classification for product: ${productCode}`);
+/**
+ * Prompt section with analyst-approved classifications of similar products
+ */
+const formatProductExemplars = (exemplars = []) => {
+  if (exemplars.length === 0) return "";
 
-  if (!name || !description) {
-    logger.error(`❌ Missing required fields for product: ${productCode}`);
-    throw new Error("Product code, name, and description are required.");
+  const examples = exemplars
+    .map(
+      (exemplar) =>
+        `- "${exemplar.name}": ${(exemplar.description || "").substring(0, 200)} => ${exemplar.category} / ${exemplar.subCategory}`
+    )
+    .join("\n");
+
+  return `
+ANALYST-APPROVED CLASSIFICATIONS OF SIMILAR PRODUCTS:
+${examples}
+Analysts corrected the AI classification of these products. Classify this product the same way where it matches them; it may still belong elsewhere.
+`;
+};
+
+/**
+ * Prompt section with analyst-approved BOMs of similar products
+ */
+const formatBOMExemplars = (exemplars = []) => {
+  if (exemplars.length === 0) return "";
+
+  const examples = exemplars
+    .map((exemplar) => {
+      const lines = exemplar.materials
+        .map((line) => `${line.materialClass} / ${line.specificMaterial} ${line.weight} kg`)
+        .join(", ");
+      return `- "${exemplar.name}" (${exemplar.category} / ${exemplar.subCategory}, ${exemplar.weight} kg): ${lines}`;
+    })
+    .join("\n");
+
+  return `
+### **Analyst-Approved BOMs of Similar Products**:
+${examples}
+Analysts corrected the AI bill of materials of these products. Follow their material choices and weight split where this product is comparable, scaled to its own weight.
+`;
+};
+
+/**
+ * Match a classification returned by the model to the product categories.
+ * Values not in the list are replaced by their closest match, which lowers
+ * the confidence; without any match the first option is used as a fallback.
+ * @param {String} productCode - Product code, for logging
+ * @param {Object} result - { category, subcategory, confidence, alternatives }
+ * @returns {Object} - { category, subcategory, confidence, alternatives,
+ *   fallbackUsed } where alternatives are [{ category, subcategory, confidence }]
+ */
+const resolveProductClassification = (productCode, result) => {
+  result = { ...result };
+  const corrections = [];
+
+  // Validate the category exists
+  if (!productCategories[result.category]) {
+    logger.warn(
+      `⚠️ Invalid category "${result.category}". Finding closest match...`
+    );
+    const categoryMatch = findClosestMatch(
+      result.category,
+      Object.keys(productCategories),
+      { threshold: 0.3, returnDetails: true }
+    );
+
+    result.category = categoryMatch.match;
+    corrections.push(categoryMatch);
+
+    if (categoryMatch.isExact) {
+      logger.info(`✓ Found exact category match: ${result.category}`);
+    } else if (categoryMatch.isDefault) {
+      logger.warn(
+        `⚠️ No good match found, using default category: ${result.category}`
+      );
+    } else {
+      logger.info(
+        `🔄 Adjusted category to: ${
+          result.category
+        } (confidence: ${Math.round(categoryMatch.score * 100)}%)`
+      );
+    }
+  }
+
+  // Validate the subcategory exists within the category
+  const availableSubcategories = Object.keys(
+    productCategories[result.category] || {}
+  );
+  if (!availableSubcategories.includes(result.subcategory)) {
+    logger.warn(
+      `⚠️ Invalid subcategory "${result.subcategory}" for category "${result.category}". Finding closest match...`
+    );
+
+    const subcategoryMatch = findClosestMatch(
+      result.subcategory,
+      availableSubcategories,
+      { threshold: 0.3, minScore: 0.2, returnDetails: true }
+    );
+
+    result.subcategory = subcategoryMatch.match;
+    corrections.push(subcategoryMatch);
+
+    if (subcategoryMatch.isExact) {
+      logger.info(`✓ Found exact subcategory match: ${result.subcategory}`);
+    } else if (subcategoryMatch.isDefault) {
+      logger.warn(
+        `⚠️ No good match found, using default subcategory: ${result.subcategory}`
+      );
+    } else {
+      logger.info(
+        `🔄 Adjusted subcategory to: ${
+          result.subcategory
+        } (confidence: ${Math.round(subcategoryMatch.score * 100)}%)`
+      );
+      if (
+        subcategoryMatch.allMatches &&
+        subcategoryMatch.allMatches.length > 1
+      ) {
+        logger.info(
+          `🔍 Top alternative matches: ${subcategoryMatch.allMatches
+            .slice(1)
+            .map((m) => `${m.value} (${Math.round(m.score * 100)}%)`)
+            .join(", ")}`
+        );
+      }
+    }
   }
 
+  // Log the use cases for the final classification for verification
+  const finalUseCases =
+    productCategories[result.category]?.[result.subcategory]?.useCases;
+  if (finalUseCases && finalUseCases.length > 0) {
+    logger.info(
+      `📋 Final classification use cases: ${finalUseCases.join(" ")}`
+    );
+  }
+
+  logger.info(
+    `✅ Final classification for ${productCode}: Category=${result.category}, Subcategory=${result.subcategory}`
+  );
+
+
+
+  // Only alternatives that exist in the product categories are kept
+  const alternatives = (Array.isArray(result.alternatives) ? result.alternatives : [])
+    .filter(
+      (alternative) =>
+        productCategories[alternative?.category]?.[alternative.subcategory] &&
+        !(
+          alternative.category === result.category &&
+          alternative.subcategory === result.subcategory
+        )
+    )
+    .map((alternative) => ({
+      category: alternative.category,
+      subcategory: alternative.subcategory,
+      confidence: scoreConfidence(alternative.confidence),
+    }))
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, MAX_ALTERNATIVES);
+
+  return {
+    category: result.category,
+    subcategory: result.subcategory,
+    confidence: scoreConfidence(result.confidence, corrections),
+    alternatives,
+    fallbackUsed: corrections.some((match) => match.isDefault),
+  };
+};
+
+async function requestProductClassification(
+  productCode,
+  name,
+  description,
+  imageUrl,
+  req,
+  exemplars = []
+) {
+  logger.info(`🚀 Starting classification for product: ${productCode}`);
+
   logger.info(`📝 Building classification prompt with use cases`);
 
   // Build category and subcategory information with use cases
@@ -856,11 +1168,17 @@ CLASSIFICATION PRINCIPLES:
 11. For products that could fit multiple categories, choose the one whose use cases most specifically describe the product's main function.
 12. Consider the scale and context mentioned in use cases (e.g., commercial vs. residential, indoor vs. outdoor).
 13. Use the use cases to distinguish between similar subcategories within the same category.
+14. Give your confidence in the classification from 0 to 1: high when the description or image clearly matches the use cases, low when it is vague or fits several subcategories.
+15. List up to ${MAX_ALTERNATIVES} other plausible classifications in "alternatives", most likely first, each with its confidence. Leave it empty when no other classification is plausible.
 
 RESPONSE FORMAT:
 {
   "category": "<category>",
   "subcategory": "<subcategory>",
+  "confidence": <0-1, how certain this classification is>,
+  "alternatives": [
+    { "category": "<category>", "subcategory": "<subcategory>", "confidence": <0-1> }
+  ],
   "reasoning": "<brief explanation of why this classification matches the use cases>"
 }`;
 
@@ -876,11 +1194,15 @@ CLASSIFICATION INSTRUCTIONS:
 3. Select the subcategory whose use cases best describe this product
 4. Avoid subcategories with exclusion criteria (❌) that clearly don't apply to this product
 5. If an image is provided, use it as the primary source of truth for identifying the product type, appearance, function, and context
-
+${formatProductExemplars(exemplars)}
 Return the result strictly in this JSON format:
 {
   "category": "<category>",
   "subcategory": "<subcategory>",
+  "confidence": <0-1, how certain this classification is>,
+  "alternatives": [
+    { "category": "<category>", "subcategory": "<subcategory>", "confidence": <0-1> }
+  ],
   "reasoning": "<brief explanation of why this classification matches the use cases>"
 }
 `;
@@ -930,17 +1252,19 @@ Return the result strictly in this JSON format:
       }
     }
 
-    const completion = await makeOpenAIRequestWithRetry(async () => {
-      return await openai.chat.completions.create({
-        model: "gpt-4o", // Using full GPT-4o for better image analysis
+    const llm = await getLLMProvider(req);
+    const completion = await makeOpenAIRequestWithRetry(() =>
+      llm.client.chat.completions.create({
+        ...llm.completionOptions,
         messages: [
           { role: "system", content: systemPrompt },
           { role: "user", content: messages },
         ],
         response_format: { type: "json_object" },
-        temperature: 0,
-      });
-    });
+      }),
+      3,
+      { rateLimiter: llm.rateLimiter }
+    );
 
     let result;
     try {
@@ -965,108 +1289,67 @@ Return the result strictly in this JSON format:
       );
     }
 
-    updateAITokens(req, completion.usage);
+    updateAITokens(req, completion.usage, llm.pricingModel);
     logger.info(`📊 Updated token usage: ${completion.usage} tokens`);
 
-    // Validate the category exists
-    if (!productCategories[result.category]) {
-      logger.warn(
-        `⚠️ Invalid category "${result.category}". Finding closest match...`
-      );
-      const categoryMatch = findClosestMatch(
-        result.category,
-        Object.keys(productCategories),
-        { threshold: 0.3, returnDetails: true }
-      );
-
-      result.category = categoryMatch.match;
-
-      if (categoryMatch.isExact) {
-        logger.info(`✓ Found exact category match: ${result.category}`);
-      } else if (categoryMatch.isDefault) {
-        logger.warn(
-          `⚠️ No good match found, using default category: ${result.category}`
-        );
-      } else {
-        logger.info(
-          `🔄 Adjusted category to: ${
-            result.category
-          } (confidence: ${Math.round(categoryMatch.score * 100)}%)`
-        );
-      }
-    }
-
-    // Validate the subcategory exists within the category
-    const availableSubcategories = Object.keys(
-      productCategories[result.category] || {}
-    );
-    if (!availableSubcategories.includes(result.subcategory)) {
-      logger.warn(
-        `⚠️ Invalid subcategory "${result.subcategory}" for category "${result.category}". Finding closest match...`
-      );
-
-      const subcategoryMatch = findClosestMatch(
-        result.subcategory,
-        availableSubcategories,
-        { threshold: 0.3, minScore: 0.2, returnDetails: true }
-      );
-
-      result.subcategory = subcategoryMatch.match;
-
-      if (subcategoryMatch.isExact) {
-        logger.info(`✓ Found exact subcategory match: ${result.subcategory}`);
-      } else if (subcategoryMatch.isDefault) {
-        logger.warn(
-          `⚠️ No good match found, using default subcategory: ${result.subcategory}`
-        );
-      } else {
-        logger.info(
-          `🔄 Adjusted subcategory to: ${
-            result.subcategory
-          } (confidence: ${Math.round(subcategoryMatch.score * 100)}%)`
-        );
-        if (
-          subcategoryMatch.allMatches &&
-          subcategoryMatch.allMatches.length > 1
-        ) {
-          logger.info(
-            `🔍 Top alternative matches: ${subcategoryMatch.allMatches
-              .slice(1)
-              .map((m) => `${m.value} (${Math.round(m.score * 100)}%)`)
-              .join(", ")}`
-          );
-        }
-      }
-    }
-
-    // Log the use cases for the final classification for verification
-    const finalUseCases =
-      productCategories[result.category]?.[result.subcategory]?.useCases;
-    if (finalUseCases && finalUseCases.length > 0) {
-      logger.info(
-        `📋 Final classification use cases: ${finalUseCases.join(" ")}`
-      );
-    }
-
-    logger.info(
-      `✅ Final classification for ${productCode}: Category=${result.category}, Subcategory=${result.subcategory}`
-    );
-
     // Return result without reasoning in the final output (keeping it for internal logging only)
-    return {
-      category: result.category,
-      subcategory: result.subcategory,
-    };
+    return resolveProductClassification(productCode, result);
   } catch (error) {
     logger.error(
       `❌ Classification failed for ${productCode}: ${error.message}`
     );
-    logger.warn(`⚠️ Using default fallback classification for ${productCode}`);
-    return { category: "Uncategorized", subcategory: "Other" }; // Default fallback
+    throw error;
   }
 }
 
-const cacheClassifyBOM = new Map();
+/**
+ * Classify a product into a category and subcategory, reusing the cached
+ * result for the same name, description and image. A product that cannot be
+ * classified falls back to Uncategorized with `fallbackUsed` set, which is not
+ * cached.
+ * @returns {Object} - { category, subcategory, confidence, alternatives,
+ *   fallbackUsed, fallbackReason }
+ */
+async function classifyProduct(productCode, name, description, imageUrl, req) {
+  if (!name || !description) {
+    logger.error(`❌ Missing required fields for product: ${productCode}`);
+    throw new Error("Product code, name, and description are required.");
+  }
+
+  try {
+    const { settings, exemplars } = await getExemplarsForPrompt(req, { name, description });
+    return await withClassificationCache(
+      req,
+      { kind: "product", promptVersion: PROMPT_VERSIONS.product, productName: name },
+      {
+        name,
+        description,
+        imageUrl: getImageKey(imageUrl),
+        exemplars: exemplars.length > 0 ? getExemplarKeys(exemplars) : undefined,
+      },
+      () =>
+        classifyWithExemplars(
+          req,
+          { kind: "product", productCode, settings, exemplars },
+          (examples) =>
+            requestProductClassification(productCode, name, description, imageUrl, req, examples),
+          (result, baseline) =>
+            result.category !== baseline.category ||
+            result.subcategory !== baseline.subcategory
+        )
+    );
+  } catch (error) {
+    logger.warn(`⚠️ Using default fallback classification for ${productCode}`);
+    return {
+      category: "Uncategorized",
+      subcategory: "Other",
+      confidence: 0,
+      alternatives: [],
+      fallbackUsed: true,
+      fallbackReason: error.message,
+    }; // Default fallback
+  }
+}
 
 // Function to format the materials database basic data as a string for the prompt
 const formatMaterialsDatabaseBasic = () => {
@@ -1075,24 +1358,15 @@ const formatMaterialsDatabaseBasic = () => {
     .join("\n");
 };
 
-const classifyBOMBasic = async (
+const requestBOMClassificationBasic = async (
   productCode,
   name,
   description,
   weight,
   imageUrl,
-  req
+  req,
+  correction = ""
 ) => {
-  const keyClassifyBOM = JSON.stringify({
-    name,
-    description,
-    weight,
-  });
-
-  if (cacheClassifyBOM.has(keyClassifyBOM)) {
-    return cacheClassifyBOM.get(keyClassifyBOM);
-  }
-
   const materialsList = formatMaterialsDatabaseBasic();
   const prompt = `
 You are an assistant tasked with classifying products based on their description and analyzing an image to determine the composition of materials.
@@ -1111,12 +1385,16 @@ ${materialsList}
 2. You MUST ONLY use material classes EXACTLY as they appear in the list above.
 3. Distribute the total weight (${weight} kg) proportionally across these materials.
 4. Ensure the total weight of all materials adds up **exactly** to ${weight} kg.
-5. Return the result **strictly as a valid JSON array** in the following format:
+5. For each material, give the plausible range of its weight in "weightRange": narrow when the weight follows from the description, wide when it is an assumption.
+6. For each material, give your confidence from 0 to 1 that the product contains it: high when the description or image names it, low when it is an assumption.
+7. Return the result **strictly as a valid JSON array** in the following format:
 
 [
     {
         "materialClass": "<category>",
-        "weight": <weight>
+        "weight": <weight>,
+        "weightRange": { "min": <lowest plausible weight>, "max": <highest plausible weight> },
+        "confidence": <0-1>
     }
 ]
 
@@ -1129,6 +1407,7 @@ ${materialsList}
 - The total weight must match exactly **${weight} kg**.
 - Do **not** include any explanation, extra text, or formatting outside the JSON array.
 - CRITICAL VENEER RULE: If ANY wood species name (birch, oak, walnut, maple, cherry, pine, beech, ash, teak, mahogany, etc.) appears in combination with "veneer," "laminate," "foil," "finish," "coating," "look," "effect," "style," or similar surface treatment terms (e.g., "birch veneer finish," "oak laminate," "maple foil"), you MUST completely ignore the wood species name and NOT classify it as a material. These are decorative surface treatments applied to an underlying substrate material like MDF.
+${correction}
 `;
 
   try {
@@ -1171,14 +1450,16 @@ ${materialsList}
       }
     }
 
-    const response = await makeOpenAIRequestWithRetry(async () => {
-      return await openai.chat.completions.create({
-        model: "gpt-4o", // Supports text + image analysis
+    const llm = await getLLMProvider(req);
+    const response = await makeOpenAIRequestWithRetry(() =>
+      llm.client.chat.completions.create({
+        ...llm.completionOptions,
         messages: [{ role: "user", content: messages }],
         response_format: zodResponseFormat(BOMSchemaBasic, "bom"),
-        temperature: 0,
-      });
-    });
+      }),
+      3,
+      { rateLimiter: llm.rateLimiter }
+    );
 
     let result;
     try {
@@ -1192,25 +1473,26 @@ ${materialsList}
       );
     }
 
-    updateAITokens(req, response.usage);
+    updateAITokens(req, response.usage, llm.pricingModel);
+
+    // Get all valid material classes
+    const validMaterialClasses = materialsDatabaseBasic.map(
+      (material) => material.materialClass
+    );
 
     // Validate and adjust material categories
     result.forEach((item) => {
-      const isValidMaterialClass = materialsDatabaseBasic.some(
-        (material) => material.materialClass === item.materialClass
+      const isValidMaterialClass = validMaterialClasses.includes(
+        item.materialClass
       );
+      let materialMatch = null;
 
       if (!isValidMaterialClass) {
         logger.warn(
           `⚠️ Material class "${item.materialClass}" not found in basic database. Finding closest match...`
         );
 
-        // Get all valid material classes
-        const validMaterialClasses = materialsDatabaseBasic.map(
-          (material) => material.materialClass
-        );
-
-        const materialMatch = findClosestMatch(
+        materialMatch = findClosestMatch(
           item.materialClass,
           validMaterialClasses,
           {
@@ -1250,6 +1532,21 @@ ${materialsList}
           }
         }
       }
+
+      item.confidence = scoreConfidence(
+        item.confidence,
+        materialMatch ? [materialMatch] : []
+      );
+      item.fallbackUsed = !!materialMatch?.isDefault;
+      item.alternatives = (
+        materialMatch
+          ? materialMatch.alternatives
+          : rankMatchAlternatives(
+              item.materialClass,
+              validMaterialClasses,
+              item.materialClass
+            )
+      ).map(({ value, score }) => ({ materialClass: value, score }));
     });
 
     // Combine duplicate materials (e.g., if both "Fibreboard" and "Particleboard" map to "MDF")
@@ -1261,7 +1558,10 @@ ${materialsList}
       if (materialMap.has(item.materialClass)) {
         // Combine weights for duplicate material classes
         const existingItem = materialMap.get(item.materialClass);
+        existingItem.confidence = combineConfidence(existingItem, item);
+        existingItem.fallbackUsed = existingItem.fallbackUsed || item.fallbackUsed;
         existingItem.weight += item.weight;
+        existingItem.weightRange = combineWeightRanges(existingItem, item);
         logger.info(
           `✓ Combined duplicate material: ${
             item.materialClass
@@ -1282,20 +1582,7 @@ ${materialsList}
       );
     }
 
-    // Validate total weight
-    const totalWeight = combinedResult.reduce(
-      (sum, item) => sum + item.weight,
-      0
-    );
-    if (Math.abs(totalWeight - weight) > 0.01) {
-      throw new Error(
-        `Total weight mismatch: expected ${weight} kg, but got ${totalWeight.toFixed(
-          2
-        )} kg.`
-      );
-    }
-
-    cacheClassifyBOM.set(keyClassifyBOM, combinedResult);
+    // The total weight is made consistent by normalizeBOMWeights
     return combinedResult;
   } catch (error) {
     logger.error(
@@ -1306,25 +1593,152 @@ ${materialsList}
   }
 };
 
-const classifyBOM = async (
+/**
+ * Match the materials of BOM lines returned by the model to a materials
+ * database. Each line gets a confidence, the closest other specific materials
+ * of its class as `alternatives` and whether a material fell back to the
+ * first option of the database (`fallbackUsed`).
+ * @param {Array} lines - BOM lines with the model's `confidence`
+ * @param {Array} materials - [{ materialClass, specificMaterial }]
+ * @returns {Array} The lines, matched in place
+ */
+const matchBOMLines = (lines, materials) => {
+  // Get all unique material classes from the database
+  const availableMaterialClasses = [
+    ...new Set(materials.map((material) => material.materialClass)),
+  ];
+
+  lines.forEach((item) => {
+    const corrections = [];
+
+    // Check if the material class exists in the database
+    if (!availableMaterialClasses.includes(item.materialClass)) {
+      logger.warn(
+        `⚠️ Material class "${item.materialClass}" not found in database. Finding closest match...`
+      );
+
+      const materialMatch = findClosestMatch(
+        item.materialClass,
+        availableMaterialClasses,
+        {
+          threshold: 0.3,
+          minScore: 0.2,
+          returnDetails: true,
+          normalizeInput: true,
+        }
+      );
+
+      const originalMaterialClass = item.materialClass;
+      item.materialClass = materialMatch.match;
+      corrections.push(materialMatch);
+
+      if (materialMatch.isExact) {
+        logger.info(
+          `✓ Found exact match for "${originalMaterialClass}": "${item.materialClass}"`
+        );
+      } else if (materialMatch.isDefault) {
+        logger.warn(
+          `⚠️ No good match found for "${originalMaterialClass}". Using default: "${item.materialClass}"`
+        );
+      } else {
+        logger.info(
+          `🔄 Adjusted material class from "${originalMaterialClass}" to "${
+            item.materialClass
+          }" (confidence: ${Math.round(materialMatch.score * 100)}%)`
+        );
+
+        if (materialMatch.allMatches && materialMatch.allMatches.length > 1) {
+          logger.info(
+            `🔍 Alternative matches: ${materialMatch.allMatches
+              .slice(1)
+              .map((m) => `${m.value} (${Math.round(m.score * 100)}%)`)
+              .join(", ")}`
+          );
+        }
+      }
+    }
+
+    // Get all specific materials for this material class
+    const availableSpecificMaterials = [
+      ...new Set(
+        materials
+          .filter((material) => material.materialClass === item.materialClass)
+          .map((material) => material.specificMaterial)
+      ),
+    ];
+
+    // Verify specific material is valid for this material class
+    let specificMatch = null;
+    if (item.specificMaterial) {
+      if (!availableSpecificMaterials.includes(item.specificMaterial)) {
+        logger.warn(
+          `⚠️ Specific material "${item.specificMaterial}" not found in "${item.materialClass}" category. Finding closest match...`
+        );
+
+        specificMatch = findClosestMatch(
+          item.specificMaterial,
+          availableSpecificMaterials,
+          {
+            threshold: 0.3,
+            minScore: 0.2,
+            returnDetails: true,
+            normalizeInput: true,
+          }
+        );
+
+        const originalSpecificMaterial = item.specificMaterial;
+        item.specificMaterial = specificMatch.match;
+        corrections.push(specificMatch);
+
+        if (specificMatch.isExact) {
+          logger.info(
+            `✓ Found exact match for "${originalSpecificMaterial}": "${item.specificMaterial}"`
+          );
+        } else if (specificMatch.isDefault) {
+          logger.warn(
+            `⚠️ No good match found for "${originalSpecificMaterial}". Using default: "${item.specificMaterial}"`
+          );
+        } else {
+          logger.info(
+            `🔄 Adjusted specific material from "${originalSpecificMaterial}" to "${
+              item.specificMaterial
+            }" (confidence: ${Math.round(specificMatch.score * 100)}%)`
+          );
+        }
+      }
+    }
+
+    item.confidence = scoreConfidence(item.confidence, corrections);
+    item.fallbackUsed = corrections.some((match) => match.isDefault);
+    item.alternatives = (
+      specificMatch
+        ? specificMatch.alternatives
+        : rankMatchAlternatives(
+            item.specificMaterial,
+            availableSpecificMaterials,
+            item.specificMaterial
+          )
+    ).map(({ value, score }) => ({
+      materialClass: item.materialClass,
+      specificMaterial: value,
+      score,
+    }));
+  });
+
+  return lines;
+};
+
+const requestBOMClassification = async (
   productCode,
   name,
   description,
   weight,
   imageUrl,
-  req
+  req,
+  exemplars = [],
+  correction = ""
 ) => {
   try {
-    const keyClassifyBOM = JSON.stringify({
-      name,
-      description,
-      weight,
-    });
-
-    if (cacheClassifyBOM.has(keyClassifyBOM)) {
-      return cacheClassifyBOM.get(keyClassifyBOM);
-    }
-
     const bomList = formatEnhancedBOMList();
     description = description.replace(";", " ");
 
@@ -1351,6 +1765,8 @@ WEIGHT DISTRIBUTION RULES:
 3. Surface finishes, veneers, coatings, and decorative treatments should not receive separate weight allocation unless explicitly described as substantial structural layers.
 4. Where materials are not fully specified, apply logical assumptions based on standard industry practices.
 5. When selecting materials, check that they align with the approved use case guidance. Do NOT assign materials with unsuitable use cases.
+6. For each material, give the plausible range of its weight in "weightRange" (min <= weight <= max): narrow when the weight follows from the description or image, wide when it is an assumption.
+7. For each material, give your confidence from 0 to 1 in "confidence" that the product contains this specific material: high when the description or image names it, low when it is an assumption.
 
 RESPONSE FORMAT:
 [
@@ -1358,6 +1774,8 @@ RESPONSE FORMAT:
     "materialClass": "<category>",
     "specificMaterial": "<material>",
     "weight": <weight>,
+    "weightRange": { "min": <lowest plausible weight>, "max": <highest plausible weight> },
+    "confidence": <0-1>,
     "reasoning": "<brief explanation including use case relevance>"
   }
 ]
@@ -1383,7 +1801,7 @@ Return the result **strictly as a valid JSON array** in the specified format. Do
 
 ### **Your Task**:
 1. Ensure the total weight of all materials adds up **exactly** to ${weight} kg.
-`;
+${formatBOMExemplars(exemplars)}${correction}`;
 
     const messages = [{ type: "text", text: userPrompt }];
 
@@ -1424,17 +1842,19 @@ Return the result **strictly as a valid JSON array** in the specified format. Do
       }
     }
 
-    const response = await makeOpenAIRequestWithRetry(async () => {
-      return await openai.chat.completions.create({
-        model: "gpt-4o", // Supports text + image analysis
+    const llm = await getLLMProvider(req);
+    const response = await makeOpenAIRequestWithRetry(() =>
+      llm.client.chat.completions.create({
+        ...llm.completionOptions,
         messages: [
           { role: "system", content: systemPrompt },
           { role: "user", content: messages },
         ],
         response_format: zodResponseFormat(BOMSchema, "bom"),
-        temperature: 0,
-      });
-    });
+      }),
+      3,
+      { rateLimiter: llm.rateLimiter }
+    );
 
     logger.info(
         `✅ Received AI bill of materials response: ${JSON.stringify(response)}`
@@ -1452,113 +1872,10 @@ Return the result **strictly as a valid JSON array** in the specified format. Do
       );
     }
 
-    updateAITokens(req, response.usage);
+    updateAITokens(req, response.usage, llm.pricingModel);
 
     // Validate and adjust material categories
-    result.forEach((item) => {
-      // Get all unique material classes from the enhanced database
-      const availableMaterialClasses = [
-        ...new Set(
-          materialsDatabaseEnhanced.map((material) => material.materialClass)
-        ),
-      ];
-
-      // Check if the material class exists in the database
-      if (!availableMaterialClasses.includes(item.materialClass)) {
-        logger.warn(
-          `⚠️ Material class "${item.materialClass}" not found in database. Finding closest match...`
-        );
-
-        const materialMatch = findClosestMatch(
-          item.materialClass,
-          availableMaterialClasses,
-          {
-            threshold: 0.3,
-            minScore: 0.2,
-            returnDetails: true,
-            normalizeInput: true,
-          }
-        );
-
-        const originalMaterialClass = item.materialClass;
-        item.materialClass = materialMatch.match;
-
-        if (materialMatch.isExact) {
-          logger.info(
-            `✓ Found exact match for "${originalMaterialClass}": "${item.materialClass}"`
-          );
-        } else if (materialMatch.isDefault) {
-          logger.warn(
-            `⚠️ No good match found for "${originalMaterialClass}". Using default: "${item.materialClass}"`
-          );
-        } else {
-          logger.info(
-            `🔄 Adjusted material class from "${originalMaterialClass}" to "${
-              item.materialClass
-            }" (confidence: ${Math.round(materialMatch.score * 100)}%)`
-          );
-
-          if (materialMatch.allMatches && materialMatch.allMatches.length > 1) {
-            logger.info(
-              `🔍 Alternative matches: ${materialMatch.allMatches
-                .slice(1)
-                .map((m) => `${m.value} (${Math.round(m.score * 100)}%)`)
-                .join(", ")}`
-            );
-          }
-        }
-      }
-
-      // Verify specific material is valid for this material class
-      if (item.specificMaterial) {
-        // Get all specific materials for this material class
-        const availableSpecificMaterials = [
-          ...new Set(
-            materialsDatabaseEnhanced
-              .filter(
-                (material) => material.materialClass === item.materialClass
-              )
-              .map((material) => material.specificMaterial)
-          ),
-        ];
-
-        if (!availableSpecificMaterials.includes(item.specificMaterial)) {
-          logger.warn(
-            `⚠️ Specific material "${item.specificMaterial}" not found in "${item.materialClass}" category. Finding closest match...`
-          );
-
-          const specificMatch = findClosestMatch(
-            item.specificMaterial,
-            availableSpecificMaterials,
-            {
-              threshold: 0.3,
-              minScore: 0.2,
-              returnDetails: true,
-              normalizeInput: true,
-            }
-          );
-
-          const originalSpecificMaterial = item.specificMaterial;
-          item.specificMaterial = specificMatch.match;
-
-          if (specificMatch.isExact) {
-            logger.info(
-              `✓ Found exact match for "${originalSpecificMaterial}": "${item.specificMaterial}"`
-            );
-          } else if (specificMatch.isDefault) {
-            logger.warn(
-              `⚠️ No good match found for "${originalSpecificMaterial}". Using default: "${item.specificMaterial}"`
-            );
-          } else {
-            logger.info(
-              `🔄 Adjusted specific material from "${originalSpecificMaterial}" to "${
-                item.specificMaterial
-              }" (confidence: ${Math.round(specificMatch.score * 100)}%)`
-            );
-          }
-        }
-      }
-    });
+    matchBOMLines(result, materialsDatabaseEnhanced);
 
     // Combine duplicate materials (e.g., if multiple "Fibreboard" all map to "MDF")
     logger.info(`🔄 Checking for duplicate materials to combine...`);
@@ -1571,7 +1888,10 @@ Return the result **strictly as a valid JSON array** in the specified format. Do
       if (materialMap.has(key)) {
         // Combine weights for duplicate materials
         const existingItem = materialMap.get(key);
+        existingItem.confidence = combineConfidence(existingItem, item);
+        existingItem.fallbackUsed = existingItem.fallbackUsed || item.fallbackUsed;
         existingItem.weight += item.weight;
+        existingItem.weightRange = combineWeightRanges(existingItem, item);
         logger.info(
           `✓ Combined duplicate material: ${item.materialClass} (${
             item.specificMaterial
@@ -1592,20 +1912,7 @@ Return the result **strictly as a valid JSON array** in the specified format. Do
       );
     }
 
-    // Validate total weight
-    const totalWeight = combinedResult.reduce(
-      (sum, item) => sum + item.weight,
-      0
-    );
-    if (Math.abs(totalWeight - weight) > 0.01) {
-      throw new Error(
-        `Total weight mismatch: expected ${weight} kg, but got ${totalWeight.toFixed(
-          2
-        )} kg.`
-      );
-    }
-
-    cacheClassifyBOM.set(keyClassifyBOM, combinedResult);
+    // The total weight is made consistent by normalizeBOMWeights
     return combinedResult;
   } catch (error) {
     logger.error(
@@ -1616,7 +1923,99 @@ Return the result **strictly as a valid JSON array** in the specified format. Do
   }
 };
 
-const classifyManufacturingProcess = async (
+/**
+ * Processes allowed for each material class, from manufacturing factor
+ * entries ({ materialClass, specificMaterial, Process })
+ * @param {Array} entries - Manufacturing factor entries
+ * @param {Array} bomMaterials - Only entries of these materials (optional)
+ * @returns {Object} - { materialClass: [process] }
+ */
+const groupProcessesByMaterialClass = (entries, bomMaterials) => {
+  const bomKeys =
+    bomMaterials &&
+    new Set(bomMaterials.map((item) => `${item.materialClass}|${item.specificMaterial}`));
+
+  return entries.reduce((groups, item) => {
+    if (!item.Process) return groups;
+    if (bomKeys && !bomKeys.has(`${item.materialClass}|${item.specificMaterial}`)) {
+      return groups;
+    }
+    groups[item.materialClass] = groups[item.materialClass] || [];
+    if (!groups[item.materialClass].includes(item.Process)) {
+      groups[item.materialClass].push(item.Process);
+    }
+    return groups;
+  }, {});
+};
+
+/**
+ * Match the processes of manufacturing lines returned by the model to the
+ * processes allowed for their category. Each line gets a confidence, the
+ * closest other processes as `alternatives` and whether a process fell back
+ * to the first allowed one (`fallbackUsed`). Categories without a list of
+ * processes are left as they are.
+ * @param {Array} lines - Manufacturing lines with the model's `confidence`
+ * @param {Object} processesByCategory - { category: [process] }
+ * @returns {Array} The lines, matched in place
+ */
+const matchManufacturingLines = (lines, processesByCategory) => {
+  lines.forEach((line) => {
+    const corrections = [];
+    const alternatives = [];
+
+    (line.manufacturingProcesses || []).forEach((group) => {
+      const allowed = processesByCategory[group.category];
+      if (!allowed || allowed.length === 0) return;
+
+      group.processes = group.processes.map((process) => {
+        const match = allowed.includes(process)
+          ? null
+          : findClosestMatch(process, allowed, {
+              threshold: 0.3,
+              minScore: 0.2,
+              returnDetails: true,
+            });
+        if (match) {
+          logger.warn(
+            `⚠️ Process "${process}" not found in "${group.category}" category. Using "${match.match}"`
+          );
+          corrections.push(match);
+        }
+
+        const chosen = match ? match.match : process;
+        (match
+          ? match.alternatives
+          : rankMatchAlternatives(process, allowed, process)
+        ).forEach(({ value, score }) =>
+          alternatives.push({ category: group.category, process: value, score })
+        );
+        return chosen;
+      });
+    });
+
+    const chosen = new Set(
+      (line.manufacturingProcesses || []).flatMap((group) =>
+        group.processes.map((process) => `${group.category}|${process}`)
+      )
+    );
+    const seen = new Set();
+    line.confidence = scoreConfidence(line.confidence, corrections);
+    line.fallbackUsed = corrections.some((match) => match.isDefault);
+    line.alternatives = alternatives
+      .sort((a, b) => b.score - a.score)
+      .filter((alternative) => {
+        const key = `${alternative.category}|${alternative.process}`;
+        if (chosen.has(key) || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .slice(0, MAX_ALTERNATIVES);
+  });
+
+  return lines;
+};
+
+const requestManufacturingClassification = async (
   productCode,
   name,
   description,
@@ -1658,6 +2057,10 @@ const classifyManufacturingProcess = async (
             processes: singleProcess,
           },
         ],
+        // The only process of the category
+        confidence: 1,
+        alternatives: [],
+        fallbackUsed: false,
       };
     });
 
@@ -1680,6 +2083,7 @@ STRICT RULES YOU MUST FOLLOW:
 4. If a category only contains one process, use only that process.
 5. You MUST NOT modify or alter the materialClass or specificMaterial names — use them exactly as provided.
 6. The output MUST be a valid JSON object and include all materials in the BoM.
+7. For each material, give your confidence from 0 to 1 in "confidence" that these are the processes it went through: high when the description names them, low when they are an assumption.
 
 FORMAT:
 {
@@ -1693,7 +2097,8 @@ FORMAT:
           "category": "<category>",
           "processes": ["<process1>", "..."]
         }
-      ]
+      ],
+      "confidence": <0-1>
     }
   ]
 }`;
@@ -1716,7 +2121,8 @@ Return the result in this format:
           "category": "<category1>",
           "processes": ["<process1>", "..."]
         }
-      ]
+      ],
+      "confidence": <0-1>
     }
   ]
 }
@@ -1729,22 +2135,28 @@ ${formattedProcesses}
 `;
 
   try {
-    const response = await makeOpenAIRequestWithRetry(async () => {
-      return await openai.beta.chat.completions.parse({
-        model: "gpt-4o",
+    const llm = await getLLMProvider(req);
+    const response = await makeOpenAIRequestWithRetry(() =>
+      llm.client.beta.chat.completions.parse({
+        ...llm.completionOptions,
         messages: [
           { role: "system", content: systemPrompt },
           { role: "user", content: userPrompt },
         ],
         response_format: zodResponseFormat(ManufacturingSchema, "processes"),
-      });
-    });
+      }),
+      3,
+      { rateLimiter: llm.rateLimiter }
+    );
 
     const result = response.choices[0].message.parsed.processes; // Access the 'processes' array
 
-    updateAITokens(req, response.usage);
+    updateAITokens(req, response.usage, llm.pricingModel);
 
-    return result;
+    return matchManufacturingLines(
+      result,
+      groupProcessesByMaterialClass(manufacturingProcesses, bom)
+    );
   } catch (error) {
     logger.error(
       "Error classifying manufacturing process:",
@@ -1756,7 +2168,7 @@ ${formattedProcesses}
   }
 };
 
-const classifyManufacturingProcessBasic = async (
+const requestManufacturingClassificationBasic = async (
   productCode,
   name,
   description,
@@ -1796,7 +2208,8 @@ Return the result in this format:
           "category": "<category1>",
           "processes": ["<process1>", "..."]
         }
-      ]
+      ],
+      "confidence": <0-1>
     }
   ]
 }
@@ -1813,7 +2226,8 @@ CRITICAL RULES:
    - Wood materials must only be assigned wood-related processes.
    - DO NOT assign processes from unrelated categories (e.g., avoid using wood processes for plastic materials).
 7. Follow standard manufacturing logic and real-world industrial relevance when mapping processes to material classes.
-8. The output MUST be strictly valid JSON and conform exactly to the format below.
+8. For each material, give your confidence from 0 to 1 in "confidence" that these are the processes it went through.
+9. The output MUST be strictly valid JSON and conform exactly to the format below.
 
 Important:
 - Output ONLY the JSON object.
@@ -1821,22 +2235,33 @@ Important:
 `;
 
   try {
-    const response = await makeOpenAIRequestWithRetry(async () => {
-      return await openai.beta.chat.completions.parse({
-        model: "gpt-4o",
+    const llm = await getLLMProvider(req);
+    const response = await makeOpenAIRequestWithRetry(() =>
+      llm.client.beta.chat.completions.parse({
+        ...llm.completionOptions,
         messages: [{ role: "user", content: prompt }],
         response_format: zodResponseFormat(
           ManufacturingSchemaBasic,
           "processes"
         ),
-      });
-    });
+      }),
+      3,
+      { rateLimiter: llm.rateLimiter }
+    );
 
     const result = response.choices[0].message.parsed.processes;
 
-    updateAITokens(req, response.usage);
+    updateAITokens(req, response.usage, llm.pricingModel);
 
-    return result;
+    return matchManufacturingLines(
+      result,
+      Object.fromEntries(
+        Object.entries(manufacturingProcessesBasic).map(([category, processes]) => [
+          category,
+          Array.isArray(processes) ? processes : Object.keys(processes),
+        ])
+      )
+    );
   } catch (error) {
     logger.error(
       "Error classifying manufacturing process:",
@@ -1848,6 +2273,238 @@ Important:
   }
 };
 
+// Difference (kg) between a BOM's total and the product weight that is accepted
+const WEIGHT_TOLERANCE = 0.01;
+
+const roundWeight = (value) => Math.round(value * 10000) / 10000;
+
+const getTotalWeight = (lines) =>
+  lines.reduce((sum, line) => sum + (line.weight || 0), 0);
+
+/**
+ * Rescale the weights of BOM lines proportionally to the declared product
+ * weight, recording the adjustment on each line
+ * @param {Array} lines - BOM lines
+ * @param {Number} weight - Declared product weight (kg)
+ * @param {Object} adjustment - { declaredWeight, originalTotal, reprompted }
+ */
+const rescaleBOMWeights = (lines, weight, adjustment) => {
+  const total = getTotalWeight(lines);
+  if (!(total > 0)) {
+    throw new Error(
+      `Total weight mismatch: expected ${weight} kg, but got ${total.toFixed(2)} kg.`
+    );
+  }
+
+  const rescaled = Math.abs(total - weight) > WEIGHT_TOLERANCE;
+  const factor = rescaled ? weight / total : 1;
+
+  lines.forEach((line) => {
+    const originalWeight = line.weight;
+    line.weight = roundWeight(line.weight * factor);
+    if (line.weightRange) {
+      line.weightRange = {
+        min: roundWeight(line.weightRange.min * factor),
+        max: roundWeight(line.weightRange.max * factor),
+      };
+    }
+    line.weightAdjustment = {
+      ...adjustment,
+      rescaled,
+      factor: roundWeight(factor),
+      originalWeight,
+    };
+  });
+
+  // Put the rounding difference on the heaviest line
+  if (rescaled) {
+    const heaviest = lines.reduce((a, b) => (b.weight > a.weight ? b : a));
+    heaviest.weight = roundWeight(heaviest.weight + weight - getTotalWeight(lines));
+  }
+
+  return lines;
+};
+
+/**
+ * Make the weights of a BOM add up to the declared product weight instead of
+ * discarding the result. A total within BOM_WEIGHT_RESCALE_LIMIT (a share of
+ * the declared weight) is rescaled proportionally; a larger discrepancy is
+ * sent back to the model once and its answer rescaled if still needed. Each
+ * line of an adjusted BOM records the adjustment in `weightAdjustment`.
+ * @param {Array} lines - BOM lines returned by the model
+ * @param {Number} weight - Declared product weight (kg)
+ * @param {Function} reprompt - async (correction) => lines, asks the model
+ *   again with the correction added to the prompt (optional)
+ * @returns {Promise<Array>} Lines adding up to the declared weight
+ */
+const normalizeBOMWeights = async (lines, weight, reprompt) => {
+  const total = getTotalWeight(lines);
+  if (Math.abs(total - weight) <= WEIGHT_TOLERANCE) return lines;
+
+  if (!(weight > 0)) {
+    throw new Error(
+      `Total weight mismatch: expected ${weight} kg, but got ${total.toFixed(2)} kg.`
+    );
+  }
+
+  const adjustment = {
+    declaredWeight: weight,
+    originalTotal: roundWeight(total),
+    reprompted: false,
+  };
+
+  let result = lines;
+  if (reprompt && Math.abs(total - weight) > weight * config.bomWeightRescaleLimit) {
+    logger.warn(
+      `⚖️ BOM weights add up to ${total.toFixed(2)} kg instead of ${weight} kg. Asking the model to correct them...`
+    );
+    try {
+      result = await reprompt(`
+### **Correction**:
+Your previous bill of materials added up to ${total.toFixed(2)} kg, but the product weighs ${weight} kg (a difference of ${(weight - total).toFixed(2)} kg). Return a corrected bill of materials whose weights add up exactly to ${weight} kg.`);
+      adjustment.reprompted = true;
+    } catch (error) {
+      logger.error(`❌ BOM weight correction failed, rescaling instead: ${error.message}`);
+      result = lines;
+    }
+  }
+
+  logger.info(
+    `⚖️ Normalizing BOM weights from ${getTotalWeight(result).toFixed(2)} kg to ${weight} kg`
+  );
+  return rescaleBOMWeights(result, weight, adjustment);
+};
+
+/**
+ * Weight adjustment of a normalized BOM, or null when none was needed
+ * @returns {Object|null} - { declaredWeight, originalTotal, reprompted,
+ *   rescaled, factor }
+ */
+const getBOMWeightAdjustment = (bom = []) => {
+  const adjustment = bom.find((line) => line.weightAdjustment)?.weightAdjustment;
+  if (!adjustment) return null;
+
+  const { originalWeight, ...summary } = adjustment;
+  return summary;
+};
+
+/**
+ * Content of a BOM that manufacturing processes are classified from
+ */
+const getBOMInputs = (bom) =>
+  bom.map((item) => ({
+    materialClass: item.materialClass,
+    specificMaterial: item.specificMaterial,
+    weight: item.weight,
+  }));
+
+/**
+ * Whether two BOMs differ in their materials or in how the weight is split
+ * between them (by more than 5 percentage points)
+ */
+const hasBOMChanged = (bom, baseline) => {
+  const shares = (lines) => {
+    const total = lines.reduce((sum, line) => sum + line.weight, 0) || 1;
+    return lines.reduce((result, line) => {
+      const key = `${line.materialClass}|${line.specificMaterial}`;
+      result[key] = (result[key] || 0) + line.weight / total;
+      return result;
+    }, {});
+  };
+  const a = shares(bom);
+  const b = shares(baseline);
+  return [...new Set([...Object.keys(a), ...Object.keys(b)])].some(
+    (key) => Math.abs((a[key] || 0) - (b[key] || 0)) > 0.05
+  );
+};
+
+/**
+ * Classify the bill of materials of a product, reusing the cached BOM for
+ * the same name, description, weight and image. Weights that do not add up
+ * to the product weight are normalized (see normalizeBOMWeights). Exemplars
+ * of similar products are looked up by text and, when given in `context`, by
+ * the product's category and subcategory.
+ * @param {Object} context - { category, subCategory } of the product (optional)
+ */
+const classifyBOM = async (productCode, name, description, weight, imageUrl, req, context = {}) => {
+  const { settings, exemplars } = await getExemplarsForPrompt(req, {
+    name,
+    description,
+    category: context.category,
+    subCategory: context.subCategory,
+  });
+
+  return withClassificationCache(
+    req,
+    { kind: "bom", promptVersion: PROMPT_VERSIONS.bom, productName: name },
+    {
+      name,
+      description,
+      weight,
+      imageUrl: getImageKey(imageUrl),
+      exemplars: exemplars.length > 0 ? getExemplarKeys(exemplars) : undefined,
+    },
+    () =>
+      classifyWithExemplars(
+        req,
+        { kind: "bom", productCode, settings, exemplars },
+        async (examples) =>
+          normalizeBOMWeights(
+            await requestBOMClassification(productCode, name, description, weight, imageUrl, req, examples),
+            weight,
+            (correction) =>
+              requestBOMClassification(productCode, name, description, weight, imageUrl, req, examples, correction)
+          ),
+        hasBOMChanged
+      )
+  );
+};
+
+/**
+ * Basic plan variant of classifyBOM
+ */
+const classifyBOMBasic = async (productCode, name, description, weight, imageUrl, req) =>
+  withClassificationCache(
+    req,
+    { kind: "bomBasic", plan: "basic", promptVersion: PROMPT_VERSIONS.bomBasic, productName: name },
+    { name, description, weight, imageUrl: getImageKey(imageUrl) },
+    async () =>
+      normalizeBOMWeights(
+        await requestBOMClassificationBasic(productCode, name, description, weight, imageUrl, req),
+        weight,
+        (correction) =>
+          requestBOMClassificationBasic(productCode, name, description, weight, imageUrl, req, correction)
+      )
+  );
+
+/**
+ * Classify the manufacturing processes of a BOM, reusing the cached result
+ * for the same product and BOM
+ */
+const classifyManufacturingProcess = async (productCode, name, description, bom, req) =>
+  withClassificationCache(
+    req,
+    { kind: "manufacturing", promptVersion: PROMPT_VERSIONS.manufacturing, productName: name },
+    { name, description, bom: getBOMInputs(bom) },
+    () => requestManufacturingClassification(productCode, name, description, bom, req)
+  );
+
+/**
+ * Basic plan variant of classifyManufacturingProcess
+ */
+const classifyManufacturingProcessBasic = async (productCode, name, description, bom, req) =>
+  withClassificationCache(
+    req,
+    {
+      kind: "manufacturingBasic",
+      plan: "basic",
+      promptVersion: PROMPT_VERSIONS.manufacturingBasic,
+      productName: name,
+    },
+    { name, description, bom: getBOMInputs(bom) },
+    () => requestManufacturingClassificationBasic(productCode, name, description, bom, req)
+  );
+
 module.exports = {
   classifyProduct,
   classifyBOM,
@@ -1856,4 +2513,12 @@ module.exports = {
   classifyManufacturingProcessBasic,
   findClosestMatch, // Export the findClosestMatch function for use in other files
   makeOpenAIRequestWithRetry, // Export the retry function for batch processing
+  // Confidence and alternatives of batch results
+  resolveProductClassification,
+  matchBOMLines,
+  matchManufacturingLines,
+  groupProcessesByMaterialClass,
+  // BOM weight normalization
+  normalizeBOMWeights,
+  getBOMWeightAdjustment,
 };
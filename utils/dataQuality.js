@@ -0,0 +1,287 @@
+/**
+ * Data quality (pedigree matrix) scoring for emission results
+ *
+ * Each material and process line records how its factor was found (the match
+ * tier) and five pedigree indicators scored 1 (best) to 5 (worst). The line
+ * score is the mean of the indicators; products and projects report a
+ * GWP-weighted mean so weak data behind large numbers stands out.
+ * Rating bands follow the PEF data quality rating (DQR).
+ */
+
+// How a factor was found, best first
+const MATCH_TIERS = {
+  supplierSpecific: { label: "Account-specific (supplier) factor", geographical: 1, completeness: 1 },
+  exactCountry: { label: "Factor for the country of origin", geographical: 1, completeness: 2 },
+  global: { label: "Global (GLO) factor", geographical: 3, completeness: 2 },
+  restOfWorld: { label: "Rest-of-world (RoW) factor", geographical: 3, completeness: 2 },
+  alternativeRegion: { label: "Factor from another region", geographical: 4, completeness: 2 },
+  partialMatch: { label: "Closest process for the material class", geographical: 4, completeness: 3 },
+  notFound: { label: "No factor found, counted as zero", geographical: 5, completeness: 5 },
+};
+
+// Where the quantities of a line come from
+const DATA_ORIGINS = ["user", "ai", "supplier"];
+
+const ORIGIN_RELIABILITY = { supplier: 1, user: 2, ai: 4 };
+
+const SOURCE_RELIABILITY = {
+  "supplier-specific": 1,
+  epd: 1,
+  ecoinvent: 2,
+  "journal paper": 2,
+};
+
+const TYPE_TECHNOLOGICAL = {
+  "supplier-specific": 1,
+  direct: 1,
+  proxy: 3,
+  average: 4,
+};
+
+const RATINGS = [
+  { max: 1.5, rating: "excellent" },
+  { max: 2, rating: "very good" },
+  { max: 3, rating: "good" },
+  { max: 4, rating: "fair" },
+  { max: Infinity, rating: "poor" },
+];
+
+// Lines scoring above this are reported as weak
+const WEAK_SCORE_THRESHOLD = 3;
+
+// Variance of ln(value) added by each indicator score 1-5 (ecoinvent v3
+// pedigree approach), used when a factor carries no uncertainty of its own
+const PEDIGREE_VARIANCES = {
+  reliability: [0, 0.0006, 0.002, 0.008, 0.04],
+  completeness: [0, 0.0001, 0.0006, 0.002, 0.008],
+  temporal: [0, 0.0002, 0.002, 0.008, 0.04],
+  geographical: [0, 0.000025, 0.0001, 0.0006, 0.002],
+  technological: [0, 0.0006, 0.008, 0.04, 0.12],
+};
+const BASIC_UNCERTAINTY_VARIANCE = 0.0006;
+
+const normalize = (str) => str?.toString().trim().toLowerCase();
+
+/**
+ * Map a 1-5 score to a rating label
+ */
+const getRating = (score) =>
+  RATINGS.find((band) => score <= band.max).rating;
+
+/**
+ * Temporal representativeness from the age of the factor in years
+ */
+const scoreTemporal = (entry, tier) => {
+  const year =
+    entry?.referenceYear ||
+    (entry?.validFrom ? new Date(entry.validFrom).getFullYear() : null);
+
+  if (!year) {
+    // Database entries carry no reference year; supplier data is assumed current
+    return tier === "supplierSpecific" ? 1 : tier === "notFound" ? 5 : 3;
+  }
+
+  const age = new Date().getFullYear() - year;
+  if (age < 3) return 1;
+  if (age < 6) return 2;
+  if (age < 10) return 3;
+  if (age < 15) return 4;
+  return 5;
+};
+
+/**
+ * Build the data quality record of one line
+ * @param {Object} params
+ * @param {string} params.tier - Key of MATCH_TIERS
+ * @param {Object} params.entry - Factor entry that was applied (may be undefined)
+ * @param {string} params.dataOrigin - "user", "ai" or "supplier"
+ * @returns {Object} - Tier, pedigree indicators, score and rating
+ */
+const buildDataQuality = ({ tier, entry, dataOrigin = "user" }) => {
+  const matchTier = MATCH_TIERS[tier] ? tier : "notFound";
+  const tierInfo = MATCH_TIERS[matchTier];
+  const origin = DATA_ORIGINS.includes(dataOrigin) ? dataOrigin : "user";
+
+  const factorReliability =
+    matchTier === "notFound"
+      ? 5
+      : SOURCE_RELIABILITY[normalize(entry?.EF_Source)] || 3;
+
+  const technological =
+    matchTier === "notFound"
+      ? 5
+      : matchTier === "partialMatch"
+      ? 4
+      : TYPE_TECHNOLOGICAL[normalize(entry?.EF_Type)] || 2;
+
+  const indicators = {
+    reliability: Math.max(factorReliability, ORIGIN_RELIABILITY[origin]),
+    completeness: tierInfo.completeness,
+    temporal: scoreTemporal(entry, matchTier),
+    geographical: tierInfo.geographical,
+    technological,
+  };
+
+  const values = Object.values(indicators);
+  const score = parseFloat(
+    (values.reduce((sum, value) => sum + value, 0) / values.length).toFixed(2)
+  );
+
+  return {
+    matchTier,
+    matchDescription: tierInfo.label,
+    dataOrigin: origin,
+    matchedCountry: entry?.countryOfOrigin || null,
+    ...indicators,
+    score,
+    rating: getRating(score),
+  };
+};
+
+/**
+ * Default lognormal uncertainty of a factor from its pedigree indicators.
+ * Lines without a record are treated as scoring 3 on every indicator.
+ * @param {Object} dataQuality - Line data quality record
+ * @returns {Object} - { distribution: "lognormal", gsd }
+ */
+const getPedigreeUncertainty = (dataQuality) => {
+  const variance = Object.entries(PEDIGREE_VARIANCES).reduce(
+    (sum, [indicator, variances]) => {
+      const score = Math.min(Math.max(Math.round(dataQuality?.[indicator] || 3), 1), 5);
+      return sum + variances[score - 1];
+    },
+    BASIC_UNCERTAINTY_VARIANCE
+  );
+
+  return {
+    distribution: "lognormal",
+    gsd: parseFloat(Math.exp(Math.sqrt(variance)).toFixed(4)),
+  };
+};
+
+/**
+ * Combine line records into an aggregate rating, weighted by absolute GWP
+ * @param {Array} items - [{ dataQuality, weight }] where weight is the line's GWP
+ * @returns {Object} - { score, rating, lines, weakLines, byTier }
+ */
+const aggregateDataQuality = (items = []) => {
+  const scored = items.filter((item) => item?.dataQuality?.score);
+
+  if (scored.length === 0) {
+    return { score: null, rating: "unknown", lines: 0, weakLines: 0, byTier: {} };
+  }
+
+  const totalWeight = scored.reduce(
+    (sum, item) => sum + Math.abs(item.weight || 0),
+    0
+  );
+  const score =
+    totalWeight > 0
+      ? scored.reduce(
+          (sum, item) =>
+            sum + item.dataQuality.score * Math.abs(item.weight || 0),
+          0
+        ) / totalWeight
+      : scored.reduce((sum, item) => sum + item.dataQuality.score, 0) /
+        scored.length;
+
+  const byTier = scored.reduce((counts, item) => {
+    const tier = item.dataQuality.matchTier;
+    counts[tier] = (counts[tier] || 0) + 1;
+    return counts;
+  }, {});
+
+  return {
+    score: parseFloat(score.toFixed(2)),
+    rating: getRating(score),
+    lines: scored.length,
+    weakLines: scored.filter(
+      (item) => item.dataQuality.score > WEAK_SCORE_THRESHOLD
+    ).length,
+    byTier,
+  };
+};
+
+/**
+ * Data quality of a process line from its individual processes; the line keeps
+ * the weakest match tier so fallbacks are not hidden by the average
+ * @param {Array} processEmissions - Per-process results with dataQuality
+ */
+const summarizeProcessLineDataQuality = (processEmissions = []) => {
+  const { byTier, ...summary } = aggregateDataQuality(
+    processEmissions.map((entry) => ({
+      dataQuality: entry.dataQuality,
+      weight: entry.emission,
+    }))
+  );
+  if (summary.lines === 0) return undefined;
+
+  const tiers = Object.keys(MATCH_TIERS);
+  const matchTier = Object.keys(byTier).sort(
+    (a, b) => tiers.indexOf(b) - tiers.indexOf(a)
+  )[0];
+
+  return {
+    ...summary,
+    matchTier,
+    matchDescription: MATCH_TIERS[matchTier].label,
+    dataOrigin: processEmissions[0].dataQuality.dataOrigin,
+  };
+};
+
+/**
+ * Aggregate the lines of a product (materials and processes)
+ */
+const aggregateProductDataQuality = (materials = [], productManufacturingProcess = []) =>
+  aggregateDataQuality([
+    ...materials.map((line) => ({
+      dataQuality: line.dataQuality,
+      weight: line.emissionFactor,
+    })),
+    ...productManufacturingProcess.map((line) => ({
+      dataQuality: line.dataQuality,
+      weight: line.impacts?.gwp ?? line.emissionFactor,
+    })),
+  ]);
+
+/**
+ * Aggregate product ratings into a project rating, weighted by product GWP
+ * @param {Array} items - [{ dataQuality, weight }] with product-level records
+ */
+const aggregateProjectDataQuality = (items = []) => {
+  const rated = items.filter((item) => item?.dataQuality?.score);
+  const summary = aggregateDataQuality(rated);
+
+  // Line counts and tiers are summed rather than counted per product
+  return {
+    ...summary,
+    lines: rated.reduce((sum, item) => sum + (item.dataQuality.lines || 0), 0),
+    weakLines: rated.reduce(
+      (sum, item) => sum + (item.dataQuality.weakLines || 0),
+      0
+    ),
+    byTier: rated.reduce((counts, item) => {
+      // Stored summaries hold byTier as a Map
+      const tiers = item.dataQuality.byTier instanceof Map
+        ? Object.fromEntries(item.dataQuality.byTier)
+        : item.dataQuality.byTier || {};
+      Object.entries(tiers).forEach(([tier, count]) => {
+        counts[tier] = (counts[tier] || 0) + count;
+      });
+      return counts;
+    }, {}),
+  };
+};
+
+module.exports = {
+  MATCH_TIERS,
+  DATA_ORIGINS,
+  WEAK_SCORE_THRESHOLD,
+  getRating,
+  buildDataQuality,
+  getPedigreeUncertainty,
+  aggregateDataQuality,
+  summarizeProcessLineDataQuality,
+  aggregateProductDataQuality,
+  aggregateProjectDataQuality,
+};
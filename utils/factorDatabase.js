@@ -0,0 +1,205 @@
+/**
+ * Versioned emission factor databases
+ *
+ * Every dataset lives in data/factor_versions/<versionId>/ next to a
+ * manifest.json that records the SHA-256 of each file. Versions are immutable:
+ * a file whose hash no longer matches its manifest is refused, so results that
+ * reference a version can always be reproduced. New versions are written by
+ * scripts/import_bom_db.js and scripts/convert_manufacturing_ef_to_json.js.
+ */
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const FACTOR_VERSIONS_DIR = path.join(__dirname, "..", "data", "factor_versions");
+const REGISTRY_FILE = path.join(FACTOR_VERSIONS_DIR, "registry.json");
+const MANIFEST_FILE = "manifest.json";
+
+// Dataset key -> file name inside a version directory
+const FACTOR_DATASETS = {
+  materials: "materials_database.json",
+  manufacturing: "manufacturing_ef.json",
+};
+
+const VERSION_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+// Loaded versions are cached for the lifetime of the process
+const loadedVersions = new Map();
+
+const sha256 = (buffer) => crypto.createHash("sha256").update(buffer).digest("hex");
+
+const readJson = (filePath) => JSON.parse(fs.readFileSync(filePath, "utf8"));
+
+const getVersionDir = (versionId) => path.join(FACTOR_VERSIONS_DIR, versionId);
+
+/**
+ * Read the registry that names the default version
+ */
+const readRegistry = () =>
+  fs.existsSync(REGISTRY_FILE) ? readJson(REGISTRY_FILE) : {};
+
+/**
+ * Read the manifest of a version
+ * @param {string} versionId - Version identifier (directory name)
+ * @returns {Object|null} - Manifest, or null when the version does not exist
+ */
+const getVersionManifest = (versionId) => {
+  if (!versionId || !VERSION_ID_PATTERN.test(versionId)) return null;
+
+  const manifestPath = path.join(getVersionDir(versionId), MANIFEST_FILE);
+  if (!fs.existsSync(manifestPath)) return null;
+
+  return readJson(manifestPath);
+};
+
+/**
+ * Check whether a version exists
+ */
+const factorVersionExists = (versionId) => getVersionManifest(versionId) !== null;
+
+/**
+ * List all available versions, oldest first
+ * @returns {Array} - Manifests with an `isDefault` flag
+ */
+const listFactorVersions = () => {
+  if (!fs.existsSync(FACTOR_VERSIONS_DIR)) return [];
+
+  const defaultVersion = getDefaultFactorVersion();
+
+  return fs
+    .readdirSync(FACTOR_VERSIONS_DIR, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => getVersionManifest(entry.name))
+    .filter(Boolean)
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+    .map((manifest) => ({
+      ...manifest,
+      isDefault: manifest.id === defaultVersion,
+    }));
+};
+
+/**
+ * Version used for new calculations: FACTOR_DB_VERSION, else the registry default
+ */
+const getDefaultFactorVersion = () =>
+  process.env.FACTOR_DB_VERSION || readRegistry().defaultVersion;
+
+/**
+ * Load a factor database version, verifying file hashes against its manifest
+ * @param {string} versionId - Version to load (defaults to the default version)
+ * @returns {Object} - { version, manifest, materials, manufacturing }
+ */
+const getFactorDatabase = (versionId = getDefaultFactorVersion()) => {
+  if (loadedVersions.has(versionId)) {
+    return loadedVersions.get(versionId);
+  }
+
+  const manifest = getVersionManifest(versionId);
+  if (!manifest) {
+    throw new Error(`Emission factor database version "${versionId}" not found`);
+  }
+
+  const database = { version: manifest.id, manifest };
+
+  Object.entries(FACTOR_DATASETS).forEach(([dataset, fileName]) => {
+    const filePath = path.join(getVersionDir(versionId), fileName);
+    const content = fs.readFileSync(filePath);
+    const expectedHash = manifest.files?.[dataset]?.sha256;
+
+    if (expectedHash !== sha256(content)) {
+      throw new Error(
+        `Emission factor database version "${versionId}" has been modified (${fileName} does not match its manifest). Publish changes as a new version instead.`
+      );
+    }
+
+    database[dataset] = JSON.parse(content.toString("utf8"));
+  });
+
+  loadedVersions.set(versionId, database);
+  return database;
+};
+
+/**
+ * Write a new immutable version. Fails if the version already exists.
+ * @param {string} versionId - New version identifier, e.g. "ecoinvent-3.9-2025Q3"
+ * @param {Object} datasets - Dataset contents keyed like FACTOR_DATASETS
+ * @param {Object} metadata - Extra manifest fields (name, description, source)
+ *   and `basedOn`, the version that supplies datasets not passed in
+ * @returns {Object} - Written manifest
+ */
+const publishFactorVersion = (versionId, datasets, metadata = {}) => {
+  if (!VERSION_ID_PATTERN.test(versionId || "")) {
+    throw new Error(
+      `Invalid version id "${versionId}". Use letters, digits, ".", "_" or "-".`
+    );
+  }
+
+  const versionDir = getVersionDir(versionId);
+  if (fs.existsSync(versionDir)) {
+    throw new Error(
+      `Emission factor database version "${versionId}" already exists and cannot be overwritten`
+    );
+  }
+
+  // Datasets not supplied are carried over from the base (default) version
+  const base = getFactorDatabase(metadata.basedOn || getDefaultFactorVersion());
+  fs.mkdirSync(versionDir, { recursive: true });
+
+  const files = {};
+  Object.entries(FACTOR_DATASETS).forEach(([dataset, fileName]) => {
+    const content = JSON.stringify(datasets[dataset] || base[dataset], null, 4);
+    fs.writeFileSync(path.join(versionDir, fileName), content, "utf8");
+    files[dataset] = {
+      file: fileName,
+      sha256: sha256(Buffer.from(content, "utf8")),
+      records: (datasets[dataset] || base[dataset]).length,
+    };
+  });
+
+  const manifest = {
+    id: versionId,
+    name: metadata.name || versionId,
+    description: metadata.description || "",
+    source: metadata.source || "",
+    basedOn:
+      datasets.materials && datasets.manufacturing
+        ? metadata.basedOn || null
+        : base.version,
+    createdAt: new Date().toISOString(),
+    files,
+  };
+
+  fs.writeFileSync(
+    path.join(versionDir, MANIFEST_FILE),
+    JSON.stringify(manifest, null, 2) + "\n",
+    "utf8"
+  );
+
+  return manifest;
+};
+
+/**
+ * Make a version the registry default for new calculations
+ */
+const setDefaultFactorVersion = (versionId) => {
+  if (!factorVersionExists(versionId)) {
+    throw new Error(`Emission factor database version "${versionId}" not found`);
+  }
+
+  fs.writeFileSync(
+    REGISTRY_FILE,
+    JSON.stringify({ ...readRegistry(), defaultVersion: versionId }, null, 2) + "\n",
+    "utf8"
+  );
+};
+
+module.exports = {
+  FACTOR_DATASETS,
+  getDefaultFactorVersion,
+  getFactorDatabase,
+  getVersionManifest,
+  factorVersionExists,
+  listFactorVersions,
+  publishFactorVersion,
+  setDefaultFactorVersion,
+};
@@ -75,6 +75,18 @@ function addQSToURL(url, qs) {
   return result + qsArray.join("&");
 }
 
+/**
+ * Row of an uploaded record in its file, the first row being 1. Records read
+ * with XLSX sheet_to_json, and CSV records (see upload.controller), carry
+ * their 0-based row in `__rowNum__`, so blank rows skipped while parsing are
+ * counted; other records are taken to follow the header row without gaps.
+ * @param {Object} record - Uploaded record
+ * @param {Number} index - Index of the record among the parsed ones
+ * @param {Number} headerRowOffset - Rows above the header row
+ */
+const getSourceRowNumber = (record, index, headerRowOffset = 0) =>
+  Number.isInteger(record?.__rowNum__) ? record.__rowNum__ + 1 : index + 2 + headerRowOffset;
+
 /**
  * Retry a function multiple times with delay
  */
@@ -100,5 +112,6 @@ module.exports = {
   isValidObjectId,
   generateUUID,
   addQSToURL,
+  getSourceRowNumber,
   retry
 };
\ No newline at end of file
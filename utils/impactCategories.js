@@ -0,0 +1,222 @@
+/**
+ * Impact categories reported for every calculation result
+ *
+ * GWP is the default indicator and is always read from the `EmissionFactor`
+ * column of the factor databases, so existing `co2Emission*` fields keep their
+ * meaning. The remaining EF 3.1 / ReCiPe midpoint categories are read from an
+ * optional `impacts` object on each factor entry.
+ *
+ * A category a factor entry does not provide is not assessed: it is `null`,
+ * never 0. Scaling keeps it null (except by 0: no activity has no impact) and
+ * adding a null to anything gives null, so a result is only reported for a
+ * category when every input that contributes to it has a value. How much of a
+ * result's GWP comes from inputs that do is reported as its coverage.
+ */
+const IMPACT_CATEGORIES = {
+  gwp: {
+    name: "Climate change (GWP100)",
+    unit: "kg CO2 eq",
+    csvColumn: "kg CO2e",
+  },
+  water: {
+    name: "Water use",
+    unit: "m3 world eq. deprived",
+    csvColumn: "Water use (m3 eq)",
+  },
+  acidification: {
+    name: "Acidification",
+    unit: "mol H+ eq",
+    csvColumn: "Acidification (mol H+ eq)",
+  },
+  eutrophication: {
+    name: "Eutrophication, freshwater",
+    unit: "kg P eq",
+    csvColumn: "Eutrophication (kg P eq)",
+  },
+  fossilDepletion: {
+    name: "Resource use, fossils",
+    unit: "MJ",
+    csvColumn: "Fossil resource use (MJ)",
+  },
+  particulateMatter: {
+    name: "Particulate matter",
+    unit: "disease inc.",
+    csvColumn: "Particulate matter (disease inc.)",
+  },
+};
+
+const DEFAULT_IMPACT_CATEGORY = "gwp";
+
+const IMPACT_CATEGORY_KEYS = Object.keys(IMPACT_CATEGORIES);
+
+/**
+ * Create an impact vector with every category set to 0
+ * @returns {Object} - Impact vector keyed by category
+ */
+const emptyImpacts = () =>
+  IMPACT_CATEGORY_KEYS.reduce((impacts, key) => {
+    impacts[key] = 0;
+    return impacts;
+  }, {});
+
+/**
+ * Impact vector of a result only assessed for GWP
+ * @param {number} gwp - GWP value
+ * @returns {Object} - GWP set, every other category null (not assessed)
+ */
+const gwpOnlyImpacts = (gwp = 0) =>
+  IMPACT_CATEGORY_KEYS.reduce((impacts, key) => {
+    impacts[key] = key === DEFAULT_IMPACT_CATEGORY ? gwp || 0 : null;
+    return impacts;
+  }, {});
+
+const isAssessed = (value) => typeof value === "number" && !isNaN(value);
+
+/**
+ * Read the per-unit impact vector of a factor database entry
+ * @param {Object} entry - Materials or manufacturing factor entry
+ * @returns {Object} - Impact vector per functional unit; categories the entry
+ *   does not provide are null
+ */
+const getFactorImpacts = (entry) => {
+  const impacts = gwpOnlyImpacts(entry?.EmissionFactor || 0);
+  if (!entry) return impacts;
+
+  IMPACT_CATEGORY_KEYS.forEach((key) => {
+    const value = entry.impacts?.[key];
+    if (key !== DEFAULT_IMPACT_CATEGORY && isAssessed(value)) {
+      impacts[key] = value;
+    }
+  });
+
+  return impacts;
+};
+
+/**
+ * Multiply every category of an impact vector by a scalar. Categories not
+ * assessed stay null, unless the scalar is 0.
+ */
+const scaleImpacts = (impacts, factor) => {
+  const scaled = emptyImpacts();
+  IMPACT_CATEGORY_KEYS.forEach((key) => {
+    const value = impacts ? impacts[key] : 0;
+    scaled[key] = factor === 0 ? 0 : isAssessed(value) ? value * factor : null;
+  });
+  return scaled;
+};
+
+/**
+ * Add two impact vectors; a category not assessed in either is null in the
+ * sum. A missing vector adds nothing.
+ */
+const addImpacts = (a, b) => {
+  const sum = emptyImpacts();
+  IMPACT_CATEGORY_KEYS.forEach((key) => {
+    const valueA = a ? a[key] : 0;
+    const valueB = b ? b[key] : 0;
+    sum[key] = isAssessed(valueA) && isAssessed(valueB) ? valueA + valueB : null;
+  });
+  return sum;
+};
+
+/**
+ * Subtract impact vector b from a (a - b), e.g. the change between two results
+ */
+const subtractImpacts = (a, b) => addImpacts(a, scaleImpacts(b, -1));
+
+/**
+ * Sum a list of impact vectors, ignoring missing entries
+ */
+const sumImpacts = (list = []) =>
+  list.reduce((total, impacts) => addImpacts(total, impacts), emptyImpacts());
+
+/**
+ * Round every category of an impact vector
+ * @param {Object} impacts - Impact vector
+ * @param {number} decimals - Number of significant decimals to keep
+ */
+const roundImpacts = (impacts, decimals = 2) => {
+  const rounded = emptyImpacts();
+  IMPACT_CATEGORY_KEYS.forEach((key) => {
+    const value = impacts ? impacts[key] : 0;
+    if (!isAssessed(value)) {
+      rounded[key] = null;
+      return;
+    }
+    // Non-GWP categories are often far below 0.01, keep them readable
+    rounded[key] =
+      value !== 0 && Math.abs(value) < 1
+        ? parseFloat(value.toPrecision(decimals + 1))
+        : parseFloat(value.toFixed(decimals));
+  });
+  return rounded;
+};
+
+/**
+ * Use a stored impact vector, or fall back to a GWP-only vector for records
+ * created before multi-indicator results were stored
+ * @param {Object} impacts - Stored impact vector (may be undefined)
+ * @param {number} gwp - Stored GWP value
+ */
+const impactsOrGwp = (impacts, gwp = 0) => {
+  if (impacts && typeof impacts.gwp === "number") {
+    return addImpacts(emptyImpacts(), impacts);
+  }
+  // Without any GWP there was nothing to assess
+  return gwp ? gwpOnlyImpacts(gwp) : emptyImpacts();
+};
+
+/**
+ * Share (0-1) of a result's GWP that comes from inputs assessed for each
+ * category. A result whose GWP is 0 is covered when all its inputs are.
+ * @param {Array} vectors - Impact vectors of the inputs added up in the result
+ * @param {Array} coverages - Coverage of inputs that are results themselves,
+ *   by index (optional); other inputs are covered when the category has a value
+ * @returns {Object} - Coverage keyed by category
+ */
+const getImpactCoverage = (vectors = [], coverages = []) => {
+  const inputs = vectors
+    .map((impacts, index) => ({ impacts, coverage: coverages[index] }))
+    .filter(({ impacts }) => impacts);
+  const totalGwp = inputs.reduce((sum, { impacts }) => sum + Math.abs(impacts.gwp || 0), 0);
+
+  return IMPACT_CATEGORY_KEYS.reduce((coverage, key) => {
+    const shares = inputs.map(({ impacts, coverage: inputCoverage }) => ({
+      gwp: Math.abs(impacts.gwp || 0),
+      covered: isAssessed(inputCoverage?.[key])
+        ? inputCoverage[key]
+        : isAssessed(impacts[key]) ? 1 : 0,
+    }));
+    const share = totalGwp > 0
+      ? shares.reduce((sum, input) => sum + input.gwp * input.covered, 0) / totalGwp
+      : shares.every((input) => input.covered === 1) ? 1 : 0;
+    coverage[key] = parseFloat(share.toFixed(4));
+    return coverage;
+  }, {});
+};
+
+/**
+ * Map of category key to unit, returned next to impact vectors in API responses
+ */
+const getImpactUnits = () =>
+  IMPACT_CATEGORY_KEYS.reduce((units, key) => {
+    units[key] = IMPACT_CATEGORIES[key].unit;
+    return units;
+  }, {});
+
+module.exports = {
+  IMPACT_CATEGORIES,
+  IMPACT_CATEGORY_KEYS,
+  DEFAULT_IMPACT_CATEGORY,
+  emptyImpacts,
+  gwpOnlyImpacts,
+  getFactorImpacts,
+  scaleImpacts,
+  addImpacts,
+  subtractImpacts,
+  sumImpacts,
+  roundImpacts,
+  impactsOrGwp,
+  getImpactCoverage,
+  getImpactUnits,
+};
@@ -0,0 +1,310 @@
+/**
+ * EN 15804 life-cycle modules
+ *
+ * A1-A3 is the cradle-to-gate result (raw materials + manufacturing) and A4 is
+ * filled from project transport legs. The remaining modules are derived from the
+ * product's `lifeCycle` configuration and the generic defaults in
+ * data/end_of_life_factors.json and data/grid_electricity_factors.json.
+ * Module D is reported separately and is never added to the life-cycle total.
+ */
+const endOfLifeFactors = require("../data/end_of_life_factors.json");
+const gridElectricityFactors = require("../data/grid_electricity_factors.json");
+const { ROAD_FREIGHT_IMPACT_FACTORS } = require("../services/transport.service");
+const {
+  emptyImpacts,
+  gwpOnlyImpacts,
+  scaleImpacts,
+  addImpacts,
+  sumImpacts,
+  roundImpacts,
+  impactsOrGwp,
+} = require("./impactCategories");
+
+const LIFE_CYCLE_MODULES = [
+  { key: "A1_A3", code: "A1-A3", name: "Product stage", stage: "productStage" },
+  { key: "A4", code: "A4", name: "Transport to site", stage: "constructionStage" },
+  { key: "A5", code: "A5", name: "Installation", stage: "constructionStage" },
+  { key: "B1", code: "B1", name: "Use", stage: "useStage" },
+  { key: "B2", code: "B2", name: "Maintenance", stage: "useStage" },
+  { key: "B3", code: "B3", name: "Repair", stage: "useStage" },
+  { key: "B4", code: "B4", name: "Replacement", stage: "useStage" },
+  { key: "B5", code: "B5", name: "Refurbishment", stage: "useStage" },
+  { key: "B6", code: "B6", name: "Operational energy use", stage: "useStage" },
+  { key: "B7", code: "B7", name: "Operational water use", stage: "useStage" },
+  { key: "C1", code: "C1", name: "Deconstruction / demolition", stage: "endOfLifeStage" },
+  { key: "C2", code: "C2", name: "Transport to waste processing", stage: "endOfLifeStage" },
+  { key: "C3", code: "C3", name: "Waste processing", stage: "endOfLifeStage" },
+  { key: "C4", code: "C4", name: "Disposal", stage: "endOfLifeStage" },
+  { key: "D", code: "D", name: "Benefits and loads beyond the system boundary", stage: "beyondSystemBoundary" },
+];
+
+const LIFE_CYCLE_MODULE_KEYS = LIFE_CYCLE_MODULES.map((module) => module.key);
+
+const LIFE_CYCLE_STAGE_KEYS = [
+  "productStage",
+  "constructionStage",
+  "useStage",
+  "endOfLifeStage",
+];
+
+const END_OF_LIFE_ROUTES = ["recycling", "incineration", "landfill"];
+
+// Tap water supply and treatment, kg CO2e per m3 (generic default)
+const WATER_SUPPLY_GWP_PER_M3 = 0.344;
+
+// Distance to the waste processing site when none is configured
+const DEFAULT_END_OF_LIFE_TRANSPORT_KM = 50;
+
+const normalize = (str) => str?.toString().trim().toLowerCase();
+
+/**
+ * Create a module map with every module set to an empty impact vector
+ */
+const emptyLifeCycleModules = () =>
+  LIFE_CYCLE_MODULE_KEYS.reduce((modules, key) => {
+    modules[key] = emptyImpacts();
+    return modules;
+  }, {});
+
+/**
+ * Grid electricity factor (kg CO2e/kWh) for an ISO code or country name,
+ * falling back to the global average
+ */
+const getGridElectricityFactor = (country) => {
+  const target = normalize(country);
+  const entry =
+    gridElectricityFactors.find(
+      (factor) =>
+        normalize(factor.countryOfOrigin) === target ||
+        normalize(factor.countryName) === target
+    ) || gridElectricityFactors.find((factor) => factor.countryOfOrigin === "GLO");
+
+  return entry.EmissionFactor;
+};
+
+/**
+ * End-of-life factors for a material class, falling back to the default entry
+ */
+const getEndOfLifeEntry = (materialClass) =>
+  endOfLifeFactors.find(
+    (entry) => normalize(entry.materialClass) === normalize(materialClass)
+  ) || endOfLifeFactors.find((entry) => entry.materialClass === "Default");
+
+/**
+ * Resolve the recycling/incineration/landfill split (fractions summing to 1)
+ * for a material class, preferring a configured scenario over the default
+ */
+const getEndOfLifeScenario = (materialClass, scenarios = []) => {
+  const configured = scenarios.find(
+    (scenario) => normalize(scenario.materialClass) === normalize(materialClass)
+  );
+  const shares = configured || getEndOfLifeEntry(materialClass).defaultScenario;
+
+  const total = END_OF_LIFE_ROUTES.reduce(
+    (sum, route) => sum + (Number(shares[route]) || 0),
+    0
+  );
+  if (total <= 0) {
+    return getEndOfLifeScenario(materialClass);
+  }
+
+  return END_OF_LIFE_ROUTES.reduce((split, route) => {
+    split[route] = (Number(shares[route]) || 0) / total;
+    return split;
+  }, {});
+};
+
+/**
+ * Module only assessed for GWP; a module without any activity is 0 in every
+ * category
+ */
+const gwpOnlyModule = (value) => (value ? gwpOnlyImpacts(value) : emptyImpacts());
+
+/**
+ * Calculate C3, C4 and D for the material lines of a product
+ * @param {Array} materials - Product material lines (weight in kg)
+ * @param {Array} scenarios - Optional per material class scenario overrides
+ * @returns {Object} - { C3, C4, D } impact vectors
+ */
+const calculateEndOfLifeImpacts = (materials = [], scenarios = []) => {
+  let C3 = 0;
+  let C4 = 0;
+  let D = 0;
+
+  materials.forEach((material) => {
+    const weight = material.weight || 0;
+    if (weight <= 0) return;
+
+    const entry = getEndOfLifeEntry(material.materialClass);
+    const split = getEndOfLifeScenario(material.materialClass, scenarios);
+
+    const recycledKg = weight * split.recycling;
+    const incineratedKg = weight * split.incineration;
+    const landfilledKg = weight * split.landfill;
+
+    C3 += recycledKg * entry.recycling.C3 + incineratedKg * entry.incineration.C3;
+    C4 += landfilledKg * entry.landfill.C4;
+    D += recycledKg * entry.recycling.D + incineratedKg * entry.incineration.D;
+  });
+
+  // End-of-life defaults only carry GWP today
+  return {
+    C3: gwpOnlyModule(C3),
+    C4: gwpOnlyModule(C4),
+    D: gwpOnlyModule(D),
+  };
+};
+
+/**
+ * Calculate every product-level module. A4 is left empty because transport to
+ * site depends on the project the product is shipped to.
+ * @param {Object} params
+ * @param {Object} params.productionImpacts - Cradle-to-gate (A1-A3) impact vector
+ * @param {Array} params.materials - Product material lines
+ * @param {Object} params.lifeCycle - Product life-cycle configuration
+ * @param {string} params.countryOfOrigin - Fallback country for electricity
+ * @returns {Object} - Impact vector per module key
+ */
+const calculateLifeCycleModules = ({
+  productionImpacts,
+  materials = [],
+  lifeCycle = {},
+  countryOfOrigin = "GLO",
+}) => {
+  const modules = emptyLifeCycleModules();
+  const installation = lifeCycle?.installation || {};
+  const use = lifeCycle?.use || {};
+  const endOfLife = lifeCycle?.endOfLife || {};
+
+  const gwp = gwpOnlyModule;
+  const gridFactor = getGridElectricityFactor(use.country || countryOfOrigin);
+  const serviceLifeYears = use.serviceLifeYears > 0 ? use.serviceLifeYears : 1;
+  const productWeightTon =
+    materials.reduce((sum, material) => sum + (material.weight || 0), 0) / 1000;
+
+  modules.A1_A3 = addImpacts(emptyImpacts(), productionImpacts);
+
+  // A5: installation waste is produced like the product itself, plus site energy
+  modules.A5 = addImpacts(
+    scaleImpacts(modules.A1_A3, (installation.wastePercentage || 0) / 100),
+    gwp((installation.energyKWh || 0) * gridFactor)
+  );
+
+  modules.B1 = gwp((use.directEmissionsPerYear || 0) * serviceLifeYears);
+  modules.B2 = gwp((use.maintenancePerYear || 0) * serviceLifeYears);
+  modules.B3 = gwp((use.repairPerYear || 0) * serviceLifeYears);
+  modules.B5 = gwp(use.refurbishmentImpact);
+  modules.B6 = gwp((use.annualEnergyKWh || 0) * serviceLifeYears * gridFactor);
+  modules.B7 = gwp(
+    (use.annualWaterM3 || 0) * serviceLifeYears * WATER_SUPPLY_GWP_PER_M3
+  );
+
+  modules.C1 = gwp((endOfLife.deconstructionEnergyKWh || 0) * gridFactor);
+  modules.C2 = scaleImpacts(
+    ROAD_FREIGHT_IMPACT_FACTORS,
+    productWeightTon *
+      (endOfLife.transportKm ?? DEFAULT_END_OF_LIFE_TRANSPORT_KM)
+  );
+
+  const { C3, C4, D } = calculateEndOfLifeImpacts(
+    materials,
+    endOfLife.scenarios || []
+  );
+  modules.C3 = C3;
+  modules.C4 = C4;
+  modules.D = D;
+
+  // B4: each replacement repeats production and end of life of the product
+  modules.B4 = scaleImpacts(
+    sumImpacts([modules.A1_A3, modules.C1, modules.C2, modules.C3, modules.C4]),
+    use.replacements || 0
+  );
+
+  return modules;
+};
+
+/**
+ * Add two module maps
+ */
+const addLifeCycleModules = (a, b) =>
+  LIFE_CYCLE_MODULE_KEYS.reduce((modules, key) => {
+    modules[key] = addImpacts(a?.[key], b?.[key]);
+    return modules;
+  }, {});
+
+/**
+ * Multiply every module of a module map by a scalar
+ */
+const scaleLifeCycleModules = (modules, factor) =>
+  LIFE_CYCLE_MODULE_KEYS.reduce((scaled, key) => {
+    scaled[key] = scaleImpacts(modules?.[key], factor);
+    return scaled;
+  }, {});
+
+/**
+ * Round every module of a module map
+ */
+const roundLifeCycleModules = (modules) =>
+  LIFE_CYCLE_MODULE_KEYS.reduce((rounded, key) => {
+    rounded[key] = roundImpacts(modules?.[key]);
+    return rounded;
+  }, {});
+
+/**
+ * Use stored modules, or build them from the cradle-to-gate result for
+ * products calculated before life-cycle modules were stored
+ */
+const lifeCycleModulesOrDefault = (modules, productionImpacts) => {
+  if (modules?.A1_A3) {
+    return addLifeCycleModules(emptyLifeCycleModules(), modules);
+  }
+  return { ...emptyLifeCycleModules(), A1_A3: impactsOrGwp(productionImpacts) };
+};
+
+/**
+ * Aggregate modules into EN 15804 stages. `total` covers A1-C4; module D is
+ * returned on its own as `beyondSystemBoundary`.
+ */
+const summarizeLifeCycleStages = (modules) => {
+  const stages = LIFE_CYCLE_STAGE_KEYS.reduce((summary, stage) => {
+    summary[stage] = sumImpacts(
+      LIFE_CYCLE_MODULES.filter((module) => module.stage === stage).map(
+        (module) => modules?.[module.key]
+      )
+    );
+    return summary;
+  }, {});
+
+  return {
+    ...stages,
+    total: sumImpacts(LIFE_CYCLE_STAGE_KEYS.map((stage) => stages[stage])),
+    beyondSystemBoundary: addImpacts(emptyImpacts(), modules?.D),
+  };
+};
+
+/**
+ * Round every entry of a stage summary
+ */
+const roundLifeCycleStages = (stages) =>
+  Object.keys(stages).reduce((rounded, key) => {
+    rounded[key] = roundImpacts(stages[key]);
+    return rounded;
+  }, {});
+
+module.exports = {
+  LIFE_CYCLE_MODULES,
+  LIFE_CYCLE_MODULE_KEYS,
+  LIFE_CYCLE_STAGE_KEYS,
+  emptyLifeCycleModules,
+  getGridElectricityFactor,
+  getEndOfLifeEntry,
+  getEndOfLifeScenario,
+  calculateEndOfLifeImpacts,
+  calculateLifeCycleModules,
+  addLifeCycleModules,
+  scaleLifeCycleModules,
+  roundLifeCycleModules,
+  lifeCycleModulesOrDefault,
+  summarizeLifeCycleStages,
+  roundLifeCycleStages,
+};
@@ -0,0 +1,252 @@
+const fs = require("fs");
+const path = require("path");
+const { OpenAI, AzureOpenAI } = require("openai");
+const config = require("../config/environment");
+const logger = require("./logger");
+const openAIRateLimiter = require("./openAIRateLimiter");
+const { getAccount } = require("../middlewares/auth.middleware");
+const { getAccountLLMSettings } = require("../services/account.service");
+
+/**
+ * LLM providers
+ *
+ * Classification code talks to an OpenAI-style chat completions client; the
+ * provider decides which client that is and which model settings it is called
+ * with:
+ * - openai: the OpenAI API
+ * - azure: an Azure OpenAI deployment
+ * - openai_compatible: any server speaking the OpenAI API, e.g. Ollama or vLLM
+ * - fixture: canned responses from a JSON file, for tests and offline runs
+ *
+ * The environment (LLM_*) sets the default provider and model settings. An
+ * account may choose its own provider and model settings; endpoints, API keys
+ * and the fixture file always come from the environment so that account
+ * settings can never send a key to another host.
+ *
+ * Every provider with limits of its own has its own rate limiter; fixture
+ * responses are not limited.
+ */
+
+const PROVIDERS = ["openai", "azure", "openai_compatible", "fixture"];
+
+// Settings an account may override
+const ACCOUNT_SETTINGS = ["provider", "model", "temperature", "maxTokens", "deployment"];
+
+const clients = new Map();
+const rateLimiters = new Map([["openai", openAIRateLimiter]]);
+let fixtureCache = null;
+
+/**
+ * Check account LLM settings before they are stored
+ * @param {Object} settings - { provider, model, temperature, maxTokens, deployment }
+ * @returns {String|null} Error message, or null when valid
+ */
+const validateLLMSettings = (settings = {}) => {
+  const unknown = Object.keys(settings).filter((key) => !ACCOUNT_SETTINGS.includes(key));
+  if (unknown.length > 0) {
+    return `Unsupported LLM settings: ${unknown.join(", ")}. Allowed: ${ACCOUNT_SETTINGS.join(", ")}`;
+  }
+  if (settings.provider !== undefined && !PROVIDERS.includes(settings.provider)) {
+    return `provider must be one of ${PROVIDERS.join(", ")}`;
+  }
+  if (settings.model !== undefined && (typeof settings.model !== "string" || !settings.model.trim())) {
+    return "model must be a non-empty string";
+  }
+  if (
+    settings.temperature !== undefined &&
+    (typeof settings.temperature !== "number" || settings.temperature < 0 || settings.temperature > 2)
+  ) {
+    return "temperature must be a number between 0 and 2";
+  }
+  if (settings.maxTokens !== undefined && (!Number.isInteger(settings.maxTokens) || settings.maxTokens < 1)) {
+    return "maxTokens must be a positive integer";
+  }
+  if (settings.deployment !== undefined && typeof settings.deployment !== "string") {
+    return "deployment must be a string";
+  }
+  return null;
+};
+
+/**
+ * Environment settings with the account's overrides applied
+ * @param {Object} accountSettings - Stored settings of the account (optional)
+ */
+const resolveLLMSettings = (accountSettings) => {
+  const settings = { ...config.llm };
+  ACCOUNT_SETTINGS.forEach((key) => {
+    if (accountSettings?.[key] !== undefined && accountSettings[key] !== null) {
+      settings[key] = accountSettings[key];
+    }
+  });
+  return settings;
+};
+
+/**
+ * Text of all messages of a request, for fixture matching
+ */
+const getRequestText = (messages = []) =>
+  messages
+    .map(({ content }) =>
+      Array.isArray(content)
+        ? content.map((part) => part.text || "").join("\n")
+        : content || ""
+    )
+    .join("\n");
+
+const loadFixtures = (fixturesPath) => {
+  const file = path.resolve(fixturesPath);
+  if (!fixtureCache || fixtureCache.file !== file) {
+    fixtureCache = { file, fixtures: JSON.parse(fs.readFileSync(file, "utf8")) };
+    logger.info(`🧪 Loaded ${fixtureCache.fixtures.length} LLM fixtures from ${file}`);
+  }
+  return fixtureCache.fixtures;
+};
+
+/**
+ * Client answering from fixtures. A fixture applies to requests with its
+ * response format name ("json_object" for plain JSON mode) whose messages
+ * contain all of its `match` strings; the first one that applies wins.
+ * Requests without a fixture fail, so a run never silently falls back to
+ * made-up data.
+ */
+const createFixtureClient = (settings) => {
+  const respond = (params, parsed) => {
+    const result = (async () => {
+      const format = params.response_format?.json_schema?.name || params.response_format?.type || "text";
+      const text = getRequestText(params.messages);
+      const fixture = loadFixtures(settings.fixturesPath).find(
+        (entry) =>
+          entry.format === format &&
+          [].concat(entry.match || []).every((needle) => text.includes(needle))
+      );
+
+      if (!fixture) {
+        throw new Error(`No LLM fixture matches this ${format} request`);
+      }
+
+      const message = { role: "assistant", content: JSON.stringify(fixture.response) };
+      if (parsed) message.parsed = fixture.response;
+
+      return {
+        id: "fixture",
+        model: params.model,
+        choices: [{ index: 0, finish_reason: "stop", message }],
+        usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+      };
+    })();
+
+    // Same shape as the OpenAI client's API promise
+    result.withResponse = async () => ({ data: await result, response: { headers: new Headers() } });
+    return result;
+  };
+
+  return {
+    chat: { completions: { create: (params) => respond(params, false) } },
+    beta: { chat: { completions: { parse: (params) => respond(params, true) } } },
+  };
+};
+
+const createClient = (settings) => {
+  switch (settings.provider) {
+    case "azure":
+      return new AzureOpenAI({
+        endpoint: settings.azureEndpoint,
+        apiKey: settings.azureApiKey,
+        apiVersion: settings.azureApiVersion,
+        deployment: settings.deployment,
+      });
+    case "openai_compatible":
+      // Local servers usually ignore the key but the client requires one
+      return new OpenAI({ baseURL: settings.baseURL, apiKey: settings.apiKey || "not-needed" });
+    case "fixture":
+      return createFixtureClient(settings);
+    default:
+      return new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  }
+};
+
+/**
+ * Client for resolved settings, shared by every caller with the same ones
+ */
+const getClient = (settings) => {
+  const key = `${settings.provider}|${settings.deployment || ""}`;
+  if (!clients.has(key)) {
+    clients.set(key, createClient(settings));
+  }
+  return clients.get(key);
+};
+
+/**
+ * Rate limiter of a provider, or null for providers without rate limits
+ */
+const getRateLimiter = (provider) => {
+  if (provider === "fixture") return null;
+  if (!rateLimiters.has(provider)) {
+    rateLimiters.set(provider, new openAIRateLimiter.OpenAIRateLimiter());
+  }
+  return rateLimiters.get(provider);
+};
+
+/**
+ * Status of the rate limiters in use, keyed by provider
+ */
+const getRateLimiterStatus = () =>
+  Object.fromEntries(
+    [...rateLimiters].map(([provider, rateLimiter]) => [provider, rateLimiter.getStatus()])
+  );
+
+/**
+ * LLM settings for a request: the account's, or the environment's
+ * @param {Object} req - Request with the account header (optional)
+ */
+const getLLMSettings = async (req) => {
+  let accountSettings = null;
+  if (getAccount(req)) {
+    try {
+      accountSettings = await getAccountLLMSettings(req);
+    } catch (error) {
+      logger.error("❌ Error loading account LLM settings, using environment defaults:", error);
+    }
+  }
+
+  const settings = resolveLLMSettings(accountSettings);
+  if (settings.provider === "azure" && !settings.deployment) {
+    settings.deployment = settings.model;
+  }
+  return settings;
+};
+
+/**
+ * Provider for a request: the account's LLM settings, or the environment's
+ * @param {Object} req - Request with the account header (optional)
+ * @returns {Object} - { provider, model, client, rateLimiter, completionOptions,
+ *   pricingModel } where completionOptions are spread into every chat
+ *   completion request
+ */
+const getLLMProvider = async (req) => {
+  const settings = await getLLMSettings(req);
+
+  const completionOptions = { model: settings.model, temperature: settings.temperature };
+  if (settings.maxTokens) completionOptions.max_tokens = settings.maxTokens;
+
+  return {
+    provider: settings.provider,
+    model: settings.model,
+    client: getClient(settings),
+    rateLimiter: getRateLimiter(settings.provider),
+    completionOptions,
+    // Local and fixture models are not billed
+    pricingModel: ["openai", "azure"].includes(settings.provider) ? settings.model : null,
+  };
+};
+
+module.exports = {
+  PROVIDERS,
+  ACCOUNT_SETTINGS,
+  validateLLMSettings,
+  resolveLLMSettings,
+  getLLMSettings,
+  getRateLimiter,
+  getRateLimiterStatus,
+  getLLMProvider,
+};
@@ -0,0 +1,249 @@
+/**
+ * Monte Carlo sampling for uncertainty propagation
+ *
+ * Distributions are described relative to the deterministic value they belong
+ * to: a lognormal keeps the value as its median and spreads it by the
+ * geometric standard deviation (GSD), triangular and uniform carry absolute
+ * bounds. Runs are seeded so the same request returns the same statistics.
+ */
+
+const DISTRIBUTIONS = ["lognormal", "triangular", "uniform"];
+
+const DEFAULT_ITERATIONS = 1000;
+const MAX_ITERATIONS = 20000;
+
+/**
+ * Seeded pseudo-random generator (mulberry32) returning values in [0, 1)
+ * @param {number} seed - 32-bit integer seed
+ */
+const createRandom = (seed = Date.now()) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Standard normal draw (Box-Muller)
+ */
+const sampleStandardNormal = (random) => {
+  let u = 0;
+  while (u === 0) u = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+};
+
+/**
+ * Triangular draw by inverse transform
+ */
+const sampleTriangular = (random, min, mode, max) => {
+  if (max <= min) return mode;
+  const u = random();
+  const split = (mode - min) / (max - min);
+  return u < split
+    ? min + Math.sqrt(u * (max - min) * (mode - min))
+    : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+};
+
+/**
+ * Check an uncertainty description before it is stored
+ * @param {Object} uncertainty - { distribution, gsd, min, mode, max }
+ * @param {number} value - Deterministic value the distribution belongs to
+ * @returns {string|null} - Error message, or null when valid
+ */
+const validateUncertainty = (uncertainty, value) => {
+  if (!uncertainty) return null;
+
+  const { distribution, gsd, min, max } = uncertainty;
+  if (!DISTRIBUTIONS.includes(distribution)) {
+    return `uncertainty.distribution must be one of ${DISTRIBUTIONS.join(", ")}`;
+  }
+  if (distribution === "lognormal") {
+    return typeof gsd === "number" && gsd >= 1
+      ? null
+      : "uncertainty.gsd must be a number of at least 1";
+  }
+  if (typeof min !== "number" || typeof max !== "number" || min > max) {
+    return "uncertainty.min and uncertainty.max must be numbers with min <= max";
+  }
+  if (typeof value === "number" && (value < min || value > max)) {
+    return "the value must lie between uncertainty.min and uncertainty.max";
+  }
+  return null;
+};
+
+/**
+ * Build an uncertainty description from raw (e.g. CSV) values
+ * @param {Object} raw - { distribution, gsd, min, mode, max } as strings or numbers
+ * @param {number} value - Deterministic value the distribution belongs to
+ * @returns {Object|undefined} - Description, or undefined when none or invalid
+ */
+const parseUncertainty = (raw = {}, value) => {
+  const distribution = raw.distribution?.toString().trim().toLowerCase();
+  if (!distribution) return undefined;
+
+  const uncertainty = { distribution };
+  ["gsd", "min", "mode", "max"].forEach((key) => {
+    const number = parseFloat(raw[key]);
+    if (!isNaN(number)) uncertainty[key] = number;
+  });
+
+  return validateUncertainty(uncertainty, value) ? undefined : uncertainty;
+};
+
+/**
+ * Check the options of a simulation request
+ * @param {Object} options - { iterations, seed }
+ * @returns {string|null} - Error message, or null when valid
+ */
+const validateSimulationOptions = ({ iterations, seed } = {}) => {
+  if (
+    iterations !== undefined &&
+    (!Number.isInteger(iterations) || iterations < 2 || iterations > MAX_ITERATIONS)
+  ) {
+    return `iterations must be an integer between 2 and ${MAX_ITERATIONS}`;
+  }
+  if (seed !== undefined && !Number.isInteger(seed)) {
+    return "seed must be an integer";
+  }
+  return null;
+};
+
+/**
+ * Draw one value of a quantity
+ * @param {Function} random - Generator from createRandom
+ * @param {number} value - Deterministic value
+ * @param {Object} uncertainty - Distribution description; none means fixed
+ */
+const sampleValue = (random, value, uncertainty) => {
+  if (!uncertainty || !value) return value || 0;
+
+  switch (uncertainty.distribution) {
+    case "lognormal":
+      return value * Math.exp(Math.log(uncertainty.gsd || 1) * sampleStandardNormal(random));
+    case "triangular": {
+      const min = Math.min(uncertainty.min, value);
+      const max = Math.max(uncertainty.max, value);
+      const mode = Math.min(Math.max(uncertainty.mode ?? value, min), max);
+      return sampleTriangular(random, min, mode, max);
+    }
+    case "uniform":
+      return uncertainty.min + random() * (uncertainty.max - uncertainty.min);
+    default:
+      return value;
+  }
+};
+
+/**
+ * Value at a percentile (0-100) of sorted samples, linearly interpolated
+ */
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) return 0;
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+const mean = (samples) =>
+  samples.reduce((sum, value) => sum + value, 0) / (samples.length || 1);
+
+const covariance = (a, b, meanA = mean(a), meanB = mean(b)) =>
+  a.reduce((sum, value, i) => sum + (value - meanA) * (b[i] - meanB), 0) /
+  (a.length > 1 ? a.length - 1 : 1);
+
+const round = (value, decimals = 4) => parseFloat(value.toFixed(decimals));
+
+/**
+ * Summary statistics of a sample set
+ * @returns {Object} - { mean, median, stdDev, p5, p95 }
+ */
+const summarizeSamples = (samples) => {
+  const sorted = [...samples].sort((a, b) => a - b);
+  const average = mean(samples);
+  return {
+    mean: round(average),
+    median: round(percentile(sorted, 50)),
+    stdDev: round(Math.sqrt(Math.max(covariance(samples, samples, average, average), 0))),
+    p5: round(percentile(sorted, 5)),
+    p95: round(percentile(sorted, 95)),
+  };
+};
+
+/**
+ * Run a simulation whose result is the sum of its contributors
+ * @param {Object} params
+ * @param {Array} params.contributors - [{ ...labels, sample(random) }], each
+ *   drawing the contributor's result for one iteration
+ * @param {number} params.iterations - Number of iterations
+ * @param {number} params.seed - Seed of the generator
+ * @param {Function} params.beforeIteration - Called once per iteration before
+ *   the contributors are drawn, to draw inputs they share
+ * @returns {Object} - { iterations, seed, statistics, contributions }
+ *   where each contribution carries its own statistics and its share of the
+ *   total variance, cov(contributor, total) / var(total); shares sum to 1
+ */
+const runMonteCarlo = ({
+  contributors = [],
+  iterations = DEFAULT_ITERATIONS,
+  seed = Date.now(),
+  beforeIteration,
+}) => {
+  const random = createRandom(seed);
+  const lineSamples = contributors.map(() => new Array(iterations));
+  const totals = new Array(iterations);
+
+  for (let i = 0; i < iterations; i++) {
+    if (beforeIteration) beforeIteration(random);
+    let total = 0;
+    contributors.forEach((contributor, index) => {
+      const value = contributor.sample(random);
+      lineSamples[index][i] = value;
+      total += value;
+    });
+    totals[i] = total;
+  }
+
+  const totalMean = mean(totals);
+  const totalVariance = covariance(totals, totals, totalMean, totalMean);
+
+  const contributions = contributors
+    .map(({ sample, ...labels }, index) => {
+      const samples = lineSamples[index];
+      const { mean: lineMean, stdDev } = summarizeSamples(samples);
+      return {
+        ...labels,
+        mean: lineMean,
+        stdDev,
+        contributionToVariance:
+          totalVariance > 0
+            ? round(covariance(samples, totals, mean(samples), totalMean) / totalVariance)
+            : 0,
+      };
+    })
+    .sort((a, b) => b.contributionToVariance - a.contributionToVariance);
+
+  return {
+    iterations,
+    seed,
+    statistics: summarizeSamples(totals),
+    contributions,
+  };
+};
+
+module.exports = {
+  DISTRIBUTIONS,
+  DEFAULT_ITERATIONS,
+  MAX_ITERATIONS,
+  createRandom,
+  validateUncertainty,
+  parseUncertainty,
+  validateSimulationOptions,
+  sampleValue,
+  percentile,
+  summarizeSamples,
+  runMonteCarlo,
+};
@@ -0,0 +1,228 @@
+const config = require("../config/environment");
+
+/**
+ * Shared OpenAI rate limiter
+ *
+ * Two token buckets, one for requests and one for tokens per minute, refill
+ * continuously at their limit per minute. A request waits until both buckets
+ * hold enough for it and reserves its estimated tokens; once the completion
+ * returns, the reservation is settled against the tokens it actually used.
+ *
+ * The configured limits are only a starting point: the x-ratelimit-* headers
+ * of every response replace them with the limits of the API key and cap the
+ * buckets at what the API reports as remaining, and a 429 pauses all requests
+ * for as long as the API asks.
+ *
+ * The exported instance limits the OpenAI API; other OpenAI-style providers
+ * get their own OpenAIRateLimiter, see utils/llmProvider.js.
+ */
+
+const MINUTE_MS = 60000;
+
+// Reserved for a request whose size the caller does not estimate
+const DEFAULT_ESTIMATED_TOKENS = 2000;
+
+class TokenBucket {
+  constructor(limitPerMinute) {
+    this.capacity = limitPerMinute;
+    this.level = limitPerMinute;
+    this.updatedAt = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.level = Math.min(
+      this.capacity,
+      this.level + ((now - this.updatedAt) * this.capacity) / MINUTE_MS
+    );
+    this.updatedAt = now;
+  }
+
+  /**
+   * Time until the bucket holds `amount`
+   */
+  waitTime(amount) {
+    this.refill();
+    return this.level >= amount
+      ? 0
+      : Math.ceil(((amount - this.level) * MINUTE_MS) / this.capacity);
+  }
+
+  take(amount) {
+    this.refill();
+    this.level -= amount;
+  }
+
+  setCapacity(limitPerMinute) {
+    this.refill();
+    this.capacity = limitPerMinute;
+    this.level = Math.min(this.level, limitPerMinute);
+  }
+
+  setRemaining(remaining) {
+    this.refill();
+    this.level = Math.min(this.level, remaining);
+  }
+}
+
+/**
+ * Read a header from fetch Headers or from the plain header object of an
+ * OpenAI API error
+ */
+const getHeader = (headers, name) => {
+  if (!headers) return undefined;
+  return typeof headers.get === "function" ? headers.get(name) : headers[name];
+};
+
+/**
+ * Parse a reset duration such as "20ms", "1.5s" or "6m0s" into milliseconds
+ */
+const parseDuration = (value) => {
+  if (!value) return null;
+  const parts = [...String(value).matchAll(/(\d+(?:\.\d+)?)(ms|s|m|h)/g)];
+  if (parts.length === 0) return null;
+
+  const unitMs = { ms: 1, s: 1000, m: MINUTE_MS, h: 60 * MINUTE_MS };
+  return Math.ceil(parts.reduce((total, [, amount, unit]) => total + parseFloat(amount) * unitMs[unit], 0));
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+class OpenAIRateLimiter {
+  constructor() {
+    this.requests = new TokenBucket(config.openaiRpmLimit);
+    this.tokens = new TokenBucket(config.openaiTpmLimit);
+    this.pausedUntil = 0;
+    this.limitsFromHeaders = false;
+    this.stats = { requests: 0, tokens: 0, rateLimited: 0, waitedMs: 0 };
+  }
+
+  /**
+   * Wait until a request of the given size may be sent and reserve it
+   * @param {Number} estimatedTokens - Prompt and completion tokens expected
+   * @returns {Object} Reservation to settle with settle()
+   */
+  async acquire(estimatedTokens = DEFAULT_ESTIMATED_TOKENS) {
+    const startedAt = Date.now();
+
+    while (true) {
+      // A request larger than the whole budget only waits for a full bucket
+      const tokens = Math.min(estimatedTokens, this.tokens.capacity);
+      const waitMs = Math.max(
+        this.pausedUntil - Date.now(),
+        this.requests.waitTime(1),
+        this.tokens.waitTime(tokens)
+      );
+
+      if (waitMs <= 0) {
+        this.requests.take(1);
+        this.tokens.take(estimatedTokens);
+        this.stats.waitedMs += Date.now() - startedAt;
+        return { estimatedTokens };
+      }
+      await sleep(waitMs);
+    }
+  }
+
+  /**
+   * Wait until requests are allowed again, without reserving anything
+   */
+  async waitUntilAvailable() {
+    let waitMs = Math.max(this.pausedUntil - Date.now(), this.requests.waitTime(1));
+    while (waitMs > 0) {
+      await sleep(waitMs);
+      waitMs = Math.max(this.pausedUntil - Date.now(), this.requests.waitTime(1));
+    }
+  }
+
+  /**
+   * Settle a reservation with the tokens the completion used
+   * @param {Object} reservation - From acquire()
+   * @param {Object} usage - `usage` of the completion
+   */
+  settle(reservation, usage) {
+    const used = usage?.total_tokens ?? reservation.estimatedTokens;
+    this.tokens.take(used - reservation.estimatedTokens);
+    this.stats.requests++;
+    this.stats.tokens += used;
+  }
+
+  /**
+   * Take the limits and remaining budget reported by the API
+   * @param {Headers|Object} headers - Response or error headers
+   */
+  updateFromHeaders(headers) {
+    [
+      [this.requests, "requests"],
+      [this.tokens, "tokens"],
+    ].forEach(([bucket, name]) => {
+      const limit = parseInt(getHeader(headers, `x-ratelimit-limit-${name}`), 10);
+      const remaining = parseInt(getHeader(headers, `x-ratelimit-remaining-${name}`), 10);
+
+      if (limit > 0) {
+        bucket.setCapacity(limit);
+        this.limitsFromHeaders = true;
+      }
+      if (!isNaN(remaining)) {
+        bucket.setRemaining(remaining);
+        if (remaining <= 0) {
+          const resetMs = parseDuration(getHeader(headers, `x-ratelimit-reset-${name}`));
+          if (resetMs) this.pauseFor(resetMs);
+        }
+      }
+    });
+  }
+
+  /**
+   * Pause all requests after a 429 for as long as the API asks
+   * @param {Error} error - Rate limit error of the OpenAI client
+   * @param {Number} fallbackMs - Pause when the error gives no hint
+   * @returns {Number} Pause in milliseconds
+   */
+  handleRateLimitError(error, fallbackMs) {
+    const retryAfterMs = parseFloat(getHeader(error.headers, "retry-after-ms"));
+    const retryAfter = parseFloat(getHeader(error.headers, "retry-after"));
+    const messageHint = error.message?.match(/try again in (\d+(?:\.\d+)?(?:ms|s))/);
+
+    let waitMs = fallbackMs;
+    if (!isNaN(retryAfterMs)) {
+      waitMs = retryAfterMs;
+    } else if (!isNaN(retryAfter)) {
+      waitMs = retryAfter * 1000;
+    } else if (messageHint) {
+      waitMs = parseDuration(messageHint[1]);
+    }
+
+    this.stats.rateLimited++;
+    this.updateFromHeaders(error.headers);
+    this.pauseFor(waitMs);
+    return waitMs;
+  }
+
+  pauseFor(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+  }
+
+  /**
+   * Current limits and budget
+   */
+  getStatus() {
+    this.requests.refill();
+    this.tokens.refill();
+    return {
+      requestsPerMinute: this.requests.capacity,
+      tokensPerMinute: this.tokens.capacity,
+      limitsFromHeaders: this.limitsFromHeaders,
+      availableRequests: Math.floor(this.requests.level),
+      availableTokens: Math.floor(this.tokens.level),
+      pausedUntil: this.pausedUntil > Date.now() ? new Date(this.pausedUntil) : null,
+      stats: { ...this.stats },
+    };
+  }
+}
+
+// Create singleton instance
+const openAIRateLimiter = new OpenAIRateLimiter();
+
+module.exports = openAIRateLimiter;
+module.exports.OpenAIRateLimiter = OpenAIRateLimiter;
@@ -0,0 +1,270 @@
+/**
+ * Units of quantities: product weights, BOM lines and the functional units of
+ * emission factors
+ *
+ * Every unit belongs to a dimension with a base unit (kg, m, m², m³, kWh,
+ * pieces). Quantities convert freely within a dimension. Between a dimension
+ * and mass they convert through the mass of one unit (kg per m², per litre,
+ * per piece…) or, for volumes, a density in kg/m³. Anything else is a
+ * mismatch and reported as an error rather than guessed.
+ *
+ * Mass is stored in kg: product weights and mass lines are converted on
+ * input, so `weight` stays in kg throughout. Lines in another dimension keep
+ * their amount in `quantity`, and `weight` holds their mass when it is known.
+ */
+
+const UNITS = {
+  g: { dimension: "mass", toBase: 0.001 },
+  kg: { dimension: "mass", toBase: 1 },
+  t: { dimension: "mass", toBase: 1000 },
+  lb: { dimension: "mass", toBase: 0.45359237 },
+  oz: { dimension: "mass", toBase: 0.028349523125 },
+  m: { dimension: "length", toBase: 1 },
+  m2: { dimension: "area", toBase: 1 },
+  m3: { dimension: "volume", toBase: 1 },
+  l: { dimension: "volume", toBase: 0.001 },
+  kWh: { dimension: "energy", toBase: 1 },
+  piece: { dimension: "count", toBase: 1 },
+};
+
+const BASE_UNITS = { mass: "kg", length: "m", area: "m2", volume: "m3", energy: "kWh", count: "piece" };
+
+// Other spellings of the units, lower case
+const UNIT_ALIASES = {
+  gram: "g",
+  grams: "g",
+  kilogram: "kg",
+  kilograms: "kg",
+  kgs: "kg",
+  tonne: "t",
+  tonnes: "t",
+  lbs: "lb",
+  pound: "lb",
+  pounds: "lb",
+  ounce: "oz",
+  ounces: "oz",
+  metre: "m",
+  metres: "m",
+  meter: "m",
+  meters: "m",
+  lm: "m",
+  linear_m: "m",
+  "m²": "m2",
+  sqm: "m2",
+  "m³": "m3",
+  cbm: "m3",
+  litre: "l",
+  litres: "l",
+  liter: "l",
+  liters: "l",
+  kwh: "kWh",
+  pc: "piece",
+  pcs: "piece",
+  pieces: "piece",
+  unit: "piece",
+  units: "piece",
+};
+
+const MASS_UNIT = "kg";
+
+/**
+ * Canonical name of a unit
+ * @param {string} unit - Unit as entered, e.g. "KG", "m²", "litres"
+ * @returns {string|null} - Key of UNITS, or null for unknown units
+ */
+const normalizeUnit = (unit) => {
+  if (unit === undefined || unit === null) return null;
+  const text = String(unit).trim();
+  if (UNITS[text]) return text;
+  const lower = text.toLowerCase();
+  if (UNITS[lower]) return lower;
+  return UNIT_ALIASES[lower] || null;
+};
+
+/**
+ * Dimension of a unit, or null for unknown units
+ */
+const getUnitDimension = (unit) => UNITS[normalizeUnit(unit)]?.dimension || null;
+
+const isMassUnit = (unit) => getUnitDimension(unit) === "mass";
+
+/**
+ * Names of the known units, for error messages
+ * @param {string} dimension - Only the units of a dimension (optional)
+ */
+const listUnits = (dimension) =>
+  Object.keys(UNITS).filter((unit) => !dimension || UNITS[unit].dimension === dimension);
+
+const unitError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Functional unit of an emission factor: the unit after the slash of a factor
+ * unit ("kg CO2e/m2"), or the unit itself ("m2"); kg when not given
+ * @returns {string|null} - Canonical unit, or null for unknown units
+ */
+const getFunctionalUnit = (unit) => {
+  if (unit === undefined || unit === null || String(unit).trim() === "") return MASS_UNIT;
+  const text = String(unit);
+  return normalizeUnit(text.includes("/") ? text.slice(text.lastIndexOf("/") + 1) : text);
+};
+
+/**
+ * Convert a quantity within its dimension
+ * @throws {Error} 400 for unknown units or units of different dimensions
+ */
+const convertUnit = (value, from, to) => {
+  const fromUnit = normalizeUnit(from);
+  const toUnit = normalizeUnit(to);
+  if (!fromUnit) throw unitError(`Unknown unit '${from}'. Known units: ${listUnits().join(", ")}`);
+  if (!toUnit) throw unitError(`Unknown unit '${to}'. Known units: ${listUnits().join(", ")}`);
+  if (UNITS[fromUnit].dimension !== UNITS[toUnit].dimension) {
+    throw unitError(`Cannot convert ${fromUnit} (${UNITS[fromUnit].dimension}) to ${toUnit} (${UNITS[toUnit].dimension})`);
+  }
+  return (value * UNITS[fromUnit].toBase) / UNITS[toUnit].toBase;
+};
+
+/**
+ * Convert a mass to kg
+ * @param {number} value - Mass
+ * @param {string} unit - Mass unit (kg when not given)
+ * @throws {Error} 400 for units that are not mass units
+ */
+const toKg = (value, unit = MASS_UNIT) => {
+  if (!isMassUnit(unit || MASS_UNIT)) {
+    throw unitError(`'${unit}' is not a unit of mass. Use one of: ${listUnits("mass").join(", ")}`);
+  }
+  return convertUnit(value, unit || MASS_UNIT, MASS_UNIT);
+};
+
+/**
+ * Mass in kg of one unit of a non-mass quantity, from its massPerUnit or,
+ * for volumes, its density
+ * @param {string} unit - Canonical unit of the quantity
+ * @param {Object} conversion - { massPerUnit } kg per unit, { density } kg/m³
+ * @returns {number|null} - null when unknown
+ */
+const getMassPerUnit = (unit, conversion = {}) => {
+  if (typeof conversion.massPerUnit === "number" && conversion.massPerUnit > 0) {
+    return conversion.massPerUnit;
+  }
+  if (UNITS[unit]?.dimension === "volume" && typeof conversion.density === "number" && conversion.density > 0) {
+    return conversion.density * UNITS[unit].toBase;
+  }
+  return null;
+};
+
+/**
+ * Bring a BOM line entered in any unit to the stored form: mass lines in kg,
+ * other lines with their `quantity` and, when it can be derived, their mass
+ * in `weight`
+ * @param {Object} line - { weight, quantity, unit, massPerUnit, density };
+ *   a mass line's amount is its weight in its unit, another line's amount is
+ *   its quantity
+ * @returns {Object} The line with `unit` canonical
+ * @throws {Error} 400 for unknown units or missing amounts
+ */
+const normalizeLineUnit = (line, label = "Material line") => {
+  const unit = normalizeUnit(line.unit || MASS_UNIT);
+  if (!unit) {
+    throw unitError(`${label}: unknown unit '${line.unit}'. Known units: ${listUnits().join(", ")}`);
+  }
+
+  if (UNITS[unit].dimension === "mass") {
+    const weight = typeof line.weight === "number" ? line.weight : line.quantity;
+    if (typeof weight !== "number" || isNaN(weight) || weight < 0) {
+      throw unitError(`${label}: weight must be a non-negative number`);
+    }
+    const normalized = { ...line, weight: convertUnit(weight, unit, MASS_UNIT), unit: MASS_UNIT };
+    delete normalized.quantity;
+    return normalized;
+  }
+
+  if (typeof line.quantity !== "number" || isNaN(line.quantity) || line.quantity < 0) {
+    throw unitError(`${label}: quantity in ${unit} must be a non-negative number`);
+  }
+  const massPerUnit = getMassPerUnit(unit, line);
+  return { ...line, unit, weight: massPerUnit ? line.quantity * massPerUnit : 0 };
+};
+
+/**
+ * Amount of a line in the functional unit of its emission factor
+ * @param {Object} line - Stored line: { weight } in kg, or { quantity, unit,
+ *   massPerUnit, density } for other units
+ * @param {Object} factor - { unit, massPerUnit } functional unit of the factor
+ *   and the mass of one functional unit, when known
+ * @returns {Object} - { quantity, unit } or { error } on a unit mismatch
+ */
+const toFunctionalQuantity = (line, factor = {}) => {
+  const lineUnit = normalizeUnit(line.unit || MASS_UNIT);
+  const factorUnit = getFunctionalUnit(factor.unit);
+  if (!lineUnit) return { error: `Unknown unit '${line.unit}'` };
+  if (!factorUnit) return { error: `Factor has an unknown unit '${factor.unit}'` };
+
+  const lineIsMass = UNITS[lineUnit].dimension === "mass";
+  const amount = lineIsMass ? line.weight || 0 : line.quantity || 0;
+  if (UNITS[lineUnit].dimension === UNITS[factorUnit].dimension) {
+    return { quantity: convertUnit(amount, lineUnit, factorUnit), unit: factorUnit };
+  }
+
+  // Across dimensions through the mass of the line
+  const lineMassPerUnit = lineIsMass ? UNITS[lineUnit].toBase : getMassPerUnit(lineUnit, line);
+  const factorMassPerUnit = UNITS[factorUnit].dimension === "mass"
+    ? UNITS[factorUnit].toBase
+    : getMassPerUnit(factorUnit, factor);
+  if (!lineMassPerUnit || !factorMassPerUnit) {
+    return {
+      error: `Unit mismatch: the line is in ${lineUnit} but its factor is per ${factorUnit}; give the mass per ${lineMassPerUnit ? factorUnit : lineUnit} (massPerUnit) to convert`,
+    };
+  }
+  return { quantity: (amount * lineMassPerUnit) / factorMassPerUnit, unit: factorUnit };
+};
+
+/**
+ * Number of products in a quantity of them, e.g. a project counting a product
+ * in m² or kg
+ * @param {number} quantity - Amount in `unit`
+ * @param {string} unit - Count unit, the dimension of the product's declared
+ *   unit, or a mass unit
+ * @param {Object} product - { declaredUnit: { unit, amount }, weight } where
+ *   one product is `amount` of the declared unit and weighs `weight` kg
+ * @returns {Object} - { count } or { error } when the unit does not apply
+ */
+const toProductCount = (quantity, unit, product = {}) => {
+  const quantityUnit = normalizeUnit(unit || "piece");
+  if (!quantityUnit) return { error: `Unknown unit '${unit}'. Known units: ${listUnits().join(", ")}` };
+  const dimension = UNITS[quantityUnit].dimension;
+  if (dimension === "count") return { count: convertUnit(quantity, quantityUnit, "piece") };
+
+  const declaredUnit = normalizeUnit(product.declaredUnit?.unit);
+  if (declaredUnit && UNITS[declaredUnit].dimension === dimension && product.declaredUnit.amount > 0) {
+    return { count: convertUnit(quantity, quantityUnit, declaredUnit) / product.declaredUnit.amount };
+  }
+  if (dimension === "mass" && product.weight > 0) {
+    return { count: toKg(quantity, quantityUnit) / product.weight };
+  }
+  return {
+    error: dimension === "mass"
+      ? `Cannot count ${quantityUnit} of the product: it has no weight`
+      : `Cannot count ${quantityUnit} of the product: its declared unit is ${declaredUnit ? `${product.declaredUnit.amount} ${declaredUnit}` : "not set"}`,
+  };
+};
+
+module.exports = {
+  UNITS,
+  BASE_UNITS,
+  MASS_UNIT,
+  normalizeUnit,
+  getUnitDimension,
+  isMassUnit,
+  listUnits,
+  getFunctionalUnit,
+  convertUnit,
+  toKg,
+  normalizeLineUnit,
+  toFunctionalQuantity,
+  toProductCount,
+};
@@ -138,7 +138,7 @@ const getAuthorizationKey = (req) => {
   return authorizationKey;
 };
 
-const updateAITokens = async (req, usage) => {
+const updateAITokens = async (req, usage, model = "gpt-4o") => {
   try {
     const account_id = getAccount(req);
     const AccountAIToken = await getAccountAITokenModel(account_id);
@@ -153,7 +153,7 @@ const updateAITokens = async (req, usage) => {
     cachedInputCost,
     outputCost,
     totalCost,
-    } = await calculateOpenAICost(usage, "gpt-4o");
+    } = await calculateOpenAICost(usage, model);
 
     const totalTokens = inputTokens + outputTokens;
 
@@ -176,6 +176,11 @@ const updateAITokens = async (req, usage) => {
       await newEntry.save();
     }
 
+    // Required here as the budget service prices its estimates with
+    // calculateOpenAICost
+    const { recordAISpend } = require("../services/aiBudget.service");
+    await recordAISpend(req, totalCost, totalTokens);
+
     console.log(`✅ AI usage updated for ${account_id}: ${inputTokens} prompt, ${outputTokens} completion, ${totalTokens} total, ~$${totalCost.toFixed(6)} USD`);
   } catch (error) {
     console.error(`❌ Failed to update AI usage: ${error.message}`);
@@ -195,9 +200,11 @@ const calculateOpenAICost= async (usage, model = "gpt-4o") =>{
     // Add support for other models if needed
   };
 
-  const modelPricing = pricing[model];
-  if (!modelPricing) {
-    throw new Error(`Unsupported model: ${model}`);
+  // Tokens of models without a price (local servers, fixtures, unlisted
+  // models) are still counted, at no cost
+  const modelPricing = pricing[model] || { input: 0, cached_input: 0, output: 0 };
+  if (model && !pricing[model]) {
+    console.warn(`⚠️ No pricing for model ${model}; counting its usage at no cost`);
   }
 
   const promptTokens = usage.prompt_tokens || 0;
@@ -254,5 +261,6 @@ module.exports = {
   getAuthorizationKey,
   getAccountPlan,
   updateAITokens,
+  calculateOpenAICost,
   getAccountAITokens,
 };